@@ -0,0 +1,69 @@
+const admin = require('firebase-admin');
+const { isQuietTime, alertRegister } = require('./utils/absenceAlerts');
+
+// ======================
+// FIREBASE INIT
+// ======================
+
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    }),
+  });
+}
+
+const db = admin.firestore();
+
+// Scheduled functions get 30 seconds. No new guardian is started after
+// this much of it, leaving time for the messages already under way.
+// Registers left over are still flagged and go out on the next run, a
+// quarter of an hour later.
+const RUN_BUDGET_MS = 20 * 1000;
+
+// ======================
+// HANDLER
+// ======================
+
+// Runs every 15 minutes (see netlify.toml) and tells parents about
+// absences on registers submitted or corrected since the last run.
+exports.handler = async () => {
+
+  // Registers stay flagged through the night and are dropped in the morning
+  if (isQuietTime()) {
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ skipped: 'quiet hours' }),
+    };
+  }
+
+  const deadline = Date.now() + RUN_BUDGET_MS;
+  const pending = await db
+    .collection('attendanceRegisters')
+    .where('alertsPending', '==', true)
+    .get();
+
+  let guardians = 0;
+  let processed = 0;
+
+  for (const registerDoc of pending.docs) {
+    if (Date.now() >= deadline) break;
+
+    try {
+      const result = await alertRegister(db, registerDoc, { deadline });
+      guardians += result.guardians || 0;
+      if (!result.retry) processed += 1;
+    } catch (error) {
+      // The register stays flagged and the next run picks it up again.
+      // Guardians already messaged are remembered and not told twice.
+      console.error(`Absence alerts for register ${registerDoc.id} failed:`, error);
+    }
+  }
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ registers: processed, remaining: pending.size - processed, guardians }),
+  };
+};
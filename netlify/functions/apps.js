@@ -1,6 +1,7 @@
 const admin = require('firebase-admin');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { authenticate, can, forbidden, isEmailVerified, emailNotVerified, rejectImpersonatedWrite } = require('./utils/auth');
+const { iconForSize } = require('./utils/brandingAssets');
 
 // Firebase Init
 if (!admin.apps.length) {
@@ -41,7 +42,11 @@ const verifyBuildCallback = (payload, signature) => {
 };
 
 // TRIGGER GITHUB BUILD
+// The app icon and splash come from the assets derived from the school's
+// logo; schools that uploaded theirs before those existed send the logo.
 const triggerBuild = async (school, platform, buildId) => {
+  const assets = school.branding?.assets;
+
   try {
     const response = await fetch(
       `https://api.github.com/repos/${process.env.CORDOVA_REPO}/actions/workflows/build-apk.yml/dispatches`,
@@ -57,7 +62,8 @@ const triggerBuild = async (school, platform, buildId) => {
           inputs: {
             school_name: school.name,
             subdomain: school.subdomain,
-            logo: school.logo || "",
+            logo: iconForSize(assets, 512) || school.identity?.logo || school.logo || "",
+            splash: assets?.splash?.url || "",
             platform,
             build_id: buildId
           }
@@ -112,7 +118,9 @@ const updateBuildStatus = async (buildId, status, downloadUrl = null, errorMessa
             downloadUrl,
             buildDate: admin.firestore.FieldValue.serverTimestamp(),
             status: 'available'
-          }
+          },
+          // Set when the subdomain changed after the last build
+          appRebuildRequired: false
         });
       }
     }
@@ -177,9 +185,9 @@ exports.handler = async (event) => {
     }
 
     // All other endpoints require JWT authentication
-    const token = event.headers.authorization?.replace('Bearer ', '');
+    const decoded = await authenticate(db, event);
 
-    if (!token) {
+    if (!decoded) {
       return {
         statusCode: 401,
         headers,
@@ -187,11 +195,17 @@ exports.handler = async (event) => {
       };
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const readOnly = rejectImpersonatedWrite(decoded, event, headers);
+    if (readOnly) return readOnly;
+
     console.log('Authenticated school:', decoded.schoolId);
 
     // LIST BUILDS for a school
     if (path === 'list' && event.httpMethod === 'GET') {
+      if (!can(decoded, 'apps:read')) {
+        return forbidden(headers);
+      }
+
       const schoolId = decoded.schoolId;
       console.log('Listing builds for school:', schoolId);
 
@@ -264,6 +278,14 @@ exports.handler = async (event) => {
 
     // GENERATE APP
     if (path === 'generate' && event.httpMethod === 'POST') {
+      if (!can(decoded, 'apps:build')) {
+        return forbidden(headers);
+      }
+
+      if (!(await isEmailVerified(db, decoded))) {
+        return emailNotVerified(headers);
+      }
+
       const { schoolId, platform } = JSON.parse(event.body);
 
       if (decoded.schoolId !== schoolId) {
@@ -359,6 +381,7 @@ exports.handler = async (event) => {
         subdomain: school.subdomain,
         platform,
         status: 'pending',
+        brandingVersion: school.branding?.assets?.version || null,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         requestedBy: decoded.schoolId
       });
@@ -386,6 +409,10 @@ exports.handler = async (event) => {
 
     // GET BUILD STATUS
     if (path.startsWith('status/') && event.httpMethod === 'GET') {
+      if (!can(decoded, 'apps:read')) {
+        return forbidden(headers);
+      }
+
       const buildId = path.split('/')[1];
       console.log('Checking status for build:', buildId);
 
@@ -424,6 +451,10 @@ exports.handler = async (event) => {
 
     // DOWNLOAD
     if (path.startsWith('download/') && event.httpMethod === 'GET') {
+      if (!can(decoded, 'apps:read')) {
+        return forbidden(headers);
+      }
+
       const buildId = path.split('/')[1];
       console.log('Download request for build:', buildId);
 
@@ -0,0 +1,346 @@
+const admin = require('firebase-admin');
+const { authenticate, can, forbidden, rejectImpersonatedWrite } = require('./utils/auth');
+const {
+  registerSubmitSchema,
+  registerCorrectionSchema,
+  summaryRangeSchema,
+  schoolDate,
+} = require('../../src/shared/attendanceSchema');
+const { schoolFieldErrors } = require('../../src/shared/schoolSchema');
+const {
+  findClass,
+  classRoster,
+  registerRef,
+  submitRegister,
+  correctRegister,
+  summaryRange,
+  classSummary,
+  studentSummary,
+  schoolSummary,
+  toRegisterResponse,
+} = require('./utils/attendance');
+
+// ======================
+// FIREBASE INIT
+// ======================
+
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    }),
+  });
+}
+
+const db = admin.firestore();
+
+// ======================
+// HELPERS
+// ======================
+
+// A register of this school, or null. Registers of other schools are
+// reported as missing rather than forbidden, so ids can't be probed.
+const findRegister = async (schoolId, registerId) => {
+  const doc = await db.collection('attendanceRegisters').doc(registerId).get();
+  return doc.exists && doc.data().schoolId === schoolId ? doc : null;
+};
+
+// Errors thrown by utils/attendance that the client can fix
+const ATTENDANCE_ERROR_STATUS = {
+  INVALID_CLASS: 400,
+  INVALID_DATE: 400,
+  INVALID_RANGE: 400,
+  INVALID_REGISTER: 400,
+  NOTHING_TO_CORRECT: 400,
+  REGISTER_EXISTS: 409,
+};
+
+const invalid = (headers, error, zodError) => ({
+  statusCode: 400,
+  headers,
+  body: JSON.stringify({ error, fields: schoolFieldErrors(zodError) }),
+});
+
+exports.handler = async (event) => {
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS',
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+
+    let body = {};
+
+    if (event.body) {
+      try {
+        body = JSON.parse(event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString() : event.body);
+      } catch (err) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid JSON body' }),
+        };
+      }
+    }
+
+    // ======================
+    // AUTH
+    // ======================
+
+    const decoded = await authenticate(db, event);
+
+    if (!decoded) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Unauthorized' }),
+      };
+    }
+
+    const readOnly = rejectImpersonatedWrite(decoded, event, headers);
+    if (readOnly) return readOnly;
+
+    if (!can(decoded, 'attendance:read')) {
+      return forbidden(headers);
+    }
+
+    // Every query below is scoped to the school in the caller's token
+    const { schoolId } = decoded;
+    const path = event.path.replace(/^.*\/(\.netlify\/functions|api)\/attendance\/?/, '');
+    const [resource, resourceId, subResourceId] = path.split('/');
+    const params = event.queryStringParameters || {};
+    const actor = { userId: decoded.userId, email: decoded.email };
+
+    const schoolDoc = await db.collection('schools').doc(schoolId).get();
+    const school = schoolDoc.data() || {};
+
+    // Schools can switch the module off under Setup
+    if (school.features?.attendanceModule === false) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+          error: 'Attendance is turned off for your school. Turn it on under Setup.',
+          code: 'FEATURE_DISABLED',
+        }),
+      };
+    }
+
+    if (event.httpMethod !== 'GET' && school.status === 'closed') {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          error: 'This school is closed. Restore it from Settings to make changes.',
+          code: 'SCHOOL_CLOSED',
+        }),
+      };
+    }
+
+    try {
+
+      // ======================
+      // CLASS REGISTER
+      // ======================
+
+      // The register of a class for a day if it was submitted, with the
+      // class's active students to mark either way
+      if (event.httpMethod === 'GET' && resource === 'registers' && !resourceId) {
+        const schoolClass = findClass(school, params.classId);
+        const date = params.date || schoolDate();
+        const range = summaryRangeSchema.safeParse({ from: date });
+
+        if (!range.success) {
+          return invalid(headers, 'Invalid date', range.error);
+        }
+
+        const [registerDoc, roster] = await Promise.all([
+          registerRef(db, schoolId, schoolClass.id, date).get(),
+          classRoster(db, schoolId, schoolClass.id),
+        ]);
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            classId: schoolClass.id,
+            className: schoolClass.name,
+            date,
+            register: registerDoc.exists ? toRegisterResponse(registerDoc) : null,
+            roster,
+          }),
+        };
+      }
+
+      // ======================
+      // SUBMIT REGISTER
+      // ======================
+
+      if (event.httpMethod === 'POST' && resource === 'registers' && !resourceId) {
+
+        if (!can(decoded, 'attendance:take')) {
+          return forbidden(headers);
+        }
+
+        const parsed = registerSubmitSchema.safeParse(body);
+
+        if (!parsed.success) {
+          return invalid(headers, 'Invalid register', parsed.error);
+        }
+
+        const ref = await submitRegister(db, { schoolId, school, ...parsed.data, actor });
+
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify({ register: toRegisterResponse(await ref.get()) }),
+        };
+      }
+
+      const registerDoc = resource === 'registers' && resourceId
+        ? await findRegister(schoolId, resourceId)
+        : null;
+
+      if (resource === 'registers' && resourceId && !registerDoc) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Register not found' }),
+        };
+      }
+
+      // ======================
+      // GET REGISTER
+      // ======================
+
+      // With every correction made to it, newest first
+      if (event.httpMethod === 'GET' && registerDoc) {
+        const corrections = await db
+          .collection('attendanceCorrections')
+          .where('schoolId', '==', schoolId)
+          .where('registerId', '==', registerDoc.id)
+          .get();
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            register: toRegisterResponse(registerDoc),
+            corrections: corrections.docs
+              .map((doc) => ({ id: doc.id, ...doc.data() }))
+              .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0)),
+          }),
+        };
+      }
+
+      // ======================
+      // CORRECT REGISTER
+      // ======================
+
+      if (event.httpMethod === 'PUT' && registerDoc) {
+
+        if (!can(decoded, 'attendance:manage')) {
+          return forbidden(headers);
+        }
+
+        const parsed = registerCorrectionSchema.safeParse(body);
+
+        if (!parsed.success) {
+          return invalid(headers, 'Invalid correction', parsed.error);
+        }
+
+        const correction = await correctRegister(db, { schoolId, registerDoc, ...parsed.data, actor });
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            register: toRegisterResponse(await registerDoc.ref.get()),
+            correction,
+          }),
+        };
+      }
+
+      // ======================
+      // SUMMARIES
+      // ======================
+
+      if (event.httpMethod === 'GET' && resource === 'summary') {
+        const parsed = summaryRangeSchema.safeParse({
+          ...(params.from && { from: params.from }),
+          ...(params.to && { to: params.to }),
+        });
+
+        if (!parsed.success) {
+          return invalid(headers, 'Invalid date range', parsed.error);
+        }
+
+        const range = summaryRange(parsed.data);
+        let summary = null;
+
+        if (!resourceId) {
+          summary = await schoolSummary(db, { schoolId, school, range });
+        } else if (resourceId === 'classes' && subResourceId) {
+          summary = await classSummary(db, { schoolId, schoolClass: findClass(school, subResourceId), range });
+        } else if (resourceId === 'students' && subResourceId) {
+          const studentDoc = await db.collection('students').doc(subResourceId).get();
+
+          if (!studentDoc.exists || studentDoc.data().schoolId !== schoolId) {
+            return {
+              statusCode: 404,
+              headers,
+              body: JSON.stringify({ error: 'Student not found' }),
+            };
+          }
+
+          summary = await studentSummary(db, { schoolId, studentId: studentDoc.id, range });
+        }
+
+        if (summary) {
+          return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ summary }),
+          };
+        }
+      }
+
+    } catch (error) {
+      if (ATTENDANCE_ERROR_STATUS[error.code]) {
+        return {
+          statusCode: ATTENDANCE_ERROR_STATUS[error.code],
+          headers,
+          body: JSON.stringify({ error: error.message, code: error.code, fields: error.fields }),
+        };
+      }
+      throw error;
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Not found' }),
+    };
+
+  } catch (error) {
+
+    console.error('Attendance function error:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: error.message,
+      }),
+    };
+  }
+};
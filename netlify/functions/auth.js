@@ -1,7 +1,40 @@
 const admin = require('firebase-admin');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { sendEmail } = require('./utils/email');
+const { generateToken, hashToken, signAccessToken, rotateRefreshToken } = require('./utils/tokens');
+const { startSession, checkSession, revokeSessions, clientInfo } = require('./utils/sessions');
+const { authenticate, can, forbidden, rejectImpersonatedWrite } = require('./utils/auth');
+const { generateSecret, verifyCode, otpauthUrl } = require('./utils/totp');
+const {
+  signChallenge,
+  verifyChallenge,
+  isTwoFactorRequired,
+  newRecoveryCodes,
+  consumeTwoFactorCode,
+} = require('./utils/twoFactor');
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  createUnlockToken,
+  unlockAccount,
+  loginFingerprint,
+  rememberLogin,
+  EMAIL_LOCK_MINUTES,
+} = require('./utils/loginGuard');
+const { normalizePhone, phoneVariants } = require('./utils/phone');
+const { issueOtp, verifyOtp, OTP_TTL_MS } = require('./utils/phoneOtp');
+const { sendSms } = require('./utils/sms');
+const { checkSubdomain } = require('./utils/subdomain');
+const { isSuperAdmin, startImpersonation } = require('./utils/impersonation');
+const { logAudit } = require('./utils/audit');
+const { INVITABLE_ROLES, STAFF_ROLES } = require('../../src/shared/permissions');
+
+const APP_URL = process.env.REACT_APP_URL || 'https://edumanagerpro.com';
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour, matches the email copy
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days, matches the email copy
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours, matches the email copy
+const VERIFICATION_RESEND_INTERVAL_MS = 60 * 1000;
 
 // Initialize Firebase Admin
 if (!admin.apps.length) {
@@ -17,6 +50,187 @@ if (!admin.apps.length) {
 const db = admin.firestore();
 db.settings({ ignoreUndefinedProperties: true });
 
+// Emails a fresh verification link; earlier links stop working
+const sendVerificationEmail = async (user) => {
+  const pending = await db
+    .collection('emailVerifications')
+    .where('userId', '==', user.id)
+    .where('used', '==', false)
+    .get();
+
+  const batch = db.batch();
+  pending.forEach((doc) => {
+    batch.update(doc.ref, {
+      used: true,
+      supersededAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+
+  const verifyToken = generateToken();
+  batch.set(db.collection('emailVerifications').doc(), {
+    userId: user.id,
+    email: user.email,
+    tokenHash: hashToken(verifyToken),
+    used: false,
+    expiresAt: admin.firestore.Timestamp.fromDate(
+      new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS)
+    ),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await batch.commit();
+
+  await sendEmail({
+    to: user.email,
+    template: 'verify-email',
+    data: {
+      name: user.name,
+      verifyLink: `${APP_URL}/verify-email?token=${verifyToken}`,
+    },
+  });
+};
+
+// Opens a session once every login factor has been checked, and warns the
+// user by email when the sign-in comes from an unfamiliar device or network.
+const completeLogin = async (user, school, { event, deviceId }) => {
+  const { token, refreshToken } = await startSession(db, user, { event, deviceId });
+  const { ip, userAgent } = clientInfo(event);
+
+  try {
+    const unfamiliar = await rememberLogin(db, user, loginFingerprint({ deviceId, ip }));
+
+    if (unfamiliar) {
+      await sendEmail({
+        to: user.email,
+        template: 'suspicious-login',
+        data: {
+          name: user.name,
+          time: new Date().toLocaleString(),
+          ip,
+          device: userAgent,
+          resetLink: `${APP_URL}/forgot-password`,
+        },
+      });
+    }
+  } catch (err) {
+    console.error('Login email failed:', err);
+  }
+
+  return {
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      schoolId: user.schoolId,
+      schoolName: school?.name || null,
+      subdomain: school?.subdomain || null,
+      emailVerified: user.emailVerified !== false,
+      platformRole: user.platformRole || null,
+    },
+  };
+};
+
+// Response once the first factor (password or phone OTP) has checked out:
+// a two-factor challenge when one is needed, otherwise a full session.
+const loginResponse = async (user, school, { event, deviceId }) => {
+  if (user.twoFactor?.enabled) {
+    return { twoFactorRequired: true, challengeToken: signChallenge(user, '2fa') };
+  }
+
+  // The school requires 2FA and this user has to enrol before signing in
+  if (isTwoFactorRequired(user, school)) {
+    return { twoFactorSetupRequired: true, challengeToken: signChallenge(user, '2fa-enroll') };
+  }
+
+  return completeLogin(user, school, { event, deviceId });
+};
+
+// Schools created before the owner role existed stored their creator as an
+// admin. The creator, known by the school's adminEmail, is made its owner
+// when they next sign in or refresh, as long as the school has no owner
+// yet. Updates `user` in place.
+const promoteLegacyOwner = async (user, school) => {
+  if (user.role !== 'admin') return;
+
+  const schoolData = school || (await db.collection('schools').doc(user.schoolId).get()).data();
+  const adminEmail = (schoolData?.adminEmail || '').toLowerCase();
+
+  if (!adminEmail || (user.email || '').toLowerCase() !== adminEmail) return;
+
+  const owners = await db
+    .collection('users')
+    .where('schoolId', '==', user.schoolId)
+    .where('role', '==', 'owner')
+    .limit(1)
+    .get();
+
+  if (!owners.empty) return;
+
+  await db.collection('users').doc(user.id).update({
+    role: 'owner',
+    promotedToOwnerAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  user.role = 'owner';
+};
+
+// Only the owner may still sign in to a closed school, to restore it
+// during the grace period. Resolves to a 403 response, or null.
+const closedSchoolResponse = (user, school, headers) => {
+  if (school?.status !== 'closed' || user.role === 'owner') return null;
+
+  return {
+    statusCode: 403,
+    headers,
+    body: JSON.stringify({ error: 'This school account has been closed.', code: 'SCHOOL_CLOSED' }),
+  };
+};
+
+// Creates a new school and its owner account (password or Google signup)
+const createSchoolWithOwner = async ({ schoolName, schoolSize, subdomain, phone, owner }) => {
+  const schoolRef = await db.collection('schools').add({
+    name: schoolName,
+    subdomain,
+    adminEmail: owner.email,
+    phone,
+    size: schoolSize,
+    branding: {
+      logo: null,
+      primaryColor: '#4CAF50',
+      secondaryColor: '#2E7D32',
+    },
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  const userRef = await db.collection('users').add({
+    schoolId: schoolRef.id,
+    phone,
+    phoneNumber: normalizePhone(phone),
+    role: 'owner',
+    ...owner,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return { schoolRef, userRef };
+};
+
+// Users whose phone matches a normalized number. Older accounts stored the
+// number as typed, so those spellings are matched too.
+const findUsersByPhone = async (phone) => {
+  const [byNormalized, byRaw] = await Promise.all([
+    db.collection('users').where('phoneNumber', '==', phone).get(),
+    db.collection('users').where('phone', 'in', phoneVariants(phone)).get(),
+  ]);
+
+  const users = new Map();
+  [...byNormalized.docs, ...byRaw.docs].forEach((doc) => {
+    users.set(doc.id, { id: doc.id, ...doc.data() });
+  });
+
+  return [...users.values()];
+};
+
 exports.handler = async (event, context) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
@@ -45,6 +259,20 @@ exports.handler = async (event, context) => {
       }
     }
 
+    // =====================
+    // SUBDOMAIN AVAILABILITY (public, used while typing)
+    // =====================
+    if (path === 'subdomain-available' && httpMethod === 'GET') {
+      const subdomain = String(event.queryStringParameters?.subdomain || '').trim().toLowerCase();
+      const { available, reason } = await checkSubdomain(db, subdomain);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ subdomain, available, reason: reason || null }),
+      };
+    }
+
     // =====================
     // SIGNUP
     // =====================
@@ -59,64 +287,39 @@ exports.handler = async (event, context) => {
         };
       }
 
-      const existingSchool = await db
-        .collection('schools')
-        .where('subdomain', '==', subdomain)
-        .limit(1)
-        .get();
+      const subdomainCheck = await checkSubdomain(db, subdomain);
 
-      if (!existingSchool.empty) {
+      if (!subdomainCheck.available) {
         return {
           statusCode: 400,
           headers,
-          body: JSON.stringify({ error: 'Subdomain already taken' }),
+          body: JSON.stringify({ error: `Subdomain: ${subdomainCheck.reason}` }),
         };
       }
 
-      const hashedPassword = await bcrypt.hash(password, 10);
-
-      const schoolRef = await db.collection('schools').add({
-        name: schoolName,
+      const { schoolRef, userRef } = await createSchoolWithOwner({
+        schoolName,
+        schoolSize,
         subdomain,
-        adminEmail: email,
         phone,
-        size: schoolSize,
-        branding: {
-          logo: null,
-          primaryColor: '#4CAF50',
-          secondaryColor: '#2E7D32',
+        owner: {
+          name: adminName,
+          email,
+          password: await bcrypt.hash(password, 10),
+          emailVerified: false,
+          knownLogins: [loginFingerprint({ deviceId: data.deviceId, ip: clientInfo(event).ip })],
         },
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
-
-      const userRef = await db.collection('users').add({
-        schoolId: schoolRef.id,
-        name: adminName,
-        email,
-        phone,
-        role: 'admin',
-        password: hashedPassword,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
       });
 
-      const token = jwt.sign(
-        { userId: userRef.id, schoolId: schoolRef.id, email },
-        process.env.JWT_SECRET,
-        { expiresIn: '15m' }
+      const { token, refreshToken } = await startSession(
+        db,
+        { id: userRef.id, schoolId: schoolRef.id, email, role: 'owner', emailVerified: false },
+        { event, deviceId: data.deviceId }
       );
 
+      // The welcome email follows once the address is confirmed
       try {
-        await sendEmail({
-          to: email,
-          subject: 'Welcome to EduManagerPro!',
-          template: 'welcome',
-          data: {
-            name: adminName,
-            schoolName,
-            subdomain: `${subdomain}.edumanagerpro.com`,
-            loginUrl: `https://${subdomain}.edumanagerpro.com/login`,
-          },
-        });
+        await sendVerificationEmail({ id: userRef.id, name: adminName, email });
       } catch (err) {
         console.error('Email send failed:', err);
       }
@@ -126,12 +329,14 @@ exports.handler = async (event, context) => {
         headers,
         body: JSON.stringify({
           token,
+          refreshToken,
           user: {
             id: userRef.id,
             name: adminName,
             email,
-            role: 'admin',
+            role: 'owner',
             schoolId: schoolRef.id,
+            emailVerified: false,
           },
         }),
       };
@@ -151,13 +356,57 @@ exports.handler = async (event, context) => {
         };
       }
 
+      const { ip } = clientInfo(event);
+
+      // Checked before bcrypt so guessing gets slower with every failure
+      const throttle = await checkLoginAllowed(db, { email, ip });
+      if (!throttle.allowed) {
+        return {
+          statusCode: 429,
+          headers: { ...headers, 'Retry-After': String(throttle.retryAfterSeconds) },
+          body: JSON.stringify({
+            error: throttle.locked
+              ? 'Too many failed attempts. Sign-in is temporarily locked; check your email to unlock it.'
+              : `Too many failed attempts. Try again in ${throttle.retryAfterSeconds} seconds.`,
+            retryAfter: throttle.retryAfterSeconds,
+          }),
+        };
+      }
+
       const users = await db
         .collection('users')
         .where('email', '==', email)
         .limit(1)
         .get();
 
-      if (users.empty) {
+      const userDoc = users.docs[0];
+      const user = userDoc ? { id: userDoc.id, ...userDoc.data() } : null;
+
+      const validPassword = Boolean(user?.password) && (await bcrypt.compare(password, user.password));
+      if (!validPassword) {
+        const { emailLocked } = await recordLoginFailure(db, { email, ip });
+
+        // Unknown emails are counted and locked the same way, so the
+        // responses don't reveal which accounts exist.
+        if (emailLocked && user) {
+          try {
+            const unlockToken = await createUnlockToken(db, { email, userId: user.id });
+            await sendEmail({
+              to: user.email,
+              template: 'account-locked',
+              data: {
+                name: user.name,
+                ip,
+                minutes: EMAIL_LOCK_MINUTES,
+                unlockLink: `${APP_URL}/unlock-account?token=${unlockToken}`,
+                resetLink: `${APP_URL}/forgot-password`,
+              },
+            });
+          } catch (err) {
+            console.error('Account locked email failed:', err);
+          }
+        }
+
         return {
           statusCode: 401,
           headers,
@@ -165,107 +414,1803 @@ exports.handler = async (event, context) => {
         };
       }
 
-      const userDoc = users.docs[0];
-      const user = { id: userDoc.id, ...userDoc.data() };
+      await clearLoginFailures(db, { email });
 
-      const validPassword = await bcrypt.compare(password, user.password);
-      if (!validPassword) {
+      if (user.status === 'suspended') {
         return {
-          statusCode: 401,
+          statusCode: 403,
           headers,
-          body: JSON.stringify({ error: 'Invalid credentials' }),
+          body: JSON.stringify({ error: 'Your account has been suspended. Contact your school administrator.' }),
         };
       }
 
       const schoolDoc = await db.collection('schools').doc(user.schoolId).get();
       const school = schoolDoc.data();
+      await promoteLegacyOwner(user, school);
 
-      const token = jwt.sign(
-        { userId: user.id, schoolId: user.schoolId, email: user.email },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      const closed = closedSchoolResponse(user, school, headers);
+      if (closed) return closed;
 
-      try {
-        await sendEmail({
-          to: email,
-          subject: 'New Login Detected',
-          template: 'login-alert',
-          data: {
-            name: user.name,
-            time: new Date().toLocaleString(),
-            ip: event.headers['client-ip'] || 'Unknown',
-          },
-        });
-      } catch (err) {
-        console.error('Login email failed:', err);
+      // With 2FA on, the password only earns a short-lived challenge token
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(
+          await loginResponse(user, school, { event, deviceId: data.deviceId })
+        ),
+      };
+    }
+
+    // =====================
+    // PHONE LOGIN: REQUEST OTP
+    // =====================
+    if (path === 'phone/request-otp' && httpMethod === 'POST') {
+      const phone = normalizePhone(data.phone);
+
+      if (!phone) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Enter a valid Kenyan phone number, e.g. 0712345678' }),
+        };
+      }
+
+      // Only an unambiguous, active account can sign in by phone
+      const candidates = (await findUsersByPhone(phone)).filter((user) => user.status !== 'suspended');
+      if (candidates.length > 1) {
+        console.warn(`Phone login refused: ${candidates.length} accounts share one number`);
+      }
+      const user = candidates.length === 1 ? candidates[0] : null;
+
+      const { code, retryAfterSeconds } = await issueOtp(db, {
+        phone,
+        userId: user?.id,
+        ip: clientInfo(event).ip,
+      });
+
+      if (retryAfterSeconds) {
+        return {
+          statusCode: 429,
+          headers: { ...headers, 'Retry-After': String(retryAfterSeconds) },
+          body: JSON.stringify({
+            error: `Too many code requests. Try again in ${retryAfterSeconds} seconds.`,
+            retryAfter: retryAfterSeconds,
+          }),
+        };
+      }
+
+      if (user) {
+        try {
+          await sendSms({
+            to: phone,
+            message: `Your EduManagerPro login code is ${code}. It expires in ${OTP_TTL_MS / 60000} minutes. Never share it with anyone.`,
+          });
+        } catch (err) {
+          console.error('OTP SMS failed:', err);
+          return {
+            statusCode: 502,
+            headers,
+            body: JSON.stringify({ error: 'We could not send the SMS. Please try again shortly.' }),
+          };
+        }
       }
 
+      // Same answer whether or not the number is registered
       return {
         statusCode: 200,
         headers,
         body: JSON.stringify({
-          token,
-          user: {
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            schoolId: user.schoolId,
-            schoolName: school?.name || null,
-            subdomain: school?.subdomain || null,
-          },
+          message: 'If this number belongs to an account, a login code has been sent by SMS.',
         }),
       };
     }
 
     // =====================
-    // GET CURRENT USER
+    // PHONE LOGIN: VERIFY OTP
     // =====================
-    if (path === 'me' && httpMethod === 'GET') {
-      const token = event.headers.authorization?.replace('Bearer ', '');
+    if (path === 'phone/verify' && httpMethod === 'POST') {
+      const phone = normalizePhone(data.phone);
+
+      if (!phone || !data.code) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Phone number and code are required' }),
+        };
+      }
 
-      if (!token) {
+      const result = await verifyOtp(db, { phone, code: data.code });
+
+      if (!result.ok) {
         return {
           statusCode: 401,
           headers,
-          body: JSON.stringify({ error: 'Unauthorized' }),
+          body: JSON.stringify({
+            error: result.attemptsLeft
+              ? 'Incorrect code'
+              : 'This code has expired or been used too many times. Request a new one.',
+            attemptsLeft: result.attemptsLeft,
+          }),
+        };
+      }
+
+      const userDoc = await db.collection('users').doc(result.userId).get();
+      const user = { id: userDoc.id, ...userDoc.data() };
+
+      if (user.status === 'suspended') {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Your account has been suspended. Contact your school administrator.' }),
+        };
+      }
+
+      // The number is now proven to belong to this user
+      if (user.phoneNumber !== phone) {
+        await userDoc.ref.update({ phoneNumber: phone });
+      }
+
+      const schoolDoc = await db.collection('schools').doc(user.schoolId).get();
+      await promoteLegacyOwner(user, schoolDoc.data());
+
+      const closed = closedSchoolResponse(user, schoolDoc.data(), headers);
+      if (closed) return closed;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(
+          await loginResponse(user, schoolDoc.data(), { event, deviceId: data.deviceId })
+        ),
+      };
+    }
+
+    // =====================
+    // GOOGLE SIGN-IN (Firebase ID token)
+    // =====================
+    if (path === 'google' && httpMethod === 'POST') {
+      const { idToken, mode = 'login' } = data;
+
+      if (!idToken) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Google ID token is required' }),
         };
       }
 
+      let google;
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        google = await admin.auth().verifyIdToken(idToken);
+      } catch (err) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Google sign-in failed. Please try again.' }),
+        };
+      }
 
-        const userDoc = await db.collection('users').doc(decoded.userId).get();
-        const schoolDoc = await db.collection('schools').doc(decoded.schoolId).get();
+      // Only a Google-verified address may be matched against our accounts
+      if (google.firebase?.sign_in_provider !== 'google.com' || !google.email || !google.email_verified) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Your Google account email is not verified' }),
+        };
+      }
 
-        if (!userDoc.exists || !schoolDoc.exists) {
-          throw new Error('User not found');
+      const linked = await db
+        .collection('users')
+        .where('googleUid', '==', google.uid)
+        .limit(1)
+        .get();
+
+      let userDoc = linked.docs[0];
+
+      if (!userDoc) {
+        const byEmail = await db
+          .collection('users')
+          .where('email', '==', google.email)
+          .limit(1)
+          .get();
+
+        userDoc = byEmail.docs[0];
+
+        if (userDoc) {
+          const existing = userDoc.data();
+
+          if (existing.googleUid && existing.googleUid !== google.uid) {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: 'This account is linked to a different Google account' }),
+            };
+          }
+
+          const link = {
+            googleUid: google.uid,
+            googleLinkedAt: admin.firestore.FieldValue.serverTimestamp(),
+          };
+
+          // An unverified account may have been registered by someone else
+          // hoping the real owner would link it later. Google has just proven
+          // who owns the inbox, so every credential the squatter could have
+          // set is dropped and their sessions are ended.
+          if (existing.emailVerified === false) {
+            Object.assign(link, {
+              emailVerified: true,
+              emailVerifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+              password: admin.firestore.FieldValue.delete(),
+              twoFactor: admin.firestore.FieldValue.delete(),
+              phoneNumber: admin.firestore.FieldValue.delete(),
+              knownLogins: admin.firestore.FieldValue.delete(),
+            });
+            await revokeSessions(db, userDoc.id, { reason: 'google-account-claimed' });
+          }
+
+          await userDoc.ref.update(link);
+          userDoc = await userDoc.ref.get();
+
+          try {
+            await sendEmail({
+              to: google.email,
+              template: 'google-linked',
+              data: {
+                name: existing.name,
+                time: new Date().toLocaleString(),
+                ip: clientInfo(event).ip,
+              },
+            });
+          } catch (err) {
+            console.error('Google link email failed:', err);
+          }
         }
+      }
 
-        const user = userDoc.data();
-        const school = schoolDoc.data();
+      // Existing account (signing up again with Google just signs in)
+      if (userDoc) {
+        const user = { id: userDoc.id, ...userDoc.data() };
+
+        if (user.status === 'suspended') {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Your account has been suspended. Contact your school administrator.' }),
+          };
+        }
+
+        const schoolDoc = await db.collection('schools').doc(user.schoolId).get();
+        await promoteLegacyOwner(user, schoolDoc.data());
+
+        const closed = closedSchoolResponse(user, schoolDoc.data(), headers);
+        if (closed) return closed;
 
         return {
           statusCode: 200,
           headers,
+          body: JSON.stringify(
+            await loginResponse(user, schoolDoc.data(), { event, deviceId: data.deviceId })
+          ),
+        };
+      }
+
+      if (mode !== 'signup') {
+        return {
+          statusCode: 404,
+          headers,
           body: JSON.stringify({
-            id: decoded.userId,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            schoolId: decoded.schoolId,
-            schoolName: school.name,
-            subdomain: school.subdomain,
+            error: 'No account uses this Google address yet. Sign up to create your school.',
+            code: 'ACCOUNT_NOT_FOUND',
           }),
         };
-      } catch (error) {
+      }
+
+      const { schoolName, schoolSize, phone, subdomain } = data;
+
+      if (!schoolName || !subdomain) {
         return {
-          statusCode: 401,
+          statusCode: 400,
           headers,
-          body: JSON.stringify({ error: 'Invalid token' }),
+          body: JSON.stringify({ error: 'Missing required fields' }),
+        };
+      }
+
+      const subdomainCheck = await checkSubdomain(db, subdomain);
+
+      if (!subdomainCheck.available) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Subdomain: ${subdomainCheck.reason}` }),
         };
       }
+
+      const adminName = google.name || google.email.split('@')[0];
+      const { schoolRef, userRef } = await createSchoolWithOwner({
+        schoolName,
+        schoolSize,
+        subdomain,
+        phone,
+        owner: {
+          name: adminName,
+          email: google.email,
+          emailVerified: true,
+          googleUid: google.uid,
+          googleLinkedAt: admin.firestore.FieldValue.serverTimestamp(),
+          knownLogins: [loginFingerprint({ deviceId: data.deviceId, ip: clientInfo(event).ip })],
+        },
+      });
+
+      const { token, refreshToken } = await startSession(
+        db,
+        { id: userRef.id, schoolId: schoolRef.id, email: google.email, role: 'owner', emailVerified: true },
+        { event, deviceId: data.deviceId }
+      );
+
+      try {
+        await sendEmail({
+          to: google.email,
+          template: 'welcome',
+          data: {
+            name: adminName,
+            schoolName,
+            subdomain: `${subdomain}.edumanagerpro.com`,
+            loginUrl: `https://${subdomain}.edumanagerpro.com/login`,
+          },
+        });
+      } catch (err) {
+        console.error('Email send failed:', err);
+      }
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({
+          created: true,
+          token,
+          refreshToken,
+          user: {
+            id: userRef.id,
+            name: adminName,
+            email: google.email,
+            role: 'owner',
+            schoolId: schoolRef.id,
+            emailVerified: true,
+          },
+        }),
+      };
+    }
+
+    // =====================
+    // REFRESH ACCESS TOKEN
+    // =====================
+    if (path === 'refresh' && httpMethod === 'POST') {
+      const { refreshToken } = data;
+
+      if (!refreshToken) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Refresh token is required' }),
+        };
+      }
+
+      const rotated = await rotateRefreshToken(db, refreshToken);
+
+      if (!rotated) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Invalid refresh token' }),
+        };
+      }
+
+      const session = await checkSession(db, rotated.sessionId, rotated.userId, event);
+
+      // Re-read the user so the new access token reflects current state
+      const userDoc = await db.collection('users').doc(rotated.userId).get();
+
+      if (!session || !userDoc.exists || userDoc.data().status === 'suspended') {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Invalid refresh token' }),
+        };
+      }
+
+      const user = { id: userDoc.id, ...userDoc.data() };
+      await promoteLegacyOwner(user);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          token: signAccessToken(user, rotated.sessionId),
+          refreshToken: rotated.refreshToken,
+        }),
+      };
+    }
+
+    // =====================
+    // GET CURRENT USER
+    // =====================
+    if (path === 'me' && httpMethod === 'GET') {
+      const decoded = await authenticate(db, event);
+
+      if (!decoded) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Invalid token' }),
+        };
+      }
+
+      try {
+        const userDoc = await db.collection('users').doc(decoded.userId).get();
+        const schoolDoc = await db.collection('schools').doc(decoded.schoolId).get();
+
+        if (!userDoc.exists || !schoolDoc.exists) {
+          throw new Error('User not found');
+        }
+
+        const user = userDoc.data();
+        const school = schoolDoc.data();
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            id: decoded.userId,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            schoolId: decoded.schoolId,
+            schoolName: school.name,
+            subdomain: school.subdomain,
+            emailVerified: user.emailVerified !== false,
+            platformRole: decoded.platformRole || null,
+            impersonation: decoded.impersonatedBy
+              ? {
+                  by: decoded.impersonatorEmail,
+                  expiresAt: new Date(decoded.exp * 1000).toISOString(),
+                }
+              : null,
+          }),
+        };
+      } catch (error) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Invalid token' }),
+        };
+      }
+    }
+
+    // =====================
+    // LOGOUT (current session)
+    // =====================
+    if (path === 'logout' && httpMethod === 'POST') {
+      const decoded = await authenticate(db, event);
+
+      if (decoded) {
+        await revokeSessions(db, decoded.userId, { sessionId: decoded.jti });
+
+        if (decoded.impersonatedBy) {
+          await logAudit(db, {
+            type: 'impersonation.end',
+            actorId: decoded.impersonatedBy,
+            actorEmail: decoded.impersonatorEmail,
+            schoolId: decoded.schoolId,
+            targetUserId: decoded.userId,
+            sessionId: decoded.jti,
+            ip: clientInfo(event).ip,
+          });
+        }
+      } else if (data.refreshToken) {
+        // The access token may already have expired; fall back to the refresh token
+        const tokens = await db
+          .collection('refreshTokens')
+          .where('tokenHash', '==', hashToken(data.refreshToken))
+          .limit(1)
+          .get();
+
+        if (!tokens.empty) {
+          const { userId, sessionId } = tokens.docs[0].data();
+          await revokeSessions(db, userId, { sessionId });
+        }
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true }),
+      };
+    }
+
+    // =====================
+    // SUPPORT IMPERSONATION
+    // =====================
+    if (path === 'impersonate' && httpMethod === 'POST') {
+      const decoded = await authenticate(db, event);
+
+      if (!decoded) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' }),
+        };
+      }
+
+      if (!isSuperAdmin(decoded)) {
+        return forbidden(headers);
+      }
+
+      const { schoolId } = data;
+      const reason = String(data.reason || '').trim();
+
+      if (!schoolId || !reason) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'School ID and a reason are required' }),
+        };
+      }
+
+      const schoolDoc = await db.collection('schools').doc(schoolId).get();
+
+      if (!schoolDoc.exists) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'School not found' }),
+        };
+      }
+
+      const owners = await db
+        .collection('users')
+        .where('schoolId', '==', schoolId)
+        .where('role', '==', 'owner')
+        .limit(1)
+        .get();
+
+      if (owners.empty) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'This school has no owner account' }),
+        };
+      }
+
+      const owner = { id: owners.docs[0].id, ...owners.docs[0].data() };
+      const school = schoolDoc.data();
+      const { token, expiresAt } = await startImpersonation(db, {
+        support: decoded,
+        owner,
+        reason,
+        event,
+      });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          token,
+          expiresAt: expiresAt.toISOString(),
+          user: {
+            id: owner.id,
+            name: owner.name,
+            email: owner.email,
+            role: owner.role,
+            schoolId,
+            schoolName: school.name,
+            subdomain: school.subdomain,
+            emailVerified: true,
+            platformRole: null,
+            impersonation: { by: decoded.email, expiresAt: expiresAt.toISOString() },
+          },
+        }),
+      };
+    }
+
+    // =====================
+    // SESSIONS / DEVICES
+    // =====================
+    if (path === 'sessions' || path.startsWith('sessions/')) {
+      const decoded = await authenticate(db, event);
+
+      if (!decoded) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' }),
+        };
+      }
+
+      const readOnly = rejectImpersonatedWrite(decoded, event, headers);
+      if (readOnly) return readOnly;
+
+      const sessionId = path.split('/')[1];
+
+      if (httpMethod === 'GET' && !sessionId) {
+        const sessionsSnapshot = await db
+          .collection('sessions')
+          .where('userId', '==', decoded.userId)
+          .where('revokedAt', '==', null)
+          .get();
+
+        const sessions = sessionsSnapshot.docs
+          .map((doc) => {
+            const session = doc.data();
+            return {
+              id: doc.id,
+              ip: session.ip,
+              userAgent: session.userAgent,
+              current: doc.id === decoded.jti,
+              impersonatedBy: session.impersonatorEmail || null,
+              createdAt: session.createdAt?.toDate ? session.createdAt.toDate().toISOString() : session.createdAt,
+              lastSeenAt: session.lastSeenAt?.toDate ? session.lastSeenAt.toDate().toISOString() : session.lastSeenAt,
+            };
+          })
+          .sort((a, b) => new Date(b.lastSeenAt || 0) - new Date(a.lastSeenAt || 0));
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ sessions }),
+        };
+      }
+
+      // DELETE /sessions signs out every other device
+      if (httpMethod === 'DELETE' && !sessionId) {
+        const revoked = await revokeSessions(db, decoded.userId, {
+          exceptSessionId: decoded.jti,
+          reason: 'remote-logout',
+        });
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true, revoked }),
+        };
+      }
+
+      if (httpMethod === 'DELETE' && sessionId) {
+        const revoked = await revokeSessions(db, decoded.userId, {
+          sessionId,
+          reason: 'remote-logout',
+        });
+
+        if (!revoked) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Session not found' }),
+          };
+        }
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true }),
+        };
+      }
+    }
+
+    // =====================
+    // TWO-FACTOR AUTHENTICATION
+    // =====================
+
+    // Second login step: trade the challenge token and a code for a session
+    if (path === '2fa/verify' && httpMethod === 'POST') {
+      const { challengeToken, code, recoveryCode } = data;
+      const userId = verifyChallenge(challengeToken, '2fa');
+
+      if (!userId) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Your sign-in attempt has expired. Please log in again.' }),
+        };
+      }
+
+      if (!code && !recoveryCode) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Authentication code is required' }),
+        };
+      }
+
+      const userRef = db.collection('users').doc(userId);
+      const result = await consumeTwoFactorCode(db, userRef, { code, recoveryCode });
+
+      if (result.locked) {
+        return {
+          statusCode: 429,
+          headers,
+          body: JSON.stringify({ error: 'Too many incorrect codes. Try again in 15 minutes.' }),
+        };
+      }
+
+      if (!result.ok) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Invalid authentication code' }),
+        };
+      }
+
+      const userDoc = await userRef.get();
+      const user = { id: userDoc.id, ...userDoc.data() };
+
+      if (user.status === 'suspended') {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Your account has been suspended. Contact your school administrator.' }),
+        };
+      }
+
+      const schoolDoc = await db.collection('schools').doc(user.schoolId).get();
+      await promoteLegacyOwner(user, schoolDoc.data());
+
+      const closed = closedSchoolResponse(user, schoolDoc.data(), headers);
+      if (closed) return closed;
+
+      const session = await completeLogin(user, schoolDoc.data(), { event, deviceId: data.deviceId });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          ...session,
+          usedRecoveryCode: Boolean(result.usedRecoveryCode),
+          recoveryCodesRemaining: result.recoveryCodesRemaining,
+        }),
+      };
+    }
+
+    if (path === '2fa' || path.startsWith('2fa/')) {
+      const decoded = await authenticate(db, event);
+
+      // Enrolment is also reachable mid-login, when the school requires 2FA
+      // and the user has nothing but an enrolment challenge token.
+      const enrolling = !decoded && (path === '2fa/setup' || path === '2fa/enable');
+      const userId = decoded?.userId || (enrolling && verifyChallenge(data.challengeToken, '2fa-enroll'));
+
+      if (!userId) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' }),
+        };
+      }
+
+      const readOnly = rejectImpersonatedWrite(decoded, event, headers);
+      if (readOnly) return readOnly;
+
+      const userRef = db.collection('users').doc(userId);
+      const userDoc = await userRef.get();
+
+      if (!userDoc.exists) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'User not found' }),
+        };
+      }
+
+      const user = { id: userDoc.id, ...userDoc.data() };
+      const twoFactor = user.twoFactor || {};
+
+      if (enrolling && user.status === 'suspended') {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Your account has been suspended. Contact your school administrator.' }),
+        };
+      }
+      const schoolDoc = await db.collection('schools').doc(user.schoolId).get();
+      const school = schoolDoc.data();
+
+      // =====================
+      // 2FA STATUS
+      // =====================
+      if (path === '2fa' && httpMethod === 'GET') {
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            enabled: Boolean(twoFactor.enabled),
+            enabledAt: twoFactor.enabledAt?.toDate ? twoFactor.enabledAt.toDate().toISOString() : null,
+            recoveryCodesRemaining: twoFactor.enabled ? (twoFactor.recoveryCodes || []).length : 0,
+            required: isTwoFactorRequired(user, school),
+            schoolRequires2fa: Boolean(school?.security?.require2fa),
+          }),
+        };
+      }
+
+      // =====================
+      // START ENROLMENT
+      // =====================
+      if (path === '2fa/setup' && httpMethod === 'POST') {
+        if (twoFactor.enabled) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Two-factor authentication is already enabled' }),
+          };
+        }
+
+        // Kept as pending until the user proves their app produces valid codes
+        const secret = generateSecret();
+        await userRef.update({ 'twoFactor.pendingSecret': secret });
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            secret,
+            otpauthUrl: otpauthUrl({ secret, accountName: user.email }),
+          }),
+        };
+      }
+
+      // =====================
+      // CONFIRM ENROLMENT
+      // =====================
+      if (path === '2fa/enable' && httpMethod === 'POST') {
+        if (twoFactor.enabled) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Two-factor authentication is already enabled' }),
+          };
+        }
+
+        if (!twoFactor.pendingSecret) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Start two-factor setup first' }),
+          };
+        }
+
+        const step = verifyCode(twoFactor.pendingSecret, data.code);
+        if (step === null) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Invalid authentication code' }),
+          };
+        }
+
+        const { recoveryCodes, hashes } = newRecoveryCodes();
+
+        await userRef.update({
+          twoFactor: {
+            enabled: true,
+            secret: twoFactor.pendingSecret,
+            recoveryCodes: hashes,
+            lastUsedStep: step,
+            failedAttempts: 0,
+            lockedUntil: null,
+            enabledAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+        });
+
+        // Signing out everywhere else makes a stolen session useless once
+        // the real owner turns on 2FA.
+        if (decoded) {
+          await revokeSessions(db, userId, { exceptSessionId: decoded.jti, reason: '2fa-enabled' });
+        }
+
+        const session = enrolling
+          ? await completeLogin(user, school, { event, deviceId: data.deviceId })
+          : {};
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ ...session, enabled: true, recoveryCodes }),
+        };
+      }
+
+      // =====================
+      // DISABLE 2FA
+      // =====================
+      if (path === '2fa/disable' && httpMethod === 'POST') {
+        if (!twoFactor.enabled) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Two-factor authentication is not enabled' }),
+          };
+        }
+
+        if (isTwoFactorRequired(user, school)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Your school requires two-factor authentication for all staff' }),
+          };
+        }
+
+        // Google-only accounts have no password; the code below is their proof
+        const validPassword = !user.password || (data.password && (await bcrypt.compare(data.password, user.password)));
+        if (!validPassword) {
+          return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ error: 'Incorrect password' }),
+          };
+        }
+
+        const result = await consumeTwoFactorCode(db, userRef, {
+          code: data.code,
+          recoveryCode: data.recoveryCode,
+        });
+
+        if (!result.ok) {
+          return {
+            statusCode: result.locked ? 429 : 401,
+            headers,
+            body: JSON.stringify({
+              error: result.locked
+                ? 'Too many incorrect codes. Try again in 15 minutes.'
+                : 'Invalid authentication code',
+            }),
+          };
+        }
+
+        await userRef.update({ twoFactor: admin.firestore.FieldValue.delete() });
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ enabled: false }),
+        };
+      }
+
+      // =====================
+      // REGENERATE RECOVERY CODES
+      // =====================
+      if (path === '2fa/recovery-codes' && httpMethod === 'POST') {
+        const result = await consumeTwoFactorCode(db, userRef, { code: data.code });
+
+        if (!result.ok) {
+          return {
+            statusCode: result.locked ? 429 : 401,
+            headers,
+            body: JSON.stringify({
+              error: result.locked
+                ? 'Too many incorrect codes. Try again in 15 minutes.'
+                : 'Invalid authentication code',
+            }),
+          };
+        }
+
+        const { recoveryCodes, hashes } = newRecoveryCodes();
+        await userRef.update({ 'twoFactor.recoveryCodes': hashes });
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ recoveryCodes }),
+        };
+      }
+
+      // =====================
+      // SCHOOL 2FA POLICY
+      // =====================
+      if (path === '2fa/policy' && httpMethod === 'PUT') {
+        if (!can(decoded, 'security:manage')) {
+          return forbidden(headers);
+        }
+
+        const required = Boolean(data.required);
+
+        if (required && !twoFactor.enabled) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Turn on two-factor authentication for your own account first' }),
+          };
+        }
+
+        await db.collection('schools').doc(user.schoolId).update({
+          'security.require2fa': required,
+          'security.updatedAt': admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        // Staff without 2FA are signed out and have to enrol on next login
+        let signedOut = 0;
+        if (required) {
+          const schoolUsers = await db
+            .collection('users')
+            .where('schoolId', '==', user.schoolId)
+            .get();
+
+          const unenrolled = schoolUsers.docs.filter((doc) => {
+            const member = doc.data();
+            return STAFF_ROLES.includes(member.role) && !member.twoFactor?.enabled;
+          });
+
+          await Promise.all(
+            unenrolled.map((doc) => revokeSessions(db, doc.id, { reason: '2fa-required' }))
+          );
+          signedOut = unenrolled.length;
+        }
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ required, signedOut }),
+        };
+      }
+    }
+
+    // =====================
+    // VERIFY EMAIL (link from the verification email)
+    // =====================
+    if (path === 'verify-email' && httpMethod === 'POST') {
+      if (!data.token) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Verification token is required' }),
+        };
+      }
+
+      const verifications = await db
+        .collection('emailVerifications')
+        .where('tokenHash', '==', hashToken(data.token))
+        .limit(1)
+        .get();
+
+      if (verifications.empty) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Verification link is invalid or has expired' }),
+        };
+      }
+
+      const verificationRef = verifications.docs[0].ref;
+
+      const verification = await db.runTransaction(async (transaction) => {
+        const verificationDoc = await transaction.get(verificationRef);
+        const pending = verificationDoc.data();
+        const userRef = db.collection('users').doc(pending.userId);
+        const userDoc = await transaction.get(userRef);
+
+        // A link sent to an address the user has since changed is worthless
+        if (
+          pending.used ||
+          pending.expiresAt.toDate() < new Date() ||
+          !userDoc.exists ||
+          userDoc.data().email !== pending.email
+        ) {
+          return null;
+        }
+
+        transaction.update(verificationRef, {
+          used: true,
+          usedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.update(userRef, {
+          emailVerified: true,
+          emailVerifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return { ...pending, user: userDoc.data() };
+      });
+
+      if (!verification) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Verification link is invalid or has expired' }),
+        };
+      }
+
+      const { user } = verification;
+
+      if (user.role === 'owner') {
+        try {
+          const schoolDoc = await db.collection('schools').doc(user.schoolId).get();
+          const school = schoolDoc.data();
+
+          await sendEmail({
+            to: user.email,
+            template: 'welcome',
+            data: {
+              name: user.name,
+              schoolName: school.name,
+              subdomain: `${school.subdomain}.edumanagerpro.com`,
+              loginUrl: `https://${school.subdomain}.edumanagerpro.com/login`,
+            },
+          });
+        } catch (err) {
+          console.error('Email send failed:', err);
+        }
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, email: user.email }),
+      };
+    }
+
+    // =====================
+    // RESEND VERIFICATION EMAIL
+    // =====================
+    if (path === 'verify-email/resend' && httpMethod === 'POST') {
+      const decoded = await authenticate(db, event);
+
+      if (!decoded) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' }),
+        };
+      }
+
+      const readOnly = rejectImpersonatedWrite(decoded, event, headers);
+      if (readOnly) return readOnly;
+
+      const userDoc = await db.collection('users').doc(decoded.userId).get();
+      const user = { id: userDoc.id, ...userDoc.data() };
+
+      if (user.emailVerified !== false) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Your email address is already verified' }),
+        };
+      }
+
+      const recent = await db
+        .collection('emailVerifications')
+        .where('userId', '==', user.id)
+        .where('used', '==', false)
+        .get();
+
+      const lastSentAt = Math.max(
+        0,
+        ...recent.docs.map((doc) => doc.data().createdAt?.toMillis?.() || 0)
+      );
+
+      if (Date.now() - lastSentAt < VERIFICATION_RESEND_INTERVAL_MS) {
+        return {
+          statusCode: 429,
+          headers,
+          body: JSON.stringify({ error: 'A verification email was just sent. Please wait a minute before asking again.' }),
+        };
+      }
+
+      await sendVerificationEmail(user);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true }),
+      };
+    }
+
+    // =====================
+    // UNLOCK ACCOUNT (link from the lockout email)
+    // =====================
+    if (path === 'unlock' && httpMethod === 'POST') {
+      if (!data.token) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Unlock token is required' }),
+        };
+      }
+
+      const unlocked = await unlockAccount(db, data.token);
+
+      if (!unlocked) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Unlock link is invalid or has expired' }),
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true }),
+      };
+    }
+
+    // =====================
+    // FORGOT PASSWORD
+    // =====================
+    if (path === 'forgot-password' && httpMethod === 'POST') {
+      const { email } = data;
+
+      if (!email) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Email is required' }),
+        };
+      }
+
+      // Always answer the same way so the endpoint can't be used to
+      // discover which addresses have accounts.
+      const genericResponse = {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          message: 'If an account exists for that email, a reset link has been sent.',
+        }),
+      };
+
+      const users = await db
+        .collection('users')
+        .where('email', '==', email)
+        .limit(1)
+        .get();
+
+      if (users.empty) {
+        return genericResponse;
+      }
+
+      const userDoc = users.docs[0];
+      const user = userDoc.data();
+
+      // Only the most recent link should work
+      const pendingResets = await db
+        .collection('passwordResets')
+        .where('userId', '==', userDoc.id)
+        .where('used', '==', false)
+        .get();
+
+      const batch = db.batch();
+      pendingResets.forEach((doc) => {
+        batch.update(doc.ref, {
+          used: true,
+          supersededAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+
+      const resetToken = generateToken();
+      batch.set(db.collection('passwordResets').doc(), {
+        userId: userDoc.id,
+        tokenHash: hashToken(resetToken),
+        used: false,
+        expiresAt: admin.firestore.Timestamp.fromDate(
+          new Date(Date.now() + RESET_TOKEN_TTL_MS)
+        ),
+        requestedIp: event.headers['client-ip'] || null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      await batch.commit();
+
+      try {
+        await sendEmail({
+          to: email,
+          subject: 'Password Reset Request',
+          template: 'password-reset',
+          data: {
+            name: user.name,
+            resetLink: `${APP_URL}/reset-password?token=${resetToken}`,
+          },
+        });
+      } catch (err) {
+        console.error('Password reset email failed:', err);
+      }
+
+      return genericResponse;
+    }
+
+    // =====================
+    // RESET PASSWORD
+    // =====================
+    if (path === 'reset-password' && httpMethod === 'POST') {
+      const { token, password } = data;
+
+      if (!token || !password) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Token and password are required' }),
+        };
+      }
+
+      if (password.length < 6) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Password must be at least 6 characters' }),
+        };
+      }
+
+      const resets = await db
+        .collection('passwordResets')
+        .where('tokenHash', '==', hashToken(token))
+        .limit(1)
+        .get();
+
+      if (resets.empty) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid or expired reset link' }),
+        };
+      }
+
+      const resetRef = resets.docs[0].ref;
+      const hashedPassword = await bcrypt.hash(password, 10);
+
+      // Consume the token and swap the password atomically so a link
+      // can never be used twice, even by concurrent requests.
+      const consumed = await db.runTransaction(async (transaction) => {
+        const resetDoc = await transaction.get(resetRef);
+        const reset = resetDoc.data();
+
+        if (reset.used || reset.expiresAt.toDate() < new Date()) {
+          return false;
+        }
+
+        transaction.update(resetRef, {
+          used: true,
+          usedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.update(db.collection('users').doc(reset.userId), {
+          password: hashedPassword,
+          passwordChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return true;
+      });
+
+      if (!consumed) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid or expired reset link' }),
+        };
+      }
+
+      // Sign out every device that was using the old password, and lift any
+      // lockout since the owner has just proven access to their inbox
+      const { userId } = (await resetRef.get()).data();
+      await revokeSessions(db, userId, { reason: 'password-reset' });
+
+      const userDoc = await db.collection('users').doc(userId).get();
+      await clearLoginFailures(db, { email: userDoc.data().email });
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ message: 'Password has been reset. Please log in.' }),
+      };
+    }
+
+    // =====================
+    // VIEW INVITATION (public)
+    // =====================
+    if (path.startsWith('invitations/') && httpMethod === 'GET') {
+      const inviteToken = path.split('/')[1];
+
+      const invitations = await db
+        .collection('invitations')
+        .where('tokenHash', '==', hashToken(inviteToken))
+        .limit(1)
+        .get();
+
+      const invitation = invitations.empty ? null : invitations.docs[0].data();
+
+      if (
+        !invitation ||
+        invitation.status !== 'pending' ||
+        invitation.expiresAt.toDate() < new Date()
+      ) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Invitation is invalid or has expired' }),
+        };
+      }
+
+      const schoolDoc = await db.collection('schools').doc(invitation.schoolId).get();
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          email: invitation.email,
+          name: invitation.name || '',
+          role: invitation.role,
+          schoolName: schoolDoc.data()?.name || null,
+        }),
+      };
+    }
+
+    // =====================
+    // ACCEPT INVITATION (public)
+    // =====================
+    if (path === 'invitations/accept' && httpMethod === 'POST') {
+      const { token: inviteToken, name, password } = data;
+
+      if (!inviteToken || !name || !password) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Token, name and password are required' }),
+        };
+      }
+
+      if (password.length < 6) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Password must be at least 6 characters' }),
+        };
+      }
+
+      const invitations = await db
+        .collection('invitations')
+        .where('tokenHash', '==', hashToken(inviteToken))
+        .limit(1)
+        .get();
+
+      if (invitations.empty) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invitation is invalid or has expired' }),
+        };
+      }
+
+      const invitationRef = invitations.docs[0].ref;
+      const hashedPassword = await bcrypt.hash(password, 10);
+      const userRef = db.collection('users').doc();
+
+      // Creating the user and consuming the invitation happen together so an
+      // invitation link can only ever produce one account.
+      const invitation = await db.runTransaction(async (transaction) => {
+        const invitationDoc = await transaction.get(invitationRef);
+        const invite = invitationDoc.data();
+
+        if (invite.status !== 'pending' || invite.expiresAt.toDate() < new Date()) {
+          return null;
+        }
+
+        transaction.set(userRef, {
+          schoolId: invite.schoolId,
+          name,
+          email: invite.email,
+          role: invite.role,
+          status: 'active',
+          password: hashedPassword,
+          invitedBy: invite.invitedBy,
+          // The invitation link already proved access to the inbox
+          emailVerified: true,
+          knownLogins: [loginFingerprint({ deviceId: data.deviceId, ip: clientInfo(event).ip })],
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        transaction.update(invitationRef, {
+          status: 'accepted',
+          userId: userRef.id,
+          acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return invite;
+      });
+
+      if (!invitation) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invitation is invalid or has expired' }),
+        };
+      }
+
+      const schoolDoc = await db.collection('schools').doc(invitation.schoolId).get();
+      const school = schoolDoc.data();
+
+      const user = {
+        id: userRef.id,
+        schoolId: invitation.schoolId,
+        email: invitation.email,
+        role: invitation.role,
+      };
+
+      // The account exists, but the school wants 2FA set up before first use
+      if (isTwoFactorRequired(user, school)) {
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify({
+            twoFactorSetupRequired: true,
+            challengeToken: signChallenge(user, '2fa-enroll'),
+          }),
+        };
+      }
+
+      const { token, refreshToken } = await startSession(db, user, {
+        event,
+        deviceId: data.deviceId,
+      });
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({
+          token,
+          refreshToken,
+          user: {
+            id: userRef.id,
+            name,
+            email: invitation.email,
+            role: invitation.role,
+            schoolId: invitation.schoolId,
+            schoolName: school?.name || null,
+            subdomain: school?.subdomain || null,
+            emailVerified: true,
+          },
+        }),
+      };
+    }
+
+    // =====================
+    // STAFF MANAGEMENT
+    // =====================
+    if (path === 'invitations' || path.startsWith('invitations/') || path === 'staff' || path.startsWith('staff/')) {
+      const decoded = await authenticate(db, event);
+
+      if (!decoded) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' }),
+        };
+      }
+
+      const readOnly = rejectImpersonatedWrite(decoded, event, headers);
+      if (readOnly) return readOnly;
+
+      if (!can(decoded, 'staff:manage')) {
+        return forbidden(headers);
+      }
+
+      const [resource, resourceId] = path.split('/');
+
+      // INVITE STAFF MEMBER
+      if (resource === 'invitations' && !resourceId && httpMethod === 'POST') {
+        const { email, name, role } = data;
+
+        if (!email || !role) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Email and role are required' }),
+          };
+        }
+
+        if (!INVITABLE_ROLES.includes(role)) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: `Role must be one of: ${INVITABLE_ROLES.join(', ')}` }),
+          };
+        }
+
+        const existingUser = await db
+          .collection('users')
+          .where('email', '==', email)
+          .limit(1)
+          .get();
+
+        if (!existingUser.empty) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: 'A user with this email already exists' }),
+          };
+        }
+
+        // Re-inviting someone replaces their previous pending invitation
+        const pendingInvites = await db
+          .collection('invitations')
+          .where('schoolId', '==', decoded.schoolId)
+          .where('email', '==', email)
+          .where('status', '==', 'pending')
+          .get();
+
+        const batch = db.batch();
+        pendingInvites.forEach((doc) => {
+          batch.update(doc.ref, { status: 'revoked' });
+        });
+
+        const inviteToken = generateToken();
+        const invitationRef = db.collection('invitations').doc();
+        batch.set(invitationRef, {
+          schoolId: decoded.schoolId,
+          email,
+          name: name || null,
+          role,
+          status: 'pending',
+          tokenHash: hashToken(inviteToken),
+          invitedBy: decoded.userId,
+          expiresAt: admin.firestore.Timestamp.fromDate(new Date(Date.now() + INVITE_TTL_MS)),
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        await batch.commit();
+
+        const [schoolDoc, inviterDoc] = await Promise.all([
+          db.collection('schools').doc(decoded.schoolId).get(),
+          db.collection('users').doc(decoded.userId).get(),
+        ]);
+
+        try {
+          await sendEmail({
+            to: email,
+            template: 'staff-invite',
+            data: {
+              name,
+              role,
+              inviterName: inviterDoc.data()?.name,
+              schoolName: schoolDoc.data()?.name,
+              inviteLink: `${APP_URL}/accept-invite?token=${inviteToken}`,
+            },
+          });
+        } catch (err) {
+          console.error('Invitation email failed:', err);
+        }
+
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify({
+            invitation: { id: invitationRef.id, email, name: name || null, role, status: 'pending' },
+          }),
+        };
+      }
+
+      // REVOKE PENDING INVITATION
+      if (resource === 'invitations' && resourceId && httpMethod === 'DELETE') {
+        const invitationRef = db.collection('invitations').doc(resourceId);
+        const invitationDoc = await invitationRef.get();
+
+        if (!invitationDoc.exists || invitationDoc.data().schoolId !== decoded.schoolId) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Invitation not found' }),
+          };
+        }
+
+        await invitationRef.update({
+          status: 'revoked',
+          revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true }),
+        };
+      }
+
+      // LIST STAFF AND PENDING INVITATIONS
+      if (resource === 'staff' && !resourceId && httpMethod === 'GET') {
+        const [usersSnapshot, invitesSnapshot] = await Promise.all([
+          db.collection('users').where('schoolId', '==', decoded.schoolId).get(),
+          db
+            .collection('invitations')
+            .where('schoolId', '==', decoded.schoolId)
+            .where('status', '==', 'pending')
+            .get(),
+        ]);
+
+        const staff = usersSnapshot.docs.map((doc) => {
+          const user = doc.data();
+          return {
+            id: doc.id,
+            name: user.name,
+            email: user.email,
+            phone: user.phone || null,
+            role: user.role,
+            status: user.status || 'active',
+            twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+            createdAt: user.createdAt?.toDate ? user.createdAt.toDate().toISOString() : user.createdAt,
+          };
+        });
+
+        const invitations = invitesSnapshot.docs.map((doc) => {
+          const invite = doc.data();
+          return {
+            id: doc.id,
+            email: invite.email,
+            name: invite.name,
+            role: invite.role,
+            expired: invite.expiresAt.toDate() < new Date(),
+            expiresAt: invite.expiresAt.toDate().toISOString(),
+          };
+        });
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ staff, invitations }),
+        };
+      }
+
+      // Every remaining staff route targets one user of this school
+      if (resource === 'staff' && resourceId) {
+        if (resourceId === decoded.userId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'You cannot change your own account here' }),
+          };
+        }
+
+        const staffRef = db.collection('users').doc(resourceId);
+        const staffDoc = await staffRef.get();
+
+        if (!staffDoc.exists || staffDoc.data().schoolId !== decoded.schoolId) {
+          return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({ error: 'Staff member not found' }),
+          };
+        }
+
+        // The school owner can't be suspended or removed by other staff
+        if (staffDoc.data().role === 'owner') {
+          return forbidden(headers);
+        }
+
+        // SUSPEND / REACTIVATE
+        if (httpMethod === 'PUT') {
+          const { status } = data;
+
+          if (!['active', 'suspended'].includes(status)) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: 'Status must be active or suspended' }),
+            };
+          }
+
+          await staffRef.update({
+            status,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+
+          if (status === 'suspended') {
+            await revokeSessions(db, resourceId, { reason: 'suspended' });
+          }
+
+          return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ success: true, status }),
+          };
+        }
+
+        // REMOVE
+        if (httpMethod === 'DELETE') {
+          await revokeSessions(db, resourceId, { reason: 'removed' });
+          await staffRef.delete();
+
+          return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ success: true }),
+          };
+        }
+      }
     }
 
     return {
@@ -1,4 +1,5 @@
 const admin = require('firebase-admin');
+const { authenticate, can, forbidden, rejectImpersonatedWrite } = require('../utils/auth');
 
 if (!admin.apps.length) {
   admin.initializeApp({
@@ -15,7 +16,7 @@ const db = admin.firestore();
 exports.handler = async (event) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
   };
 
@@ -28,12 +29,25 @@ exports.handler = async (event) => {
   }
 
   try {
+    const decoded = await authenticate(db, event);
+
+    if (!decoded) {
+      return { statusCode: 401, headers, body: JSON.stringify({ error: 'Unauthorized' }) };
+    }
+
+    const readOnly = rejectImpersonatedWrite(decoded, event, headers);
+    if (readOnly) return readOnly;
+
     const { schoolId } = JSON.parse(event.body);
 
     if (!schoolId) {
       return { statusCode: 400, headers, body: JSON.stringify({ error: 'School ID required' }) };
     }
 
+    if (decoded.schoolId !== schoolId || !can(decoded, 'billing:manage')) {
+      return forbidden(headers);
+    }
+
     const schoolRef = db.collection('schools').doc(schoolId);
     await schoolRef.update({
       'subscription.status': 'cancelled',
@@ -1,4 +1,5 @@
 const admin = require('firebase-admin');
+const { authenticate, can, forbidden } = require('../utils/auth');
 
 // Initialize Firebase Admin (reuse the same initialization)
 if (!admin.apps.length) {
@@ -16,7 +17,7 @@ const db = admin.firestore();
 exports.handler = async (event) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Access-Control-Allow-Methods': 'GET, OPTIONS',
   };
 
@@ -39,6 +40,16 @@ exports.handler = async (event) => {
   }
 
   try {
+    const decoded = await authenticate(db, event);
+
+    if (!decoded) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Unauthorized' }),
+      };
+    }
+
     // Get school ID from query parameters
     const schoolId = event.queryStringParameters?.schoolId;
 
@@ -50,6 +61,10 @@ exports.handler = async (event) => {
       };
     }
 
+    if (decoded.schoolId !== schoolId || !can(decoded, 'billing:read')) {
+      return forbidden(headers);
+    }
+
     const schoolRef = db.collection('schools').doc(schoolId);
     const schoolDoc = await schoolRef.get();
 
@@ -0,0 +1,107 @@
+const admin = require('firebase-admin');
+const jwt = require('jsonwebtoken');
+const { sendEmail } = require('./utils/email');
+const { EXPORT_LINK_TTL_MS, buildSchoolExport, exportDownloadUrl } = require('./utils/dataExport');
+
+// ======================
+// FIREBASE INIT
+// ======================
+
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    }),
+  });
+}
+
+const db = admin.firestore();
+
+// ======================
+// HANDLER
+// ======================
+
+// Background function: Netlify answers the caller with 202 straight away
+// and gives this up to 15 minutes. It is started by POST
+// /schools/:id/export with a short-lived token naming the export to build.
+exports.handler = async (event) => {
+
+  let claims;
+  try {
+    claims = jwt.verify(JSON.parse(event.body || '{}').token, process.env.JWT_SECRET);
+  } catch (error) {
+    console.error('Data export rejected: invalid token');
+    return;
+  }
+
+  if (claims.purpose !== 'data-export' || !claims.exportId) {
+    console.error('Data export rejected: wrong token purpose');
+    return;
+  }
+
+  const exportRef = db.collection('dataExports').doc(claims.exportId);
+  const exportDoc = await exportRef.get();
+
+  if (!exportDoc.exists || exportDoc.data().status !== 'pending') {
+    return;
+  }
+
+  const request = exportDoc.data();
+
+  await exportRef.update({
+    status: 'processing',
+    startedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  try {
+    const { publicId, bytes } = await buildSchoolExport(db, {
+      schoolId: request.schoolId,
+      exportId: exportRef.id,
+    });
+
+    const expiresAt = new Date(Date.now() + EXPORT_LINK_TTL_MS);
+
+    await exportRef.update({
+      status: 'ready',
+      publicId,
+      bytes,
+      expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const [userDoc, schoolDoc] = await Promise.all([
+      db.collection('users').doc(request.requestedBy).get(),
+      db.collection('schools').doc(request.schoolId).get(),
+    ]);
+    const user = userDoc.data();
+    const school = schoolDoc.data();
+
+    try {
+      await sendEmail({
+        to: user.email,
+        template: 'data-export-ready',
+        data: {
+          name: user.name,
+          schoolName: school.identity?.name || school.name,
+          downloadLink: exportDownloadUrl(publicId, expiresAt),
+          expiresAt: expiresAt.toUTCString(),
+        },
+      });
+    } catch (error) {
+      // The archive is still listed in Settings with a fresh link
+      console.error('Data export email failed:', error);
+    }
+
+  } catch (error) {
+
+    console.error('Data export failed:', error);
+
+    await exportRef.update({
+      status: 'failed',
+      error: error.message,
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+};
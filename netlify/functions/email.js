@@ -1,4 +1,19 @@
+const admin = require('firebase-admin');
 const nodemailer = require('nodemailer');
+const { authenticate, can, forbidden, rejectImpersonatedWrite } = require('./utils/auth');
+
+// Initialize Firebase Admin (needed to validate sessions)
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    }),
+  });
+}
+
+const db = admin.firestore();
 
 // Create transporter
 const transporter = nodemailer.createTransport({
@@ -212,7 +227,7 @@ const templates = {
 exports.handler = async (event, context) => {
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
   };
 
@@ -229,6 +244,23 @@ exports.handler = async (event, context) => {
   }
 
   try {
+    const decoded = await authenticate(db, event);
+
+    if (!decoded) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Unauthorized' }),
+      };
+    }
+
+    const readOnly = rejectImpersonatedWrite(decoded, event, headers);
+    if (readOnly) return readOnly;
+
+    if (!can(decoded, 'email:send')) {
+      return forbidden(headers);
+    }
+
     const { to, subject, template, data } = JSON.parse(event.body);
 
     if (!to || !template) {
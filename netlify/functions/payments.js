@@ -1,5 +1,7 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const admin = require('firebase-admin');
+const { authenticate, can, forbidden, isEmailVerified, emailNotVerified, rejectImpersonatedWrite } = require('./utils/auth');
+const { normalizePhone } = require('./utils/phone');
 
 // Initialize Firebase Admin
 if (!admin.apps.length) {
@@ -34,10 +36,47 @@ exports.handler = async (event, context) => {
     const path = event.path.replace('/.netlify/functions/payments/', '');
     const { httpMethod, body } = event;
     const data = body ? JSON.parse(body) : {};
-    const token = event.headers.authorization?.replace('Bearer ', '');
+
+    // M-Pesa Callback (called by Safaricom, so it can't carry a JWT)
+    if (path === 'mpesa-callback' && httpMethod === 'POST') {
+      const callbackData = JSON.parse(event.body);
+
+      const { CheckoutRequestID, ResultCode, ResultDesc } = callbackData.Body.stkCallback;
+
+      // Update transaction status
+      const transactions = await db
+        .collection('mpesaTransactions')
+        .where('checkoutRequestID', '==', CheckoutRequestID)
+        .limit(1)
+        .get();
+
+      if (!transactions.empty) {
+        const transaction = transactions.docs[0];
+        await transaction.ref.update({
+          status: ResultCode === 0 ? 'completed' : 'failed',
+          resultCode: ResultCode,
+          resultDesc: ResultDesc,
+          callbackData: callbackData,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        if (ResultCode === 0) {
+          // Payment successful - activate subscription
+          // You would update the school's subscription here
+        }
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true }),
+      };
+    }
 
     // Verify authentication
-    if (!token) {
+    const decoded = await authenticate(db, event);
+
+    if (!decoded) {
       return {
         statusCode: 401,
         headers,
@@ -45,6 +84,18 @@ exports.handler = async (event, context) => {
       };
     }
 
+    const readOnly = rejectImpersonatedWrite(decoded, event, headers);
+    if (readOnly) return readOnly;
+
+    if (!can(decoded, 'billing:manage')) {
+      return forbidden(headers);
+    }
+
+    // Every POST below starts or confirms a payment
+    if (httpMethod === 'POST' && !(await isEmailVerified(db, decoded))) {
+      return emailNotVerified(headers);
+    }
+
     // Create Stripe Payment Intent
     if (path === 'create-intent' && httpMethod === 'POST') {
       const { amount, currency = 'kes' } = data;
@@ -83,7 +134,16 @@ exports.handler = async (event, context) => {
 
     // M-Pesa STK Push
     if (path === 'mpesa/stk-push' && httpMethod === 'POST') {
-      const { phone, amount } = data;
+      const { amount } = data;
+      const phone = normalizePhone(data.phone);
+
+      if (!phone) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Enter a valid Kenyan phone number, e.g. 0712345678' }),
+        };
+      }
 
       // Get access token
       const tokenResponse = await fetch(
@@ -120,9 +180,9 @@ exports.handler = async (event, context) => {
             Timestamp: timestamp,
             TransactionType: 'CustomerPayBillOnline',
             Amount: amount,
-            PartyA: phone.replace('+', ''),
+            PartyA: phone,
             PartyB: process.env.MPESA_SHORTCODE,
-            PhoneNumber: phone.replace('+', ''),
+            PhoneNumber: phone,
             CallBackURL: `${process.env.REACT_APP_URL}/.netlify/functions/payments/mpesa-callback`,
             AccountReference: 'EduManagerPro',
             TransactionDesc: 'Subscription Payment',
@@ -137,6 +197,7 @@ exports.handler = async (event, context) => {
         await db.collection('mpesaTransactions').add({
           checkoutRequestID: stkData.CheckoutRequestID,
           merchantRequestID: stkData.MerchantRequestID,
+          schoolId: decoded.schoolId,
           phone,
           amount,
           status: 'pending',
@@ -161,42 +222,6 @@ exports.handler = async (event, context) => {
       }
     }
 
-    // M-Pesa Callback
-    if (path === 'mpesa-callback' && httpMethod === 'POST') {
-      const callbackData = JSON.parse(event.body);
-
-      const { CheckoutRequestID, ResultCode, ResultDesc } = callbackData.Body.stkCallback;
-
-      // Update transaction status
-      const transactions = await db
-        .collection('mpesaTransactions')
-        .where('checkoutRequestID', '==', CheckoutRequestID)
-        .limit(1)
-        .get();
-
-      if (!transactions.empty) {
-        const transaction = transactions.docs[0];
-        await transaction.ref.update({
-          status: ResultCode === 0 ? 'completed' : 'failed',
-          resultCode: ResultCode,
-          resultDesc: ResultDesc,
-          callbackData: callbackData,
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-        });
-
-        if (ResultCode === 0) {
-          // Payment successful - activate subscription
-          // You would update the school's subscription here
-        }
-      }
-
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({ success: true }),
-      };
-    }
-
     // Check M-Pesa Status
     if (path.startsWith('mpesa/status/') && httpMethod === 'GET') {
       const checkoutRequestID = path.split('/').pop();
@@ -217,6 +242,10 @@ exports.handler = async (event, context) => {
 
       const transaction = transactions.docs[0].data();
 
+      if (transaction.schoolId && transaction.schoolId !== decoded.schoolId) {
+        return forbidden(headers);
+      }
+
       return {
         statusCode: 200,
         headers,
@@ -0,0 +1,80 @@
+const admin = require('firebase-admin');
+const { sendEmail } = require('./utils/email');
+const { purgeSchool } = require('./utils/closure');
+
+// ======================
+// FIREBASE INIT
+// ======================
+
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    }),
+  });
+}
+
+const db = admin.firestore();
+
+// Scheduled functions get 30 seconds. Purging stops once this much has gone,
+// leaving the rest (and any school part-way through) to the next day's run.
+const RUN_BUDGET_MS = 20 * 1000;
+
+// ======================
+// HANDLER
+// ======================
+
+// Runs daily (see netlify.toml) and permanently deletes schools whose
+// 30-day closure window has ended.
+exports.handler = async () => {
+  const deadline = Date.now() + RUN_BUDGET_MS;
+
+  const due = await db
+    .collection('schools')
+    .where('status', '==', 'closed')
+    .where('closure.purgeAfter', '<=', admin.firestore.Timestamp.now())
+    .get();
+
+  let purged = 0;
+
+  for (const schoolDoc of due.docs) {
+    if (Date.now() >= deadline) break;
+
+    try {
+      const certificate = await purgeSchool(db, schoolDoc, { deadline });
+      if (!certificate) {
+        console.log(`Purge of school ${schoolDoc.id} ran out of time, continuing next run`);
+        continue;
+      }
+      purged += 1;
+
+      console.log(`Purged school ${schoolDoc.id}, certificate ${certificate.id}`);
+
+      if (certificate.assets.retained.length) {
+        console.warn(`School ${schoolDoc.id} has build artifacts outside Cloudinary:`, certificate.assets.retained);
+      }
+
+      if (certificate.ownerEmail) {
+        try {
+          await sendEmail({
+            to: certificate.ownerEmail,
+            template: 'school-deleted',
+            data: certificate,
+          });
+        } catch (error) {
+          console.error('Deletion certificate email failed:', error);
+        }
+      }
+    } catch (error) {
+      // Left closed, so the next run tries again
+      console.error(`Purge of school ${schoolDoc.id} failed:`, error);
+    }
+  }
+
+  return {
+    statusCode: 200,
+    body: JSON.stringify({ due: due.size, purged }),
+  };
+};
@@ -0,0 +1,248 @@
+const admin = require('firebase-admin');
+const { isPlatformHost, resolveTenant, TENANT_CACHE_TTL_MS } = require('./utils/tenant');
+const { themeStylesheet } = require('../../src/shared/theme');
+
+// Every request to <subdomain>.edumanagerpro.com, and to verified custom
+// domains, lands here (see public/_redirects) and gets the school's branded
+// portal page.
+
+const APP_URL = process.env.REACT_APP_URL || 'https://edumanagerpro.com';
+const DEFAULT_PRIMARY = '#4CAF50';
+const DEFAULT_SECONDARY = '#2E7D32';
+
+// ======================
+// FIREBASE INIT
+// ======================
+
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    }),
+  });
+}
+
+const db = admin.firestore();
+
+// ======================
+// RENDERING
+// ======================
+
+// School data is user supplied, so everything is escaped before it is
+// placed in the page
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const safeColor = (value, fallback) => (/^#[0-9a-fA-F]{6}$/.test(value || '') ? value : fallback);
+
+const safeUrl = (value) => (/^https:\/\/[^\s"'<>]+$/.test(value || '') ? value : null);
+
+const page = ({ title, primaryColor = DEFAULT_PRIMARY, secondaryColor = DEFAULT_SECONDARY, head = '', body }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    :root { --primary: ${primaryColor}; --secondary: ${secondaryColor}; }
+    * { box-sizing: border-box; }
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937;
+      background: linear-gradient(135deg, var(--primary), var(--secondary)); padding: 24px; }
+    .card { background: var(--color-surface, #fff); color: var(--color-text, #1f2937); border-radius: 16px; box-shadow: 0 20px 40px rgba(0,0,0,.15);
+      max-width: 440px; width: 100%; padding: 40px 32px; text-align: center; }
+    .logo { max-height: 96px; max-width: 200px; margin-bottom: 16px; }
+    .initial { width: 80px; height: 80px; border-radius: 20px; margin: 0 auto 16px; display: flex;
+      align-items: center; justify-content: center; font-size: 36px; font-weight: 700; color: #fff;
+      background: var(--primary); }
+    h1 { font-size: 26px; margin: 0 0 8px; }
+    .motto { opacity: .7; font-style: italic; margin: 0 0 28px; }
+    p { opacity: .85; line-height: 1.5; }
+    .button { display: block; padding: 12px 16px; margin-top: 12px; border-radius: 8px; font-weight: 600;
+      text-decoration: none; color: #fff; background: var(--primary); }
+    .button.secondary { color: var(--primary); background: var(--color-surface, #fff); border: 2px solid var(--primary); }
+    footer { margin-top: 28px; font-size: 12px; color: #9ca3af; }
+    footer a { color: inherit; }
+  </style>
+${head ? `${head}\n` : ''}</head>
+<body>
+  <main class="card">
+${body}
+    <footer>Powered by <a href="${APP_URL}">EduManagerPro</a></footer>
+  </main>
+</body>
+</html>`;
+
+// The school's theme stylesheet, plus favicons, touch icon and the
+// per-school manifest once it has uploaded a logo (see utils/brandingAssets)
+const brandingHead = (tenant, primaryColor) => {
+  const assets = tenant.assets;
+  const links = [`  <meta name="theme-color" content="${primaryColor}">`];
+
+  // After the inline styles, so dark mode surfaces win
+  links.push('  <link rel="stylesheet" href="/theme.css">');
+
+  if (!assets) return links.join('\n');
+
+  links.push('  <link rel="manifest" href="/manifest.webmanifest">');
+  (assets.favicons || []).forEach(({ size, url }) => {
+    if (safeUrl(url)) {
+      links.push(`  <link rel="icon" type="image/png" sizes="${size}x${size}" href="${escapeHtml(url)}">`);
+    }
+  });
+  if (safeUrl(assets.appleTouchIcon)) {
+    links.push(`  <link rel="apple-touch-icon" href="${escapeHtml(assets.appleTouchIcon)}">`);
+  }
+
+  return links.join('\n');
+};
+
+// Lets the school portal be installed as its own app, under its own name
+// and icons
+const manifest = (tenant) => {
+  const primaryColor = safeColor(tenant.primaryColor, DEFAULT_PRIMARY);
+  const assets = tenant.assets || {};
+  const icon = (purpose) => ({ size, url }) => ({
+    src: url,
+    sizes: `${size}x${size}`,
+    type: 'image/png',
+    purpose,
+  });
+
+  return {
+    name: tenant.name,
+    short_name: tenant.name.length > 12 ? tenant.name.split(' ')[0].slice(0, 12) : tenant.name,
+    description: tenant.motto || `${tenant.name} on EduManagerPro`,
+    start_url: '/',
+    scope: '/',
+    display: 'standalone',
+    orientation: 'portrait',
+    theme_color: primaryColor,
+    background_color: safeColor(assets.background, '#ffffff'),
+    icons: [
+      ...(assets.icons || []).map(icon('any')),
+      ...(assets.maskable || []).map(icon('maskable')),
+    ],
+  };
+};
+
+const portalPage = (tenant) => {
+  const logo = safeUrl(tenant.logo);
+  const primaryColor = safeColor(tenant.primaryColor, DEFAULT_PRIMARY);
+
+  return page({
+    title: tenant.name,
+    primaryColor,
+    secondaryColor: safeColor(tenant.secondaryColor, DEFAULT_SECONDARY),
+    head: brandingHead(tenant, primaryColor),
+    body: `    ${logo
+      ? `<img class="logo" src="${escapeHtml(logo)}" alt="${escapeHtml(tenant.name)} logo">`
+      : `<div class="initial">${escapeHtml(tenant.name?.charAt(0).toUpperCase())}</div>`}
+    <h1>${escapeHtml(tenant.name)}</h1>
+    ${tenant.motto ? `<p class="motto">${escapeHtml(tenant.motto)}</p>` : ''}
+    <a class="button" href="${APP_URL}/login">Staff &amp; parent sign in</a>
+    <a class="button secondary" href="${APP_URL}/app-download">Get the mobile app</a>`,
+  });
+};
+
+const notFoundPage = (host) =>
+  page({
+    title: 'School not found',
+    body: `    <h1>School not found</h1>
+    <p>There is no school at <strong>${escapeHtml(host)}</strong>. Check the address or ask your school for the right link.</p>
+    <a class="button" href="${APP_URL}">Go to EduManagerPro</a>`,
+  });
+
+const suspendedPage = (tenant) =>
+  page({
+    title: `${tenant.name} is unavailable`,
+    body: `    <h1>${escapeHtml(tenant.name)}</h1>
+    <p>This school portal is temporarily unavailable. If you manage this school, sign in to renew the subscription.</p>
+    <a class="button" href="${APP_URL}/login">Sign in</a>`,
+  });
+
+// ======================
+// HANDLER
+// ======================
+
+exports.handler = async (event) => {
+  const html = (statusCode, body, cacheSeconds = 0) => ({
+    statusCode,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': cacheSeconds ? `public, max-age=${cacheSeconds}` : 'no-store',
+      'X-Content-Type-Options': 'nosniff',
+    },
+    body: event.httpMethod === 'HEAD' ? '' : body,
+  });
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+    return { statusCode: 405, headers: { Allow: 'GET, HEAD' }, body: '' };
+  }
+
+  try {
+    const host = String(event.headers['x-forwarded-host'] || event.headers.host || '').split(':')[0];
+
+    if (!host || isPlatformHost(host)) {
+      return { statusCode: 301, headers: { Location: APP_URL }, body: '' };
+    }
+
+    const tenant = await resolveTenant(db, host);
+
+    // Closed schools are gone as far as visitors are concerned
+    if (!tenant || tenant.status === 'closed') {
+      return html(404, notFoundPage(host));
+    }
+
+    if (tenant.redirectTo) {
+      return {
+        statusCode: 301,
+        headers: { Location: `https://${tenant.redirectTo}${event.path || '/'}` },
+        body: '',
+      };
+    }
+
+    if (tenant.status === 'suspended') {
+      return html(403, suspendedPage(tenant));
+    }
+
+    if (event.path === '/theme.css') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'text/css; charset=utf-8',
+          'Cache-Control': `public, max-age=${TENANT_CACHE_TTL_MS / 1000}`,
+        },
+        body: event.httpMethod === 'HEAD' ? '' : themeStylesheet(tenant.theme),
+      };
+    }
+
+    if (event.path === '/manifest.webmanifest') {
+      return {
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/manifest+json',
+          'Cache-Control': `public, max-age=${TENANT_CACHE_TTL_MS / 1000}`,
+        },
+        body: event.httpMethod === 'HEAD' ? '' : JSON.stringify(manifest(tenant)),
+      };
+    }
+
+    return html(200, portalPage(tenant), TENANT_CACHE_TTL_MS / 1000);
+  } catch (error) {
+    console.error('School router error:', error);
+
+    return html(500, page({
+      title: 'Something went wrong',
+      body: `    <h1>Something went wrong</h1>
+    <p>Please try again in a moment.</p>`,
+    }));
+  }
+};
@@ -1,6 +1,25 @@
 const admin = require('firebase-admin');
 const jwt = require('jsonwebtoken');
 const cloudinary = require('cloudinary').v2;
+const { authenticate, can, forbidden, isEmailVerified, emailNotVerified, rejectImpersonatedWrite } = require('./utils/auth');
+const { schoolUpdateSchema, schoolFieldErrors } = require('../../src/shared/schoolSchema');
+const {
+  normalizeDomain,
+  createVerificationToken,
+  verificationRecord,
+  checkDomainVerification,
+} = require('./utils/domainVerification');
+const { renameSubdomain } = require('./utils/subdomain');
+const { validateSubdomain } = require('../../src/shared/subdomain');
+const { EXPORT_STALLED_ERROR, exportDownloadUrl, isExportStalled } = require('./utils/dataExport');
+const { requestClosure, confirmClosure, restoreSchool } = require('./utils/closure');
+const { sendEmail } = require('./utils/email');
+const { buildBrandingAssets } = require('./utils/brandingAssets');
+const { readLogoUpload } = require('./utils/logoUpload');
+const { getUsage, resolvePlan } = require('./utils/usage');
+const { PLANS } = require('../../src/shared/plans');
+
+const APP_URL = process.env.REACT_APP_URL || 'https://edumanagerpro.com';
 
 // ======================
 // FIREBASE INIT
@@ -28,6 +47,86 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+// ======================
+// HELPERS
+// ======================
+
+// Writes each validated field by its dotted path, so that sending
+// { identity: { motto } } doesn't wipe the rest of identity (e.g. the logo).
+const toFieldUpdates = (updates) => {
+  const fields = {};
+
+  Object.entries(updates).forEach(([section, values]) => {
+    Object.entries(values).forEach(([key, value]) => {
+      fields[`${section}.${key}`] = value;
+    });
+  });
+
+  return fields;
+};
+
+// Custom domains are an Enterprise feature, whichever way it was bought
+const hasCustomDomains = async (db, schoolId, school) =>
+  (await resolvePlan(db, schoolId, school)) === 'enterprise';
+
+const toDomainResponse = (doc) => {
+  const mapping = doc.data();
+
+  return {
+    domain: doc.id,
+    status: mapping.status,
+    record: verificationRecord(doc.id, mapping.verificationToken),
+    lastError: mapping.lastError || null,
+    lastCheckedAt: mapping.lastCheckedAt?.toDate ? mapping.lastCheckedAt.toDate().toISOString() : null,
+    verifiedAt: mapping.verifiedAt?.toDate ? mapping.verifiedAt.toDate().toISOString() : null,
+  };
+};
+
+// Starts the background build of an export. The token proves the call
+// came from us and only names the export, so it is useless elsewhere.
+const startDataExport = (exportId) => {
+  const token = jwt.sign({ exportId, purpose: 'data-export' }, process.env.JWT_SECRET, {
+    expiresIn: '10m',
+  });
+
+  return fetch(`${process.env.URL}/.netlify/functions/data-export-background`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token }),
+  });
+};
+
+const toExportResponse = (doc) => {
+  const request = doc.data();
+  const expiresAt = request.expiresAt?.toDate ? request.expiresAt.toDate() : null;
+  const live = request.status === 'ready' && expiresAt && expiresAt > new Date();
+  const stalled = isExportStalled(request);
+
+  let status = request.status;
+  if (stalled) status = 'failed';
+  else if (status === 'ready' && !live) status = 'expired';
+
+  return {
+    id: doc.id,
+    status,
+    bytes: request.bytes || null,
+    error: stalled ? EXPORT_STALLED_ERROR : request.error || null,
+    downloadUrl: live ? exportDownloadUrl(request.publicId, expiresAt) : null,
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    createdAt: request.createdAt?.toDate ? request.createdAt.toDate().toISOString() : null,
+  };
+};
+
+const findSchoolDomain = async (schoolId) => {
+  const domains = await db
+    .collection('customDomains')
+    .where('schoolId', '==', schoolId)
+    .limit(1)
+    .get();
+
+  return domains.empty ? null : domains.docs[0];
+};
+
 // ======================
 // HANDLER
 // ======================
@@ -71,9 +170,9 @@ exports.handler = async (event) => {
     // AUTH
     // ======================
 
-    const token = event.headers.authorization?.replace('Bearer ', '');
+    const decoded = await authenticate(db, event);
 
-    if (!token) {
+    if (!decoded) {
       return {
         statusCode: 401,
         headers,
@@ -81,7 +180,8 @@ exports.handler = async (event) => {
       };
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const readOnly = rejectImpersonatedWrite(decoded, event, headers);
+    if (readOnly) return readOnly;
 
     const path = event.path.replace('/.netlify/functions/schools/', '');
     const parts = path.split('/');
@@ -96,12 +196,33 @@ exports.handler = async (event) => {
       };
     }
 
+    // A closed school is frozen until it is restored or purged, though its
+    // owner can still take a copy of the data
+    if (event.httpMethod !== 'GET' && !['restore', 'export'].includes(action)) {
+      const schoolDoc = await db.collection('schools').doc(schoolId).get();
+
+      if (schoolDoc.data()?.status === 'closed') {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({
+            error: 'This school is closed. Restore it from Settings to make changes.',
+            code: 'SCHOOL_CLOSED',
+          }),
+        };
+      }
+    }
+
     // ======================
     // GET SCHOOL
     // ======================
 
     if (event.httpMethod === 'GET' && !action) {
 
+      if (!can(decoded, 'school:read')) {
+        return forbidden(headers);
+      }
+
       const schoolDoc = await db.collection('schools').doc(schoolId).get();
 
       if (!schoolDoc.exists) {
@@ -122,12 +243,44 @@ exports.handler = async (event) => {
       };
     }
 
+    // ======================
+    // GET USAGE
+    // ======================
+
+    // Active students and staff against the limits of the plan in force
+    if (event.httpMethod === 'GET' && action === 'usage') {
+
+      if (!can(decoded, 'school:read')) {
+        return forbidden(headers);
+      }
+
+      const schoolDoc = await db.collection('schools').doc(schoolId).get();
+
+      if (!schoolDoc.exists) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'School not found' }),
+        };
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ usage: await getUsage(db, schoolId, schoolDoc.data()) }),
+      };
+    }
+
     // ======================
     // GET SUBSCRIPTION
     // ======================
 
     if (event.httpMethod === 'GET' && action === 'subscription') {
 
+      if (!can(decoded, 'billing:read')) {
+        return forbidden(headers);
+      }
+
       const subscriptionDoc = await db
         .collection('subscriptions')
         .where('schoolId', '==', schoolId)
@@ -155,10 +308,25 @@ exports.handler = async (event) => {
 
     if (event.httpMethod === 'PUT' && !action) {
 
-      const updates = body;
+      if (!can(decoded, 'school:manage')) {
+        return forbidden(headers);
+      }
+
+      const parsed = schoolUpdateSchema.safeParse(body);
+
+      if (!parsed.success) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({
+            error: 'Invalid school details',
+            fields: schoolFieldErrors(parsed.error),
+          }),
+        };
+      }
 
       await db.collection('schools').doc(schoolId).update({
-        ...updates,
+        ...toFieldUpdates(parsed.data),
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
       });
 
@@ -180,17 +348,28 @@ exports.handler = async (event) => {
 
     if (event.httpMethod === 'POST' && action === 'logo') {
 
-      const { image } = body;
+      if (!can(decoded, 'school:manage')) {
+        return forbidden(headers);
+      }
 
-      if (!image) {
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ error: 'Image required' }),
-        };
+      let logo;
+      try {
+        logo = await readLogoUpload(event, body);
+      } catch (error) {
+        if (error.statusCode) {
+          return {
+            statusCode: error.statusCode,
+            headers,
+            body: JSON.stringify({ error: error.message, code: error.code }),
+          };
+        }
+        throw error;
       }
 
-      const upload = await cloudinary.uploader.upload(image, {
+      // Only checked (and for SVG, sanitised) bytes are sent on
+      const dataUri = `data:${logo.type};base64,${logo.buffer.toString('base64')}`;
+
+      const upload = await cloudinary.uploader.upload(dataUri, {
         folder: 'school_logos',
         public_id: `school-${schoolId}`,
         overwrite: true,
@@ -198,29 +377,222 @@ exports.handler = async (event) => {
 
       const logoUrl = upload.secure_url;
 
+      // Icons, splash and favicons for the app and PWA, derived from the logo
+      const assets = buildBrandingAssets(upload.public_id, { version: upload.version });
+
       await db.collection('schools').doc(schoolId).update({
         'identity.logo': logoUrl,
+        'branding.assets': assets,
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
       });
 
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({ logoUrl }),
+        body: JSON.stringify({ logoUrl, assets }),
       };
     }
 
+    // ======================
+    // RENAME SUBDOMAIN
+    // ======================
+
+    if (event.httpMethod === 'POST' && action === 'subdomain') {
+
+      if (!can(decoded, 'school:manage')) {
+        return forbidden(headers);
+      }
+
+      const subdomain = String(body.subdomain || '').trim().toLowerCase();
+      const invalid = validateSubdomain(subdomain);
+
+      if (invalid) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: invalid }),
+        };
+      }
+
+      let result;
+      try {
+        result = await renameSubdomain(db, { schoolId, subdomain, userId: decoded.userId });
+      } catch (error) {
+        if (error.code === 'SUBDOMAIN_UNAVAILABLE') {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: error.reason }),
+          };
+        }
+        throw error;
+      }
+
+      const updatedDoc = await db.collection('schools').doc(schoolId).get();
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          school: { id: updatedDoc.id, ...updatedDoc.data() },
+          previousSubdomain: result.previous,
+          rebuildRequired: result.rebuildRequired,
+        }),
+      };
+    }
+
+    // ======================
+    // CUSTOM DOMAIN
+    // ======================
+
+    if (action === 'domain') {
+
+      const domainAction = parts[2];
+      const canManage = can(decoded, 'school:manage');
+
+      if (!canManage && !(event.httpMethod === 'GET' && can(decoded, 'school:read'))) {
+        return forbidden(headers);
+      }
+
+      const current = await findSchoolDomain(schoolId);
+
+      if (event.httpMethod === 'GET' && !domainAction) {
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ domain: current ? toDomainResponse(current) : null }),
+        };
+      }
+
+      // Register a domain, replacing any previous one
+      if (event.httpMethod === 'POST' && !domainAction) {
+
+        const schoolDoc = await db.collection('schools').doc(schoolId).get();
+
+        if (!(await hasCustomDomains(db, schoolId, schoolDoc.data()))) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Custom domains are available on the Enterprise plan' }),
+          };
+        }
+
+        const domain = normalizeDomain(body.domain);
+
+        if (!domain) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Enter a valid domain name, e.g. portal.myschool.ac.ke' }),
+          };
+        }
+
+        const domainRef = db.collection('customDomains').doc(domain);
+
+        try {
+          await db.runTransaction(async (transaction) => {
+            const existing = await transaction.get(domainRef);
+
+            if (existing.exists && existing.data().schoolId !== schoolId) {
+              throw Object.assign(new Error('Domain taken'), { code: 'DOMAIN_TAKEN' });
+            }
+
+            if (current && current.id !== domain) {
+              transaction.delete(current.ref);
+            }
+
+            transaction.set(domainRef, {
+              schoolId,
+              status: 'pending',
+              verificationToken: createVerificationToken(),
+              lastError: null,
+              lastCheckedAt: null,
+              verifiedAt: null,
+              createdBy: decoded.userId,
+              createdAt: admin.firestore.FieldValue.serverTimestamp(),
+            });
+          });
+        } catch (error) {
+          if (error.code === 'DOMAIN_TAKEN') {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: 'This domain is already registered by another school' }),
+            };
+          }
+          throw error;
+        }
+
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify({ domain: toDomainResponse(await domainRef.get()) }),
+        };
+      }
+
+      if (!current) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'No custom domain registered' }),
+        };
+      }
+
+      // Look up the TXT record and mark the domain verified when it matches
+      if (event.httpMethod === 'POST' && domainAction === 'verify') {
+
+        const { verified, reason } = await checkDomainVerification(
+          current.id,
+          current.data().verificationToken
+        );
+
+        await current.ref.update({
+          status: verified ? 'verified' : current.data().status,
+          lastError: verified ? null : reason,
+          lastCheckedAt: admin.firestore.FieldValue.serverTimestamp(),
+          ...(verified && current.data().status !== 'verified' && {
+            verifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+          }),
+        });
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ domain: toDomainResponse(await current.ref.get()) }),
+        };
+      }
+
+      if (event.httpMethod === 'DELETE' && !domainAction) {
+
+        await current.ref.delete();
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true }),
+        };
+      }
+    }
+
     // ======================
     // SUBSCRIBE PLAN
     // ======================
 
     if (event.httpMethod === 'POST' && action === 'subscribe') {
 
+      if (!can(decoded, 'billing:manage')) {
+        return forbidden(headers);
+      }
+
+      if (!(await isEmailVerified(db, decoded))) {
+        return emailNotVerified(headers);
+      }
+
       const { planId, paymentIntentId } = body;
 
       const plans = {
-        starter: { price: 2500, students: 200 },
-        professional: { price: 5000, students: 500 },
+        starter: { price: 2500, students: PLANS.starter.students },
+        professional: { price: 5000, students: PLANS.professional.students },
         enterprise: { price: 10000, students: 'unlimited' },
       };
 
@@ -267,12 +639,228 @@ exports.handler = async (event) => {
       };
     }
 
+    // ======================
+    // DATA EXPORT
+    // ======================
+
+    if (event.httpMethod === 'POST' && action === 'export') {
+
+      if (!can(decoded, 'data:export')) {
+        return forbidden(headers);
+      }
+
+      const unfinished = await db
+        .collection('dataExports')
+        .where('schoolId', '==', schoolId)
+        .where('status', 'in', ['pending', 'processing'])
+        .get();
+
+      // Exports whose function died never record it, so they are failed here
+      const stalled = unfinished.docs.filter((doc) => isExportStalled(doc.data()));
+      await Promise.all(
+        stalled.map((doc) =>
+          doc.ref.update({
+            status: 'failed',
+            error: EXPORT_STALLED_ERROR,
+            completedAt: admin.firestore.FieldValue.serverTimestamp(),
+          })
+        )
+      );
+
+      if (unfinished.size > stalled.length) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'An export is already being prepared' }),
+        };
+      }
+
+      const exportRef = await db.collection('dataExports').add({
+        schoolId,
+        requestedBy: decoded.userId,
+        status: 'pending',
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      const started = await startDataExport(exportRef.id).catch((error) => {
+        console.error('Data export trigger failed:', error);
+        return null;
+      });
+
+      if (!started || !started.ok) {
+        await exportRef.update({ status: 'failed', error: 'Could not start the export' });
+
+        return {
+          statusCode: 502,
+          headers,
+          body: JSON.stringify({ error: 'Could not start the export, please try again' }),
+        };
+      }
+
+      return {
+        statusCode: 202,
+        headers,
+        body: JSON.stringify({ export: toExportResponse(await exportRef.get()) }),
+      };
+    }
+
+    if (event.httpMethod === 'GET' && action === 'exports') {
+
+      if (!can(decoded, 'data:export')) {
+        return forbidden(headers);
+      }
+
+      const exports = await db
+        .collection('dataExports')
+        .where('schoolId', '==', schoolId)
+        .orderBy('createdAt', 'desc')
+        .limit(10)
+        .get();
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ exports: exports.docs.map(toExportResponse) }),
+      };
+    }
+
+    // ======================
+    // CLOSE / RESTORE SCHOOL
+    // ======================
+
+    if (event.httpMethod === 'POST' && action === 'close' && !parts[2]) {
+
+      if (!can(decoded, 'school:close')) {
+        return forbidden(headers);
+      }
+
+      const [userDoc, schoolDoc] = await Promise.all([
+        db.collection('users').doc(decoded.userId).get(),
+        db.collection('schools').doc(schoolId).get(),
+      ]);
+      const school = schoolDoc.data();
+
+      const token = await requestClosure(db, {
+        schoolId,
+        userId: decoded.userId,
+        reason: String(body.reason || '').trim().slice(0, 500),
+      });
+
+      try {
+        await sendEmail({
+          to: userDoc.data().email,
+          template: 'school-closure-confirm',
+          data: {
+            name: userDoc.data().name,
+            schoolName: school.identity?.name || school.name,
+            confirmLink: `${APP_URL}/confirm-closure?token=${token}`,
+          },
+        });
+      } catch (error) {
+        console.error('Closure confirmation email failed:', error);
+      }
+
+      return {
+        statusCode: 202,
+        headers,
+        body: JSON.stringify({ message: 'Check your email to confirm closing the school' }),
+      };
+    }
+
+    if (event.httpMethod === 'POST' && action === 'close' && parts[2] === 'confirm') {
+
+      if (!can(decoded, 'school:close')) {
+        return forbidden(headers);
+      }
+
+      let purgeAfter;
+      try {
+        purgeAfter = await confirmClosure(db, {
+          schoolId,
+          userId: decoded.userId,
+          token: body.token,
+          sessionId: decoded.jti,
+        });
+      } catch (error) {
+        if (error.code) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: error.message, code: error.code }),
+          };
+        }
+        throw error;
+      }
+
+      const [userDoc, schoolDoc] = await Promise.all([
+        db.collection('users').doc(decoded.userId).get(),
+        db.collection('schools').doc(schoolId).get(),
+      ]);
+      const school = schoolDoc.data();
+
+      try {
+        await sendEmail({
+          to: userDoc.data().email,
+          template: 'school-closed',
+          data: {
+            name: userDoc.data().name,
+            schoolName: school.identity?.name || school.name,
+            purgeAfter: purgeAfter.toUTCString(),
+            restoreLink: `${APP_URL}/settings`,
+          },
+        });
+      } catch (error) {
+        console.error('School closed email failed:', error);
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          school: { id: schoolDoc.id, ...school },
+          purgeAfter: purgeAfter.toISOString(),
+        }),
+      };
+    }
+
+    if (event.httpMethod === 'POST' && action === 'restore') {
+
+      if (!can(decoded, 'school:close')) {
+        return forbidden(headers);
+      }
+
+      try {
+        await restoreSchool(db, { schoolId, userId: decoded.userId });
+      } catch (error) {
+        if (error.code) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: error.message, code: error.code }),
+          };
+        }
+        throw error;
+      }
+
+      const schoolDoc = await db.collection('schools').doc(schoolId).get();
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ school: { id: schoolDoc.id, ...schoolDoc.data() } }),
+      };
+    }
+
     // ======================
     // CANCEL SUBSCRIPTION
     // ======================
 
     if (event.httpMethod === 'POST' && action === 'cancel-subscription') {
 
+      if (!can(decoded, 'billing:manage')) {
+        return forbidden(headers);
+      }
+
       const subscriptions = await db
         .collection('subscriptions')
         .where('schoolId', '==', schoolId)
@@ -1,5 +1,20 @@
 
 import { Lipana } from '@lipana/sdk';
+import admin from 'firebase-admin';
+import { authenticate, isEmailVerified, emailNotVerified, rejectImpersonatedWrite } from './utils/auth';
+import { normalizePhone } from './utils/phone';
+
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    }),
+  });
+}
+
+const db = admin.firestore();
 
 export async function handler(event, context) {
   // Only allow POST
@@ -10,6 +25,22 @@ export async function handler(event, context) {
     };
   }
 
+  // Payments need a signed-in user with a confirmed email address
+  const decoded = await authenticate(db, event);
+  if (!decoded) {
+    return {
+      statusCode: 401,
+      body: JSON.stringify({ success: false, error: "Unauthorized" })
+    };
+  }
+
+  const readOnly = rejectImpersonatedWrite(decoded, event);
+  if (readOnly) return readOnly;
+
+  if (!(await isEmailVerified(db, decoded))) {
+    return emailNotVerified();
+  }
+
   let body;
   try {
     body = JSON.parse(event.body || "{}");
@@ -20,10 +51,11 @@ export async function handler(event, context) {
     };
   }
 
-  // Expect userId and userName from frontend
-  const { phoneNumber, amount, accountType, description, userId, userName } = body;
+  // The payer is the signed-in user, whatever the body says
+  const { phoneNumber, amount, accountType, description, userName } = body;
+  const { userId } = decoded;
 
-  if (!phoneNumber || !amount || !accountType || !userId || !userName) {
+  if (!phoneNumber || !amount || !accountType || !userName) {
     return {
       statusCode: 400,
       body: JSON.stringify({ success: false, error: "Missing required fields" })
@@ -37,20 +69,21 @@ export async function handler(event, context) {
     };
   }
 
+  // Format phone for Lipana (254XXXXXXXXX)
+  const lipanaPhone = normalizePhone(phoneNumber);
+  if (!lipanaPhone) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ success: false, error: "Invalid phone number" })
+    };
+  }
+
   try {
     const lipana = new Lipana({
       apiKey: process.env.LIPANA_SECRET_KEY,
       environment: "production" // or "sandbox"
     });
 
-    // Format phone for Lipana
-    let lipanaPhone = phoneNumber.trim();
-    if (lipanaPhone.startsWith("0")) {
-      lipanaPhone = "254" + lipanaPhone.substring(1);
-    } else if (lipanaPhone.startsWith("7")) {
-      lipanaPhone = "254" + lipanaPhone;
-    }
-
    const stkResponse = await lipana.transactions.initiateStkPush({
   phone: lipanaPhone,
   amount,
@@ -0,0 +1,545 @@
+const admin = require('firebase-admin');
+const { authenticate, can, forbidden, rejectImpersonatedWrite } = require('./utils/auth');
+const { studentCreateSchema, studentUpdateSchema } = require('../../src/shared/studentSchema');
+const { schoolFieldErrors } = require('../../src/shared/schoolSchema');
+const {
+  validatePlacement,
+  normalizeGuardians,
+  searchTermFor,
+  matchesSearch,
+  isSingleTermSearch,
+  derivedFields,
+  admitStudent,
+  toStudentResponse,
+} = require('./utils/students');
+const {
+  MAX_STORED_ERRORS,
+  importError,
+  readImportUpload,
+  importTemplate,
+  validateImport,
+  commitImport,
+  toImportResponse,
+} = require('./utils/studentImport');
+const { toCsv } = require('./utils/csv');
+const { getUsage, assertCapacity, warnIfNearLimit } = require('./utils/usage');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// ======================
+// FIREBASE INIT
+// ======================
+
+if (!admin.apps.length) {
+  admin.initializeApp({
+    credential: admin.credential.cert({
+      projectId: process.env.FIREBASE_PROJECT_ID,
+      clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+      privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    }),
+  });
+}
+
+const db = admin.firestore();
+
+// ======================
+// HELPERS
+// ======================
+
+// A student of this school, or null. Students of other schools are
+// reported as missing rather than forbidden, so ids can't be probed.
+const findStudent = async (schoolId, studentId) => {
+  const doc = await db.collection('students').doc(studentId).get();
+  return doc.exists && doc.data().schoolId === schoolId ? doc : null;
+};
+
+// Errors thrown by utils/students that the client can fix
+const STUDENT_ERROR_STATUS = {
+  INVALID_PLACEMENT: 400,
+  INVALID_GUARDIAN: 400,
+  ADMISSION_NUMBER_TAKEN: 409,
+};
+
+// Rows of an import that will count towards the plan's student limit
+const activeRowCount = (valid) => valid.filter(({ data }) => (data.status || 'active') === 'active').length;
+
+// A CSV download, named after the school's own file where there is one
+const csvResponse = (headers, filename, csv) => ({
+  statusCode: 200,
+  headers: {
+    ...headers,
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename.replace(/["\\\r\n]/g, '')}"`,
+  },
+  body: csv,
+});
+
+exports.handler = async (event) => {
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+
+    let body = {};
+    const contentType = event.headers['content-type'] || event.headers['Content-Type'] || '';
+
+    // Imports arrive as multipart uploads and are read by utils/studentImport
+    if (event.body && !contentType.startsWith('multipart/form-data')) {
+      try {
+        body = JSON.parse(event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString() : event.body);
+      } catch (err) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid JSON body' }),
+        };
+      }
+    }
+
+    // ======================
+    // AUTH
+    // ======================
+
+    const decoded = await authenticate(db, event);
+
+    if (!decoded) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Unauthorized' }),
+      };
+    }
+
+    const readOnly = rejectImpersonatedWrite(decoded, event, headers);
+    if (readOnly) return readOnly;
+
+    const isWrite = event.httpMethod !== 'GET';
+
+    if (!can(decoded, isWrite ? 'students:manage' : 'students:read')) {
+      return forbidden(headers);
+    }
+
+    // Every query below is scoped to the school in the caller's token
+    const { schoolId } = decoded;
+    const path = event.path.replace(/^.*\/(\.netlify\/functions|api)\/students\/?/, '');
+    const parts = path.split('/');
+    const studentId = parts[0] !== 'import' ? parts[0] || null : null;
+    const importId = parts[0] === 'import' ? parts[1] || null : null;
+
+    let school = null;
+
+    if (isWrite || parts[0] === 'import') {
+      const schoolDoc = await db.collection('schools').doc(schoolId).get();
+      school = schoolDoc.data() || {};
+
+      if (isWrite && school.status === 'closed') {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({
+            error: 'This school is closed. Restore it from Settings to make changes.',
+            code: 'SCHOOL_CLOSED',
+          }),
+        };
+      }
+    }
+
+    try {
+
+      // ======================
+      // IMPORT TEMPLATE
+      // ======================
+
+      if (event.httpMethod === 'GET' && importId === 'template' && !parts[2]) {
+        return csvResponse(headers, 'students-template.csv', importTemplate(school));
+      }
+
+      // ======================
+      // IMPORT DRY RUN
+      // ======================
+
+      // Checks an uploaded CSV without admitting anyone. The result is kept
+      // so the commit can refer to it.
+      if (event.httpMethod === 'POST' && parts[0] === 'import' && !importId) {
+        const upload = await readImportUpload(event);
+        const [result, usage] = await Promise.all([
+          validateImport(db, { schoolId, school, rows: upload.rows }),
+          getUsage(db, schoolId, school),
+        ]);
+
+        const importRef = db.collection('studentImports').doc();
+        await importRef.set({
+          schoolId,
+          fileName: upload.fileName,
+          fileHash: upload.fileHash,
+          status: 'validated',
+          rowCount: result.rowCount,
+          validCount: result.valid.length,
+          errorCount: result.errors.length,
+          errors: result.errors.slice(0, MAX_STORED_ERRORS),
+          unknownClasses: result.unknownClasses,
+          duplicateAdmissionNumbers: result.duplicateAdmissionNumbers,
+          ignoredColumns: result.ignoredColumns,
+          createdBy: decoded.userId,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            import: toImportResponse(await importRef.get()),
+            preview: result.valid.slice(0, 10).map(({ row, data }) => ({ row, ...data })),
+            // Lets the page say before the commit that the plan can't take them all
+            capacity: {
+              planName: usage.planName,
+              ...usage.students,
+              adding: activeRowCount(result.valid),
+            },
+          }),
+        };
+      }
+
+      // ======================
+      // IMPORT COMMIT
+      // ======================
+
+      // Takes the same file again, so nothing but what the dry run showed is
+      // admitted, and can only run once per import
+      if (event.httpMethod === 'POST' && importId && parts[2] === 'commit') {
+        const upload = await readImportUpload(event);
+        const importRef = db.collection('studentImports').doc(importId);
+
+        // An import the plan can't take in full is refused before it is
+        // claimed, so it can be committed once the plan is upgraded
+        const result = await validateImport(db, { schoolId, school, rows: upload.rows });
+        await assertCapacity(db, { schoolId, school, metric: 'students', adding: activeRowCount(result.valid) });
+
+        await db.runTransaction(async (tx) => {
+          const importDoc = await tx.get(importRef);
+
+          if (!importDoc.exists || importDoc.data().schoolId !== schoolId) {
+            throw importError(404, 'IMPORT_NOT_FOUND', 'Import not found');
+          }
+
+          if (importDoc.data().status !== 'validated') {
+            throw importError(409, 'IMPORT_ALREADY_COMMITTED', 'This file has already been imported');
+          }
+
+          if (importDoc.data().fileHash !== upload.fileHash) {
+            throw importError(
+              409,
+              'IMPORT_FILE_CHANGED',
+              'The file changed since it was checked. Check it again before importing.'
+            );
+          }
+
+          tx.update(importRef, { status: 'committing' });
+        });
+
+        try {
+          const { imported, errors } = await commitImport(db, {
+            schoolId,
+            rows: result.valid,
+            createdBy: decoded.userId,
+            importId,
+          });
+
+          const allErrors = [...result.errors, ...errors].sort((a, b) => a.row - b.row);
+
+          await importRef.update({
+            status: 'committed',
+            validCount: result.valid.length,
+            importedCount: imported,
+            errorCount: allErrors.length,
+            errors: allErrors.slice(0, MAX_STORED_ERRORS),
+            unknownClasses: result.unknownClasses,
+            duplicateAdmissionNumbers: result.duplicateAdmissionNumbers,
+            committedBy: decoded.userId,
+            committedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        } catch (error) {
+          await importRef.update({ status: 'failed', error: error.message });
+          throw error;
+        }
+
+        await warnIfNearLimit(db, { schoolId, school, metric: 'students' });
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ import: toImportResponse(await importRef.get()) }),
+        };
+      }
+
+      // ======================
+      // IMPORT ERROR REPORT
+      // ======================
+
+      if (event.httpMethod === 'GET' && importId && parts[2] === 'errors') {
+        const importDoc = await db.collection('studentImports').doc(importId).get();
+
+        if (!importDoc.exists || importDoc.data().schoolId !== schoolId) {
+          throw importError(404, 'IMPORT_NOT_FOUND', 'Import not found');
+        }
+
+        const { fileName, errors = [] } = importDoc.data();
+        const report = toCsv(errors.map(({ row, column, value, message }) => ({
+          Row: row,
+          Column: column,
+          Value: value,
+          Problem: message,
+        })));
+
+        return csvResponse(headers, `${fileName.replace(/\.csv$/i, '')}-errors.csv`, report);
+      }
+
+      if (parts[0] === 'import') {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Not found' }),
+        };
+      }
+
+      // ======================
+      // LIST STUDENTS
+      // ======================
+
+      if (event.httpMethod === 'GET' && !studentId) {
+        const params = event.queryStringParameters || {};
+        const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const q = (params.q || '').trim();
+
+        let query = db.collection('students').where('schoolId', '==', schoolId);
+
+        if (params.classId) query = query.where('classId', '==', params.classId);
+        if (params.stream) query = query.where('stream', '==', params.stream);
+        if (params.status) query = query.where('status', '==', params.status);
+
+        const term = q ? searchTermFor(q) : null;
+        if (term) query = query.where('searchTerms', 'array-contains', term);
+
+        // Unknown for multi-word searches, which are narrowed down page by page
+        const total = isSingleTermSearch(q) ? (await query.count().get()).data().count : null;
+
+        let page = query.orderBy('sortName').orderBy(admin.firestore.FieldPath.documentId()).limit(limit);
+
+        if (params.cursor) {
+          const cursorDoc = await findStudent(schoolId, params.cursor);
+          if (!cursorDoc) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: 'Invalid cursor' }),
+            };
+          }
+          page = page.startAfter(cursorDoc);
+        }
+
+        const snapshot = await page.get();
+
+        // Multi-word searches are narrowed down per page, so a page can hold
+        // fewer than `limit` students while there are more to come
+        const students = snapshot.docs
+          .filter((doc) => !q || matchesSearch(doc.data(), q))
+          .map(toStudentResponse);
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            students,
+            total,
+            nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null,
+          }),
+        };
+      }
+
+      // ======================
+      // ADMIT STUDENT
+      // ======================
+
+      if (event.httpMethod === 'POST' && !studentId) {
+        const parsed = studentCreateSchema.safeParse(body);
+
+        if (!parsed.success) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({
+              error: 'Invalid student details',
+              fields: schoolFieldErrors(parsed.error),
+            }),
+          };
+        }
+
+        const data = {
+          otherNames: '',
+          dateOfBirth: '',
+          notes: '',
+          ...parsed.data,
+          ...validatePlacement(school, parsed.data.classId, parsed.data.stream),
+          guardians: normalizeGuardians(parsed.data.guardians),
+        };
+
+        if ((data.status || 'active') === 'active') {
+          await assertCapacity(db, { schoolId, school, metric: 'students' });
+        }
+
+        const { id } = await admitStudent(db, { schoolId, data, createdBy: decoded.userId });
+        await warnIfNearLimit(db, { schoolId, school, metric: 'students' });
+        const studentDoc = await db.collection('students').doc(id).get();
+
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify({ student: toStudentResponse(studentDoc) }),
+        };
+      }
+
+      const studentDoc = studentId ? await findStudent(schoolId, studentId) : null;
+
+      if (studentId && !studentDoc) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Student not found' }),
+        };
+      }
+
+      // ======================
+      // GET STUDENT
+      // ======================
+
+      if (event.httpMethod === 'GET' && studentDoc) {
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ student: toStudentResponse(studentDoc) }),
+        };
+      }
+
+      // ======================
+      // UPDATE STUDENT
+      // ======================
+
+      if (event.httpMethod === 'PUT' && studentDoc) {
+        const parsed = studentUpdateSchema.safeParse(body);
+
+        if (!parsed.success) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({
+              error: 'Invalid student details',
+              fields: schoolFieldErrors(parsed.error),
+            }),
+          };
+        }
+
+        const current = studentDoc.data();
+        const updates = { ...parsed.data };
+
+        // Moving a student to another class clears a stream that class lacks
+        if (updates.classId !== undefined || updates.stream !== undefined) {
+          const classId = updates.classId ?? current.classId;
+          const stream = updates.stream ?? (updates.classId !== undefined ? '' : current.stream);
+          Object.assign(updates, validatePlacement(school, classId, stream));
+        }
+
+        if (updates.guardians) {
+          updates.guardians = normalizeGuardians(updates.guardians);
+        }
+
+        // Bringing a student back counts against the plan like an admission
+        const reactivating = updates.status === 'active' && current.status !== 'active';
+        if (reactivating) {
+          await assertCapacity(db, { schoolId, school, metric: 'students' });
+        }
+
+        await studentDoc.ref.update({
+          ...updates,
+          ...derivedFields({ ...current, ...updates }),
+          updatedBy: decoded.userId,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        if (reactivating) {
+          await warnIfNearLimit(db, { schoolId, school, metric: 'students' });
+        }
+
+        const updatedDoc = await studentDoc.ref.get();
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ student: toStudentResponse(updatedDoc) }),
+        };
+      }
+
+      // ======================
+      // DELETE STUDENT
+      // ======================
+
+      // For records entered by mistake. Students who leave are kept with a
+      // status, and the admission number stays reserved either way.
+      if (event.httpMethod === 'DELETE' && studentDoc) {
+        await studentDoc.ref.delete();
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true }),
+        };
+      }
+
+    } catch (error) {
+      // Rejected uploads, imports and plan limits carry their own status
+      if (error.statusCode) {
+        return {
+          statusCode: error.statusCode,
+          headers,
+          body: JSON.stringify({ error: error.message, code: error.code, details: error.details }),
+        };
+      }
+
+      if (STUDENT_ERROR_STATUS[error.code]) {
+        return {
+          statusCode: STUDENT_ERROR_STATUS[error.code],
+          headers,
+          body: JSON.stringify({ error: error.message, code: error.code, fields: error.fields }),
+        };
+      }
+      throw error;
+    }
+
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Not found' }),
+    };
+
+  } catch (error) {
+
+    console.error('Students function error:', error);
+
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        message: error.message,
+      }),
+    };
+  }
+};
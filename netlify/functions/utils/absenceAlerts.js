@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { sendSms } = require('./sms');
+const { sendEmail } = require('./email');
+const { normalizePhone } = require('./phone');
+const { resolvePlan } = require('./usage');
+const { hasFeature } = require('../../../src/shared/plans');
+const { SCHOOL_TIME_ZONE, schoolDate } = require('../../../src/shared/attendanceSchema');
+
+// Tells parents the same day when their children are marked absent.
+// Submitting or correcting a register flags it with `alertsPending`; the
+// scheduled absence-alerts function picks flagged registers up and sends
+// one message per guardian covering all their absent children. Each
+// guardian's day is kept in `absenceAlerts`, so a child is only ever
+// reported once a day however often the register is corrected, and a
+// sibling marked later gets a message of its own. A message that couldn't
+// go out on any channel is handed back, and the register stays flagged so
+// the next run tries again. Only today's registers are alerted: once quiet
+// hours have passed, yesterday's news is stale.
+
+// No messages between 20:00 and 07:00 school time
+const QUIET_HOURS = { start: 20, end: 7 };
+
+const CHANNELS = [
+  { name: 'sms', feature: 'smsNotifications' },
+  { name: 'email', feature: 'emailNotifications' },
+];
+
+const schoolHour = (date = new Date()) =>
+  Number(
+    new Intl.DateTimeFormat('en-GB', { timeZone: SCHOOL_TIME_ZONE, hour: '2-digit', hourCycle: 'h23' }).format(date)
+  );
+
+const isQuietTime = (date = new Date()) => {
+  const hour = schoolHour(date);
+  return hour >= QUIET_HOURS.start || hour < QUIET_HOURS.end;
+};
+
+// 'A', 'A and B', 'A, B and C', with the language's own "and"
+const joinNames = (names, and) =>
+  names.length > 1 ? `${names.slice(0, -1).join(', ')} ${and} ${names[names.length - 1]}` : names[0];
+
+// 2026-10-19 -> 19/10/2026, as dates are written in Kenya
+const localDate = (date) => date.split('-').reverse().join('/');
+
+// The same news in English and Swahili, short enough for two SMS parts
+// with a typical school name
+const renderAbsenceMessage = ({ schoolName, schoolPhone, names, date }) => {
+  const plural = names.length > 1;
+  const contact = schoolPhone ? ` on ${schoolPhone}` : '';
+  const contactSw = schoolPhone ? ` kwa ${schoolPhone}` : '';
+
+  const english =
+    `Dear parent, ${joinNames(names, 'and')} ${plural ? 'were' : 'was'} marked absent at ${schoolName} ` +
+    `today, ${localDate(date)}. Please contact the school${contact}.`;
+  const swahili =
+    `Mzazi, ${joinNames(names, 'na')} ${plural ? 'hawakufika' : 'hakufika'} shuleni ${schoolName} ` +
+    `leo, ${localDate(date)}. Tafadhali wasiliana na shule${contactSw}.`;
+
+  return {
+    english,
+    swahili,
+    sms: `${english}\n${swahili}`,
+  };
+};
+
+// The guardian who hears about a student: the primary contact
+const primaryGuardian = (student) =>
+  (student.guardians || []).find((guardian) => guardian.isPrimary) || student.guardians?.[0] || null;
+
+// Absent students of a register grouped by the guardian to tell, keyed by
+// phone, or email where there is no phone, so siblings share a message
+const groupByGuardian = (students) => {
+  const groups = new Map();
+
+  students.forEach((student) => {
+    const guardian = primaryGuardian(student);
+    const phone = normalizePhone(guardian?.phone || '');
+    const email = (guardian?.email || '').toLowerCase();
+    const key = phone || email;
+
+    if (!key) return;
+
+    if (!groups.has(key)) {
+      groups.set(key, { key, name: guardian.name, phone, email, students: [] });
+    }
+    groups.get(key).students.push(student);
+  });
+
+  return [...groups.values()];
+};
+
+const alertRef = (db, schoolId, date, key) =>
+  db
+    .collection('absenceAlerts')
+    .doc(`${schoolId}_${date}_${crypto.createHash('sha256').update(key).digest('hex').slice(0, 32)}`);
+
+// Claims the students this guardian hasn't heard about today. Claimed
+// before sending, so two runs never report a child twice; released by
+// releaseStudents when nothing could be delivered.
+const claimStudents = (db, { schoolId, date, group, channels }) => {
+  const ref = alertRef(db, schoolId, date, group.key);
+
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const alerted = new Set(doc.exists ? doc.data().studentIds : []);
+    const fresh = group.students.filter((student) => !alerted.has(student.id));
+
+    if (!fresh.length) return { ref, fresh };
+
+    const ids = fresh.map((student) => student.id);
+    if (doc.exists) {
+      tx.update(ref, {
+        studentIds: admin.firestore.FieldValue.arrayUnion(...ids),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } else {
+      tx.create(ref, {
+        schoolId,
+        date,
+        guardianName: group.name || null,
+        phone: group.phone || null,
+        email: group.email || null,
+        channels,
+        studentIds: ids,
+        deliveries: [],
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    return { ref, fresh };
+  });
+};
+
+// Hands claimed students back after every channel failed, keeping the
+// failures on record
+const releaseStudents = (ref, fresh, deliveries) =>
+  ref.update({
+    studentIds: admin.firestore.FieldValue.arrayRemove(...fresh.map((student) => student.id)),
+    deliveries: admin.firestore.FieldValue.arrayUnion(...deliveries),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+const deliver = async (channel, { group, schoolName, message }) => {
+  if (channel === 'sms') {
+    if (!group.phone) return null;
+    return sendSms({ to: group.phone, message: message.sms });
+  }
+
+  if (!group.email) return null;
+  return sendEmail({
+    to: group.email,
+    template: 'absence-alert',
+    data: { name: group.name, schoolName, english: message.english, swahili: message.swahili },
+  });
+};
+
+// Sends the alerts of one register. Resolves to how many guardians were
+// messaged, or a reason it was skipped. The register stays flagged when
+// `deadline` (a timestamp) passes before every guardian was handled or a
+// message failed on every channel, and `retry` is set.
+const alertRegister = async (db, registerDoc, { now = new Date(), deadline = Infinity } = {}) => {
+  const register = registerDoc.data();
+  const finish = (result) =>
+    registerDoc.ref
+      .update({ alertsPending: false, alertsProcessedAt: admin.firestore.FieldValue.serverTimestamp() })
+      .then(() => result);
+
+  if (register.date !== schoolDate(now)) return finish({ skipped: 'not today' });
+
+  const schoolDoc = await db.collection('schools').doc(register.schoolId).get();
+  const school = schoolDoc.data() || {};
+
+  if (!schoolDoc.exists || school.status === 'closed') return finish({ skipped: 'school unavailable' });
+
+  const plan = await resolvePlan(db, register.schoolId, school);
+  const channels = CHANNELS.filter(({ feature }) => hasFeature(plan, school, feature)).map(({ name }) => name);
+
+  if (!channels.length) return finish({ skipped: 'no channels on plan' });
+
+  const absentIds = Object.keys(register.entries).filter((id) => register.entries[id].status === 'absent');
+  if (!absentIds.length) return finish({ guardians: 0 });
+
+  const studentDocs = await db.getAll(...absentIds.map((id) => db.collection('students').doc(id)));
+  const students = studentDocs
+    .filter((doc) => doc.exists && doc.data().schoolId === register.schoolId)
+    .map((doc) => ({ id: doc.id, ...doc.data() }));
+
+  const schoolName = school.identity?.name || school.name;
+  const schoolPhone = school.identity?.phone || school.phone || '';
+  let guardians = 0;
+  let failed = 0;
+
+  for (const group of groupByGuardian(students)) {
+    if (Date.now() >= deadline) return { guardians, failed, retry: 'out of time' };
+
+    const { ref, fresh } = await claimStudents(db, { schoolId: register.schoolId, date: register.date, group, channels });
+    if (!fresh.length) continue;
+
+    const message = renderAbsenceMessage({
+      schoolName,
+      schoolPhone,
+      names: fresh.map((student) => student.firstName),
+      date: register.date,
+    });
+
+    const deliveries = [];
+    for (const channel of channels) {
+      try {
+        const sent = await deliver(channel, { group, schoolName, message });
+        if (sent) deliveries.push({ channel, registerId: registerDoc.id, status: 'sent', at: now.toISOString() });
+      } catch (error) {
+        console.error(`Absence alert by ${channel} for school ${register.schoolId} failed:`, error);
+        deliveries.push({ channel, registerId: registerDoc.id, status: 'failed', error: error.message, at: now.toISOString() });
+      }
+    }
+
+    if (deliveries.length && deliveries.every((delivery) => delivery.status === 'failed')) {
+      await releaseStudents(ref, fresh, deliveries);
+      failed += 1;
+      continue;
+    }
+
+    if (deliveries.length) {
+      await ref.update({ deliveries: admin.firestore.FieldValue.arrayUnion(...deliveries) });
+    }
+    guardians += 1;
+  }
+
+  if (failed) return { guardians, failed, retry: 'delivery failed' };
+
+  return finish({ guardians });
+};
+
+module.exports = {
+  QUIET_HOURS,
+  isQuietTime,
+  renderAbsenceMessage,
+  groupByGuardian,
+  alertRegister,
+};
@@ -0,0 +1,369 @@
+const admin = require('firebase-admin');
+const {
+  attendanceRate,
+  emptyCounts,
+  schoolDate,
+  shiftDate,
+} = require('../../../src/shared/attendanceSchema');
+
+// A register is one class on one school day, stored in `attendanceRegisters`
+// under an id derived from the school, class and date, so a transaction can
+// tell whether the day was already taken without a query. Entries are kept
+// by student id with the name at the time, so old registers still read
+// well after a student leaves. Corrections never edit history in place:
+// each one is written to `attendanceCorrections` with what changed and why.
+
+// Summaries read whole registers, so their range is bounded
+const MAX_SUMMARY_DAYS = 366;
+const DEFAULT_SUMMARY_DAYS = 30;
+
+const attendanceError = (code, message, fields) => Object.assign(new Error(message), { code, fields });
+
+const registerId = (schoolId, classId, date) => `${schoolId}_${encodeURIComponent(classId)}_${date}`;
+
+const registerRef = (db, schoolId, classId, date) =>
+  db.collection('attendanceRegisters').doc(registerId(schoolId, classId, date));
+
+const studentName = (student) => [student.firstName, student.otherNames, student.lastName].filter(Boolean).join(' ');
+
+// Registers list students by name, before and after submission alike
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+const findClass = (school, classId) => {
+  const schoolClass = (school.academic?.classes || []).find((c) => c.id === classId);
+
+  if (!schoolClass) {
+    throw attendanceError('INVALID_CLASS', 'Invalid class', { classId: 'This class is not set up for your school' });
+  }
+
+  return schoolClass;
+};
+
+// Active students of a class in register order
+const classRoster = async (db, schoolId, classId) => {
+  const snapshot = await db
+    .collection('students')
+    .where('schoolId', '==', schoolId)
+    .where('classId', '==', classId)
+    .where('status', '==', 'active')
+    .get();
+
+  return snapshot.docs
+    .map((doc) => ({
+      studentId: doc.id,
+      name: studentName(doc.data()),
+      admissionNumber: doc.data().admissionNumber,
+      stream: doc.data().stream || '',
+    }))
+    .sort(byName);
+};
+
+const countEntries = (entries) =>
+  Object.values(entries).reduce((counts, entry) => {
+    counts[entry.status] += 1;
+    counts.total += 1;
+    return counts;
+  }, emptyCounts());
+
+const addCounts = (target, counts) => {
+  Object.keys(target).forEach((key) => {
+    target[key] += counts[key] || 0;
+  });
+  return target;
+};
+
+const withRate = (counts) => ({ ...counts, rate: attendanceRate(counts) });
+
+// Rejects entries for students who aren't on the roster or appear twice
+const checkEntries = (entries, roster) => {
+  const onRoster = new Set(roster.map((student) => student.studentId));
+  const seen = new Set();
+  const fields = {};
+
+  entries.forEach((entry, index) => {
+    if (!onRoster.has(entry.studentId)) {
+      fields[`entries.${index}.studentId`] = 'This student is not active in this class';
+    } else if (seen.has(entry.studentId)) {
+      fields[`entries.${index}.studentId`] = 'This student is marked twice';
+    }
+    seen.add(entry.studentId);
+  });
+
+  if (Object.keys(fields).length) {
+    throw attendanceError('INVALID_REGISTER', 'The register lists students who are not in this class', fields);
+  }
+};
+
+// A teacher's register for a class and day. The whole class has to be
+// marked, and a day can only be submitted once; later changes are
+// corrections.
+const submitRegister = async (db, { schoolId, school, classId, date, entries, actor }) => {
+  const schoolClass = findClass(school, classId);
+
+  if (date > schoolDate()) {
+    throw attendanceError('INVALID_DATE', 'Attendance cannot be taken in advance', { date: 'This day has not started yet' });
+  }
+
+  const roster = await classRoster(db, schoolId, classId);
+  checkEntries(entries, roster);
+
+  const marked = new Map(entries.map((entry) => [entry.studentId, entry]));
+  const missing = roster.filter((student) => !marked.has(student.studentId));
+
+  if (missing.length) {
+    throw attendanceError(
+      'INVALID_REGISTER',
+      `Mark every student before submitting. Missing: ${missing.slice(0, 5).map((s) => s.name).join(', ')}${
+        missing.length > 5 ? ` and ${missing.length - 5} more` : ''
+      }`
+    );
+  }
+
+  const registerEntries = Object.fromEntries(
+    roster.map(({ studentId, name, admissionNumber, stream }) => {
+      const { status, note } = marked.get(studentId);
+      return [studentId, { name, admissionNumber, stream, status, note: note || '' }];
+    })
+  );
+
+  const ref = registerRef(db, schoolId, classId, date);
+
+  await db.runTransaction(async (tx) => {
+    const existing = await tx.get(ref);
+
+    if (existing.exists) {
+      throw attendanceError(
+        'REGISTER_EXISTS',
+        `The register for ${schoolClass.name} on ${date} was already submitted. Ask an administrator to correct it.`
+      );
+    }
+
+    tx.create(ref, {
+      schoolId,
+      classId,
+      className: schoolClass.name,
+      date,
+      entries: registerEntries,
+      studentIds: Object.keys(registerEntries),
+      counts: countEntries(registerEntries),
+      correctionCount: 0,
+      // Picked up by the absence-alerts function
+      alertsPending: Object.values(registerEntries).some((entry) => entry.status === 'absent'),
+      submittedBy: actor.userId,
+      submittedByEmail: actor.email || null,
+      submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+
+  return ref;
+};
+
+// Changes entries of a submitted register. Students missing from it, such
+// as ones admitted later that day, can be added if they are active in the
+// class. Resolves to the correction, or throws NOTHING_TO_CORRECT.
+const correctRegister = async (db, { schoolId, registerDoc, entries, reason, actor }) => {
+  const register = registerDoc.data();
+  const newIds = entries.map((entry) => entry.studentId).filter((id) => !register.entries[id]);
+  const roster = newIds.length ? await classRoster(db, schoolId, register.classId) : [];
+
+  checkEntries(
+    entries,
+    [...Object.keys(register.entries).map((studentId) => ({ studentId })), ...roster]
+  );
+
+  const rosterById = new Map(roster.map((student) => [student.studentId, student]));
+  const correctionRef = db.collection('attendanceCorrections').doc();
+
+  return db.runTransaction(async (tx) => {
+    const current = (await tx.get(registerDoc.ref)).data();
+    const updatedEntries = { ...current.entries };
+    const changes = [];
+
+    entries.forEach(({ studentId, status, note }) => {
+      const before = current.entries[studentId];
+      const after = before || rosterById.get(studentId);
+      const nextNote = note ?? before?.note ?? '';
+
+      if (before && before.status === status && before.note === nextNote) return;
+
+      updatedEntries[studentId] = {
+        name: after.name,
+        admissionNumber: after.admissionNumber,
+        stream: after.stream || '',
+        status,
+        note: nextNote,
+      };
+      changes.push({
+        studentId,
+        name: after.name,
+        from: before?.status || null,
+        to: status,
+        note: nextNote,
+      });
+    });
+
+    if (!changes.length) {
+      throw attendanceError('NOTHING_TO_CORRECT', 'These entries already match the register');
+    }
+
+    const correction = {
+      schoolId,
+      registerId: registerDoc.id,
+      classId: current.classId,
+      className: current.className,
+      date: current.date,
+      changes,
+      reason,
+      correctedBy: actor.userId,
+      correctedByEmail: actor.email || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    tx.update(registerDoc.ref, {
+      entries: updatedEntries,
+      studentIds: Object.keys(updatedEntries),
+      counts: countEntries(updatedEntries),
+      correctionCount: admin.firestore.FieldValue.increment(1),
+      ...(changes.some((change) => change.to === 'absent') && { alertsPending: true }),
+      lastCorrectedBy: actor.userId,
+      lastCorrectedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    tx.set(correctionRef, correction);
+
+    return { id: correctionRef.id, ...correction };
+  });
+};
+
+// { from, to } with the last DEFAULT_SUMMARY_DAYS as the default
+const summaryRange = ({ from, to } = {}) => {
+  const end = to || schoolDate();
+  const start = from || shiftDate(end, -(DEFAULT_SUMMARY_DAYS - 1));
+
+  if (start < shiftDate(end, -(MAX_SUMMARY_DAYS - 1))) {
+    throw attendanceError('INVALID_RANGE', `Summaries cover at most ${MAX_SUMMARY_DAYS} days`, {
+      from: `Choose a start within ${MAX_SUMMARY_DAYS} days of the end`,
+    });
+  }
+
+  return { from: start, to: end };
+};
+
+const registersBetween = (query, { from, to }) =>
+  query.where('date', '>=', from).where('date', '<=', to).orderBy('date').get();
+
+// Day by day and student by student totals for one class
+const classSummary = async (db, { schoolId, schoolClass, range }) => {
+  const snapshot = await registersBetween(
+    db.collection('attendanceRegisters').where('schoolId', '==', schoolId).where('classId', '==', schoolClass.id),
+    range
+  );
+
+  const totals = emptyCounts();
+  const students = new Map();
+
+  const days = snapshot.docs.map((doc) => {
+    const { date, counts, entries, correctionCount } = doc.data();
+    addCounts(totals, counts);
+
+    Object.entries(entries).forEach(([studentId, entry]) => {
+      if (!students.has(studentId)) {
+        students.set(studentId, { studentId, name: entry.name, admissionNumber: entry.admissionNumber, ...emptyCounts() });
+      }
+      const student = students.get(studentId);
+      student[entry.status] += 1;
+      student.total += 1;
+    });
+
+    return { registerId: doc.id, date, correctionCount, ...withRate(counts) };
+  });
+
+  return {
+    classId: schoolClass.id,
+    className: schoolClass.name,
+    ...range,
+    registerCount: days.length,
+    ...withRate(totals),
+    days,
+    students: [...students.values()]
+      .map(withRate)
+      .sort(byName),
+  };
+};
+
+// One student's days across whichever classes they were in
+const studentSummary = async (db, { schoolId, studentId, range }) => {
+  const snapshot = await registersBetween(
+    db
+      .collection('attendanceRegisters')
+      .where('schoolId', '==', schoolId)
+      .where('studentIds', 'array-contains', studentId),
+    range
+  );
+
+  const totals = emptyCounts();
+  const days = snapshot.docs.map((doc) => {
+    const { date, classId, className, entries } = doc.data();
+    const { status, note } = entries[studentId];
+    totals[status] += 1;
+    totals.total += 1;
+    return { registerId: doc.id, date, classId, className, status, note };
+  });
+
+  return { studentId, ...range, ...withRate(totals), days: days.reverse() };
+};
+
+// What the API returns for a register: entries as a list in register order
+const toRegisterResponse = (doc) => {
+  const { entries, studentIds, ...register } = doc.data();
+  return {
+    id: doc.id,
+    ...register,
+    entries: Object.entries(entries)
+      .map(([studentId, entry]) => ({ studentId, ...entry }))
+      .sort(byName),
+  };
+};
+
+// The whole school over a range, and how many classes are marked today
+const schoolSummary = async (db, { schoolId, school, range }) => {
+  const today = schoolDate();
+  const snapshot = await registersBetween(
+    db.collection('attendanceRegisters').where('schoolId', '==', schoolId).select('date', 'classId', 'counts'),
+    range
+  );
+
+  const totals = emptyCounts();
+  const markedToday = new Set();
+
+  snapshot.forEach((doc) => {
+    const { date, classId, counts } = doc.data();
+    addCounts(totals, counts);
+    if (date === today) markedToday.add(classId);
+  });
+
+  return {
+    ...range,
+    registerCount: snapshot.size,
+    ...withRate(totals),
+    today: {
+      date: today,
+      classesMarked: markedToday.size,
+      classCount: (school.academic?.classes || []).length,
+    },
+  };
+};
+
+module.exports = {
+  attendanceError,
+  registerId,
+  registerRef,
+  findClass,
+  classRoster,
+  submitRegister,
+  correctRegister,
+  summaryRange,
+  classSummary,
+  studentSummary,
+  schoolSummary,
+  toRegisterResponse,
+};
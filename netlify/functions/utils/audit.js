@@ -0,0 +1,14 @@
+const admin = require('firebase-admin');
+
+// Appends an entry to the `auditLogs` collection. Logging must never break
+// the request being audited, so failures are only reported.
+exports.logAudit = async (db, entry) => {
+  try {
+    await db.collection('auditLogs').add({
+      ...entry,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error('Audit log failed:', error);
+  }
+};
@@ -0,0 +1,91 @@
+const jwt = require('jsonwebtoken');
+const { checkSession, clientInfo } = require('./sessions');
+const { logAudit } = require('./audit');
+const { hasPermission } = require('../../../src/shared/permissions');
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Support staff viewing a school are read-only; ending the support session
+// is the one write they may make.
+const isBlockedForImpersonation = (event) =>
+  WRITE_METHODS.includes(event.httpMethod) && !event.path.endsWith('/auth/logout');
+
+// Verifies the bearer token of a request and that its session (jti) has not
+// been revoked. Resolves to the decoded token, or null when the caller
+// should answer 401.
+exports.authenticate = async (db, event) => {
+  const token = event.headers.authorization?.replace('Bearer ', '');
+  if (!token) return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  const session = await checkSession(db, decoded.jti, decoded.userId, event);
+  if (!session) return null;
+
+  // Every request made while impersonating is recorded, blocked or not
+  if (decoded.impersonatedBy) {
+    decoded.impersonated = true;
+    await logAudit(db, {
+      type: 'impersonation.request',
+      actorId: decoded.impersonatedBy,
+      actorEmail: decoded.impersonatorEmail,
+      schoolId: decoded.schoolId,
+      targetUserId: decoded.userId,
+      sessionId: decoded.jti,
+      method: event.httpMethod,
+      path: event.path,
+      blocked: isBlockedForImpersonation(event),
+      ip: clientInfo(event).ip,
+    });
+  }
+
+  return decoded;
+};
+
+// Call right after authenticate in every function: impersonation tokens are
+// read-only. Resolves to a 403 response to return, or null to carry on.
+exports.rejectImpersonatedWrite = (decoded, event, headers) => {
+  if (!decoded?.impersonatedBy || !isBlockedForImpersonation(event)) return null;
+
+  return {
+    statusCode: 403,
+    headers,
+    body: JSON.stringify({
+      error: 'Support sessions are read-only',
+      code: 'IMPERSONATION_READ_ONLY',
+    }),
+  };
+};
+
+// Whether the authenticated caller's role grants a permission
+exports.can = (decoded, permission) => hasPermission(decoded?.role, permission);
+
+// The token claim is trusted when true. Otherwise the user document is read,
+// in case the address was confirmed after the token was issued.
+exports.isEmailVerified = async (db, decoded) => {
+  if (decoded.emailVerified !== false) return true;
+
+  const userDoc = await db.collection('users').doc(decoded.userId).get();
+  return userDoc.data()?.emailVerified !== false;
+};
+
+// Payments and app builds stay closed until the address is confirmed
+exports.emailNotVerified = (headers) => ({
+  statusCode: 403,
+  headers,
+  body: JSON.stringify({
+    error: 'Please verify your email address first. Check your inbox for the verification link.',
+    code: 'EMAIL_NOT_VERIFIED',
+  }),
+});
+
+exports.forbidden = (headers) => ({
+  statusCode: 403,
+  headers,
+  body: JSON.stringify({ error: 'You do not have permission to perform this action' }),
+});
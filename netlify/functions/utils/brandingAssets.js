@@ -0,0 +1,103 @@
+const cloudinary = require('./cloudinary');
+
+// Everything the branded mobile app and the school's PWA need is derived
+// from the one uploaded logo. With Cloudinary that costs nothing up front:
+// each asset is a transformation URL that is rendered on first request.
+// Rendering goes through a renderer that can be swapped out, so tests and
+// local development don't depend on Cloudinary.
+
+const ICON_SIZES = [48, 72, 96, 128, 144, 152, 192, 256, 384, 512];
+const MASKABLE_SIZES = [192, 512];
+const FAVICON_SIZES = [16, 32, 48];
+const APPLE_TOUCH_SIZE = 180;
+
+// Cordova's universal splash: one square image, cropped per device
+const SPLASH_SIZE = 2732;
+const SPLASH_LOGO_SIZE = 640;
+
+// Maskable icons get cropped to a circle or squircle by the launcher, and
+// only the centre 80% is guaranteed to be visible
+const MASKABLE_SAFE_ZONE = 0.8;
+
+const DEFAULT_BACKGROUND = '#ffffff';
+
+// A renderer turns a stored logo and a list of steps into an asset URL.
+// Steps are { width, height, background? }: the first scales the logo to fit
+// width x height, later ones only add padding around the result. Padding
+// uses the background colour, or stays transparent without one.
+const cloudinaryRenderer = {
+  render: (publicId, steps, { format = 'png', version } = {}) =>
+    cloudinary.url(publicId, {
+      secure: true,
+      format,
+      version,
+      transformation: steps.map(({ width, height, background }, index) => ({
+        width,
+        height,
+        // lpad never scales up, so the logo keeps the size of the first step
+        crop: index === 0 ? 'pad' : 'lpad',
+        background: background ? `rgb:${background.replace('#', '')}` : 'transparent',
+      })),
+    }),
+};
+
+// Stand-in for local development: predictable URLs served from baseUrl,
+// with the requested steps spelled out in the query string.
+const createLocalRenderer = (baseUrl = 'http://localhost:8888/branding') => ({
+  render: (publicId, steps, { format = 'png', version } = {}) => {
+    const query = steps
+      .map(({ width, height, background }) => `${width}x${height}${background ? `@${background.replace('#', '')}` : ''}`)
+      .join(',');
+    return `${baseUrl}/${publicId}.${format}?steps=${encodeURIComponent(query)}${version ? `&v=${version}` : ''}`;
+  },
+});
+
+let renderer = process.env.BRANDING_RENDERER === 'local' ? createLocalRenderer() : cloudinaryRenderer;
+
+// Replaces the renderer. Call with no argument to restore Cloudinary.
+const setAssetRenderer = (replacement) => {
+  renderer = replacement || cloudinaryRenderer;
+};
+
+const square = (size, background) => ({ width: size, height: size, background });
+
+// All derived assets of a logo, ready to store under `branding.assets`.
+// `background` fills maskable icons, the apple touch icon and the splash.
+// Passing the upload's version keeps devices from caching an older logo.
+const buildBrandingAssets = (publicId, { background = DEFAULT_BACKGROUND, version } = {}) => {
+  const render = (steps, format) => renderer.render(publicId, steps, { format, version });
+
+  return {
+    source: publicId,
+    version: version || null,
+    background,
+    icons: ICON_SIZES.map((size) => ({ size, url: render([square(size)]) })),
+    maskable: MASKABLE_SIZES.map((size) => ({
+      size,
+      url: render([square(Math.round(size * MASKABLE_SAFE_ZONE)), square(size, background)]),
+    })),
+    favicons: FAVICON_SIZES.map((size) => ({ size, url: render([square(size)]) })),
+    faviconIco: render([square(48)], 'ico'),
+    appleTouchIcon: render([square(APPLE_TOUCH_SIZE, background)]),
+    splash: {
+      size: SPLASH_SIZE,
+      url: render([square(SPLASH_LOGO_SIZE), square(SPLASH_SIZE, background)]),
+    },
+    generatedAt: new Date().toISOString(),
+  };
+};
+
+// The icon closest to (and at least) a size, falling back to the largest
+const iconForSize = (assets, size) => {
+  const icons = assets?.icons || [];
+  return (icons.find((icon) => icon.size >= size) || icons[icons.length - 1])?.url || null;
+};
+
+module.exports = {
+  ICON_SIZES,
+  MASKABLE_SIZES,
+  createLocalRenderer,
+  setAssetRenderer,
+  buildBrandingAssets,
+  iconForSize,
+};
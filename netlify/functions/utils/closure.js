@@ -0,0 +1,360 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const cloudinary = require('./cloudinary');
+const { generateToken, hashToken } = require('./tokens');
+const { revokeSessions } = require('./sessions');
+const { clearLoginFailures } = require('./loginGuard');
+const { TENANT_COLLECTIONS } = require('./tenantCollections');
+
+const CLOSURE_CONFIRM_TTL_MS = 60 * 60 * 1000; // 1 hour, matches the email copy
+
+// A closed school can be restored by its owner for this long, after which
+// the scheduled purge deletes it for good
+const CLOSURE_GRACE_PERIOD_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Besides TENANT_COLLECTIONS, these hold per-school records that only exist
+// to run the platform and are purged with the school
+const PLATFORM_COLLECTIONS = ['sessions', 'refreshTokens', 'subdomainRedirects', 'closureRequests', 'admissionNumbers'];
+
+// Audit entries record what support staff did inside a school, so they
+// outlive it. The purge only removes these fields from them.
+const AUDIT_PERSONAL_FIELDS = ['ip', 'actorEmail'];
+
+// Short-lived records that are keyed to a user rather than a school
+const USER_COLLECTIONS = ['emailVerifications', 'passwordResets', 'accountUnlocks'];
+
+const BATCH_SIZE = 400;
+
+const closureError = (code, message) => Object.assign(new Error(message), { code });
+
+// Stores a single-use confirmation for the owner's closure request.
+// Resolves to the plain token for the emailed link.
+const requestClosure = async (db, { schoolId, userId, reason }) => {
+  const token = generateToken();
+
+  await db.collection('closureRequests').add({
+    schoolId,
+    userId,
+    reason: reason || null,
+    tokenHash: hashToken(token),
+    expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + CLOSURE_CONFIRM_TTL_MS),
+    usedAt: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return token;
+};
+
+// Closes the school once the emailed token checks out. Everyone else at the
+// school is signed out and any active subscription is cancelled.
+// Resolves to the purge date, or throws with code 'INVALID_TOKEN'.
+const confirmClosure = async (db, { schoolId, userId, token, sessionId }) => {
+  const requests = await db
+    .collection('closureRequests')
+    .where('tokenHash', '==', hashToken(token))
+    .limit(1)
+    .get();
+
+  if (requests.empty) {
+    throw closureError('INVALID_TOKEN', 'This confirmation link is invalid');
+  }
+
+  const requestRef = requests.docs[0].ref;
+  const schoolRef = db.collection('schools').doc(schoolId);
+  const purgeAfter = new Date(Date.now() + CLOSURE_GRACE_PERIOD_MS);
+
+  await db.runTransaction(async (transaction) => {
+    const [requestDoc, schoolDoc] = await Promise.all([
+      transaction.get(requestRef),
+      transaction.get(schoolRef),
+    ]);
+    const request = requestDoc.data();
+
+    if (
+      request.usedAt ||
+      request.schoolId !== schoolId ||
+      request.userId !== userId ||
+      request.expiresAt.toMillis() < Date.now()
+    ) {
+      throw closureError('INVALID_TOKEN', 'This confirmation link is invalid or has expired');
+    }
+
+    if (schoolDoc.data().status === 'closed') {
+      throw closureError('ALREADY_CLOSED', 'This school is already closed');
+    }
+
+    transaction.update(requestRef, { usedAt: admin.firestore.FieldValue.serverTimestamp() });
+    transaction.update(schoolRef, {
+      status: 'closed',
+      closure: {
+        closedAt: admin.firestore.FieldValue.serverTimestamp(),
+        closedBy: userId,
+        reason: request.reason,
+        purgeAfter: admin.firestore.Timestamp.fromDate(purgeAfter),
+      },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+
+  const [subscriptions, users] = await Promise.all([
+    db.collection('subscriptions').where('schoolId', '==', schoolId).where('status', '==', 'active').get(),
+    db.collection('users').where('schoolId', '==', schoolId).get(),
+  ]);
+
+  const batch = db.batch();
+  subscriptions.forEach((doc) =>
+    batch.update(doc.ref, {
+      status: 'cancelled',
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+      cancelReason: 'school-closed',
+    })
+  );
+  await batch.commit();
+
+  // The owner keeps the session they confirmed from, to be able to restore
+  await Promise.all(
+    users.docs.map((doc) =>
+      revokeSessions(db, doc.id, {
+        exceptSessionId: doc.id === userId ? sessionId : null,
+        reason: 'school-closed',
+      })
+    )
+  );
+
+  return purgeAfter;
+};
+
+// Reopens a closed school within its grace period. Cancelled subscriptions
+// stay cancelled. Throws with code 'NOT_CLOSED' or 'PURGE_STARTED'.
+const restoreSchool = async (db, { schoolId, userId }) => {
+  const schoolRef = db.collection('schools').doc(schoolId);
+
+  await db.runTransaction(async (transaction) => {
+    const school = (await transaction.get(schoolRef)).data();
+
+    if (school.status !== 'closed') {
+      throw closureError('NOT_CLOSED', 'This school is not closed');
+    }
+
+    if (school.closure.purgeAfter.toMillis() <= Date.now()) {
+      throw closureError('PURGE_STARTED', 'This school can no longer be restored');
+    }
+
+    transaction.update(schoolRef, {
+      status: 'active',
+      closure: admin.firestore.FieldValue.delete(),
+      restoredAt: admin.firestore.FieldValue.serverTimestamp(),
+      restoredBy: userId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  });
+};
+
+// Deletes every document a query matches, a batch at a time, counting
+// each batch under `purge.documents.<counter>` on the school in the same
+// write. Resolves to whether it got through them all before `deadline`.
+const purgeQuery = async (db, query, { schoolRef, counter, deadline }) => {
+  for (;;) {
+    if (Date.now() >= deadline) return false;
+
+    const page = await query.limit(BATCH_SIZE).get();
+    if (page.empty) return true;
+
+    const batch = db.batch();
+    page.forEach((doc) => batch.delete(doc.ref));
+    batch.update(schoolRef, { [`purge.documents.${counter}`]: admin.firestore.FieldValue.increment(page.size) });
+    await batch.commit();
+  }
+};
+
+// Strips AUDIT_PERSONAL_FIELDS from a purged school's audit entries and
+// marks them. Safe to repeat. Resolves to whether it got through them all
+// before `deadline`.
+const anonymizeAuditLogs = async (db, schoolId, { deadline }) => {
+  const strip = Object.fromEntries(AUDIT_PERSONAL_FIELDS.map((field) => [field, admin.firestore.FieldValue.delete()]));
+  let last = null;
+
+  for (;;) {
+    if (Date.now() >= deadline) return false;
+
+    let query = db
+      .collection('auditLogs')
+      .where('schoolId', '==', schoolId)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(BATCH_SIZE);
+    if (last) query = query.startAfter(last);
+
+    const page = await query.get();
+    if (page.empty) return true;
+
+    const batch = db.batch();
+    page.forEach((doc) => batch.update(doc.ref, { ...strip, schoolPurged: true }));
+    await batch.commit();
+
+    last = page.docs[page.docs.length - 1];
+  }
+};
+
+// { resourceType, type, publicId } of an asset served from our Cloudinary
+// account, or null for anything hosted elsewhere
+const cloudinaryAsset = (url) => {
+  const match = String(url || '').match(
+    /^https?:\/\/res\.cloudinary\.com\/([^/]+)\/(image|raw|video)\/(upload|authenticated|private)\/(?:v\d+\/)?(.+)$/
+  );
+
+  if (!match || match[1] !== process.env.CLOUDINARY_CLOUD_NAME) return null;
+
+  // Image and video ids carry no extension, raw ids keep theirs
+  const publicId = match[2] === 'raw' ? match[4] : match[4].replace(/\.[^/.]+$/, '');
+
+  return { resourceType: match[2], type: match[3], publicId };
+};
+
+// Removes the logo, data exports and app packages we host for a school.
+// Resolves to { deleted: [publicId], retained: [url] }, where retained are
+// artifacts stored outside Cloudinary that have to be removed by hand.
+const purgeAssets = async (schoolId, builds) => {
+  const deleted = [];
+  const retained = [];
+
+  const logoId = `school_logos/school-${schoolId}`;
+  const logo = await cloudinary.uploader.destroy(logoId, { invalidate: true });
+  if (logo.result === 'ok') deleted.push(logoId);
+
+  const exports = await cloudinary.api.delete_resources_by_prefix(`data_exports/${schoolId}_`, {
+    resource_type: 'raw',
+    type: 'authenticated',
+  });
+  deleted.push(...Object.keys(exports.deleted || {}));
+
+  for (const build of builds) {
+    if (!build.downloadUrl) continue;
+
+    const asset = cloudinaryAsset(build.downloadUrl);
+    if (!asset) {
+      retained.push(build.downloadUrl);
+      continue;
+    }
+
+    await cloudinary.uploader.destroy(asset.publicId, {
+      resource_type: asset.resourceType,
+      type: asset.type,
+      invalidate: true,
+    });
+    deleted.push(asset.publicId);
+  }
+
+  return { deleted, retained };
+};
+
+// Permanently deletes a closed school: its files first, then every document
+// but the anonymised audit trail, then the school itself. Records and
+// resolves to a deletion certificate listing what was removed, with a
+// digest so later copies can be checked.
+//
+// The work runs in steps and stops between batches once `deadline` (a
+// timestamp) passes, resolving to null. Finished steps and running
+// document counts are kept on the school under `purge`, so the next run
+// carries on and the certificate counts everything deleted.
+const purgeSchool = async (db, schoolDoc, { deadline = Infinity } = {}) => {
+  const schoolId = schoolDoc.id;
+  const schoolRef = schoolDoc.ref;
+  const progress = schoolDoc.data().purge || {};
+  const done = new Set(progress.done || []);
+
+  const finishStep = (step, fields = {}) => {
+    done.add(step);
+    return schoolRef.update({ ...fields, 'purge.done': admin.firestore.FieldValue.arrayUnion(step) });
+  };
+
+  // The owner is looked up before their account goes
+  if (!done.has('assets')) {
+    const [users, builds] = await Promise.all([
+      db.collection('users').where('schoolId', '==', schoolId).get(),
+      db.collection('appBuilds').where('schoolId', '==', schoolId).get(),
+    ]);
+    const owner = users.docs.find((doc) => doc.data().role === 'owner')?.data();
+    const assets = await purgeAssets(schoolId, builds.docs.map((doc) => doc.data()));
+
+    await finishStep('assets', {
+      'purge.assets': assets,
+      'purge.ownerEmail': owner?.email || schoolDoc.data().adminEmail || null,
+      'purge.startedAt': admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  // Records keyed to the school's users go before the users themselves
+  const userSteps = [...USER_COLLECTIONS.map((name) => `users:${name}`), 'users:loginAttempts'];
+  if (userSteps.some((step) => !done.has(step))) {
+    const users = await db.collection('users').where('schoolId', '==', schoolId).get();
+
+    for (const name of USER_COLLECTIONS) {
+      if (done.has(`users:${name}`)) continue;
+
+      for (const user of users.docs) {
+        const query = db.collection(name).where('userId', '==', user.id);
+        if (!(await purgeQuery(db, query, { schoolRef, counter: name, deadline }))) return null;
+      }
+      await finishStep(`users:${name}`);
+    }
+
+    // Lockout counters are keyed by a hash of the address
+    if (!done.has('users:loginAttempts')) {
+      await Promise.all(
+        users.docs
+          .filter((doc) => doc.data().email)
+          .map((doc) => clearLoginFailures(db, { email: doc.data().email }))
+      );
+      await finishStep('users:loginAttempts');
+    }
+  }
+
+  const collections = [...TENANT_COLLECTIONS.map(({ name }) => name), ...PLATFORM_COLLECTIONS];
+  for (const name of collections) {
+    if (done.has(name)) continue;
+
+    const query = db.collection(name).where('schoolId', '==', schoolId);
+    if (!(await purgeQuery(db, query, { schoolRef, counter: name, deadline }))) return null;
+    await finishStep(name);
+  }
+
+  if (!done.has('auditLogs')) {
+    if (!(await anonymizeAuditLogs(db, schoolId, { deadline }))) return null;
+    await finishStep('auditLogs');
+  }
+
+  const [current, auditLogs] = await Promise.all([
+    schoolRef.get(),
+    db.collection('auditLogs').where('schoolId', '==', schoolId).count().get(),
+  ]);
+  const school = current.data();
+
+  await schoolRef.delete();
+
+  const certificate = {
+    schoolId,
+    schoolName: school.identity?.name || school.name,
+    subdomain: school.subdomain,
+    ownerEmail: school.purge.ownerEmail,
+    closedAt: school.closure?.closedAt?.toDate().toISOString() || null,
+    closedBy: school.closure?.closedBy || null,
+    purgedAt: new Date().toISOString(),
+    documents: { ...school.purge.documents, schools: 1 },
+    retained: { auditLogs: auditLogs.data().count },
+    assets: school.purge.assets,
+  };
+
+  const digest = crypto.createHash('sha256').update(JSON.stringify(certificate)).digest('hex');
+  const certificateRef = await db.collection('deletionCertificates').add({ ...certificate, digest });
+
+  return { id: certificateRef.id, ...certificate, digest };
+};
+
+module.exports = {
+  CLOSURE_CONFIRM_TTL_MS,
+  CLOSURE_GRACE_PERIOD_MS,
+  requestClosure,
+  confirmClosure,
+  restoreSchool,
+  purgeSchool,
+};
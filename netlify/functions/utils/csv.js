@@ -0,0 +1,116 @@
+// Plain values for export files: Firestore timestamps become ISO strings and
+// nested objects are kept as they are.
+const toPlain = (value) => {
+  if (value === null || value === undefined) return value ?? null;
+  if (typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, toPlain(nested)]));
+  }
+  return value;
+};
+
+// { a: { b: 1 }, c: [1, 2] } -> { 'a.b': 1, c: '[1,2]' }
+const flatten = (value, prefix = '', into = {}) => {
+  Object.entries(value || {}).forEach(([key, nested]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+
+    if (nested && typeof nested === 'object' && !Array.isArray(nested)) {
+      flatten(nested, column, into);
+    } else {
+      into[column] = Array.isArray(nested) ? JSON.stringify(nested) : nested;
+    }
+  });
+
+  return into;
+};
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Rows of (possibly nested) objects to CSV text. Columns are the union of
+// all flattened keys, `id` first when present.
+const toCsv = (rows) => {
+  const flatRows = rows.map((row) => flatten(toPlain(row)));
+  const columns = [...new Set(flatRows.flatMap((row) => Object.keys(row)))];
+
+  if (columns.includes('id')) {
+    columns.splice(columns.indexOf('id'), 1);
+    columns.unshift('id');
+  }
+
+  const lines = [columns.map(escapeCell).join(',')];
+  flatRows.forEach((row) => {
+    lines.push(columns.map((column) => escapeCell(row[column])).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const countOf = (text, char) => text.split(char).length - 1;
+
+// CSV text as saved by Excel, Google Sheets or LibreOffice to rows of
+// cells. The delimiter is read off the header line, since Excel saves with
+// semicolons in locales that use a decimal comma.
+const parseCsv = (input) => {
+  const text = String(input).replace(/^\uFEFF/, '');
+  const header = text.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t'].reduce(
+    (best, candidate) => (countOf(header, candidate) > countOf(header, best) ? candidate : best),
+    ','
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+module.exports = { toPlain, toCsv, parseCsv };
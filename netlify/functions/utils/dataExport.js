@@ -0,0 +1,122 @@
+const archiver = require('archiver');
+const cloudinary = require('./cloudinary');
+const { toPlain, toCsv } = require('./csv');
+const { TENANT_COLLECTIONS, readTenantCollection } = require('./tenantCollections');
+
+// Download links for a finished export stay valid this long. The archive
+// itself is private, so the signed link is the only way in.
+const EXPORT_LINK_TTL_MS = 48 * 60 * 60 * 1000; // 48 hours
+
+const EXPORT_FOLDER = 'data_exports';
+
+// Background functions are stopped after 15 minutes. An export still
+// pending or processing after that was lost with its function and will
+// never finish on its own.
+const EXPORT_TIME_LIMIT_MS = 15 * 60 * 1000;
+
+const EXPORT_STALLED_ERROR = 'The export took too long and was stopped. Please request a new one.';
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : value ? new Date(value).getTime() : null);
+
+// Whether an unfinished export has outlived any function building it
+const isExportStalled = (request, now = Date.now()) => {
+  if (!['pending', 'processing'].includes(request.status)) return false;
+
+  const since = toMillis(request.startedAt) || toMillis(request.createdAt);
+  return Boolean(since) && now - since > EXPORT_TIME_LIMIT_MS;
+};
+
+const README = (school, generatedAt) => `Data export for ${school.identity?.name || school.name || 'your school'}
+Generated ${generatedAt}
+
+Every file comes as JSON (complete, nested) and CSV (flattened, one row
+per record, nested fields as dotted column names).
+
+school.json            The school profile, settings and subscription
+billing-history.*      Payments recorded against the subscription
+academic/classes.*     Classes set up for the school
+academic/subjects.*    Subjects set up for the school
+students.*             Students with their classes and guardians
+attendanceRegisters.*  Daily class registers, one record per class and day
+attendanceCorrections.*
+                       Changes made to submitted registers and why
+<collection>.*         Staff, parents, invitations, subscriptions,
+                       payments, app builds and other records
+
+Passwords, two-factor secrets and other credentials are not included.
+`;
+
+const json = (value) => JSON.stringify(toPlain(value), null, 2);
+
+const appendTable = (archive, name, rows) => {
+  archive.append(json(rows), { name: `${name}.json` });
+  archive.append(toCsv(rows), { name: `${name}.csv` });
+};
+
+// Uploads whatever the archive produces as a private raw file.
+// Resolves once Cloudinary has stored all of it.
+const uploadArchive = (archive, publicId) =>
+  new Promise((resolve, reject) => {
+    const upload = cloudinary.uploader.upload_stream(
+      {
+        resource_type: 'raw',
+        type: 'authenticated',
+        folder: EXPORT_FOLDER,
+        public_id: publicId,
+        format: 'zip',
+      },
+      (error, result) => (error ? reject(error) : resolve(result))
+    );
+
+    archive.on('error', reject);
+    archive.pipe(upload);
+  });
+
+// Builds the ZIP of everything a school has stored with us and uploads it.
+// Collections are read and appended one at a time, so only one of them is
+// in memory while the archive streams out.
+// Resolves to { publicId, bytes }.
+const buildSchoolExport = async (db, { schoolId, exportId }) => {
+  const schoolDoc = await db.collection('schools').doc(schoolId).get();
+  if (!schoolDoc.exists) {
+    throw new Error('School not found');
+  }
+
+  const school = schoolDoc.data();
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const uploaded = uploadArchive(archive, `${schoolId}_${exportId}`);
+
+  archive.append(README(school, new Date().toISOString()), { name: 'README.txt' });
+  archive.append(json({ id: schoolId, ...school }), { name: 'school.json' });
+
+  appendTable(archive, 'billing-history', school.billingHistory || []);
+  appendTable(archive, 'academic/classes', school.academic?.classes || []);
+  appendTable(archive, 'academic/subjects', school.academic?.subjects || []);
+
+  for (const collection of TENANT_COLLECTIONS) {
+    const rows = await readTenantCollection(db, schoolId, collection);
+    appendTable(archive, collection.name, rows);
+  }
+
+  await archive.finalize();
+  const result = await uploaded;
+
+  return { publicId: result.public_id, bytes: result.bytes };
+};
+
+// A signed link to a stored export that stops working at `expiresAt`
+const exportDownloadUrl = (publicId, expiresAt) =>
+  cloudinary.utils.private_download_url(publicId, 'zip', {
+    resource_type: 'raw',
+    type: 'authenticated',
+    expires_at: Math.floor(expiresAt.getTime() / 1000),
+  });
+
+module.exports = {
+  EXPORT_LINK_TTL_MS,
+  EXPORT_TIME_LIMIT_MS,
+  EXPORT_STALLED_ERROR,
+  isExportStalled,
+  buildSchoolExport,
+  exportDownloadUrl,
+};
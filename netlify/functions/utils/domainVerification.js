@@ -0,0 +1,82 @@
+const dns = require('dns');
+const crypto = require('crypto');
+const { ROOT_DOMAIN } = require('./tenant');
+
+// Schools prove they own a custom domain by publishing a TXT record:
+//   _edumanager-verify.portal.myschool.ac.ke  TXT  "edumanager-verify=<token>"
+// Lookups go through a resolver that can be swapped out, so tests and local
+// development don't depend on real DNS.
+
+const RECORD_PREFIX = '_edumanager-verify';
+const VALUE_PREFIX = 'edumanager-verify=';
+
+let resolveTxt = (name) => dns.promises.resolveTxt(name);
+
+// Replaces the DNS resolver. It receives a record name and resolves to an
+// array of TXT records, each an array of strings (like dns.resolveTxt).
+// Call with no argument to restore the real one.
+const setTxtResolver = (resolver) => {
+  resolveTxt = resolver || ((name) => dns.promises.resolveTxt(name));
+};
+
+// 'https://Portal.MySchool.ac.ke/home' -> 'portal.myschool.ac.ke'. Null for
+// anything that isn't a plain public host name, and for our own domain.
+const normalizeDomain = (input) => {
+  const domain = String(input || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/\.$/, '');
+
+  const labels = domain.split('.');
+  const validLabel = (label) => /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(label);
+
+  if (domain.length > 253 || labels.length < 2 || !labels.every(validLabel)) return null;
+  if (!/^[a-z]{2,}$/.test(labels[labels.length - 1])) return null;
+  if (domain === ROOT_DOMAIN || domain.endsWith(`.${ROOT_DOMAIN}`)) return null;
+
+  return domain;
+};
+
+const createVerificationToken = () => crypto.randomBytes(16).toString('hex');
+
+// The record a school has to publish for a domain and token
+const verificationRecord = (domain, token) => ({
+  type: 'TXT',
+  name: `${RECORD_PREFIX}.${domain}`,
+  value: `${VALUE_PREFIX}${token}`,
+});
+
+// Resolves to { verified: true } or { verified: false, reason }.
+const checkDomainVerification = async (domain, token) => {
+  const record = verificationRecord(domain, token);
+
+  let records;
+  try {
+    records = await resolveTxt(record.name);
+  } catch (error) {
+    if (['ENOTFOUND', 'ENODATA', 'NXDOMAIN'].includes(error.code)) {
+      return { verified: false, reason: `No TXT record found at ${record.name}` };
+    }
+    console.error(`TXT lookup failed for ${record.name}:`, error);
+    return { verified: false, reason: 'DNS lookup failed, please try again later' };
+  }
+
+  // Long TXT values arrive split into chunks
+  const values = records.map((chunks) => [].concat(chunks).join('').trim());
+
+  if (values.includes(record.value)) {
+    return { verified: true };
+  }
+
+  return { verified: false, reason: `The TXT record at ${record.name} does not match` };
+};
+
+module.exports = {
+  setTxtResolver,
+  normalizeDomain,
+  createVerificationToken,
+  verificationRecord,
+  checkDomainVerification,
+};
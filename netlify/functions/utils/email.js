@@ -47,8 +47,78 @@ const templates = {
     `,
   }),
 
-  'login-alert': (data) => ({
-    subject: 'New Login Detected',
+  'verify-email': (data) => ({
+    subject: 'Confirm your email address',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #4CAF50, #2E7D32); color: white; padding: 30px; text-align: center; }
+          .content { padding: 30px; background: #f9f9f9; }
+          .button { display: inline-block; padding: 12px 30px; background: #4CAF50; color: white; text-decoration: none; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Confirm Your Email</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${data.name},</p>
+            <p>Please confirm that this is your email address. Payments and app builds are unlocked once it is verified.</p>
+            <div style="text-align: center;">
+              <a href="${data.verifyLink}" class="button">Verify Email</a>
+            </div>
+            <p>This link expires in 24 hours. If you didn't create an EduManagerPro account, you can ignore this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
+  'suspicious-login': (data) => ({
+    subject: 'New sign-in from an unrecognised device',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #ffc107, #e0a800); padding: 30px; text-align: center; }
+          .button { display: inline-block; padding: 12px 30px; background: #dc3545; color: white; text-decoration: none; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>New Sign-in Detected</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${data.name},</p>
+            <p>Your account was just used to sign in from a device or network we haven't seen before:</p>
+            <ul>
+              <li>Time: ${data.time}</li>
+              <li>IP: ${data.ip}</li>
+              <li>Device: ${data.device}</li>
+            </ul>
+            <p>If this was you, there is nothing to do. If it wasn't, reset your password right away. This signs you out everywhere:</p>
+            <div style="text-align: center;">
+              <a href="${data.resetLink}" class="button">Reset Password</a>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
+  'google-linked': (data) => ({
+    subject: 'Google sign-in added to your account',
     html: `
       <!DOCTYPE html>
       <html>
@@ -62,16 +132,49 @@ const templates = {
       <body>
         <div class="container">
           <div class="header">
-            <h1>New Login Alert</h1>
+            <h1>Google Sign-in Linked</h1>
           </div>
           <div class="content">
             <p>Hello ${data.name},</p>
-            <p>We detected a new login to your account:</p>
+            <p>Your EduManagerPro account can now be signed in to with the Google account for this address.</p>
             <ul>
               <li>Time: ${data.time}</li>
               <li>IP: ${data.ip}</li>
             </ul>
-            <p>If this wasn't you, please secure your account immediately.</p>
+            <p>If you didn't do this, contact support immediately.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
+  'account-locked': (data) => ({
+    subject: 'Your account has been temporarily locked',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #dc3545, #c82333); color: white; padding: 30px; text-align: center; }
+          .button { display: inline-block; padding: 12px 30px; background: #dc3545; color: white; text-decoration: none; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Account Locked</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${data.name},</p>
+            <p>There were too many failed attempts to sign in to your account (last one from IP ${data.ip}), so we've blocked new sign-ins for ${data.minutes} minutes.</p>
+            <p>If it was you, you can unlock your account straight away:</p>
+            <div style="text-align: center;">
+              <a href="${data.unlockLink}" class="button">Unlock My Account</a>
+            </div>
+            <p>This link expires in 24 hours. If it wasn't you, someone may be guessing your password. Consider <a href="${data.resetLink}">resetting it</a>.</p>
           </div>
         </div>
       </body>
@@ -110,6 +213,239 @@ const templates = {
       </html>
     `,
   }),
+
+  'staff-invite': (data) => ({
+    subject: `You're invited to join ${data.schoolName} on EduManagerPro`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #4CAF50, #2E7D32); color: white; padding: 30px; text-align: center; }
+          .content { padding: 30px; background: #f9f9f9; }
+          .button { display: inline-block; padding: 12px 30px; background: #4CAF50; color: white; text-decoration: none; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Join ${data.schoolName}</h1>
+          </div>
+          <div class="content">
+            <p>Hello${data.name ? ` ${data.name}` : ''},</p>
+            <p>${data.inviterName} has invited you to join <strong>${data.schoolName}</strong> on EduManagerPro as a <strong>${data.role}</strong>.</p>
+            <p>Click the button below to set your password and activate your account:</p>
+            <div style="text-align: center;">
+              <a href="${data.inviteLink}" class="button">Accept Invitation</a>
+            </div>
+            <p>This invitation expires in 7 days.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
+  'data-export-ready': (data) => ({
+    subject: `Your ${data.schoolName} data export is ready`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #4CAF50, #2E7D32); color: white; padding: 30px; text-align: center; }
+          .content { padding: 30px; background: #f9f9f9; }
+          .button { display: inline-block; padding: 12px 30px; background: #4CAF50; color: white; text-decoration: none; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Your Data Export</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${data.name},</h2>
+            <p>The export of all <strong>${data.schoolName}</strong> data you requested is ready. It is a ZIP archive with JSON and CSV files.</p>
+            <div style="text-align: center;">
+              <a href="${data.downloadLink}" class="button">Download Archive</a>
+            </div>
+            <p>This link expires on ${data.expiresAt}. After that, request a new export from Settings.</p>
+            <p>The archive contains personal data of your staff and parents, please store it securely.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
+  'school-closure-confirm': (data) => ({
+    subject: `Confirm closing ${data.schoolName}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #dc3545, #c82333); color: white; padding: 30px; text-align: center; }
+          .content { padding: 30px; background: #f9f9f9; }
+          .button { display: inline-block; padding: 12px 30px; background: #dc3545; color: white; text-decoration: none; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Close School Account</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${data.name},</h2>
+            <p>We received a request to close the <strong>${data.schoolName}</strong> account. Once you confirm, staff and parents can no longer sign in and the school portal goes offline.</p>
+            <p>You will have 30 days to change your mind. After that, all of the school's data is permanently deleted.</p>
+            <div style="text-align: center;">
+              <a href="${data.confirmLink}" class="button">Confirm Closure</a>
+            </div>
+            <p>This link expires in 1 hour. If you didn't ask to close your school, ignore this email and consider changing your password.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
+  'school-closed': (data) => ({
+    subject: `${data.schoolName} has been closed`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #4CAF50, #2E7D32); color: white; padding: 30px; text-align: center; }
+          .content { padding: 30px; background: #f9f9f9; }
+          .button { display: inline-block; padding: 12px 30px; background: #4CAF50; color: white; text-decoration: none; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>School Account Closed</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${data.name},</h2>
+            <p>The <strong>${data.schoolName}</strong> account is now closed.</p>
+            <p>You can restore it until <strong>${data.purgeAfter}</strong> by signing in and opening Settings. After that date all of its data is permanently deleted and cannot be recovered.</p>
+            <div style="text-align: center;">
+              <a href="${data.restoreLink}" class="button">Restore School</a>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
+  'school-deleted': (data) => ({
+    subject: `Deletion certificate for ${data.schoolName}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #4CAF50, #2E7D32); color: white; padding: 30px; text-align: center; }
+          .content { padding: 30px; background: #f9f9f9; }
+          .button { display: inline-block; padding: 12px 30px; background: #4CAF50; color: white; text-decoration: none; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Deletion Certificate</h1>
+          </div>
+          <div class="content">
+            <p>All data of <strong>${data.schoolName}</strong> (${data.subdomain}) was permanently deleted on ${data.purgedAt}.</p>
+            <p>
+              Certificate: <strong>${data.id}</strong><br>
+              Records deleted: ${Object.values(data.documents).reduce((sum, count) => sum + count, 0)}<br>
+              Files deleted: ${data.assets.deleted.length}<br>
+              SHA-256: <code>${data.digest}</code>
+            </p>
+            ${data.retained?.auditLogs ? `<p>We keep ${data.retained.auditLogs} record(s) of our support staff's access to your school, without IP or email addresses, as our audit trail.</p>` : ''}
+            <p>Keep this email as proof of deletion. Quote the certificate number if you contact us about it.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
+  'absence-alert': (data) => ({
+    subject: `Absence from ${data.schoolName} today / Kutokuwepo shuleni leo`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #4CAF50, #2E7D32); color: white; padding: 30px; text-align: center; }
+          .content { padding: 30px; background: #f9f9f9; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${data.schoolName}</h1>
+          </div>
+          <div class="content">
+            <p>${data.english}</p>
+            <hr>
+            <p>${data.swahili}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
+
+  'plan-usage-warning': (data) => ({
+    subject: `${data.schoolName} has used ${data.percent}% of its ${data.metric} limit`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: 'Segoe UI', sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #4CAF50, #2E7D32); color: white; padding: 30px; text-align: center; }
+          .content { padding: 30px; background: #f9f9f9; }
+          .button { display: inline-block; padding: 12px 30px; background: #4CAF50; color: white; text-decoration: none; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Approaching Your Plan Limit</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${data.name || 'there'},</h2>
+            <p><strong>${data.schoolName}</strong> has ${data.used} ${data.metric} of the ${data.limit} included in the ${data.planName} plan.</p>
+            <p>Once the limit is reached, no more can be added until you upgrade. Everything already recorded stays available.</p>
+            <div style="text-align: center;">
+              <a href="${data.upgradeLink}" class="button">Review Your Plan</a>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  }),
 };
 
 exports.sendEmail = async ({ to, template, data }) => {
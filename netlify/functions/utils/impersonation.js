@@ -0,0 +1,60 @@
+const admin = require('firebase-admin');
+const jwt = require('jsonwebtoken');
+const { clientInfo } = require('./sessions');
+const { logAudit } = require('./audit');
+
+const IMPERSONATION_TTL_MS = 30 * 60 * 1000; // 30 minutes, no refresh
+
+const isSuperAdmin = (decoded) => decoded?.platformRole === 'superadmin' && !decoded.impersonatedBy;
+
+// Opens a read-only session as the owner of a school on behalf of a support
+// user. The session belongs to the owner, so it shows up in their device list
+// and is closed by "sign out everywhere", but it gets no refresh token.
+// Resolves to { token, sessionId, expiresAt }.
+const startImpersonation = async (db, { support, owner, reason, event }) => {
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MS);
+
+  const sessionRef = await db.collection('sessions').add({
+    userId: owner.id,
+    schoolId: owner.schoolId,
+    deviceId: 'impersonation',
+    ...clientInfo(event),
+    impersonatedBy: support.userId,
+    impersonatorEmail: support.email,
+    impersonationReason: reason,
+    expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+    revokedAt: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  const token = jwt.sign(
+    {
+      userId: owner.id,
+      schoolId: owner.schoolId,
+      email: owner.email,
+      role: owner.role,
+      emailVerified: true,
+      impersonatedBy: support.userId,
+      impersonatorEmail: support.email,
+      readOnly: true,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: IMPERSONATION_TTL_MS / 1000, jwtid: sessionRef.id }
+  );
+
+  await logAudit(db, {
+    type: 'impersonation.start',
+    actorId: support.userId,
+    actorEmail: support.email,
+    schoolId: owner.schoolId,
+    targetUserId: owner.id,
+    sessionId: sessionRef.id,
+    reason,
+    ip: clientInfo(event).ip,
+  });
+
+  return { token, sessionId: sessionRef.id, expiresAt };
+};
+
+module.exports = { IMPERSONATION_TTL_MS, isSuperAdmin, startImpersonation };
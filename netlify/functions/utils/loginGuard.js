@@ -0,0 +1,178 @@
+const admin = require('firebase-admin');
+const { generateToken, hashToken } = require('./tokens');
+
+// Failed logins are counted per email and per IP in `loginAttempts`.
+// After a few free attempts every further one has to wait twice as long as
+// the previous, and too many failures lock the counter for a while.
+const LIMITS = {
+  email: { freeAttempts: 3, lockAfter: 10, lockMs: 30 * 60 * 1000 }, // 30 minutes
+  // A whole school can share one IP, so it gets more room
+  ip: { freeAttempts: 10, lockAfter: 50, lockMs: 60 * 60 * 1000 }, // 1 hour
+};
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const FAILURE_WINDOW_MS = 60 * 60 * 1000; // failures older than this are forgotten
+const UNLOCK_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours, matches the email copy
+const MAX_KNOWN_LOGINS = 20;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Document ids are hashed so arbitrary emails and IPv6 addresses are safe
+const attemptRefs = (db, { email, ip }) => ({
+  email: db.collection('loginAttempts').doc(`email_${hashToken(normalizeEmail(email))}`),
+  ip: db.collection('loginAttempts').doc(`ip_${hashToken(ip)}`),
+});
+
+const toDate = (value) => (value?.toDate ? value.toDate() : null);
+
+// Milliseconds until this counter accepts another attempt (0 = now)
+const waitFor = (attempts, limits, now) => {
+  if (!attempts) return 0;
+
+  const lockedUntil = toDate(attempts.lockedUntil);
+  if (lockedUntil && lockedUntil > now) {
+    return lockedUntil - now;
+  }
+
+  const lastFailureAt = toDate(attempts.lastFailureAt);
+  if (!lastFailureAt || now - lastFailureAt > FAILURE_WINDOW_MS) return 0;
+
+  const excess = (attempts.failures || 0) - limits.freeAttempts;
+  if (excess < 0) return 0;
+
+  const backoff = Math.min(1000 * 2 ** excess, MAX_BACKOFF_MS);
+  return Math.max(0, lastFailureAt.getTime() + backoff - now);
+};
+
+// Resolves to { allowed, locked, retryAfterSeconds } before any password check
+const checkLoginAllowed = async (db, { email, ip }) => {
+  const refs = attemptRefs(db, { email, ip });
+  const [emailDoc, ipDoc] = await Promise.all([refs.email.get(), refs.ip.get()]);
+  const now = new Date();
+
+  const emailWait = waitFor(emailDoc.data(), LIMITS.email, now);
+  const ipWait = waitFor(ipDoc.data(), LIMITS.ip, now);
+  const locked = [emailDoc, ipDoc].some((doc) => (toDate(doc.data()?.lockedUntil) || 0) > now);
+
+  const wait = Math.max(emailWait, ipWait);
+
+  return {
+    allowed: wait === 0,
+    locked,
+    retryAfterSeconds: Math.ceil(wait / 1000),
+  };
+};
+
+// Counts a failed attempt. Resolves to { emailLocked } which is true only for
+// the failure that triggered the lock, so the unlock email goes out once.
+const recordLoginFailure = async (db, { email, ip }) => {
+  const refs = attemptRefs(db, { email, ip });
+
+  return db.runTransaction(async (transaction) => {
+    const [emailDoc, ipDoc] = await Promise.all([
+      transaction.get(refs.email),
+      transaction.get(refs.ip),
+    ]);
+    const now = new Date();
+    const result = {};
+
+    [['email', emailDoc], ['ip', ipDoc]].forEach(([kind, doc]) => {
+      const attempts = doc.data() || {};
+      const limits = LIMITS[kind];
+      const lastFailureAt = toDate(attempts.lastFailureAt);
+      const stale = !lastFailureAt || now - lastFailureAt > FAILURE_WINDOW_MS;
+      const failures = (stale ? 0 : attempts.failures || 0) + 1;
+      const lockNow = failures >= limits.lockAfter;
+
+      transaction.set(refs[kind], {
+        kind,
+        failures: lockNow ? 0 : failures,
+        lastFailureAt: admin.firestore.Timestamp.fromDate(now),
+        lockedUntil: lockNow
+          ? admin.firestore.Timestamp.fromDate(new Date(now.getTime() + limits.lockMs))
+          : attempts.lockedUntil || null,
+      });
+
+      result[`${kind}Locked`] = lockNow;
+    });
+
+    return result;
+  });
+};
+
+// A successful login wipes the email's counter; the IP counter is left alone
+// because other people may be guessing from the same address.
+const clearLoginFailures = async (db, { email }) => {
+  await db.collection('loginAttempts').doc(`email_${hashToken(normalizeEmail(email))}`).delete();
+};
+
+// Issues a single-use link that lifts the lock on an email address
+const createUnlockToken = async (db, { email, userId }) => {
+  const token = generateToken();
+
+  await db.collection('accountUnlocks').add({
+    email: normalizeEmail(email),
+    userId,
+    tokenHash: hashToken(token),
+    usedAt: null,
+    expiresAt: admin.firestore.Timestamp.fromDate(new Date(Date.now() + UNLOCK_TOKEN_TTL_MS)),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return token;
+};
+
+// Resolves to true when the token was valid and the lock has been lifted
+const unlockAccount = async (db, token) => {
+  const unlocks = await db
+    .collection('accountUnlocks')
+    .where('tokenHash', '==', hashToken(token))
+    .limit(1)
+    .get();
+
+  if (unlocks.empty) return false;
+
+  const unlockRef = unlocks.docs[0].ref;
+
+  return db.runTransaction(async (transaction) => {
+    const unlockDoc = await transaction.get(unlockRef);
+    const unlock = unlockDoc.data();
+
+    if (unlock.usedAt || unlock.expiresAt.toDate() < new Date()) {
+      return false;
+    }
+
+    transaction.update(unlockRef, { usedAt: admin.firestore.FieldValue.serverTimestamp() });
+    transaction.delete(db.collection('loginAttempts').doc(`email_${hashToken(unlock.email)}`));
+
+    return true;
+  });
+};
+
+// Device + IP combinations a user has signed in from before are remembered
+// (hashed) so only unfamiliar ones trigger a security email.
+const loginFingerprint = ({ deviceId, ip }) => hashToken(`${deviceId || 'unknown'}|${ip}`);
+
+// Records the fingerprint and resolves to true if it had not been seen before.
+// Accounts without any history yet are not considered suspicious.
+const rememberLogin = async (db, user, fingerprint) => {
+  const knownLogins = user.knownLogins || [];
+  const known = knownLogins.includes(fingerprint);
+
+  await db.collection('users').doc(user.id).update({
+    knownLogins: [...knownLogins.filter((item) => item !== fingerprint), fingerprint].slice(-MAX_KNOWN_LOGINS),
+  });
+
+  return Boolean(user.knownLogins) && !known;
+};
+
+module.exports = {
+  EMAIL_LOCK_MINUTES: LIMITS.email.lockMs / 60000,
+  normalizeEmail,
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  createUnlockToken,
+  unlockAccount,
+  loginFingerprint,
+  rememberLogin,
+};
@@ -0,0 +1,175 @@
+const busboy = require('busboy');
+const createDOMPurify = require('dompurify');
+const { JSDOM } = require('jsdom');
+
+// Logos arrive either as multipart form data (field "logo") or, from older
+// clients, as a base64 data URL in a JSON body ({ image }). Either way the
+// bytes are checked here before anything reaches Cloudinary.
+
+const MAX_LOGO_BYTES = 2 * 1024 * 1024; // 2 MB, matches the Setup page copy
+
+const ALLOWED_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/svg+xml'];
+
+// Rejections carry the HTTP status to answer with and a code for the client
+const logoError = (statusCode, code, message) => Object.assign(new Error(message), { statusCode, code });
+
+// The real type of an upload, read from its first bytes rather than trusting
+// the file name or the declared type. Null for anything we don't accept.
+const sniffImageType = (buffer) => {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+
+  // SVG is text: an optional BOM, XML declaration, comments and doctype,
+  // then the <svg> root element
+  const head = buffer.subarray(0, 4096).toString('utf8').replace(/^\uFEFF/, '');
+  const prolog = /^\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>\s*)?(<!--[\s\S]*?-->\s*)*<svg[\s>]/i;
+  if (prolog.test(head)) {
+    return 'image/svg+xml';
+  }
+
+  return null;
+};
+
+// Elements that must never survive sanitising, with or without a
+// namespace prefix. A last check rejects any SVG that still names one.
+const SVG_BLOCKED_ELEMENTS = /<\s*(?:[\w.-]+:)?(?:script|foreignObject|iframe|object|embed|animate|animateMotion|animateTransform|set|handler|listener)\b/i;
+
+// Links may only point inside the SVG or at an embedded bitmap
+const SAFE_SVG_LINK = /^\s*(?:#|data:image\/(?:png|jpe?g|gif|webp)[;,])/i;
+
+// Created on first use, so requests without an SVG don't build a DOM
+let purifier = null;
+
+const svgPurifier = () => {
+  if (purifier) return purifier;
+
+  purifier = createDOMPurify(new JSDOM('').window);
+  purifier.addHook('uponSanitizeAttribute', (node, data) => {
+    if ((data.attrName === 'href' || data.attrName === 'xlink:href') && !SAFE_SVG_LINK.test(data.attrValue)) {
+      data.keepAttr = false;
+    }
+  });
+
+  return purifier;
+};
+
+// Rebuilds an SVG from a parsed DOM, keeping only DOMPurify's SVG
+// elements and attributes: no scripts, embedded HTML, animations or event
+// handlers. Stylesheets are then kept from loading anything external.
+// Throws when something blocked survives anyway.
+const sanitizeSvg = (svg) => {
+  const prolog = /^\uFEFF?\s*(<\?xml[^>]*\?>\s*)?(<!DOCTYPE[^[>]*(\[[\s\S]*?\])?\s*>)?/i;
+
+  const clean = svgPurifier()
+    .sanitize(svg.replace(prolog, ''), { USE_PROFILES: { svg: true, svgFilters: true } })
+    .replace(/&nbsp;/g, '&#160;')
+    .replace(/@import[^;]*;?/gi, '')
+    .replace(/url\(\s*(['"]?)\s*(?!#|data:image\/)[^)]*\)/gi, 'none');
+
+  if (SVG_BLOCKED_ELEMENTS.test(clean)) {
+    throw logoError(415, 'LOGO_UNSUPPORTED_TYPE', 'This SVG could not be made safe');
+  }
+
+  return clean;
+};
+
+// Reads the file part of a multipart request. Stops reading past the size
+// limit so an oversized upload isn't buffered in full.
+const readMultipart = (event) =>
+  new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: { 'content-type': event.headers['content-type'] || event.headers['Content-Type'] },
+        limits: { files: 1, fileSize: MAX_LOGO_BYTES },
+      });
+    } catch (error) {
+      reject(logoError(400, 'LOGO_INVALID_UPLOAD', 'Malformed upload'));
+      return;
+    }
+
+    let file = null;
+
+    parser.on('file', (name, stream, info) => {
+      if (name !== 'logo') {
+        stream.resume();
+        return;
+      }
+
+      const chunks = [];
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('limit', () => reject(logoError(413, 'LOGO_TOO_LARGE', 'Logo must be 2 MB or smaller')));
+      stream.on('end', () => {
+        file = { buffer: Buffer.concat(chunks), filename: info.filename };
+      });
+    });
+
+    parser.on('error', () => reject(logoError(400, 'LOGO_INVALID_UPLOAD', 'Malformed upload')));
+    parser.on('close', () => resolve(file));
+
+    parser.end(Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'binary'));
+  });
+
+// 'data:image/png;base64,iVBOR...' or bare base64 -> Buffer
+const decodeBase64Image = (image) => {
+  const base64 = String(image).replace(/^data:[^;,]*;base64,/, '');
+
+  if (!/^[A-Za-z0-9+/=\s]+$/.test(base64)) {
+    throw logoError(400, 'LOGO_INVALID_UPLOAD', 'Image must be base64 encoded');
+  }
+
+  return Buffer.from(base64, 'base64');
+};
+
+// The checked logo of an upload request as { buffer, type }. SVGs come back
+// sanitised. Throws an error with statusCode and code when it is rejected.
+const readLogoUpload = async (event, body) => {
+  const contentType = event.headers['content-type'] || event.headers['Content-Type'] || '';
+
+  let buffer = null;
+  if (contentType.startsWith('multipart/form-data')) {
+    buffer = (await readMultipart(event))?.buffer || null;
+  } else if (body.image) {
+    buffer = decodeBase64Image(body.image);
+  }
+
+  if (!buffer || !buffer.length) {
+    throw logoError(400, 'LOGO_MISSING', 'Choose an image to upload');
+  }
+
+  if (buffer.length > MAX_LOGO_BYTES) {
+    throw logoError(413, 'LOGO_TOO_LARGE', 'Logo must be 2 MB or smaller');
+  }
+
+  const type = sniffImageType(buffer);
+  if (!ALLOWED_TYPES.includes(type)) {
+    throw logoError(415, 'LOGO_UNSUPPORTED_TYPE', 'Logo must be a PNG, JPEG, WebP or SVG image');
+  }
+
+  if (type === 'image/svg+xml') {
+    const clean = sanitizeSvg(buffer.toString('utf8'));
+    if (!/<svg[\s>]/i.test(clean)) {
+      throw logoError(415, 'LOGO_UNSUPPORTED_TYPE', 'This SVG could not be read');
+    }
+    buffer = Buffer.from(clean, 'utf8');
+  }
+
+  return { buffer, type };
+};
+
+module.exports = {
+  MAX_LOGO_BYTES,
+  ALLOWED_TYPES,
+  sniffImageType,
+  sanitizeSvg,
+  readLogoUpload,
+};
@@ -0,0 +1,38 @@
+// Run with: node --test netlify/functions
+const test = require('node:test');
+const assert = require('node:assert');
+const { sanitizeSvg } = require('./logoUpload');
+
+const SVG_OPEN = '<svg xmlns="http://www.w3.org/2000/svg">';
+
+test('tags split around a removed tag do not join into a script', () => {
+  const clean = sanitizeSvg(`${SVG_OPEN}<scr<script/>ipt>alert(1)</scr<script/>ipt></svg>`);
+  assert.doesNotMatch(clean, /<script/i);
+});
+
+test('animations cannot set links or event handlers', () => {
+  const clean = sanitizeSvg(
+    `${SVG_OPEN}<a><animate attributeName="href" values="javascript:alert(1)"/><text>x</text></a>` +
+      '<set attributeName="onload" to="alert(1)"/></svg>'
+  );
+  assert.doesNotMatch(clean, /<(animate|set)\b|attributeName|javascript:/i);
+});
+
+test('namespace prefixes do not hide blocked elements', () => {
+  const clean = sanitizeSvg(
+    '<svg xmlns="http://www.w3.org/2000/svg" xmlns:s="http://www.w3.org/2000/svg">' +
+      '<s:set attributeName="onclick" to="alert(1)"/><s:script>alert(1)</s:script></svg>'
+  );
+  assert.doesNotMatch(clean, /<\s*s:|onclick/i);
+});
+
+test('external references are dropped and the drawing is kept', () => {
+  const clean = sanitizeSvg(
+    '<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10">' +
+      '<style>@import url(http://example.com/x.css); rect { fill: url(http://example.com/p) }</style>' +
+      '<image href="http://example.com/x.png"/><rect width="10" height="10" fill="red" onload="x()"/></svg>'
+  );
+  assert.doesNotMatch(clean, /example\.com|onload/);
+  assert.match(clean, /viewBox="0 0 10 10"/);
+  assert.match(clean, /<rect width="10" height="10" fill="red">/);
+});
@@ -0,0 +1,31 @@
+// Kenyan mobile numbers arrive as 07XX..., 7XX..., +2547XX... or 2547XX...
+// (and the newer 01XX... Safaricom/Airtel ranges). Everything is stored and
+// sent to M-Pesa / SMS gateways as 254XXXXXXXXX.
+const normalizePhone = (input) => {
+  const digits = String(input || '').replace(/[\s\-()+]/g, '');
+
+  let local;
+  if (/^254[17]\d{8}$/.test(digits)) {
+    local = digits.slice(3);
+  } else if (/^0[17]\d{8}$/.test(digits)) {
+    local = digits.slice(1);
+  } else if (/^[17]\d{8}$/.test(digits)) {
+    local = digits;
+  } else {
+    return null;
+  }
+
+  return `254${local}`;
+};
+
+// The ways a normalized number may have been typed into older records
+const phoneVariants = (normalized) => {
+  const local = normalized.slice(3);
+  return [normalized, `+${normalized}`, `0${local}`, local];
+};
+
+// 254712345678 -> +254 7** *** 678, for messages that shouldn't leak the number
+const maskPhone = (normalized) =>
+  `+254 ${normalized.charAt(3)}** *** ${normalized.slice(-3)}`;
+
+module.exports = { normalizePhone, phoneVariants, maskPhone };
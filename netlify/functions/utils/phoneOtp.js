@@ -0,0 +1,99 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+const OTP_TTL_MS = 5 * 60 * 1000; // 5 minutes, matches the SMS copy
+const MAX_VERIFY_ATTEMPTS = 5;
+const RESEND_INTERVAL_MS = 60 * 1000;
+const SEND_WINDOW_MS = 15 * 60 * 1000;
+const MAX_SENDS_PER_PHONE = 3; // per SEND_WINDOW_MS
+const IP_WINDOW_MS = 60 * 60 * 1000;
+const MAX_SENDS_PER_IP = 10; // per IP_WINDOW_MS
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : 0);
+
+// Only hashes are stored, salted with the number so equal codes differ
+const hashOtp = (phone, code) => hashToken(`${phone}:${code}`);
+
+// Counts a code request for the number and the caller's IP and, unless a
+// limit is hit, stores a fresh code. Numbers without an account (userId null)
+// are counted the same way but get no usable code, so the responses don't
+// reveal which numbers are registered.
+// Resolves to { code } or { retryAfterSeconds }.
+const issueOtp = async (db, { phone, userId, ip }) => {
+  const otpRef = db.collection('phoneOtps').doc(hashToken(phone));
+  const ipRef = db.collection('phoneOtpRequests').doc(`ip_${hashToken(ip)}`);
+
+  return db.runTransaction(async (transaction) => {
+    const [otpDoc, ipDoc] = await Promise.all([transaction.get(otpRef), transaction.get(ipRef)]);
+    const otp = otpDoc.data() || {};
+    const ipRequests = ipDoc.data() || {};
+    const now = Date.now();
+
+    const phoneWindowOpen = now - toMillis(otp.windowStart) <= SEND_WINDOW_MS;
+    const phoneWindowStart = phoneWindowOpen ? toMillis(otp.windowStart) : now;
+    const phoneSends = phoneWindowOpen ? otp.sendsInWindow || 0 : 0;
+
+    const ipWindowOpen = now - toMillis(ipRequests.windowStart) <= IP_WINDOW_MS;
+    const ipWindowStart = ipWindowOpen ? toMillis(ipRequests.windowStart) : now;
+    const ipSends = ipWindowOpen ? ipRequests.count || 0 : 0;
+
+    const waits = [
+      toMillis(otp.lastSentAt) + RESEND_INTERVAL_MS - now,
+      phoneSends >= MAX_SENDS_PER_PHONE ? phoneWindowStart + SEND_WINDOW_MS - now : 0,
+      ipSends >= MAX_SENDS_PER_IP ? ipWindowStart + IP_WINDOW_MS - now : 0,
+    ];
+    const wait = Math.max(0, ...waits);
+
+    if (wait > 0) {
+      return { retryAfterSeconds: Math.ceil(wait / 1000) };
+    }
+
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+    transaction.set(otpRef, {
+      userId: userId || null,
+      codeHash: userId ? hashOtp(phone, code) : null,
+      attempts: 0,
+      expiresAt: admin.firestore.Timestamp.fromMillis(now + OTP_TTL_MS),
+      lastSentAt: admin.firestore.Timestamp.fromMillis(now),
+      windowStart: admin.firestore.Timestamp.fromMillis(phoneWindowStart),
+      sendsInWindow: phoneSends + 1,
+    });
+    transaction.set(ipRef, {
+      windowStart: admin.firestore.Timestamp.fromMillis(ipWindowStart),
+      count: ipSends + 1,
+    });
+
+    return { code };
+  });
+};
+
+// Checks a code and consumes it on success. Each code allows
+// MAX_VERIFY_ATTEMPTS guesses before a new one has to be requested.
+// Resolves to { ok, userId } or { ok: false, attemptsLeft }.
+const verifyOtp = async (db, { phone, code }) => {
+  const otpRef = db.collection('phoneOtps').doc(hashToken(phone));
+
+  return db.runTransaction(async (transaction) => {
+    const otpDoc = await transaction.get(otpRef);
+    const otp = otpDoc.data();
+
+    if (!otp?.codeHash || toMillis(otp.expiresAt) < Date.now() || otp.attempts >= MAX_VERIFY_ATTEMPTS) {
+      return { ok: false, attemptsLeft: 0 };
+    }
+
+    const candidate = hashOtp(phone, String(code || '').trim());
+    const matches = crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(otp.codeHash));
+
+    if (!matches) {
+      transaction.update(otpRef, { attempts: otp.attempts + 1 });
+      return { ok: false, attemptsLeft: MAX_VERIFY_ATTEMPTS - otp.attempts - 1 };
+    }
+
+    transaction.update(otpRef, { codeHash: null, usedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return { ok: true, userId: otp.userId };
+  });
+};
+
+module.exports = { OTP_TTL_MS, issueOtp, verifyOtp };
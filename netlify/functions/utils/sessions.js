@@ -0,0 +1,120 @@
+const admin = require('firebase-admin');
+const { signAccessToken, issueRefreshToken, revokeRefreshTokens } = require('./tokens');
+
+// lastSeenAt is only rewritten when it is older than this, so that a busy
+// dashboard doesn't turn every API call into a Firestore write.
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+const clientInfo = (event) => ({
+  ip: event.headers['client-ip'] || event.headers['x-nf-client-connection-ip'] || 'Unknown',
+  userAgent: event.headers['user-agent'] || 'Unknown',
+});
+
+// Revokes sessions of a user and the refresh tokens bound to them.
+// Pass sessionId to revoke a single session, or exceptSessionId to keep one.
+const revokeSessions = async (db, userId, { sessionId = null, exceptSessionId = null, reason = 'logout' } = {}) => {
+  let sessionDocs;
+
+  if (sessionId) {
+    const sessionDoc = await db.collection('sessions').doc(sessionId).get();
+    sessionDocs = sessionDoc.exists && sessionDoc.data().userId === userId ? [sessionDoc] : [];
+  } else {
+    const sessions = await db
+      .collection('sessions')
+      .where('userId', '==', userId)
+      .where('revokedAt', '==', null)
+      .get();
+    sessionDocs = sessions.docs.filter((doc) => doc.id !== exceptSessionId);
+  }
+
+  if (!sessionDocs.length) return 0;
+
+  const batch = db.batch();
+  sessionDocs.forEach((doc) => {
+    batch.update(doc.ref, {
+      revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+      revokedReason: reason,
+    });
+  });
+  await batch.commit();
+
+  await Promise.all(
+    sessionDocs.map((doc) => revokeRefreshTokens(db, { userId, sessionId: doc.id }))
+  );
+
+  return sessionDocs.length;
+};
+
+// Opens a session for a freshly authenticated user and mints its tokens.
+// A device only ever holds one session, so any previous one is closed.
+const startSession = async (db, user, { event, deviceId }) => {
+  const device = deviceId || 'unknown';
+
+  const previous = await db
+    .collection('sessions')
+    .where('userId', '==', user.id)
+    .where('deviceId', '==', device)
+    .where('revokedAt', '==', null)
+    .get();
+
+  await Promise.all(
+    previous.docs.map((doc) =>
+      revokeSessions(db, user.id, { sessionId: doc.id, reason: 'replaced' })
+    )
+  );
+
+  const sessionRef = await db.collection('sessions').add({
+    userId: user.id,
+    schoolId: user.schoolId,
+    deviceId: device,
+    ...clientInfo(event),
+    revokedAt: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  const refreshToken = await issueRefreshToken(db, {
+    userId: user.id,
+    schoolId: user.schoolId,
+    sessionId: sessionRef.id,
+  });
+
+  return {
+    sessionId: sessionRef.id,
+    token: signAccessToken(user, sessionRef.id),
+    refreshToken,
+  };
+};
+
+// Resolves to the session document data if it is still live, otherwise null.
+// Refreshes lastSeenAt (and the IP) at most every LAST_SEEN_RESOLUTION_MS.
+const checkSession = async (db, sessionId, userId, event) => {
+  if (!sessionId) return null;
+
+  const sessionRef = db.collection('sessions').doc(sessionId);
+  const sessionDoc = await sessionRef.get();
+
+  if (!sessionDoc.exists) return null;
+
+  const session = sessionDoc.data();
+  if (session.revokedAt || session.userId !== userId) return null;
+
+  const lastSeen = session.lastSeenAt?.toDate ? session.lastSeenAt.toDate() : new Date(0);
+  if (Date.now() - lastSeen.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    sessionRef
+      .update({
+        lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+        ip: clientInfo(event).ip,
+      })
+      .catch((error) => console.error('Failed to update session lastSeenAt:', error));
+  }
+
+  return session;
+};
+
+module.exports = {
+  clientInfo,
+  startSession,
+  checkSession,
+  revokeSessions,
+};
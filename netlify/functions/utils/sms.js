@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// SMS providers implement `send({ to, message })`, where `to` is a normalized
+// 254XXXXXXXXX number. Pick one with SMS_PROVIDER; the console and file
+// providers are for local development and never reach a real phone, so
+// they are only the default under `netlify dev`. Anywhere else an unset
+// SMS_PROVIDER fails the send instead of quietly dropping the message.
+const providers = {
+  console: {
+    send: async ({ to, message }) => {
+      console.log(`[sms] to ${to}: ${message}`);
+      return { id: null };
+    },
+  },
+
+  // Appends one JSON line per message to SMS_OUTBOX_FILE
+  file: {
+    send: async ({ to, message }) => {
+      const outbox = process.env.SMS_OUTBOX_FILE || path.join(os.tmpdir(), 'edumanager-sms-outbox.log');
+      await fs.promises.appendFile(
+        outbox,
+        `${JSON.stringify({ to, message, sentAt: new Date().toISOString() })}\n`
+      );
+      return { id: null };
+    },
+  },
+
+  // https://developers.africastalking.com/docs/sms/sending
+  africastalking: {
+    send: async ({ to, message }) => {
+      const username = process.env.AT_USERNAME;
+      const host = username === 'sandbox' ? 'api.sandbox.africastalking.com' : 'api.africastalking.com';
+
+      const params = new URLSearchParams({ username, to: `+${to}`, message });
+      if (process.env.AT_SENDER_ID) {
+        params.append('from', process.env.AT_SENDER_ID);
+      }
+
+      const response = await fetch(`https://${host}/version1/messaging`, {
+        method: 'POST',
+        headers: {
+          apiKey: process.env.AT_API_KEY,
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: params.toString(),
+      });
+
+      const result = await response.json();
+      const recipient = result.SMSMessageData?.Recipients?.[0];
+
+      if (!response.ok || recipient?.status !== 'Success') {
+        throw new Error(`SMS delivery failed: ${recipient?.status || result.SMSMessageData?.Message || response.status}`);
+      }
+
+      return { id: recipient.messageId };
+    },
+  },
+};
+
+const isLocal = () => process.env.NETLIFY_DEV === 'true' || process.env.NODE_ENV === 'development';
+
+const getSmsProvider = () => {
+  const name = process.env.SMS_PROVIDER || (isLocal() ? 'console' : null);
+
+  if (!name) {
+    throw new Error('SMS_PROVIDER is not configured');
+  }
+
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+
+  return provider;
+};
+
+exports.sendSms = async ({ to, message }) => getSmsProvider().send({ to, message });
+
+// Lets other modules plug in their own provider
+exports.registerSmsProvider = (name, provider) => {
+  providers[name] = provider;
+};
@@ -0,0 +1,536 @@
+const crypto = require('crypto');
+const busboy = require('busboy');
+const { parseCsv, toCsv } = require('./csv');
+const {
+  admissionRef,
+  validatePlacement,
+  normalizeGuardians,
+  admissionReservation,
+  newStudentRecord,
+  allocateAdmissionNumbers,
+} = require('./students');
+const { studentCreateSchema, STUDENT_STATUSES, MAX_GUARDIANS } = require('../../../src/shared/studentSchema');
+const { schoolFieldErrors } = require('../../../src/shared/schoolSchema');
+
+// Bulk admission from a spreadsheet saved as CSV. An import runs twice over
+// the same file: a dry run that validates every row and records the result
+// in `studentImports`, then a commit that checks the file is unchanged,
+// validates again (admission numbers may have been taken since) and writes
+// the valid rows in batches.
+
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024; // 2 MB, a few thousand rows
+const MAX_IMPORT_ROWS = 2000;
+
+// Two writes per student (the student and its admission number), well
+// under Firestore's 500 writes per batch
+const ROWS_PER_BATCH = 200;
+
+// Errors kept on the import document; the dry run stops listing after this
+const MAX_STORED_ERRORS = 1000;
+
+const importError = (statusCode, code, message) => Object.assign(new Error(message), { statusCode, code });
+
+// ======================
+// UPLOAD
+// ======================
+
+// Reads the "file" part of a multipart request, stopping past the size limit
+const readMultipart = (event) =>
+  new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: { 'content-type': event.headers['content-type'] || event.headers['Content-Type'] },
+        limits: { files: 1, fileSize: MAX_IMPORT_BYTES },
+      });
+    } catch (error) {
+      reject(importError(400, 'IMPORT_INVALID_UPLOAD', 'Malformed upload'));
+      return;
+    }
+
+    let file = null;
+
+    parser.on('file', (name, stream, info) => {
+      if (name !== 'file') {
+        stream.resume();
+        return;
+      }
+
+      const chunks = [];
+      stream.on('data', (chunk) => chunks.push(chunk));
+      stream.on('limit', () => reject(importError(413, 'IMPORT_TOO_LARGE', 'The file must be 2 MB or smaller')));
+      stream.on('end', () => {
+        file = { buffer: Buffer.concat(chunks), filename: info.filename };
+      });
+    });
+
+    parser.on('error', () => reject(importError(400, 'IMPORT_INVALID_UPLOAD', 'Malformed upload')));
+    parser.on('close', () => resolve(file));
+
+    parser.end(Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'binary'));
+  });
+
+// The uploaded CSV as { rows, fileName, fileHash }. Excel workbooks are
+// turned away with instructions, since only their CSV export is read.
+const readImportUpload = async (event) => {
+  const contentType = event.headers['content-type'] || event.headers['Content-Type'] || '';
+
+  if (!contentType.startsWith('multipart/form-data')) {
+    throw importError(400, 'IMPORT_MISSING_FILE', 'Choose a CSV file to upload');
+  }
+
+  const file = await readMultipart(event);
+
+  if (!file || !file.buffer.length) {
+    throw importError(400, 'IMPORT_MISSING_FILE', 'Choose a CSV file to upload');
+  }
+
+  // .xlsx files are ZIP archives, .xls files OLE compound documents
+  const magic = file.buffer.subarray(0, 4).toString('hex');
+  if (magic === '504b0304' || magic === 'd0cf11e0') {
+    throw importError(
+      415,
+      'IMPORT_UNSUPPORTED_TYPE',
+      'This looks like an Excel workbook. In Excel choose File > Save As > CSV, then upload the CSV file.'
+    );
+  }
+
+  const rows = parseCsv(file.buffer.toString('utf8'));
+
+  return {
+    rows,
+    fileName: file.filename || 'students.csv',
+    fileHash: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+  };
+};
+
+// ======================
+// COLUMNS
+// ======================
+
+// Header spellings seen in school registers, compared lowercased with
+// spaces and punctuation removed
+const COLUMN_ALIASES = {
+  firstName: ['firstname', 'first', 'givenname'],
+  lastName: ['lastname', 'surname', 'familyname'],
+  otherNames: ['othernames', 'othername', 'middlename', 'middlenames'],
+  fullName: ['name', 'fullname', 'studentname', 'learnername', 'pupilname'],
+  admissionNumber: ['admissionnumber', 'admissionno', 'admno', 'admission', 'adm'],
+  gender: ['gender', 'sex'],
+  dateOfBirth: ['dateofbirth', 'dob', 'birthdate', 'birthday'],
+  className: ['class', 'classname', 'grade', 'form'],
+  stream: ['stream', 'section'],
+  status: ['status'],
+  notes: ['notes', 'note', 'comments'],
+};
+
+const GUARDIAN_FIELDS = {
+  name: 'name',
+  names: 'name',
+  phone: 'phone',
+  phonenumber: 'phone',
+  mobile: 'phone',
+  mobilenumber: 'phone',
+  contact: 'phone',
+  telephone: 'phone',
+  tel: 'phone',
+  email: 'email',
+  relationship: 'relationship',
+  relation: 'relationship',
+};
+
+// Columns of the template offered on the Students page
+const TEMPLATE_COLUMNS = [
+  'Admission Number',
+  'First Name',
+  'Other Names',
+  'Last Name',
+  'Gender',
+  'Date of Birth',
+  'Class',
+  'Stream',
+  'Guardian Name',
+  'Guardian Relationship',
+  'Guardian Phone',
+  'Guardian Email',
+  'Guardian 2 Name',
+  'Guardian 2 Relationship',
+  'Guardian 2 Phone',
+  'Guardian 2 Email',
+];
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '').replace(/^parentguardian/, 'guardian');
+
+// 'Guardian 2 Phone' -> { guardian: 1, field: 'phone' }. Bare "Phone" or
+// "Email" columns belong to the first guardian.
+const guardianColumn = (key) => {
+  const match = key.match(/^(?:guardian|parent)(\d)?([a-z]*)$/) || key.match(/^()(phone|phonenumber|mobile|mobilenumber|telephone|tel|email|relationship|relation)$/);
+  if (!match) return null;
+
+  const index = match[1] ? Number(match[1]) - 1 : 0;
+  const field = match[2] ? GUARDIAN_FIELDS[match[2]] : 'name';
+
+  return field && index >= 0 && index < MAX_GUARDIANS ? { guardian: index, field } : null;
+};
+
+// What each column of the header holds, plus the headers that were not
+// recognised. Throws when a column every row needs is missing.
+const mapColumns = (header) => {
+  const columns = header.map((title) => {
+    const key = headerKey(title);
+    const field = Object.keys(COLUMN_ALIASES).find((name) => COLUMN_ALIASES[name].includes(key));
+    return field ? { field, title } : (guardianColumn(key) && { ...guardianColumn(key), title }) || null;
+  });
+
+  const has = (field) => columns.some((column) => column?.field === field && column.guardian === undefined);
+  const missing = [];
+
+  if (!has('fullName') && !(has('firstName') && has('lastName'))) missing.push('First Name and Last Name (or Name)');
+  if (!has('gender')) missing.push('Gender');
+  if (!has('className')) missing.push('Class');
+  if (!columns.some((column) => column?.guardian === 0 && column.field === 'phone')) missing.push('Guardian Phone');
+
+  if (missing.length) {
+    throw importError(400, 'IMPORT_MISSING_COLUMNS', `The file has no ${missing.join(', ')} column`);
+  }
+
+  return {
+    columns,
+    ignored: header.filter((title, index) => !columns[index] && String(title).trim()),
+  };
+};
+
+// The header a validation error is reported under
+const columnTitle = (columns, path) => {
+  const [field, index, guardianField] = path.split('.');
+
+  const column = field === 'guardians'
+    ? columns.find((c) => c?.guardian === Number(index || 0) && c.field === (guardianField || 'phone'))
+    : columns.find((c) => c?.field === field && c.guardian === undefined)
+      || (field === 'classId' && columns.find((c) => c?.field === 'className'))
+      || (['firstName', 'lastName', 'otherNames'].includes(field) && columns.find((c) => c?.field === 'fullName'));
+
+  return column?.title || path;
+};
+
+// ======================
+// CELLS
+// ======================
+
+const GENDERS = { f: 'female', female: 'female', girl: 'female', m: 'male', male: 'male', boy: 'male' };
+
+const RELATIONSHIPS = {
+  mother: 'mother',
+  mum: 'mother',
+  mom: 'mother',
+  father: 'father',
+  dad: 'father',
+  guardian: 'guardian',
+  sponsor: 'sponsor',
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Dates as Kenyan registers write them (day first), ISO dates, and the
+// day numbers Excel leaves behind when a date column loses its format
+const parseDate = (value) => {
+  if (!value || /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+  const dayFirst = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) return `${dayFirst[3]}-${pad(dayFirst[2])}-${pad(dayFirst[1])}`;
+
+  if (/^\d{5}$/.test(value)) {
+    return new Date(Date.UTC(1899, 11, 30) + Number(value) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  }
+
+  return value;
+};
+
+// 'Grade 4', 'grade4' and the class id all name the same class
+const classKey = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// The class (and stream) a cell names. A stream can also be written into
+// the class cell, e.g. "Grade 4 East".
+const findPlacement = (classes, className, stream) => {
+  const byKey = (key) => classes.find((c) => classKey(c.id) === key || classKey(c.name) === key);
+  const exact = byKey(classKey(className));
+  if (exact) {
+    const section = exact.sections?.find((s) => classKey(s) === classKey(stream));
+    return { classId: exact.id, stream: section || stream };
+  }
+
+  const words = className.trim().split(/\s+/);
+  if (!stream && words.length > 1) {
+    const schoolClass = byKey(classKey(words.slice(0, -1).join(' ')));
+    const section = schoolClass?.sections?.find((s) => classKey(s) === classKey(words[words.length - 1]));
+    if (section) return { classId: schoolClass.id, stream: section };
+  }
+
+  return null;
+};
+
+// One CSV row to the input studentCreateSchema expects
+const toStudentInput = (cells, columns) => {
+  const values = {};
+  const guardians = [];
+
+  columns.forEach((column, index) => {
+    const value = String(cells[index] ?? '').trim();
+    if (!column || !value) return;
+
+    if (column.guardian !== undefined) {
+      guardians[column.guardian] = { ...guardians[column.guardian], [column.field]: value };
+    } else {
+      values[column.field] = value;
+    }
+  });
+
+  if (values.fullName && !values.firstName && !values.lastName) {
+    const names = values.fullName.split(/\s+/);
+    values.firstName = names[0];
+    values.lastName = names.length > 1 ? names[names.length - 1] : '';
+    values.otherNames = values.otherNames || names.slice(1, -1).join(' ');
+  }
+
+  const input = {
+    firstName: values.firstName || '',
+    lastName: values.lastName || '',
+    otherNames: values.otherNames || '',
+    gender: GENDERS[(values.gender || '').toLowerCase()] || values.gender || '',
+    dateOfBirth: parseDate(values.dateOfBirth || ''),
+    classId: values.className || '',
+    stream: values.stream || '',
+    notes: values.notes || '',
+    guardians: guardians.filter(Boolean).map((guardian, index) => ({
+      name: guardian.name || '',
+      relationship: RELATIONSHIPS[(guardian.relationship || '').toLowerCase()] || (guardian.relationship ? 'other' : 'guardian'),
+      phone: guardian.phone || '',
+      email: guardian.email || '',
+      isPrimary: index === 0,
+    })),
+  };
+
+  if (values.admissionNumber) input.admissionNumber = values.admissionNumber;
+  if (values.status) {
+    const status = values.status.toLowerCase();
+    input.status = STUDENT_STATUSES.includes(status) ? status : values.status;
+  }
+
+  return input;
+};
+
+// ======================
+// VALIDATION
+// ======================
+
+// Validates every row of an upload against the school. Resolves to
+// { valid: [{ row, data }], errors: [{ row, column, value, message }], ... }
+// where `row` is the spreadsheet line number and `data` is ready to store.
+const validateImport = async (db, { schoolId, school, rows }) => {
+  const [header = [], ...records] = rows;
+  const { columns, ignored } = mapColumns(header);
+
+  const lines = records
+    .map((cells, index) => ({ row: index + 2, cells }))
+    .filter(({ cells }) => cells.some((cell) => String(cell).trim()));
+
+  if (!lines.length) {
+    throw importError(400, 'IMPORT_EMPTY', 'The file has no students in it');
+  }
+
+  if (lines.length > MAX_IMPORT_ROWS) {
+    throw importError(413, 'IMPORT_TOO_MANY_ROWS', `Import at most ${MAX_IMPORT_ROWS} students at a time`);
+  }
+
+  const classes = school.academic?.classes || [];
+  const errors = [];
+  const unknownClasses = new Set();
+  const candidates = [];
+
+  const reject = (row, column, value, message) => errors.push({ row, column, value: value ?? '', message });
+
+  lines.forEach(({ row, cells }) => {
+    const input = toStudentInput(cells, columns);
+
+    const placement = input.classId ? findPlacement(classes, input.classId, input.stream) : null;
+    if (input.classId && !placement) {
+      unknownClasses.add(input.classId);
+      reject(row, columnTitle(columns, 'classId'), input.classId, 'This class is not set up for your school');
+      return;
+    }
+
+    const parsed = studentCreateSchema.safeParse({ ...input, ...placement });
+    if (!parsed.success) {
+      Object.entries(schoolFieldErrors(parsed.error)).forEach(([path, message]) => {
+        reject(row, columnTitle(columns, path), path.split('.').reduce((value, key) => value?.[key], input), message);
+      });
+      return;
+    }
+
+    try {
+      candidates.push({
+        row,
+        data: {
+          otherNames: '',
+          dateOfBirth: '',
+          notes: '',
+          ...parsed.data,
+          ...(parsed.data.admissionNumber && { admissionNumber: parsed.data.admissionNumber.toUpperCase() }),
+          ...validatePlacement(school, parsed.data.classId, parsed.data.stream),
+          guardians: normalizeGuardians(parsed.data.guardians),
+        },
+      });
+    } catch (error) {
+      if (!error.fields) throw error;
+      Object.entries(error.fields).forEach(([path, message]) => {
+        reject(row, columnTitle(columns, path), path.split('.').reduce((value, key) => value?.[key], input), message);
+      });
+    }
+  });
+
+  // Admission numbers must be unique within the file and the school
+  const rowsByNumber = new Map();
+  candidates.forEach(({ row, data }) => {
+    if (data.admissionNumber) {
+      rowsByNumber.set(data.admissionNumber, [...(rowsByNumber.get(data.admissionNumber) || []), row]);
+    }
+  });
+
+  const taken = new Set();
+  const numbers = [...rowsByNumber.keys()];
+  for (let i = 0; i < numbers.length; i += 300) {
+    const refs = numbers.slice(i, i + 300).map((number) => admissionRef(db, schoolId, number));
+    (await db.getAll(...refs)).forEach((doc) => {
+      if (doc.exists) taken.add(doc.data().admissionNumber);
+    });
+  }
+
+  const admissionColumn = columnTitle(columns, 'admissionNumber');
+  const duplicateAdmissionNumbers = [];
+
+  const valid = candidates.filter(({ row, data }) => {
+    const number = data.admissionNumber;
+    if (!number) return true;
+
+    if (rowsByNumber.get(number).length > 1) {
+      if (rowsByNumber.get(number)[0] === row) duplicateAdmissionNumbers.push(number);
+      reject(row, admissionColumn, number, `Appears more than once in the file (rows ${rowsByNumber.get(number).join(', ')})`);
+      return false;
+    }
+
+    if (taken.has(number)) {
+      duplicateAdmissionNumbers.push(number);
+      reject(row, admissionColumn, number, 'Already in use by another student');
+      return false;
+    }
+
+    return true;
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+
+  return {
+    rowCount: lines.length,
+    valid,
+    errors,
+    unknownClasses: [...unknownClasses],
+    duplicateAdmissionNumbers,
+    ignoredColumns: ignored,
+  };
+};
+
+// ======================
+// COMMIT
+// ======================
+
+// Writes validated rows in batches. A batch that fails (say an admission
+// number was taken a moment ago) is reported row by row, the others stand.
+// Resolves to { imported, errors }.
+const commitImport = async (db, { schoolId, rows, createdBy, importId }) => {
+  const generated = await allocateAdmissionNumbers(db, schoolId, rows.filter(({ data }) => !data.admissionNumber).length);
+  const errors = [];
+  let imported = 0;
+
+  for (let i = 0; i < rows.length; i += ROWS_PER_BATCH) {
+    const chunk = rows.slice(i, i + ROWS_PER_BATCH);
+    const batch = db.batch();
+
+    chunk.forEach(({ data }) => {
+      const admissionNumber = data.admissionNumber || generated.shift();
+      const studentRef = db.collection('students').doc();
+
+      batch.create(admissionRef(db, schoolId, admissionNumber), admissionReservation(schoolId, admissionNumber, studentRef.id));
+      batch.set(studentRef, { ...newStudentRecord(data, { schoolId, admissionNumber, createdBy }), importId });
+    });
+
+    try {
+      await batch.commit();
+      imported += chunk.length;
+    } catch (error) {
+      console.error(`Student import ${importId} batch failed:`, error);
+      chunk.forEach(({ row }) => {
+        errors.push({ row, column: '', value: '', message: 'Could not be saved. Import this row again.' });
+      });
+    }
+  }
+
+  return { imported, errors };
+};
+
+// A CSV with the template's header and one example row in one of the
+// school's own classes
+const importTemplate = (school) => {
+  const schoolClass = school.academic?.classes?.[0];
+  const example = [
+    '',
+    'Amani',
+    'Wanjiru',
+    'Otieno',
+    'Female',
+    '14/03/2016',
+    schoolClass?.name || 'Grade 4',
+    schoolClass?.sections?.[0] || '',
+    'Grace Otieno',
+    'Mother',
+    '0712345678',
+    '',
+    '',
+    '',
+    '',
+    '',
+  ];
+
+  return toCsv([Object.fromEntries(TEMPLATE_COLUMNS.map((title, index) => [title, example[index]]))]);
+};
+
+// What the API returns for an import
+const toImportResponse = (doc) => {
+  const data = doc.data();
+
+  return {
+    id: doc.id,
+    fileName: data.fileName,
+    status: data.status,
+    rowCount: data.rowCount,
+    validCount: data.validCount,
+    importedCount: data.importedCount ?? null,
+    errorCount: data.errorCount,
+    errors: (data.errors || []).slice(0, 50),
+    unknownClasses: data.unknownClasses || [],
+    duplicateAdmissionNumbers: data.duplicateAdmissionNumbers || [],
+    ignoredColumns: data.ignoredColumns || [],
+    createdAt: data.createdAt,
+    committedAt: data.committedAt || null,
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  MAX_STORED_ERRORS,
+  importError,
+  readImportUpload,
+  importTemplate,
+  validateImport,
+  commitImport,
+  toImportResponse,
+};
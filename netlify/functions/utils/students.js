@@ -0,0 +1,254 @@
+const admin = require('firebase-admin');
+const { normalizePhone } = require('./phone');
+
+// Admission numbers are unique within a school and never handed out twice,
+// even after a student is deleted. Each one is reserved by a document in
+// `admissionNumbers` whose id is derived from the school and the number, so
+// a transaction can tell whether it is taken without a query.
+
+const ADMISSION_PREFIX = 'ADM';
+
+// How many taken numbers to step over (typed in by hand or brought from an
+// older register) before giving up on the school's counter
+const MAX_ADMISSION_ATTEMPTS = 25;
+
+const studentError = (code, message, fields) => Object.assign(new Error(message), { code, fields });
+
+const admissionRef = (db, schoolId, admissionNumber) =>
+  db.collection('admissionNumbers').doc(`${schoolId}_${encodeURIComponent(admissionNumber)}`);
+
+// ADM-2026-0042: the year of admission and the school's running count for it
+const formatAdmissionNumber = (year, sequence) =>
+  `${ADMISSION_PREFIX}-${year}-${String(sequence).padStart(4, '0')}`;
+
+// Checks a class and stream against the school's academic setup.
+// Classes without sections take no stream.
+const validatePlacement = (school, classId, stream) => {
+  const classes = school.academic?.classes || [];
+  const schoolClass = classes.find((c) => c.id === classId);
+
+  if (!schoolClass) {
+    throw studentError('INVALID_PLACEMENT', 'Invalid class', { classId: 'This class is not set up for your school' });
+  }
+
+  if (stream && !(schoolClass.sections || []).includes(stream)) {
+    throw studentError('INVALID_PLACEMENT', 'Invalid stream', {
+      stream: `${schoolClass.name} has no stream ${stream}`,
+    });
+  }
+
+  return { classId: schoolClass.id, className: schoolClass.name, stream: stream || '' };
+};
+
+// Stores phones as 254XXXXXXXXX so SMS alerts can reach them, and makes
+// sure exactly one guardian is the primary contact
+const normalizeGuardians = (guardians) => {
+  const fields = {};
+  const primaryIndex = Math.max(guardians.findIndex((g) => g.isPrimary), 0);
+
+  const normalized = guardians.map((guardian, index) => {
+    const phone = normalizePhone(guardian.phone);
+    if (!phone) {
+      fields[`guardians.${index}.phone`] = 'Enter a Kenyan mobile number such as 0712 345 678';
+    }
+
+    return {
+      name: guardian.name,
+      relationship: guardian.relationship,
+      phone: phone || guardian.phone,
+      email: (guardian.email || '').toLowerCase(),
+      isPrimary: index === primaryIndex,
+    };
+  });
+
+  if (Object.keys(fields).length) {
+    throw studentError('INVALID_GUARDIAN', 'Invalid guardian details', fields);
+  }
+
+  return normalized;
+};
+
+// Firestore can't search text, so each student carries the terms it can be
+// found by: every prefix of each name, the admission number and the
+// guardians' phones as they are usually typed (0712..., 254712...).
+const searchTermsFor = (student) => {
+  const terms = new Set();
+
+  [student.firstName, student.lastName, student.otherNames]
+    .join(' ')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      for (let i = 1; i <= Math.min(word.length, 20); i += 1) {
+        terms.add(word.slice(0, i));
+      }
+    });
+
+  if (student.admissionNumber) {
+    terms.add(student.admissionNumber.toLowerCase());
+  }
+
+  (student.guardians || []).forEach(({ phone }) => {
+    if (/^254\d{9}$/.test(phone)) {
+      terms.add(phone);
+      terms.add(`0${phone.slice(3)}`);
+    }
+  });
+
+  return [...terms];
+};
+
+// The term a search box entry is looked up by. Phones are matched whole,
+// anything else by its longest word; the other words are left to `matchesSearch`.
+const searchTermFor = (q) => {
+  const phone = normalizePhone(q);
+  if (phone) return phone;
+
+  const words = String(q || '').toLowerCase().split(/\s+/).filter(Boolean);
+  return words.sort((a, b) => b.length - a.length)[0]?.slice(0, 20) || null;
+};
+
+const matchesSearch = (student, q) => {
+  if (normalizePhone(q)) return true;
+
+  const terms = student.searchTerms || [];
+  return String(q || '')
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((word) => terms.includes(word.slice(0, 20)));
+};
+
+// Whether the term from `searchTermFor` decides a match on its own, so
+// that counting the query counts the results
+const isSingleTermSearch = (q) =>
+  Boolean(normalizePhone(q)) || String(q || '').split(/\s+/).filter(Boolean).length <= 1;
+
+// Fields derived from the rest of the record, refreshed on every write
+const derivedFields = (student) => ({
+  sortName: `${student.lastName} ${student.firstName}`.toLowerCase(),
+  searchTerms: searchTermsFor(student),
+});
+
+// The reservation document of an admission number
+const admissionReservation = (schoolId, admissionNumber, studentId) => ({
+  schoolId,
+  admissionNumber,
+  studentId,
+  createdAt: admin.firestore.FieldValue.serverTimestamp(),
+});
+
+// A new student document from validated input
+const newStudentRecord = (data, { schoolId, admissionNumber, createdBy }) => {
+  const student = { ...data, admissionNumber };
+
+  return {
+    ...student,
+    ...derivedFields(student),
+    schoolId,
+    status: data.status || 'active',
+    createdBy,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+};
+
+// Admits a student, reserving their admission number in the same
+// transaction. `data` is validated input with its placement and guardians
+// already checked. Resolves to the new student's id and admission number.
+const admitStudent = (db, { schoolId, data, createdBy }) => {
+  const schoolRef = db.collection('schools').doc(schoolId);
+  const studentRef = db.collection('students').doc();
+  const year = new Date().getFullYear();
+
+  return db.runTransaction(async (tx) => {
+    const schoolDoc = await tx.get(schoolRef);
+    let admissionNumber = data.admissionNumber ? data.admissionNumber.toUpperCase() : null;
+    let sequence = null;
+
+    if (admissionNumber) {
+      if ((await tx.get(admissionRef(db, schoolId, admissionNumber))).exists) {
+        throw studentError('ADMISSION_NUMBER_TAKEN', 'Admission number already in use', {
+          admissionNumber: `${admissionNumber} is already in use`,
+        });
+      }
+    } else {
+      sequence = schoolDoc.data()?.counters?.admission?.[year] || 0;
+
+      for (let attempt = 0; !admissionNumber; attempt += 1) {
+        if (attempt === MAX_ADMISSION_ATTEMPTS) {
+          throw studentError('ADMISSION_NUMBER_TAKEN', 'Could not assign an admission number, please enter one');
+        }
+        sequence += 1;
+        const candidate = formatAdmissionNumber(year, sequence);
+        if (!(await tx.get(admissionRef(db, schoolId, candidate))).exists) {
+          admissionNumber = candidate;
+        }
+      }
+    }
+
+    tx.set(admissionRef(db, schoolId, admissionNumber), admissionReservation(schoolId, admissionNumber, studentRef.id));
+    tx.set(studentRef, newStudentRecord(data, { schoolId, admissionNumber, createdBy }));
+
+    if (sequence !== null) {
+      tx.update(schoolRef, { [`counters.admission.${year}`]: sequence });
+    }
+
+    return { id: studentRef.id, admissionNumber };
+  });
+};
+
+// Moves the school's counter past `count` free admission numbers and
+// resolves to them, for imports that write their students in batches.
+// The numbers are only reserved once those batches are written.
+const allocateAdmissionNumbers = (db, schoolId, count) => {
+  const schoolRef = db.collection('schools').doc(schoolId);
+  const year = new Date().getFullYear();
+
+  if (!count) return Promise.resolve([]);
+
+  return db.runTransaction(async (tx) => {
+    const schoolDoc = await tx.get(schoolRef);
+    let sequence = schoolDoc.data()?.counters?.admission?.[year] || 0;
+    const numbers = [];
+
+    while (numbers.length < count) {
+      const candidates = Array.from({ length: count - numbers.length }, () => {
+        sequence += 1;
+        return formatAdmissionNumber(year, sequence);
+      });
+      const reservations = await tx.getAll(...candidates.map((number) => admissionRef(db, schoolId, number)));
+      reservations.forEach((doc, index) => {
+        if (!doc.exists) numbers.push(candidates[index]);
+      });
+    }
+
+    tx.update(schoolRef, { [`counters.admission.${year}`]: sequence });
+    return numbers;
+  });
+};
+
+// What the API returns for a student: the stored record without the
+// fields that only exist for querying
+const toStudentResponse = (doc) => {
+  const { searchTerms, sortName, ...student } = doc.data();
+  return { id: doc.id, ...student };
+};
+
+module.exports = {
+  studentError,
+  admissionRef,
+  formatAdmissionNumber,
+  validatePlacement,
+  normalizeGuardians,
+  searchTermFor,
+  matchesSearch,
+  isSingleTermSearch,
+  derivedFields,
+  admissionReservation,
+  newStudentRecord,
+  admitStudent,
+  allocateAdmissionNumbers,
+  toStudentResponse,
+};
@@ -0,0 +1,128 @@
+const admin = require('firebase-admin');
+const { validateSubdomain } = require('../../../src/shared/subdomain');
+
+// After a rename the old subdomain keeps redirecting to the new one for this
+// long, and no other school can claim it in the meantime.
+const SUBDOMAIN_GRACE_PERIOD_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : 0);
+
+// Resolves to { available: true } or { available: false, reason }. A school
+// may always take back a subdomain that still redirects to it.
+const checkSubdomain = async (db, subdomain, { schoolId = null } = {}) => {
+  const invalid = validateSubdomain(subdomain);
+  if (invalid) return { available: false, reason: invalid };
+
+  const [schools, redirectDoc] = await Promise.all([
+    db.collection('schools').where('subdomain', '==', subdomain).limit(1).get(),
+    db.collection('subdomainRedirects').doc(subdomain).get(),
+  ]);
+
+  const owner = schools.empty ? null : schools.docs[0].id;
+  if (owner && owner !== schoolId) {
+    return { available: false, reason: 'This subdomain is already taken' };
+  }
+
+  const redirect = redirectDoc.data();
+  if (redirect && redirect.schoolId !== schoolId && toMillis(redirect.expiresAt) > Date.now()) {
+    return { available: false, reason: 'This subdomain is already taken' };
+  }
+
+  return { available: true };
+};
+
+// The live redirect for a retired subdomain, or null
+const findSubdomainRedirect = async (db, subdomain) => {
+  const redirectDoc = await db.collection('subdomainRedirects').doc(subdomain).get();
+  const redirect = redirectDoc.data();
+
+  if (!redirect || toMillis(redirect.expiresAt) <= Date.now()) return null;
+
+  return redirect;
+};
+
+// Moves a school to a new subdomain. The old one becomes a redirect for the
+// grace period, and app builds are repointed and flagged for a rebuild,
+// since installed apps have the old address baked in.
+// Resolves to { previous, rebuildRequired }, or throws with code
+// 'SUBDOMAIN_UNAVAILABLE' (and a reason) when someone else holds the name.
+const renameSubdomain = async (db, { schoolId, subdomain, userId }) => {
+  const schoolRef = db.collection('schools').doc(schoolId);
+  const newRedirectRef = db.collection('subdomainRedirects').doc(subdomain);
+
+  const previous = await db.runTransaction(async (transaction) => {
+    const [schoolDoc, taken, newRedirect] = await Promise.all([
+      transaction.get(schoolRef),
+      transaction.get(db.collection('schools').where('subdomain', '==', subdomain).limit(1)),
+      transaction.get(newRedirectRef),
+    ]);
+
+    const current = schoolDoc.data().subdomain;
+    const redirect = newRedirect.data();
+    const heldByOther =
+      (!taken.empty && taken.docs[0].id !== schoolId) ||
+      (redirect && redirect.schoolId !== schoolId && toMillis(redirect.expiresAt) > Date.now());
+
+    if (heldByOther) {
+      throw Object.assign(new Error('Subdomain unavailable'), {
+        code: 'SUBDOMAIN_UNAVAILABLE',
+        reason: 'This subdomain is already taken',
+      });
+    }
+
+    if (current === subdomain) return current;
+
+    transaction.update(schoolRef, {
+      subdomain,
+      previousSubdomains: admin.firestore.FieldValue.arrayUnion(current),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.set(db.collection('subdomainRedirects').doc(current), {
+      schoolId,
+      target: subdomain,
+      renamedBy: userId,
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + SUBDOMAIN_GRACE_PERIOD_MS),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    // Taking back an old name ends its redirect
+    if (newRedirect.exists) {
+      transaction.delete(newRedirectRef);
+    }
+
+    return current;
+  });
+
+  if (previous === subdomain) {
+    return { previous, rebuildRequired: false };
+  }
+
+  // Earlier redirects now point one hop short, so send them straight on
+  const chained = await db
+    .collection('subdomainRedirects')
+    .where('schoolId', '==', schoolId)
+    .where('target', '==', previous)
+    .get();
+
+  const builds = await db.collection('appBuilds').where('schoolId', '==', schoolId).get();
+
+  const batch = db.batch();
+  chained.forEach((doc) => batch.update(doc.ref, { target: subdomain }));
+  builds.forEach((doc) => batch.update(doc.ref, { subdomain, subdomainChangedAt: admin.firestore.FieldValue.serverTimestamp() }));
+
+  const rebuildRequired = builds.docs.some((doc) => doc.data().status === 'completed');
+  if (rebuildRequired) {
+    batch.update(schoolRef, { appRebuildRequired: true });
+  }
+
+  await batch.commit();
+
+  return { previous, rebuildRequired };
+};
+
+module.exports = {
+  SUBDOMAIN_GRACE_PERIOD_MS,
+  checkSubdomain,
+  findSubdomainRedirect,
+  renameSubdomain,
+};
@@ -0,0 +1,145 @@
+const { findSubdomainRedirect } = require('./subdomain');
+
+// Resolves the school behind a tenant host name: <subdomain>.edumanagerpro.com
+// or a verified custom domain from the `customDomains` collection.
+// Warm function instances keep resolutions in memory for TENANT_CACHE_TTL_MS
+// so a busy portal doesn't query Firestore on every request.
+
+const ROOT_DOMAIN = (process.env.ROOT_DOMAIN || 'edumanagerpro.com').toLowerCase();
+const TENANT_CACHE_TTL_MS = 60 * 1000;
+const MAX_CACHE_ENTRIES = 500;
+
+// Host names that belong to the platform itself, not to a school
+const PLATFORM_SUBDOMAINS = ['www', 'api', 'app'];
+
+const cache = new Map();
+
+const toMillis = (value) => {
+  if (!value) return null;
+  if (value.toMillis) return value.toMillis();
+  const millis = new Date(value).getTime();
+  return Number.isNaN(millis) ? null : millis;
+};
+
+// 'greenhill.edumanagerpro.com:443' -> 'greenhill'. Null for the bare
+// domain, platform host names and anything nested deeper.
+const subdomainFromHost = (host) => {
+  const hostname = String(host || '').toLowerCase().split(':')[0];
+  const suffix = `.${ROOT_DOMAIN}`;
+
+  if (!hostname.endsWith(suffix)) return null;
+
+  const subdomain = hostname.slice(0, -suffix.length);
+  if (!subdomain || subdomain.includes('.') || PLATFORM_SUBDOMAINS.includes(subdomain)) {
+    return null;
+  }
+
+  return subdomain;
+};
+
+// 'suspended' when an administrator suspended the school or its paid
+// subscription has run out, 'closed' while a closed school awaits its purge.
+// Schools that never subscribed are on the free plan.
+const tenantStatus = (school) => {
+  if (school.status === 'closed') return 'closed';
+  if (school.status === 'suspended') return 'suspended';
+
+  const endDate = toMillis(school.subscription?.endDate);
+  if (endDate && endDate < Date.now()) return 'suspended';
+
+  return 'active';
+};
+
+// The public face of a school: only what its portal is allowed to show
+const toTenant = (id, school) => ({
+  id,
+  subdomain: school.subdomain,
+  name: school.identity?.name || school.name,
+  motto: school.identity?.motto || '',
+  logo: school.identity?.logo || school.branding?.logo || null,
+  primaryColor: school.theme?.primaryColor || school.branding?.primaryColor || null,
+  secondaryColor: school.theme?.secondaryColor || school.branding?.secondaryColor || null,
+  theme: {
+    primaryColor: school.theme?.primaryColor || school.branding?.primaryColor,
+    secondaryColor: school.theme?.secondaryColor || school.branding?.secondaryColor,
+    darkMode: Boolean(school.theme?.darkMode),
+  },
+  assets: school.branding?.assets || null,
+  status: tenantStatus(school),
+});
+
+const getCached = (key) => {
+  const entry = cache.get(key);
+  if (!entry) return undefined;
+
+  if (entry.expiresAt < Date.now()) {
+    cache.delete(key);
+    return undefined;
+  }
+
+  return entry.tenant;
+};
+
+const setCached = (key, tenant) => {
+  // Maps iterate in insertion order, so the first key is the oldest
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { tenant, expiresAt: Date.now() + TENANT_CACHE_TTL_MS });
+};
+
+// A renamed school's old subdomain resolves to { redirectTo } during its
+// grace period
+const lookupBySubdomain = async (db, subdomain) => {
+  const schools = await db
+    .collection('schools')
+    .where('subdomain', '==', subdomain)
+    .limit(1)
+    .get();
+
+  if (!schools.empty) return toTenant(schools.docs[0].id, schools.docs[0].data());
+
+  const redirect = await findSubdomainRedirect(db, subdomain);
+  return redirect ? { redirectTo: `${redirect.target}.${ROOT_DOMAIN}` } : null;
+};
+
+// Custom domains only count once their DNS verification succeeded
+const lookupByDomain = async (db, domain) => {
+  const mapping = await db.collection('customDomains').doc(domain).get();
+  if (!mapping.exists || mapping.data().status !== 'verified') return null;
+
+  const schoolDoc = await db.collection('schools').doc(mapping.data().schoolId).get();
+  return schoolDoc.exists ? toTenant(schoolDoc.id, schoolDoc.data()) : null;
+};
+
+// Resolves to the tenant serving a host name, or null when no school uses
+// it. Unknown hosts are cached too, so probing them stays cheap.
+const resolveTenant = async (db, host) => {
+  const hostname = String(host || '').toLowerCase().split(':')[0];
+  const subdomain = subdomainFromHost(hostname);
+  const key = subdomain ? `subdomain:${subdomain}` : `domain:${hostname}`;
+
+  const cached = getCached(key);
+  if (cached !== undefined) return cached;
+
+  const tenant = subdomain
+    ? await lookupBySubdomain(db, subdomain)
+    : await lookupByDomain(db, hostname);
+  setCached(key, tenant);
+
+  return tenant;
+};
+
+// Our own host names, which never belong to a school
+const isPlatformHost = (host) => {
+  const hostname = String(host || '').toLowerCase().split(':')[0];
+  return hostname === ROOT_DOMAIN || PLATFORM_SUBDOMAINS.some((sub) => hostname === `${sub}.${ROOT_DOMAIN}`);
+};
+
+module.exports = {
+  ROOT_DOMAIN,
+  TENANT_CACHE_TTL_MS,
+  subdomainFromHost,
+  isPlatformHost,
+  resolveTenant,
+};
@@ -0,0 +1,53 @@
+// Collections holding a school's own records, each tagged with a `schoolId`
+// field. Data exports and the purge of closed schools walk this list, so any
+// new per-school collection should be added here. `omit` lists secrets that never leave the platform.
+const TENANT_COLLECTIONS = [
+  {
+    name: 'users',
+    omit: ['password', 'twoFactor', 'knownLogins', 'googleUid'],
+  },
+  { name: 'invitations', omit: ['tokenHash'] },
+  { name: 'subscriptions' },
+  { name: 'mpesaTransactions', omit: ['callbackData'] },
+  { name: 'appBuilds' },
+  { name: 'customDomains', omit: ['verificationToken'] },
+  { name: 'dataExports' },
+  { name: 'students', omit: ['searchTerms', 'sortName'] },
+  { name: 'studentImports' },
+  { name: 'attendanceRegisters', omit: ['studentIds'] },
+  { name: 'attendanceCorrections' },
+  { name: 'absenceAlerts' },
+];
+
+const PAGE_SIZE = 500;
+
+const withoutFields = (data, omit = []) => {
+  const copy = { ...data };
+  omit.forEach((field) => delete copy[field]);
+  return copy;
+};
+
+// Every document of a school in one collection, read a page at a time.
+// Resolves to [{ id, ...data }] with the omitted fields removed.
+const readTenantCollection = async (db, schoolId, { name, omit }) => {
+  const rows = [];
+  let last = null;
+
+  for (;;) {
+    let query = db
+      .collection(name)
+      .where('schoolId', '==', schoolId)
+      .orderBy('__name__')
+      .limit(PAGE_SIZE);
+
+    if (last) query = query.startAfter(last);
+
+    const page = await query.get();
+    page.forEach((doc) => rows.push({ id: doc.id, ...withoutFields(doc.data(), omit) }));
+
+    if (page.size < PAGE_SIZE) return rows;
+    last = page.docs[page.docs.length - 1];
+  }
+};
+
+module.exports = { TENANT_COLLECTIONS, readTenantCollection, withoutFields };
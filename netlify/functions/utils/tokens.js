@@ -0,0 +1,147 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Opaque tokens (password resets, invites, refresh tokens...) are handed to
+// the user in plain text and only their SHA-256 hash is stored in Firestore.
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// The session id doubles as the token's jti so it can be revoked server-side
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      userId: user.id,
+      schoolId: user.schoolId,
+      email: user.email,
+      role: user.role,
+      // Accounts created before verification existed have no flag
+      emailVerified: user.emailVerified !== false,
+      // Only set by hand on our own support staff accounts
+      ...(user.platformRole && { platformRole: user.platformRole }),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: sessionId }
+  );
+
+// Revokes the live refresh tokens of a user, optionally only for one session.
+const revokeRefreshTokens = async (db, { userId, sessionId = null }) => {
+  let query = db
+    .collection('refreshTokens')
+    .where('userId', '==', userId)
+    .where('revokedAt', '==', null);
+
+  if (sessionId) {
+    query = query.where('sessionId', '==', sessionId);
+  }
+
+  const tokens = await query.get();
+  if (tokens.empty) return 0;
+
+  const batch = db.batch();
+  tokens.forEach((doc) => {
+    batch.update(doc.ref, { revokedAt: admin.firestore.FieldValue.serverTimestamp() });
+  });
+  await batch.commit();
+
+  return tokens.size;
+};
+
+const issueRefreshToken = async (db, { userId, schoolId, sessionId }) => {
+  const refreshToken = generateToken(48);
+
+  await db.collection('refreshTokens').add({
+    userId,
+    schoolId,
+    sessionId,
+    tokenHash: hashToken(refreshToken),
+    revokedAt: null,
+    replacedBy: null,
+    expiresAt: admin.firestore.Timestamp.fromDate(
+      new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    ),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return refreshToken;
+};
+
+// Exchanges a refresh token for a new one. Presenting a token that was
+// already rotated means it leaked, so the whole session is revoked.
+// Resolves to { userId, sessionId, refreshToken } or null when unusable.
+const rotateRefreshToken = async (db, refreshToken) => {
+  const tokens = await db
+    .collection('refreshTokens')
+    .where('tokenHash', '==', hashToken(refreshToken))
+    .limit(1)
+    .get();
+
+  if (tokens.empty) return null;
+
+  const currentRef = tokens.docs[0].ref;
+  const nextToken = generateToken(48);
+  const nextRef = db.collection('refreshTokens').doc();
+
+  const result = await db.runTransaction(async (transaction) => {
+    const currentDoc = await transaction.get(currentRef);
+    const current = currentDoc.data();
+
+    if (current.revokedAt) {
+      return { reused: true, current };
+    }
+
+    if (current.expiresAt.toDate() < new Date()) {
+      return null;
+    }
+
+    transaction.update(currentRef, {
+      revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+      replacedBy: nextRef.id,
+    });
+    transaction.set(nextRef, {
+      userId: current.userId,
+      schoolId: current.schoolId,
+      sessionId: current.sessionId,
+      tokenHash: hashToken(nextToken),
+      revokedAt: null,
+      replacedBy: null,
+      expiresAt: admin.firestore.Timestamp.fromDate(
+        new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+      ),
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { current };
+  });
+
+  if (!result) return null;
+
+  const { userId, sessionId } = result.current;
+
+  if (result.reused) {
+    console.warn(`Refresh token reuse detected for user ${userId}, session ${sessionId}`);
+    await revokeRefreshTokens(db, { userId, sessionId });
+    await db.collection('sessions').doc(sessionId).update({
+      revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+      revokedReason: 'refresh-token-reuse',
+    });
+    return null;
+  }
+
+  return { userId, sessionId, refreshToken: nextToken };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  generateToken,
+  hashToken,
+  signAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshTokens,
+};
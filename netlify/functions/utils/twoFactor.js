@@ -0,0 +1,106 @@
+const admin = require('firebase-admin');
+const jwt = require('jsonwebtoken');
+const { hashToken } = require('./tokens');
+const { verifyCode, generateRecoveryCodes, normalizeRecoveryCode } = require('./totp');
+const { STAFF_ROLES } = require('../../../src/shared/permissions');
+
+const CHALLENGE_TTL = '5m';
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+
+// Short-lived token handed out after the password check. It carries no jti,
+// so `authenticate` never accepts it as an access token.
+//   purpose '2fa'        - the user still has to enter a code
+//   purpose '2fa-enroll' - the school requires 2FA and the user must enrol first
+const signChallenge = (user, purpose) =>
+  jwt.sign({ userId: user.id, purpose }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+
+// Resolves to the user id the challenge was issued for, or null
+const verifyChallenge = (challengeToken, purpose) => {
+  if (!challengeToken) return null;
+
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether the school's policy forces this user to use two-factor auth
+const isTwoFactorRequired = (user, school) =>
+  Boolean(school?.security?.require2fa && STAFF_ROLES.includes(user.role));
+
+const hashRecoveryCodes = (codes) => codes.map((code) => hashToken(normalizeRecoveryCode(code)));
+
+// Fresh recovery codes: the plain ones are shown to the user once, only the
+// hashes are stored.
+const newRecoveryCodes = () => {
+  const recoveryCodes = generateRecoveryCodes();
+  return { recoveryCodes, hashes: hashRecoveryCodes(recoveryCodes) };
+};
+
+// Checks an authenticator code or a recovery code for a user with 2FA on.
+// Runs in a transaction so a code (or its time step) can only be used once
+// and failed attempts are counted reliably.
+// Resolves to { ok, locked, usedRecoveryCode, recoveryCodesRemaining }.
+const consumeTwoFactorCode = async (db, userRef, { code, recoveryCode }) =>
+  db.runTransaction(async (transaction) => {
+    const userDoc = await transaction.get(userRef);
+    const twoFactor = userDoc.data()?.twoFactor;
+
+    if (!twoFactor?.enabled) {
+      return { ok: false };
+    }
+
+    const lockedUntil = twoFactor.lockedUntil?.toDate ? twoFactor.lockedUntil.toDate() : null;
+    if (lockedUntil && lockedUntil > new Date()) {
+      return { ok: false, locked: true };
+    }
+
+    const recoveryCodes = twoFactor.recoveryCodes || [];
+
+    if (code) {
+      const step = verifyCode(twoFactor.secret, code);
+      if (step !== null && step > (twoFactor.lastUsedStep ?? -1)) {
+        transaction.update(userRef, {
+          'twoFactor.lastUsedStep': step,
+          'twoFactor.failedAttempts': 0,
+          'twoFactor.lockedUntil': null,
+        });
+        return { ok: true, recoveryCodesRemaining: recoveryCodes.length };
+      }
+    } else if (recoveryCode) {
+      const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+      if (recoveryCodes.includes(codeHash)) {
+        const remaining = recoveryCodes.filter((hash) => hash !== codeHash);
+        transaction.update(userRef, {
+          'twoFactor.recoveryCodes': remaining,
+          'twoFactor.failedAttempts': 0,
+          'twoFactor.lockedUntil': null,
+        });
+        return { ok: true, usedRecoveryCode: true, recoveryCodesRemaining: remaining.length };
+      }
+    }
+
+    const failedAttempts = (twoFactor.failedAttempts || 0) + 1;
+    const locked = failedAttempts >= MAX_FAILED_ATTEMPTS;
+
+    transaction.update(userRef, {
+      'twoFactor.failedAttempts': locked ? 0 : failedAttempts,
+      'twoFactor.lockedUntil': locked
+        ? admin.firestore.Timestamp.fromDate(new Date(Date.now() + LOCKOUT_MS))
+        : null,
+    });
+
+    return { ok: false, locked };
+  });
+
+module.exports = {
+  signChallenge,
+  verifyChallenge,
+  isTwoFactorRequired,
+  hashRecoveryCodes,
+  newRecoveryCodes,
+  consumeTwoFactorCode,
+};
@@ -0,0 +1,215 @@
+const admin = require('firebase-admin');
+const { sendEmail } = require('./email');
+const { STAFF_ROLES } = require('../../../src/shared/permissions');
+const {
+  PLANS,
+  TRIAL_PLAN,
+  USAGE_LABELS,
+  USAGE_METRICS,
+  USAGE_WARNING_RATIO,
+  planFor,
+  limitLabel,
+  usageOf,
+} = require('../../../src/shared/plans');
+
+// Usage metering against the student limit of the school's subscription,
+// or of its plan (src/shared/plans) where the subscription names none.
+// Counts are taken with aggregation queries when they are needed rather
+// than kept as counters, so they can't drift from the records themselves.
+// Checks run just before a write, so two admissions at the same instant
+// can overshoot a limit by one; the next one is refused.
+
+const APP_URL = process.env.REACT_APP_URL || 'https://edumanagerpro.com';
+
+// Staff shown on the usage meter: everyone the owner brings in
+const METERED_STAFF_ROLES = STAFF_ROLES.filter((role) => role !== 'owner');
+
+const planLimitError = (message, details) =>
+  Object.assign(new Error(message), { statusCode: 402, code: 'PLAN_LIMIT_REACHED', details });
+
+const toDate = (value) => (value?.toDate ? value.toDate() : value ? new Date(value) : null);
+
+const isCurrent = (endDate) => {
+  const end = toDate(endDate);
+  return Boolean(end) && end > new Date();
+};
+
+// A subscription's student limit: the number it was sold with, null when
+// it says 'unlimited', or the plan's own when the record has none
+const studentLimitOf = (plan, stored) => {
+  if (stored === 'unlimited') return null;
+
+  const limit = Number(stored);
+  return stored !== null && stored !== undefined && stored !== '' && Number.isFinite(limit)
+    ? limit
+    : PLANS[plan].students;
+};
+
+// More students wins; at the same limit a paid plan beats the trial
+const isMoreGenerous = (a, b) => {
+  const [mine, theirs] = [a.students ?? Infinity, b.students ?? Infinity];
+  return mine > theirs || (mine === theirs && b.plan === TRIAL_PLAN);
+};
+
+// The subscription in force for a school as { plan, students }: the most
+// generous of its current subscriptions (schools function or Lipana), or
+// the free trial
+const resolveSubscription = async (db, schoolId, school) => {
+  const candidates = [];
+
+  const subscriptions = await db
+    .collection('subscriptions')
+    .where('schoolId', '==', schoolId)
+    .where('status', '==', 'active')
+    .get();
+
+  subscriptions.forEach((doc) => {
+    const { plan, endDate, students } = doc.data();
+    if (PLANS[plan] && isCurrent(endDate)) candidates.push({ plan, students: studentLimitOf(plan, students) });
+  });
+
+  const lipana = school?.subscription;
+  if (PLANS[lipana?.plan] && isCurrent(lipana.endDate)) {
+    candidates.push({ plan: lipana.plan, students: studentLimitOf(lipana.plan, lipana.students) });
+  }
+
+  return candidates.reduce(
+    (best, candidate) => (isMoreGenerous(candidate, best) ? candidate : best),
+    { plan: TRIAL_PLAN, students: PLANS[TRIAL_PLAN].students }
+  );
+};
+
+const resolvePlan = async (db, schoolId, school) => (await resolveSubscription(db, schoolId, school)).plan;
+
+const countActiveStudents = async (db, schoolId) =>
+  (await db
+    .collection('students')
+    .where('schoolId', '==', schoolId)
+    .where('status', '==', 'active')
+    .count()
+    .get()).data().count;
+
+// Staff accounts that can sign in, plus invitations that may still be accepted
+const countStaff = async (db, schoolId, { includePending = false } = {}) => {
+  const staff = db
+    .collection('users')
+    .where('schoolId', '==', schoolId)
+    .where('role', 'in', METERED_STAFF_ROLES);
+
+  const [all, suspended, invitations] = await Promise.all([
+    staff.count().get(),
+    staff.where('status', '==', 'suspended').count().get(),
+    includePending
+      ? db.collection('invitations').where('schoolId', '==', schoolId).where('status', '==', 'pending').get()
+      : null,
+  ]);
+
+  const pending = invitations
+    ? invitations.docs.filter((doc) => {
+        const invitation = doc.data();
+        return METERED_STAFF_ROLES.includes(invitation.role) && isCurrent(invitation.expiresAt);
+      }).length
+    : 0;
+
+  return all.data().count - suspended.data().count + pending;
+};
+
+const COUNTERS = {
+  students: (db, schoolId) => countActiveStudents(db, schoolId),
+  staff: (db, schoolId) => countStaff(db, schoolId, { includePending: true }),
+};
+
+// { plan, planName, students: { used, limit, remaining, ratio }, staff: {...} }
+const getUsage = async (db, schoolId, school) => {
+  const [subscription, ...counts] = await Promise.all([
+    resolveSubscription(db, schoolId, school),
+    ...USAGE_METRICS.map((metric) => COUNTERS[metric](db, schoolId)),
+  ]);
+
+  const { plan, ...limits } = subscription;
+  const usage = { plan, planName: planFor(plan).name };
+  USAGE_METRICS.forEach((metric, index) => {
+    usage[metric] = usageOf(counts[index], limits[metric]);
+  });
+
+  return usage;
+};
+
+// Refuses to add `adding` more of a metric past the subscription's limit.
+// Resolves to the usage of that metric before the addition.
+const assertCapacity = async (db, { schoolId, school, metric, adding = 1 }) => {
+  const [subscription, used] = await Promise.all([
+    resolveSubscription(db, schoolId, school),
+    COUNTERS[metric](db, schoolId),
+  ]);
+  const { plan, [metric]: limit = null } = subscription;
+  const { name } = planFor(plan);
+
+  if (limit !== null && used + adding > limit) {
+    const label = USAGE_LABELS[metric].toLowerCase();
+    throw planLimitError(
+      `Your ${name} plan allows ${limit} ${label} and you have ${used}. Upgrade your plan in Settings to add more.`,
+      { metric, plan, used, limit, adding }
+    );
+  }
+
+  return { plan, planName: name, ...usageOf(used, limit) };
+};
+
+// Emails the owner once when a metric passes USAGE_WARNING_RATIO of its
+// limit. The warning is remembered per plan and limit on the school, and
+// forgotten once usage drops back, so a later climb warns again.
+const warnIfNearLimit = async (db, { schoolId, school, metric }) => {
+  try {
+    const usage = await getUsage(db, schoolId, school);
+    const { used, limit, ratio } = usage[metric];
+    const key = `${usage.plan}:${limit}`;
+    const warned = school?.usageWarnings?.[metric];
+    const schoolRef = db.collection('schools').doc(schoolId);
+
+    if (ratio === null || ratio < USAGE_WARNING_RATIO) {
+      if (warned) await schoolRef.update({ [`usageWarnings.${metric}`]: admin.firestore.FieldValue.delete() });
+      return;
+    }
+
+    if (warned === key) return;
+
+    const owners = await db
+      .collection('users')
+      .where('schoolId', '==', schoolId)
+      .where('role', '==', 'owner')
+      .limit(1)
+      .get();
+    const owner = owners.empty ? null : owners.docs[0].data();
+    const to = owner?.email || school?.adminEmail;
+
+    // Remembered before sending, so a failing mailbox isn't retried on every write
+    await schoolRef.update({ [`usageWarnings.${metric}`]: key });
+
+    if (to) {
+      await sendEmail({
+        to,
+        template: 'plan-usage-warning',
+        data: {
+          name: owner?.name,
+          schoolName: school?.identity?.name || school?.name,
+          planName: usage.planName,
+          metric: USAGE_LABELS[metric].toLowerCase(),
+          used,
+          limit: limitLabel(limit),
+          percent: Math.floor(ratio * 100),
+          upgradeLink: `${APP_URL}/settings`,
+        },
+      });
+    }
+  } catch (error) {
+    console.error(`Usage warning for school ${schoolId} failed:`, error);
+  }
+};
+
+module.exports = {
+  resolvePlan,
+  getUsage,
+  assertCapacity,
+  warnIfNearLimit,
+};
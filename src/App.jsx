@@ -1,6 +1,7 @@
 import React from 'react';
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from './context/AuthContext';
+import { ROUTE_PERMISSIONS } from './shared/permissions';
 import { FirebaseProvider } from './context/FirebaseContext';
 import Home from './pages/Home';
 import Dashboard from './pages/Dashboard';
@@ -9,10 +10,22 @@ import Payment from './pages/Payment';
 import AppDownload from './pages/AppDownload';
 import Login from './pages/Login';
 import Signup from './pages/Signup';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import AcceptInvite from './pages/AcceptInvite';
+import UnlockAccount from './pages/UnlockAccount';
+import VerifyEmail from './pages/VerifyEmail';
+import Staff from './pages/Staff';
+import Students from './pages/Students';
+import Attendance from './pages/Attendance';
 import Settings from './pages/Settings';
+import Support from './pages/Support';
+import ConfirmClosure from './pages/ConfirmClosure';
+import ImpersonationBanner from './components/layout/ImpersonationBanner';
 
 const PrivateRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useAuth();
+  const { isAuthenticated, loading, can } = useAuth();
+  const location = useLocation();
 
   if (loading) {
     return (
@@ -22,16 +35,33 @@ const PrivateRoute = ({ children }) => {
     );
   }
 
-  return isAuthenticated ? children : <Navigate to="/login" />;
+  if (!isAuthenticated) {
+    return <Navigate to="/login" />;
+  }
+
+  // Send users to the dashboard when their role can't use this page
+  const permission = ROUTE_PERMISSIONS[location.pathname];
+  if (permission && !can(permission)) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  return children;
 };
 
 function App() {
   return (
     <FirebaseProvider>
+      <ImpersonationBanner />
       <Routes>
         <Route path="/" element={<Home />} />
         <Route path="/login" element={<Login />} />
         <Route path="/signup" element={<Signup />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/accept-invite" element={<AcceptInvite />} />
+        <Route path="/unlock-account" element={<UnlockAccount />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
+        <Route path="/confirm-closure" element={<ConfirmClosure />} />
         
         <Route
           path="/dashboard"
@@ -69,6 +99,42 @@ function App() {
           }
         />
         
+        <Route
+          path="/staff"
+          element={
+            <PrivateRoute>
+              <Staff />
+            </PrivateRoute>
+          }
+        />
+        
+        <Route
+          path="/students"
+          element={
+            <PrivateRoute>
+              <Students />
+            </PrivateRoute>
+          }
+        />
+        
+        <Route
+          path="/attendance"
+          element={
+            <PrivateRoute>
+              <Attendance />
+            </PrivateRoute>
+          }
+        />
+        
+        <Route
+          path="/support"
+          element={
+            <PrivateRoute>
+              <Support />
+            </PrivateRoute>
+          }
+        />
+        
         <Route
           path="/app-download"
           element={
@@ -0,0 +1,187 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FaSpinner, FaTimes } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { attendanceService } from '../../services/api';
+import { ATTENDANCE_STATUSES, ATTENDANCE_STATUS_LABELS, formatRate } from '../../shared/attendanceSchema';
+import { STATUS_STYLES } from './RegisterSheet';
+
+const rateStyle = (rate) => {
+  if (rate === null) return 'text-gray-600';
+  if (rate >= 0.9) return 'text-green-600';
+  if (rate >= 0.75) return 'text-yellow-700';
+  return 'text-red-600';
+};
+
+// One student's days, opened from a row of the class summary
+const StudentDays = ({ student, range, onClose }) => {
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    attendanceService
+      .studentSummary(student.studentId, range)
+      .then((data) => setSummary(data.summary))
+      .catch((error) => toast.error(error.error || 'Failed to load the student summary'));
+  }, [student.studentId, range]);
+
+  return (
+    <div className="border rounded-lg p-4 bg-gray-50">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold">
+          {student.name}
+          {summary && <span className={`ml-2 ${rateStyle(summary.rate)}`}>{formatRate(summary.rate)}</span>}
+        </h3>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <FaTimes />
+        </button>
+      </div>
+
+      {!summary ? (
+        <FaSpinner className="animate-spin text-primary-600" />
+      ) : summary.days.filter((day) => day.status !== 'present').length === 0 ? (
+        <p className="text-sm text-gray-600">Present on all {summary.total} days recorded.</p>
+      ) : (
+        <div className="space-y-1 text-sm">
+          {summary.days
+            .filter((day) => day.status !== 'present')
+            .map((day) => (
+              <div key={day.registerId} className="flex items-center justify-between">
+                <span>
+                  {day.date} · {day.className}
+                  {day.note && <span className="text-gray-600"> · {day.note}</span>}
+                </span>
+                <span className={`px-2 py-0.5 rounded-full border text-xs ${STATUS_STYLES[day.status]}`}>
+                  {ATTENDANCE_STATUS_LABELS[day.status]}
+                </span>
+              </div>
+            ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Totals for a class over a range, day by day and student by student
+const AttendanceSummary = ({ classId, range }) => {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    const request = ++requestRef.current;
+
+    const loadSummary = async () => {
+      try {
+        setLoading(true);
+        setSelected(null);
+        const data = await attendanceService.classSummary(classId, range);
+        if (request !== requestRef.current) return;
+        setSummary(data.summary);
+      } catch (error) {
+        if (request !== requestRef.current) return;
+        toast.error(error.error || 'Failed to load the summary');
+        setSummary(null);
+      } finally {
+        if (request === requestRef.current) setLoading(false);
+      }
+    };
+
+    loadSummary();
+  }, [classId, range]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <FaSpinner className="animate-spin text-3xl text-primary-600" />
+      </div>
+    );
+  }
+
+  if (!summary) return null;
+
+  if (summary.registerCount === 0) {
+    return (
+      <p className="text-gray-600 text-center py-12">
+        No registers for {summary.className} between {summary.from} and {summary.to}.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3 text-center">
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className={`text-2xl font-bold ${rateStyle(summary.rate)}`}>{formatRate(summary.rate)}</p>
+          <p className="text-sm text-gray-600">Attendance rate</p>
+        </div>
+        <div className="p-3 bg-gray-50 rounded-lg">
+          <p className="text-2xl font-bold">{summary.registerCount}</p>
+          <p className="text-sm text-gray-600">School days</p>
+        </div>
+        {ATTENDANCE_STATUSES.map((status) => (
+          <div key={status} className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-2xl font-bold">{summary[status]}</p>
+            <p className="text-sm text-gray-600">{ATTENDANCE_STATUS_LABELS[status]}</p>
+          </div>
+        ))}
+      </div>
+
+      <div>
+        <h3 className="font-semibold mb-2">Students</h3>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-2 pr-4">Student</th>
+                {ATTENDANCE_STATUSES.map((status) => (
+                  <th key={status} className="py-2 pr-4">{ATTENDANCE_STATUS_LABELS[status]}</th>
+                ))}
+                <th className="py-2">Rate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.students.map((student) => (
+                <tr
+                  key={student.studentId}
+                  onClick={() => setSelected(student)}
+                  className="border-b cursor-pointer hover:bg-gray-50"
+                >
+                  <td className="py-2 pr-4">
+                    {student.name}
+                    <span className="text-gray-600"> · {student.admissionNumber}</span>
+                  </td>
+                  {ATTENDANCE_STATUSES.map((status) => (
+                    <td key={status} className="py-2 pr-4">{student[status]}</td>
+                  ))}
+                  <td className={`py-2 font-semibold ${rateStyle(student.rate)}`}>{formatRate(student.rate)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {selected && <StudentDays student={selected} range={range} onClose={() => setSelected(null)} />}
+
+      <div>
+        <h3 className="font-semibold mb-2">Days</h3>
+        <div className="border rounded-lg divide-y text-sm max-h-64 overflow-y-auto">
+          {[...summary.days].reverse().map((day) => (
+            <div key={day.registerId} className="px-3 py-2 flex justify-between">
+              <span>
+                {day.date}
+                {day.correctionCount > 0 && <span className="text-gray-600"> · corrected</span>}
+              </span>
+              <span className="text-gray-600">
+                {day.absent} absent · {day.late} late ·{' '}
+                <span className={rateStyle(day.rate)}>{formatRate(day.rate)}</span>
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AttendanceSummary;
@@ -0,0 +1,379 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { FaSpinner, FaCheck, FaEdit, FaHistory, FaSave } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { attendanceService } from '../../services/api';
+import {
+  ATTENDANCE_STATUSES,
+  ATTENDANCE_STATUS_LABELS,
+  attendanceRate,
+  emptyCounts,
+  formatRate,
+} from '../../shared/attendanceSchema';
+
+export const STATUS_STYLES = {
+  present: 'bg-green-100 text-green-700 border-green-300',
+  absent: 'bg-red-100 text-red-700 border-red-300',
+  late: 'bg-yellow-100 text-yellow-800 border-yellow-300',
+  excused: 'bg-blue-100 text-blue-700 border-blue-300',
+};
+
+const countMarks = (marks) =>
+  Object.values(marks).reduce((counts, { status }) => {
+    counts[status] += 1;
+    counts.total += 1;
+    return counts;
+  }, emptyCounts());
+
+const formatTime = (timestamp) => {
+  const seconds = timestamp?._seconds ?? timestamp?.seconds;
+  return seconds ? new Date(seconds * 1000).toLocaleString() : '';
+};
+
+// One class on one day. Before submission a teacher marks everyone, present
+// by default; afterwards administrators correct it with a reason, and every
+// correction is listed under the register.
+const RegisterSheet = ({ classId, date, canTake, canManage }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  // studentId -> { status, note } being edited
+  const [marks, setMarks] = useState({});
+  const [correcting, setCorrecting] = useState(false);
+  const [reason, setReason] = useState('');
+  const [corrections, setCorrections] = useState(null);
+
+  // Ignores answers for a class or day the user has already moved away from
+  const requestRef = useRef(0);
+
+  const register = data?.register;
+
+  // Students to show: the register's own, plus anyone admitted since
+  const rows = useMemo(() => {
+    if (!data) return [];
+    if (!register) return data.roster;
+
+    const listed = new Set(register.entries.map((entry) => entry.studentId));
+    return [...register.entries, ...data.roster.filter((student) => !listed.has(student.studentId))];
+  }, [data, register]);
+
+  const startMarks = (response) => {
+    const source = response.register ? response.register.entries : response.roster;
+    setMarks(Object.fromEntries(
+      source.map((student) => [student.studentId, { status: student.status || 'present', note: student.note || '' }])
+    ));
+  };
+
+  useEffect(() => {
+    const request = ++requestRef.current;
+
+    const loadRegister = async () => {
+      try {
+        setLoading(true);
+        setCorrecting(false);
+        setCorrections(null);
+        setReason('');
+        const response = await attendanceService.getRegister(classId, date);
+        if (request !== requestRef.current) return;
+        setData(response);
+        startMarks(response);
+      } catch (error) {
+        if (request !== requestRef.current) return;
+        toast.error(error.error || 'Failed to load the register');
+        setData(null);
+      } finally {
+        if (request === requestRef.current) setLoading(false);
+      }
+    };
+
+    loadRegister();
+  }, [classId, date]);
+
+  const setMark = (studentId, changes) => {
+    setMarks((prev) => ({ ...prev, [studentId]: { status: 'present', note: '', ...prev[studentId], ...changes } }));
+  };
+
+  const markAll = (status) => {
+    setMarks(Object.fromEntries(rows.map((student) => [student.studentId, { note: '', ...marks[student.studentId], status }])));
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setSaving(true);
+      const response = await attendanceService.submitRegister({
+        classId,
+        date,
+        entries: rows.map(({ studentId }) => ({ studentId, ...marks[studentId] })),
+      });
+      setData((prev) => ({ ...prev, register: response.register }));
+      startMarks({ register: response.register });
+      toast.success('Register submitted');
+    } catch (error) {
+      toast.error(error.error || 'Failed to submit the register');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changedEntries = () => {
+    const current = new Map(register.entries.map((entry) => [entry.studentId, entry]));
+
+    return rows
+      .filter(({ studentId }) => {
+        const before = current.get(studentId);
+        const after = marks[studentId];
+        return after && (!before || before.status !== after.status || (before.note || '') !== after.note);
+      })
+      .map(({ studentId }) => ({ studentId, ...marks[studentId] }));
+  };
+
+  const handleCorrect = async () => {
+    const entries = changedEntries();
+
+    if (entries.length === 0) {
+      toast.error('Change at least one student first');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await attendanceService.correctRegister(register.id, { entries, reason });
+      setData((prev) => ({ ...prev, register: response.register }));
+      startMarks({ register: response.register });
+      setCorrecting(false);
+      setReason('');
+      setCorrections((prev) => (prev ? [response.correction, ...prev] : prev));
+      toast.success(`${response.correction.changes.length} entries corrected`);
+    } catch (error) {
+      toast.error(error.fields?.reason || error.error || 'Failed to correct the register');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const loadCorrections = async () => {
+    try {
+      const response = await attendanceService.getRegisterHistory(register.id);
+      setCorrections(response.corrections);
+    } catch (error) {
+      toast.error(error.error || 'Failed to load corrections');
+    }
+  };
+
+  const cancelCorrection = () => {
+    startMarks({ register });
+    setCorrecting(false);
+    setReason('');
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <FaSpinner className="animate-spin text-3xl text-primary-600" />
+      </div>
+    );
+  }
+
+  if (!data) return null;
+
+  const editable = (!register && canTake) || correcting;
+  const counts = register && !correcting ? register.counts : countMarks(marks);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex flex-wrap gap-2 text-sm">
+          {ATTENDANCE_STATUSES.map((status) => (
+            <span key={status} className={`px-2 py-1 rounded-full border ${STATUS_STYLES[status]}`}>
+              {ATTENDANCE_STATUS_LABELS[status]}: {counts[status]}
+            </span>
+          ))}
+          <span className="px-2 py-1 text-gray-600">Rate: {formatRate(attendanceRate(counts))}</span>
+        </div>
+
+        {register ? (
+          <span className="text-sm text-gray-600">
+            Submitted {formatTime(register.submittedAt)}
+            {register.submittedByEmail && ` by ${register.submittedByEmail}`}
+            {register.correctionCount > 0 && ` · corrected ${register.correctionCount} times`}
+          </span>
+        ) : (
+          <span className="text-sm text-yellow-700">Not submitted yet</span>
+        )}
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-gray-600 text-center py-12">No active students in this class.</p>
+      ) : (
+        <>
+          {editable && (
+            <div className="flex items-center space-x-3 text-sm">
+              <span className="text-gray-600">Mark everyone:</span>
+              {['present', 'absent'].map((status) => (
+                <button
+                  key={status}
+                  onClick={() => markAll(status)}
+                  className="text-primary-600 hover:text-primary-700"
+                >
+                  {ATTENDANCE_STATUS_LABELS[status]}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="border rounded-lg divide-y">
+            {rows.map((student) => {
+              const mark = marks[student.studentId];
+              const notOnRegister = register && !register.entries.some((e) => e.studentId === student.studentId);
+
+              return (
+                <div key={student.studentId} className="p-3 flex flex-wrap items-center justify-between gap-3">
+                  <div>
+                    <p className="font-medium">{student.name}</p>
+                    <p className="text-sm text-gray-600">
+                      {[student.admissionNumber, student.stream].filter(Boolean).join(' · ')}
+                      {notOnRegister && ' · not on this register'}
+                    </p>
+                  </div>
+
+                  {editable ? (
+                    <div className="flex flex-wrap items-center gap-2">
+                      {ATTENDANCE_STATUSES.map((status) => (
+                        <button
+                          key={status}
+                          onClick={() => setMark(student.studentId, status === 'present' ? { status, note: '' } : { status })}
+                          className={`px-3 py-1 rounded-lg border text-sm ${
+                            mark?.status === status ? STATUS_STYLES[status] : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                          }`}
+                        >
+                          {ATTENDANCE_STATUS_LABELS[status]}
+                        </button>
+                      ))}
+                      {mark && mark.status !== 'present' && (
+                        <input
+                          type="text"
+                          value={mark.note}
+                          onChange={(e) => setMark(student.studentId, { note: e.target.value })}
+                          maxLength={200}
+                          placeholder="Note"
+                          className="px-3 py-1 border rounded-lg text-sm w-40"
+                        />
+                      )}
+                    </div>
+                  ) : notOnRegister ? (
+                    <span className="text-sm text-gray-400">—</span>
+                  ) : (
+                    <div className="text-right">
+                      <span className={`px-2 py-1 rounded-full border text-xs ${STATUS_STYLES[student.status]}`}>
+                        {ATTENDANCE_STATUS_LABELS[student.status]}
+                      </span>
+                      {student.note && <p className="text-sm text-gray-600 mt-1">{student.note}</p>}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+
+      {!register && canTake && rows.length > 0 && (
+        <div className="flex justify-end">
+          <button
+            onClick={handleSubmit}
+            disabled={saving}
+            className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center"
+          >
+            {saving ? <FaSpinner className="animate-spin mr-2" /> : <FaCheck className="mr-2" />}
+            Submit Register
+          </button>
+        </div>
+      )}
+
+      {register && canManage && (
+        correcting ? (
+          <div className="space-y-3">
+            <input
+              type="text"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={300}
+              placeholder="Why is the register being corrected?"
+              className="w-full px-4 py-2 border rounded-lg"
+            />
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={cancelCorrection}
+                disabled={saving}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleCorrect}
+                disabled={saving || reason.trim().length < 3}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center"
+              >
+                {saving ? <FaSpinner className="animate-spin mr-2" /> : <FaSave className="mr-2" />}
+                Save Correction
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="flex justify-end">
+            <button
+              onClick={() => setCorrecting(true)}
+              className="px-4 py-2 border border-primary-600 text-primary-600 rounded-lg hover:bg-primary-50 flex items-center"
+            >
+              <FaEdit className="mr-2" /> Correct Register
+            </button>
+          </div>
+        )
+      )}
+
+      {register && (
+        <div>
+          {corrections === null ? (
+            register.correctionCount > 0 && (
+              <button
+                onClick={loadCorrections}
+                className="text-sm text-primary-600 hover:text-primary-700 flex items-center"
+              >
+                <FaHistory className="mr-1" /> Show corrections
+              </button>
+            )
+          ) : (
+            <div>
+              <h3 className="font-semibold mb-2 flex items-center">
+                <FaHistory className="mr-2 text-primary-600" /> Corrections
+              </h3>
+              {corrections.length === 0 ? (
+                <p className="text-sm text-gray-600">This register has not been corrected.</p>
+              ) : (
+                <div className="border rounded-lg divide-y text-sm">
+                  {corrections.map((correction) => (
+                    <div key={correction.id} className="px-3 py-2">
+                      <p className="text-gray-600">
+                        {formatTime(correction.createdAt) || 'Just now'}
+                        {correction.correctedByEmail && ` · ${correction.correctedByEmail}`}
+                        {' · '}&ldquo;{correction.reason}&rdquo;
+                      </p>
+                      {correction.changes.map((change) => (
+                        <p key={change.studentId}>
+                          {change.name}: {change.from ? ATTENDANCE_STATUS_LABELS[change.from] : 'not marked'} →{' '}
+                          {ATTENDANCE_STATUS_LABELS[change.to]}
+                          {change.note && <span className="text-gray-600"> ({change.note})</span>}
+                        </p>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RegisterSheet;
@@ -0,0 +1,16 @@
+import React from 'react';
+import { FaGoogle } from 'react-icons/fa';
+
+const GoogleButton = ({ onClick, disabled, children = 'Continue with Google' }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    disabled={disabled}
+    className="w-full flex items-center justify-center py-3 px-4 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition"
+  >
+    <FaGoogle className="mr-2 text-red-500" />
+    {children}
+  </button>
+);
+
+export default GoogleButton;
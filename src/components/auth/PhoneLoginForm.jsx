@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { FaPhone, FaKey } from 'react-icons/fa';
+import { useAuth } from '../../context/AuthContext';
+
+const inputClassName = 'appearance-none relative block w-full px-3 py-3 pl-10 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-600 focus:border-transparent sm:text-sm';
+const buttonClassName = 'group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-gradient-to-r from-primary-600 to-primary-700 hover:from-primary-700 hover:to-primary-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300';
+
+// Sign in with a one-time code sent by SMS. `onResponse` receives the same
+// payload as a password login (session or two-factor challenge).
+const PhoneLoginForm = ({ onResponse }) => {
+  const { requestPhoneOtp, loginWithPhone } = useAuth();
+  const [phone, setPhone] = useState('');
+  const [code, setCode] = useState('');
+  const [codeSent, setCodeSent] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleRequestCode = async (e) => {
+    e?.preventDefault();
+    setLoading(true);
+
+    try {
+      await requestPhoneOtp(phone);
+      setCodeSent(true);
+    } catch (error) {
+      // AuthContext already shows the error toast
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      onResponse(await loginWithPhone(phone, code));
+    } catch (error) {
+      setCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form className="mt-8 space-y-6" onSubmit={codeSent ? handleVerify : handleRequestCode}>
+      <div className="space-y-4">
+        <div>
+          <label htmlFor="phone" className="block text-sm font-medium text-gray-700 mb-2">
+            Phone Number
+          </label>
+          <div className="relative">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <FaPhone className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              id="phone"
+              name="phone"
+              type="tel"
+              autoComplete="tel"
+              required
+              disabled={codeSent}
+              value={phone}
+              onChange={(e) => setPhone(e.target.value)}
+              className={`${inputClassName} disabled:bg-gray-50`}
+              placeholder="0712 345 678"
+            />
+          </div>
+        </div>
+
+        {codeSent && (
+          <div>
+            <label htmlFor="otp" className="block text-sm font-medium text-gray-700 mb-2">
+              SMS Code
+            </label>
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <FaKey className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                id="otp"
+                name="otp"
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                maxLength={6}
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                className={`${inputClassName} tracking-widest`}
+                placeholder="123456"
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      <button type="submit" disabled={loading} className={buttonClassName}>
+        {loading ? 'Please wait...' : codeSent ? 'Sign in' : 'Send code'}
+      </button>
+
+      {codeSent && (
+        <div className="flex items-center justify-between text-sm">
+          <button
+            type="button"
+            onClick={() => handleRequestCode()}
+            disabled={loading}
+            className="font-medium text-primary-600 hover:text-primary-500 disabled:opacity-50"
+          >
+            Resend code
+          </button>
+          <button
+            type="button"
+            onClick={() => {
+              setCodeSent(false);
+              setCode('');
+            }}
+            className="text-gray-600 hover:text-gray-900"
+          >
+            Change number
+          </button>
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default PhoneLoginForm;
@@ -0,0 +1,99 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { FaGlobe, FaCheckCircle, FaTimesCircle, FaSpinner } from 'react-icons/fa';
+import { authService } from '../../services/api';
+import { validateSubdomain } from '../../shared/subdomain';
+
+const CHECK_DELAY_MS = 400;
+
+// Subdomain input with live availability feedback. `onStatusChange`
+// receives 'checking', 'available', 'unavailable' or 'unchanged' (when the
+// value is the school's current subdomain).
+const SubdomainField = ({ value, onChange, onStatusChange, currentSubdomain = null, inputClassName }) => {
+  const [status, setStatus] = useState(null);
+  const [message, setMessage] = useState('');
+
+  // Kept in a ref so a new callback from the parent doesn't start a new check
+  const onStatusChangeRef = useRef(onStatusChange);
+  onStatusChangeRef.current = onStatusChange;
+
+  const report = useCallback((nextStatus, nextMessage = '') => {
+    setStatus(nextStatus);
+    setMessage(nextMessage);
+    onStatusChangeRef.current?.(nextStatus);
+  }, []);
+
+  useEffect(() => {
+    if (!value) {
+      report(null);
+      return undefined;
+    }
+
+    if (value === currentSubdomain) {
+      report('unchanged');
+      return undefined;
+    }
+
+    const invalid = validateSubdomain(value);
+    if (invalid) {
+      report('unavailable', invalid);
+      return undefined;
+    }
+
+    report('checking');
+
+    // Only the answer for the latest value counts
+    let stale = false;
+    const timer = setTimeout(() => {
+      authService
+        .checkSubdomain(value)
+        .then(({ available, reason }) => {
+          if (!stale) report(available ? 'available' : 'unavailable', reason || '');
+        })
+        .catch(() => {
+          if (!stale) report('unavailable', 'Could not check availability, please try again');
+        });
+    }, CHECK_DELAY_MS);
+
+    return () => {
+      stale = true;
+      clearTimeout(timer);
+    };
+  }, [value, currentSubdomain, report]);
+
+  return (
+    <div>
+      <div className="relative flex items-center">
+        <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+          <FaGlobe className="text-gray-400" />
+        </div>
+        <input
+          name="subdomain"
+          value={value}
+          onChange={(e) => onChange(e.target.value.toLowerCase().replace(/[^a-z0-9-]/g, ''))}
+          className={inputClassName || 'w-full pl-10 pr-40 py-3 border rounded-lg focus:ring-2 focus:ring-primary-600'}
+          placeholder="sunshine-academy"
+          autoComplete="off"
+        />
+        <span className="absolute right-3 text-sm text-gray-500 pointer-events-none">.edumanagerpro.com</span>
+      </div>
+
+      {status === 'checking' && (
+        <p className="text-xs text-gray-500 mt-1 flex items-center">
+          <FaSpinner className="animate-spin mr-1" /> Checking availability...
+        </p>
+      )}
+      {status === 'available' && (
+        <p className="text-xs text-green-600 mt-1 flex items-center">
+          <FaCheckCircle className="mr-1" /> {value}.edumanagerpro.com is available
+        </p>
+      )}
+      {status === 'unavailable' && (
+        <p className="text-xs text-red-500 mt-1 flex items-center">
+          <FaTimesCircle className="mr-1" /> {message}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SubdomainField;
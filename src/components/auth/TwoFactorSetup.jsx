@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode.react';
+import { FaShieldAlt, FaCopy, FaSpinner } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { twoFactorService } from '../../services/api';
+
+export const RecoveryCodes = ({ codes, onDone }) => {
+  const copyCodes = () => {
+    navigator.clipboard
+      ?.writeText(codes.join('\n'))
+      .then(() => toast.success('Recovery codes copied'))
+      .catch(() => toast.error('Copy failed, please write the codes down'));
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Save these recovery codes somewhere safe. Each one can be used once to sign in
+        if you lose your phone. They will not be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-lg font-mono text-sm">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex space-x-3">
+        <button
+          type="button"
+          onClick={copyCodes}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 flex items-center justify-center"
+        >
+          <FaCopy className="mr-2" />
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+        >
+          I've saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Scan-and-confirm enrolment. `onEnable(code)` must resolve to the server
+// response, whose recovery codes are then shown before `onDone` is called.
+const TwoFactorSetup = ({ challengeToken, onEnable, onDone }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  useEffect(() => {
+    twoFactorService
+      .setup(challengeToken)
+      .then(setSetup)
+      .catch((error) => toast.error(error.error || 'Failed to start two-factor setup'));
+  }, [challengeToken]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      const response = await onEnable(code);
+      setRecoveryCodes(response.recoveryCodes);
+    } catch (error) {
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (recoveryCodes) {
+    return <RecoveryCodes codes={recoveryCodes} onDone={onDone} />;
+  }
+
+  if (!setup) {
+    return (
+      <div className="flex justify-center py-8">
+        <FaSpinner className="animate-spin text-2xl text-primary-600" />
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Scan this QR code with Google Authenticator, Authy or a similar app, then enter
+        the 6-digit code it shows.
+      </p>
+      <div className="flex justify-center">
+        <QRCode value={setup.otpauthUrl} size={180} level="M" includeMargin={true} />
+      </div>
+      <p className="text-xs text-center text-gray-500">
+        Can't scan? Enter this key instead:
+        <span className="block font-mono text-sm text-gray-800 break-all mt-1">{setup.secret}</span>
+      </p>
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        pattern="[0-9]{6}"
+        maxLength={6}
+        required
+        value={code}
+        onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+        placeholder="123456"
+        className="w-full px-4 py-3 border rounded-lg text-center tracking-widest text-lg"
+      />
+      <button
+        type="submit"
+        disabled={submitting || code.length !== 6}
+        className="w-full py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center justify-center"
+      >
+        {submitting ? <FaSpinner className="animate-spin mr-2" /> : <FaShieldAlt className="mr-2" />}
+        Turn on two-factor authentication
+      </button>
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
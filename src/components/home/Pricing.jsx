@@ -2,6 +2,7 @@ import React from 'react';
 import { motion } from 'framer-motion';
 import { useNavigate } from 'react-router-dom';
 import { FaCheck, FaTimes, FaCrown, FaGem } from 'react-icons/fa';
+import { PLANS } from '../../shared/plans';
 
 const plans = [
   {
@@ -9,7 +10,7 @@ const plans = [
     name: 'Starter',
     price: 2500,
     period: 'month',
-    students: 200,
+    students: PLANS.starter.students,
     features: [
       { name: 'Custom subdomain', included: true },
       { name: 'School branding', included: true },
@@ -27,7 +28,7 @@ const plans = [
     name: 'Professional',
     price: 5000,
     period: 'month',
-    students: 500,
+    students: PLANS.professional.students,
     features: [
       { name: 'Custom subdomain', included: true },
       { name: 'Advanced branding', included: true },
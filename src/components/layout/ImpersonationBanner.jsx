@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaUserSecret } from 'react-icons/fa';
+import { useAuth } from '../../context/AuthContext';
+
+const formatRemaining = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Shown on every page while support staff are viewing a school, so a
+// support session can never be mistaken for a real login.
+const ImpersonationBanner = () => {
+  const { user, endImpersonation } = useAuth();
+  const navigate = useNavigate();
+  const [now, setNow] = useState(Date.now());
+  const impersonation = user?.impersonation;
+
+  useEffect(() => {
+    if (!impersonation) return undefined;
+
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [impersonation]);
+
+  if (!impersonation) return null;
+
+  const handleEnd = async () => {
+    await endImpersonation();
+    navigate('/support');
+  };
+
+  return (
+    <div className="fixed bottom-0 left-0 w-full z-[60] bg-red-600 text-white text-sm shadow-lg">
+      <div className="container mx-auto px-4 py-2 flex items-center justify-between">
+        <span className="flex items-center">
+          <FaUserSecret className="mr-2" />
+          Viewing as {user.name} ({user.email}) at {user.schoolName} · read-only ·{' '}
+          {formatRemaining(new Date(impersonation.expiresAt) - now)} left
+        </span>
+        <button onClick={handleEnd} className="font-semibold hover:underline">
+          End support session
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ImpersonationBanner;
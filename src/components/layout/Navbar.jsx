@@ -4,10 +4,12 @@ import { useAuth } from '../../context/AuthContext';
 import { useSchool } from '../../context/SchoolContext';
 import { Menu, Transition } from '@headlessui/react';
 import { Fragment } from 'react';
-import { FaGraduationCap, FaUser, FaCog, FaSignOutAlt } from 'react-icons/fa';
+import { FaGraduationCap, FaUser, FaUsers, FaUserGraduate, FaClipboardCheck, FaCog, FaSignOutAlt, FaUserSecret } from 'react-icons/fa';
+import VerifyEmailBanner from './VerifyEmailBanner';
+import SchoolClosedBanner from './SchoolClosedBanner';
 
 const Navbar = () => {
-  const { user, isAuthenticated, logout } = useAuth();
+  const { user, isAuthenticated, logout, can, isSuperAdmin } = useAuth();
   const { school } = useSchool();
   const navigate = useNavigate();
   const [scrolled, setScrolled] = useState(false);
@@ -21,8 +23,10 @@ const Navbar = () => {
   }, []);
 
   const handleLogout = () => {
+    // Logging out of a support session returns to the support page
+    const destination = user?.impersonation ? '/support' : '/';
     logout();
-    navigate('/');
+    navigate(destination);
   };
 
   return (
@@ -80,6 +84,48 @@ const Navbar = () => {
                       </Link>
                     )}
                   </Menu.Item>
+                  {can('students:read') && (
+                    <Menu.Item>
+                      {({ active }) => (
+                        <Link
+                          to="/students"
+                          className={`${
+                            active ? 'bg-gray-100' : ''
+                          } flex items-center px-4 py-2 text-sm text-gray-700`}
+                        >
+                          <FaUserGraduate className="mr-3" /> Students
+                        </Link>
+                      )}
+                    </Menu.Item>
+                  )}
+                  {can('attendance:read') && (
+                    <Menu.Item>
+                      {({ active }) => (
+                        <Link
+                          to="/attendance"
+                          className={`${
+                            active ? 'bg-gray-100' : ''
+                          } flex items-center px-4 py-2 text-sm text-gray-700`}
+                        >
+                          <FaClipboardCheck className="mr-3" /> Attendance
+                        </Link>
+                      )}
+                    </Menu.Item>
+                  )}
+                  {can('staff:manage') && (
+                    <Menu.Item>
+                      {({ active }) => (
+                        <Link
+                          to="/staff"
+                          className={`${
+                            active ? 'bg-gray-100' : ''
+                          } flex items-center px-4 py-2 text-sm text-gray-700`}
+                        >
+                          <FaUsers className="mr-3" /> Staff
+                        </Link>
+                      )}
+                    </Menu.Item>
+                  )}
                   <Menu.Item>
                     {({ active }) => (
                       <Link
@@ -92,6 +138,20 @@ const Navbar = () => {
                       </Link>
                     )}
                   </Menu.Item>
+                  {isSuperAdmin && (
+                    <Menu.Item>
+                      {({ active }) => (
+                        <Link
+                          to="/support"
+                          className={`${
+                            active ? 'bg-gray-100' : ''
+                          } flex items-center px-4 py-2 text-sm text-gray-700`}
+                        >
+                          <FaUserSecret className="mr-3" /> Support
+                        </Link>
+                      )}
+                    </Menu.Item>
+                  )}
                   <Menu.Item>
                     {({ active }) => (
                       <button
@@ -125,6 +185,8 @@ const Navbar = () => {
           )}
         </div>
       </div>
+      <VerifyEmailBanner />
+      <SchoolClosedBanner />
     </nav>
   );
 };
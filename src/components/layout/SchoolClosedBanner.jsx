@@ -0,0 +1,28 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { FaExclamationTriangle } from 'react-icons/fa';
+import { useSchool } from '../../context/SchoolContext';
+
+// Only owners can still sign in to a closed school, so this is always
+// addressed to someone who can restore it
+const SchoolClosedBanner = () => {
+  const { isClosed, purgeDate } = useSchool();
+
+  if (!isClosed) return null;
+
+  return (
+    <div className="bg-red-50 border-b border-red-200 text-red-800 text-sm">
+      <div className="container mx-auto px-4 py-2 flex items-center justify-between">
+        <span className="flex items-center">
+          <FaExclamationTriangle className="mr-2" />
+          This school is closed. All of its data will be deleted on {purgeDate?.toLocaleDateString()}.
+        </span>
+        <Link to="/settings" className="font-semibold hover:underline">
+          Restore school
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default SchoolClosedBanner;
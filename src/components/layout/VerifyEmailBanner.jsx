@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { FaEnvelope } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { authService } from '../../services/api';
+
+// Reminds unverified users why payments and app builds are unavailable
+const VerifyEmailBanner = () => {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!user || user.emailVerified !== false) return null;
+
+  const handleResend = async () => {
+    try {
+      setSending(true);
+      await authService.resendVerification();
+      toast.success(`Verification email sent to ${user.email}`);
+    } catch (error) {
+      toast.error(error.error || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200 text-yellow-800 text-sm">
+      <div className="container mx-auto px-4 py-2 flex items-center justify-between">
+        <span className="flex items-center">
+          <FaEnvelope className="mr-2" />
+          Verify your email address to unlock payments and app builds.
+        </span>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="font-semibold hover:underline disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
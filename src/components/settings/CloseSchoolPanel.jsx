@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { FaTrashAlt, FaSpinner, FaUndo } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { useSchool } from '../../context/SchoolContext';
+import { schoolService } from '../../services/api';
+
+// Closing needs the owner to type the school name here and then follow an
+// emailed link. A closed school can be restored until its purge date.
+const CloseSchoolPanel = () => {
+  const { school, isClosed, purgeDate, restoreSchool } = useSchool();
+  const [reason, setReason] = useState('');
+  const [confirmName, setConfirmName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const schoolName = school?.identity?.name || school?.name || '';
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await schoolService.requestClosure(school.id, reason);
+      setReason('');
+      setConfirmName('');
+      toast.success('Check your email to confirm closing the school');
+    } catch (error) {
+      toast.error(error.error || 'Failed to request closure');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    try {
+      setSaving(true);
+      await restoreSchool();
+    } catch (error) {
+      // restoreSchool already reported it
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.3 }}
+      className="bg-white rounded-lg shadow-lg p-6 mb-8 border-2 border-red-200"
+    >
+      <h2 className="text-xl font-bold mb-4 flex items-center text-red-600">
+        <FaTrashAlt className="mr-2" />
+        Close School Account
+      </h2>
+
+      {isClosed ? (
+        <div className="space-y-4">
+          <p className="text-gray-600">
+            This school is closed. Staff and parents can't sign in and the school portal is offline.
+            Restore it before <span className="font-semibold">{purgeDate?.toLocaleDateString()}</span>,
+            after which all of its data is permanently deleted.
+          </p>
+          <button
+            onClick={handleRestore}
+            disabled={saving}
+            className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center"
+          >
+            {saving ? <FaSpinner className="animate-spin mr-2" /> : <FaUndo className="mr-2" />}
+            Restore school
+          </button>
+        </div>
+      ) : (
+        <form onSubmit={handleRequest} className="space-y-4">
+          <p className="text-gray-600">
+            Closing cancels your subscription, signs everyone out and takes the school portal
+            offline. You have 30 days to restore the school, after which all of its data, logos and
+            app builds are permanently deleted. Download your data first if you want a copy.
+          </p>
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            maxLength={500}
+            rows={2}
+            placeholder="Why are you leaving? (optional)"
+            className="w-full px-4 py-2 border rounded-lg"
+          />
+          <div>
+            <label className="block text-sm text-gray-600 mb-1">
+              Type <span className="font-semibold">{schoolName}</span> to confirm
+            </label>
+            <input
+              type="text"
+              value={confirmName}
+              onChange={(e) => setConfirmName(e.target.value)}
+              className="w-full px-4 py-2 border rounded-lg"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={saving || confirmName !== schoolName}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center"
+          >
+            {saving && <FaSpinner className="animate-spin mr-2" />}
+            Close school account
+          </button>
+        </form>
+      )}
+    </motion.div>
+  );
+};
+
+export default CloseSchoolPanel;
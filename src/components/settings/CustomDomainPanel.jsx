@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FaGlobe, FaSpinner, FaCheckCircle, FaClock, FaCopy } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { useSchool } from '../../context/SchoolContext';
+import { schoolService } from '../../services/api';
+
+// Lets an Enterprise school serve its portal from its own domain once a
+// TXT record proves ownership
+const CustomDomainPanel = () => {
+  const { school } = useSchool();
+  const [domain, setDomain] = useState(null);
+  const [input, setInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const isEnterprise = plan === 'enterprise';
+
+  useEffect(() => {
+    if (!school?.id) return;
+
+    // The plan in force comes from the server, which knows every way it
+    // could have been bought
+    Promise.all([
+      schoolService.getDomain(school.id).then((data) => setDomain(data.domain)),
+      schoolService.getUsage(school.id).then((data) => setPlan(data.usage.plan)),
+    ])
+      .catch((error) => console.error('Error loading custom domain:', error))
+      .finally(() => setLoading(false));
+  }, [school?.id]);
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const data = await schoolService.registerDomain(school.id, input);
+      setDomain(data.domain);
+      setInput('');
+      toast.success('Domain added. Publish the TXT record below, then verify.');
+    } catch (error) {
+      toast.error(error.error || 'Failed to add domain');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleVerify = async () => {
+    try {
+      setSaving(true);
+      const data = await schoolService.verifyDomain(school.id);
+      setDomain(data.domain);
+
+      if (data.domain.status === 'verified') {
+        toast.success(`${data.domain.domain} is verified`);
+      } else {
+        toast.error(data.domain.lastError || 'Verification failed');
+      }
+    } catch (error) {
+      toast.error(error.error || 'Verification failed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async () => {
+    if (!window.confirm(`Stop serving your portal from ${domain.domain}?`)) return;
+
+    try {
+      setSaving(true);
+      await schoolService.removeDomain(school.id);
+      setDomain(null);
+      toast.success('Custom domain removed');
+    } catch (error) {
+      toast.error(error.error || 'Failed to remove domain');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const copy = (value) => {
+    navigator.clipboard?.writeText(value);
+    toast.success('Copied');
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.2 }}
+      className="bg-white rounded-lg shadow-lg p-6 mb-8"
+    >
+      <h2 className="text-xl font-bold mb-4 flex items-center">
+        <FaGlobe className="mr-2 text-primary-600" />
+        Custom Domain
+      </h2>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <FaSpinner className="animate-spin text-2xl text-primary-600" />
+        </div>
+      ) : domain ? (
+        <div className="space-y-4">
+          <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+            <div>
+              <p className="font-medium">{domain.domain}</p>
+              {domain.status === 'verified' ? (
+                <p className="text-sm text-green-600 flex items-center">
+                  <FaCheckCircle className="mr-1" /> Verified
+                </p>
+              ) : (
+                <p className="text-sm text-yellow-600 flex items-center">
+                  <FaClock className="mr-1" /> Waiting for DNS verification
+                </p>
+              )}
+            </div>
+            <div className="flex items-center space-x-4 text-sm">
+              {domain.status !== 'verified' && (
+                <button
+                  onClick={handleVerify}
+                  disabled={saving}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center"
+                >
+                  {saving && <FaSpinner className="animate-spin mr-2" />}
+                  Verify now
+                </button>
+              )}
+              <button
+                onClick={handleRemove}
+                disabled={saving}
+                className="text-red-600 hover:text-red-700 disabled:opacity-50"
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+
+          {domain.status === 'verified' && (
+            <p className="text-sm text-gray-600">
+              Point a CNAME record for {domain.domain} at {school.subdomain}.edumanagerpro.com to start
+              serving your portal from it.
+            </p>
+          )}
+
+          {domain.status !== 'verified' && (
+            <div className="text-sm space-y-2">
+              <p className="text-gray-600">
+                Add this record at your DNS provider. Changes can take up to an hour to show up.
+              </p>
+              <div className="grid md:grid-cols-3 gap-2 font-mono text-xs">
+                {[
+                  ['Type', domain.record.type],
+                  ['Name', domain.record.name],
+                  ['Value', domain.record.value],
+                ].map(([label, value]) => (
+                  <div key={label} className="p-2 border rounded-lg break-all">
+                    <p className="text-gray-500 font-sans mb-1 flex items-center justify-between">
+                      {label}
+                      <button onClick={() => copy(value)} title="Copy" className="hover:text-gray-900">
+                        <FaCopy />
+                      </button>
+                    </p>
+                    {value}
+                  </div>
+                ))}
+              </div>
+              {domain.lastError && <p className="text-red-600">{domain.lastError}</p>}
+            </div>
+          )}
+        </div>
+      ) : isEnterprise ? (
+        <form onSubmit={handleRegister} className="grid md:grid-cols-3 gap-4">
+          <input
+            type="text"
+            required
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="portal.myschool.ac.ke"
+            className="md:col-span-2 w-full px-4 py-2 border rounded-lg"
+          />
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center justify-center"
+          >
+            {saving && <FaSpinner className="animate-spin mr-2" />}
+            Add domain
+          </button>
+        </form>
+      ) : (
+        <p className="text-sm text-gray-600">
+          Serve your school portal from your own domain instead of {school?.subdomain}.edumanagerpro.com.
+          Available on the Enterprise plan.
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default CustomDomainPanel;
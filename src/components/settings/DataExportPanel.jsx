@@ -0,0 +1,134 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { FaFileArchive, FaSpinner, FaDownload } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { useSchool } from '../../context/SchoolContext';
+import { schoolService } from '../../services/api';
+
+const POLL_INTERVAL_MS = 5000;
+
+const STATUS_LABELS = {
+  pending: 'Queued',
+  processing: 'Preparing',
+  ready: 'Ready',
+  failed: 'Failed',
+  expired: 'Link expired',
+};
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Lets the owner download everything the school has stored with us as a
+// ZIP of JSON and CSV files. Archives are built in the background and the
+// owner is also emailed the link.
+const DataExportPanel = () => {
+  const { school } = useSchool();
+  const [exports, setExports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [requesting, setRequesting] = useState(false);
+  const inProgress = exports.some((item) => ['pending', 'processing'].includes(item.status));
+
+  const schoolId = school?.id;
+
+  const loadExports = useCallback(
+    () =>
+      schoolService
+        .listExports(schoolId)
+        .then((data) => setExports(data.exports))
+        .catch((error) => console.error('Error loading data exports:', error))
+        .finally(() => setLoading(false)),
+    [schoolId]
+  );
+
+  useEffect(() => {
+    if (!schoolId) return;
+    loadExports();
+  }, [schoolId, loadExports]);
+
+  useEffect(() => {
+    if (!inProgress) return undefined;
+
+    const timer = setInterval(loadExports, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [inProgress, loadExports]);
+
+  const handleRequest = async () => {
+    try {
+      setRequesting(true);
+      const data = await schoolService.requestExport(school.id);
+      setExports((current) => [data.export, ...current]);
+      toast.success("We're preparing your archive. We'll email you when it's ready.");
+    } catch (error) {
+      toast.error(error.error || 'Failed to start the export');
+    } finally {
+      setRequesting(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.2 }}
+      className="bg-white rounded-lg shadow-lg p-6 mb-8"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold flex items-center">
+          <FaFileArchive className="mr-2 text-primary-600" />
+          Your Data
+        </h2>
+        <button
+          onClick={handleRequest}
+          disabled={requesting || inProgress}
+          className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center"
+        >
+          {(requesting || inProgress) && <FaSpinner className="animate-spin mr-2" />}
+          Download all my data
+        </button>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        A ZIP archive of your school profile, staff and parent accounts, subscriptions, billing
+        history, app builds and academic records. Download links stay valid for 48 hours.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <FaSpinner className="animate-spin text-2xl text-primary-600" />
+        </div>
+      ) : exports.length > 0 && (
+        <div className="space-y-2">
+          {exports.map((item) => (
+            <div key={item.id} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg text-sm">
+              <div>
+                <p className="font-medium">
+                  {item.createdAt ? new Date(item.createdAt).toLocaleString() : 'Just now'}
+                </p>
+                <p className={item.status === 'failed' ? 'text-red-600' : 'text-gray-500'}>
+                  {STATUS_LABELS[item.status] || item.status}
+                  {item.bytes ? ` · ${formatSize(item.bytes)}` : ''}
+                  {item.status === 'ready' && item.expiresAt
+                    ? ` · until ${new Date(item.expiresAt).toLocaleString()}`
+                    : ''}
+                </p>
+              </div>
+              {item.downloadUrl && (
+                <a
+                  href={item.downloadUrl}
+                  className="text-primary-600 hover:text-primary-700 flex items-center"
+                >
+                  <FaDownload className="mr-1" /> Download
+                </a>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default DataExportPanel;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FaDesktop, FaMobileAlt, FaSignOutAlt, FaSpinner } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { authService } from '../../services/auth';
+
+// Turns a user-agent string into something like "Chrome on Windows"
+const describeDevice = (userAgent = '') => {
+  const browser =
+    (/Edg\//.test(userAgent) && 'Edge') ||
+    (/OPR\//.test(userAgent) && 'Opera') ||
+    (/Chrome\//.test(userAgent) && 'Chrome') ||
+    (/Firefox\//.test(userAgent) && 'Firefox') ||
+    (/Safari\//.test(userAgent) && 'Safari') ||
+    'Unknown browser';
+
+  const os =
+    (/Android/.test(userAgent) && 'Android') ||
+    (/iPhone|iPad/.test(userAgent) && 'iOS') ||
+    (/Windows/.test(userAgent) && 'Windows') ||
+    (/Mac OS X/.test(userAgent) && 'macOS') ||
+    (/Linux/.test(userAgent) && 'Linux') ||
+    'Unknown OS';
+
+  return { label: `${browser} on ${os}`, mobile: /Android|iPhone|iPad/.test(userAgent) };
+};
+
+const formatLastSeen = (dateString) => {
+  if (!dateString) return 'Unknown';
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const DevicesPanel = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+
+  const loadSessions = async () => {
+    try {
+      const data = await authService.getSessions();
+      setSessions(data.sessions || []);
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      toast.error('Failed to load devices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      setRevoking(sessionId);
+      await authService.revokeSession(sessionId);
+      setSessions((prev) => prev.filter((session) => session.id !== sessionId));
+      toast.success('Device signed out');
+    } catch (error) {
+      toast.error(error.error || 'Failed to sign out device');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      setRevoking('others');
+      await authService.revokeOtherSessions();
+      setSessions((prev) => prev.filter((session) => session.current));
+      toast.success('Signed out of all other devices');
+    } catch (error) {
+      toast.error(error.error || 'Failed to sign out other devices');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.25 }}
+      className="bg-white rounded-lg shadow-lg p-6 mb-8"
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold flex items-center">
+          <FaDesktop className="mr-2 text-primary-600" />
+          Devices
+        </h2>
+        {sessions.length > 1 && (
+          <button
+            onClick={handleRevokeOthers}
+            disabled={revoking !== null}
+            className="text-red-600 hover:text-red-700 text-sm disabled:opacity-50"
+          >
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <FaSpinner className="animate-spin text-2xl text-primary-600" />
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {sessions.map((session) => {
+            const device = describeDevice(session.userAgent);
+            const Icon = device.mobile ? FaMobileAlt : FaDesktop;
+
+            return (
+              <div key={session.id} className="flex items-center justify-between p-3 border rounded-lg">
+                <div className="flex items-center space-x-4">
+                  <div className="w-10 h-10 bg-primary-100 rounded-full flex items-center justify-center">
+                    <Icon className="text-primary-600" />
+                  </div>
+                  <div>
+                    <p className="font-medium">
+                      {device.label}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-600">
+                          This device
+                        </span>
+                      )}
+                      {session.impersonatedBy && (
+                        <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-red-100 text-red-600">
+                          Support: {session.impersonatedBy}
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {session.ip} · Last active {formatLastSeen(session.lastSeenAt)}
+                    </p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => handleRevoke(session.id)}
+                    disabled={revoking !== null}
+                    className="text-red-600 hover:text-red-700 flex items-center text-sm disabled:opacity-50"
+                  >
+                    {revoking === session.id ? (
+                      <FaSpinner className="animate-spin mr-1" />
+                    ) : (
+                      <FaSignOutAlt className="mr-1" />
+                    )}
+                    Sign out
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default DevicesPanel;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FaLink, FaSpinner, FaExclamationTriangle } from 'react-icons/fa';
+import { useSchool } from '../../context/SchoolContext';
+import SubdomainField from '../auth/SubdomainField';
+
+const GRACE_PERIOD_DAYS = 30;
+
+const SubdomainPanel = () => {
+  const { school, renameSubdomain } = useSchool();
+  const [value, setValue] = useState(school?.subdomain || '');
+  const [status, setStatus] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [rebuildRequired, setRebuildRequired] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!window.confirm(
+      `Move your school to ${value}.edumanagerpro.com? ${school.subdomain}.edumanagerpro.com will redirect there for ${GRACE_PERIOD_DAYS} days, after which another school could claim it.`
+    )) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const result = await renameSubdomain(value);
+      setRebuildRequired(result.rebuildRequired);
+    } catch (error) {
+      // SchoolContext already shows the error toast
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.2 }}
+      className="bg-white rounded-lg shadow-lg p-6 mb-8"
+    >
+      <h2 className="text-xl font-bold mb-4 flex items-center">
+        <FaLink className="mr-2 text-primary-600" />
+        School URL
+      </h2>
+
+      <form onSubmit={handleSubmit} className="grid md:grid-cols-3 gap-4 items-start">
+        <div className="md:col-span-2">
+          <SubdomainField
+            value={value}
+            onChange={setValue}
+            onStatusChange={setStatus}
+            currentSubdomain={school?.subdomain}
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={saving || status !== 'available'}
+          className="px-4 py-3 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center justify-center"
+        >
+          {saving && <FaSpinner className="animate-spin mr-2" />}
+          Change URL
+        </button>
+      </form>
+
+      {(rebuildRequired || school?.appRebuildRequired) && (
+        <p className="mt-4 p-3 bg-yellow-50 text-yellow-800 text-sm rounded-lg flex items-center">
+          <FaExclamationTriangle className="mr-2 flex-shrink-0" />
+          <span>
+            Your mobile app still uses the old address.{' '}
+            <Link to="/app-download" className="font-semibold underline">Rebuild it</Link>{' '}
+            before the redirect ends.
+          </span>
+        </p>
+      )}
+    </motion.div>
+  );
+};
+
+export default SubdomainPanel;
@@ -0,0 +1,262 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { FaShieldAlt, FaSpinner, FaCheckCircle } from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { twoFactorService } from '../../services/api';
+import TwoFactorSetup, { RecoveryCodes } from '../auth/TwoFactorSetup';
+
+const TwoFactorPanel = () => {
+  const { can } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // null, 'setup', 'disable' or 'regenerate'
+  const [mode, setMode] = useState(null);
+  const [form, setForm] = useState({ password: '', code: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await twoFactorService.getStatus());
+    } catch (error) {
+      console.error('Error loading 2FA status:', error);
+      toast.error('Failed to load two-factor settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const closeForm = () => {
+    setMode(null);
+    setForm({ password: '', code: '' });
+  };
+
+  const handleEnable = async (code) => {
+    try {
+      const response = await twoFactorService.enable(code);
+      toast.success('Two-factor authentication is on');
+      return response;
+    } catch (error) {
+      toast.error(error.error || 'Invalid authentication code');
+      throw error;
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await twoFactorService.disable({ password: form.password, code: form.code });
+      toast.success('Two-factor authentication turned off');
+      closeForm();
+      loadStatus();
+    } catch (error) {
+      toast.error(error.error || 'Failed to turn off two-factor authentication');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const { recoveryCodes: codes } = await twoFactorService.regenerateRecoveryCodes(form.code);
+      closeForm();
+      setRecoveryCodes(codes);
+    } catch (error) {
+      toast.error(error.error || 'Failed to generate new recovery codes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePolicyChange = async () => {
+    const required = !status.schoolRequires2fa;
+
+    if (required && !window.confirm(
+      'Staff without two-factor authentication will be signed out and asked to set it up on their next login. Continue?'
+    )) {
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const { signedOut } = await twoFactorService.setPolicy(required);
+      toast.success(
+        required
+          ? `Two-factor authentication is now required${signedOut ? ` (${signedOut} staff signed out)` : ''}`
+          : 'Two-factor authentication is now optional'
+      );
+      loadStatus();
+    } catch (error) {
+      toast.error(error.error || 'Failed to update policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClassName = 'w-full px-4 py-2 border rounded-lg';
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.25 }}
+      className="bg-white rounded-lg shadow-lg p-6 mb-8"
+    >
+      <h2 className="text-xl font-bold mb-4 flex items-center">
+        <FaShieldAlt className="mr-2 text-primary-600" />
+        Two-Factor Authentication
+      </h2>
+
+      {loading || !status ? (
+        <div className="flex justify-center py-6">
+          <FaSpinner className="animate-spin text-2xl text-primary-600" />
+        </div>
+      ) : recoveryCodes ? (
+        <div className="max-w-md">
+          <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+        </div>
+      ) : mode === 'setup' ? (
+        <div className="max-w-md">
+          <TwoFactorSetup
+            onEnable={handleEnable}
+            onDone={() => {
+              closeForm();
+              loadStatus();
+            }}
+          />
+          <button onClick={closeForm} className="mt-3 text-sm text-gray-600 hover:text-gray-900">
+            Cancel
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {status.enabled ? (
+            <div className="flex items-center justify-between p-4 bg-green-50 rounded-lg">
+              <div>
+                <p className="font-medium text-green-700 flex items-center">
+                  <FaCheckCircle className="mr-2" />
+                  Enabled
+                </p>
+                <p className="text-sm text-gray-600">
+                  {status.recoveryCodesRemaining} recovery codes left
+                </p>
+              </div>
+              <div className="flex items-center space-x-4 text-sm">
+                <button
+                  onClick={() => setMode('regenerate')}
+                  className="text-primary-600 hover:text-primary-700"
+                >
+                  New recovery codes
+                </button>
+                {!status.required && (
+                  <button
+                    onClick={() => setMode('disable')}
+                    className="text-red-600 hover:text-red-700"
+                  >
+                    Turn off
+                  </button>
+                )}
+              </div>
+            </div>
+          ) : (
+            <div className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
+              <p className="text-sm text-gray-600">
+                Protect your account with a code from an authenticator app on your phone.
+              </p>
+              <button
+                onClick={() => setMode('setup')}
+                className="ml-4 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 whitespace-nowrap"
+              >
+                Set up
+              </button>
+            </div>
+          )}
+
+          {(mode === 'disable' || mode === 'regenerate') && (
+            <form
+              onSubmit={mode === 'disable' ? handleDisable : handleRegenerate}
+              className="grid md:grid-cols-3 gap-4"
+            >
+              {mode === 'disable' && (
+                <input
+                  type="password"
+                  required
+                  value={form.password}
+                  onChange={(e) => setForm({ ...form, password: e.target.value })}
+                  placeholder="Current password"
+                  className={inputClassName}
+                />
+              )}
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                value={form.code}
+                onChange={(e) => setForm({ ...form, code: e.target.value })}
+                placeholder="6-digit code"
+                className={inputClassName}
+              />
+              <div className="flex space-x-3">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className={`flex-1 px-4 py-2 text-white rounded-lg disabled:opacity-50 ${
+                    mode === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-primary-600 hover:bg-primary-700'
+                  }`}
+                >
+                  {mode === 'disable' ? 'Turn off' : 'Generate'}
+                </button>
+                <button
+                  type="button"
+                  onClick={closeForm}
+                  className="px-4 py-2 border rounded-lg hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          {can('security:manage') && (
+            <div className="flex items-center justify-between pt-4 border-t">
+              <div>
+                <p className="font-medium">Require for all staff</p>
+                <p className="text-sm text-gray-600">
+                  {status.enabled
+                    ? 'Everyone except parents must use two-factor authentication to sign in'
+                    : 'Turn on two-factor authentication for your own account first'}
+                </p>
+              </div>
+              <button
+                onClick={handlePolicyChange}
+                disabled={saving || (!status.enabled && !status.schoolRequires2fa)}
+                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors disabled:opacity-50 ${
+                  status.schoolRequires2fa ? 'bg-primary-600' : 'bg-gray-300'
+                }`}
+              >
+                <span
+                  className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+                    status.schoolRequires2fa ? 'translate-x-6' : 'translate-x-1'
+                  }`}
+                />
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default TwoFactorPanel;
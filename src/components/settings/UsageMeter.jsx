@@ -0,0 +1,94 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FaTachometerAlt, FaExclamationTriangle } from 'react-icons/fa';
+import { useSchool } from '../../context/SchoolContext';
+import { schoolService } from '../../services/api';
+import { USAGE_LABELS, USAGE_METRICS, USAGE_WARNING_RATIO, limitLabel } from '../../shared/plans';
+
+const barColor = (ratio) => {
+  if (ratio >= 1) return 'bg-red-500';
+  if (ratio >= USAGE_WARNING_RATIO) return 'bg-yellow-500';
+  return 'bg-primary-600';
+};
+
+// Active students against the school's limit, and its staff accounts
+const UsageMeter = ({ className = '', delay = 0.1, upgradeLink = true }) => {
+  const { school } = useSchool();
+  const navigate = useNavigate();
+  const [usage, setUsage] = useState(null);
+
+  useEffect(() => {
+    if (!school?.id) return;
+
+    schoolService
+      .getUsage(school.id)
+      .then((data) => setUsage(data.usage))
+      .catch((error) => console.error('Error loading plan usage:', error));
+  }, [school?.id]);
+
+  if (!usage) return null;
+
+  const nearLimit = USAGE_METRICS.some((metric) => usage[metric].ratio >= USAGE_WARNING_RATIO);
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay }}
+      className={`bg-white rounded-lg shadow-lg p-6 ${className}`}
+    >
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold flex items-center">
+          <FaTachometerAlt className="mr-2 text-primary-600" />
+          Plan Usage
+        </h2>
+        <span className="text-sm text-gray-600">{usage.planName} plan</span>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        {USAGE_METRICS.map((metric) => {
+          const { used, limit, ratio } = usage[metric];
+
+          return (
+            <div key={metric}>
+              <div className="flex justify-between text-sm mb-1">
+                <span className="text-gray-600">{USAGE_LABELS[metric]}</span>
+                <span className="font-semibold">
+                  {used} / {limitLabel(limit)}
+                </span>
+              </div>
+              <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                {limit !== null && (
+                  <div
+                    className={`h-full rounded-full ${barColor(ratio)}`}
+                    style={{ width: `${Math.min(ratio, 1) * 100}%` }}
+                  />
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {nearLimit && (
+        <div className="mt-4 flex flex-wrap items-center justify-between gap-3 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-3 text-sm">
+          <span className="flex items-center">
+            <FaExclamationTriangle className="mr-2" />
+            You are close to the student limit of your plan. Upgrade to keep admitting students.
+          </span>
+          {upgradeLink && (
+            <button
+              onClick={() => navigate('/settings')}
+              className="font-semibold text-yellow-900 hover:underline"
+            >
+              View plans
+            </button>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default UsageMeter;
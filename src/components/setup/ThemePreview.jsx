@@ -0,0 +1,67 @@
+import React from 'react';
+import { FaExclamationTriangle, FaCheckCircle } from 'react-icons/fa';
+import { themeCssVariables, themeWarnings } from '../../shared/theme';
+
+// A miniature of the school portal and dashboard in the chosen colours.
+// The theme's CSS variables are set on this box only, so the primary-*
+// and secondary-* classes inside it pick them up without touching the page.
+const ThemePreview = ({ theme, schoolName, logo }) => {
+  const warnings = themeWarnings(theme);
+
+  return (
+    <div>
+      <div
+        style={{
+          ...themeCssVariables(theme),
+          background: 'var(--color-surface)',
+          color: 'var(--color-text)',
+        }}
+        className="rounded-lg border overflow-hidden"
+      >
+        <div className="bg-gradient-to-r from-primary-600 to-secondary-600 px-4 py-3 text-white flex items-center">
+          {logo ? (
+            <img src={logo} alt="" className="h-8 w-8 object-contain bg-white rounded mr-3" />
+          ) : (
+            <div className="h-8 w-8 rounded bg-white text-primary-600 font-bold flex items-center justify-center mr-3">
+              {(schoolName || 'S').charAt(0).toUpperCase()}
+            </div>
+          )}
+          <span className="font-semibold truncate">{schoolName || 'Your School'}</span>
+        </div>
+        <div className="p-4 space-y-3">
+          <p className="text-sm opacity-80">Welcome back! Here is what's happening at school today.</p>
+          <div className="flex items-center space-x-2">
+            <span className="px-4 py-2 bg-primary-600 text-white rounded-lg text-sm font-semibold">Sign in</span>
+            <span className="px-4 py-2 border-2 border-primary-600 text-primary-600 rounded-lg text-sm font-semibold">
+              Get the app
+            </span>
+          </div>
+          <div className="flex items-center space-x-2 text-sm">
+            <span className="px-2 py-1 rounded bg-primary-100 text-primary-800">Attendance</span>
+            <span className="px-2 py-1 rounded bg-secondary-100 text-secondary-800">Results</span>
+            <span className="text-secondary-600 font-semibold">View all</span>
+          </div>
+        </div>
+      </div>
+
+      {warnings.length > 0 ? (
+        <ul className="mt-3 space-y-1">
+          {warnings.map((warning) => (
+            <li key={warning.id} className="text-sm text-yellow-700 flex items-start">
+              <FaExclamationTriangle className="mr-2 mt-0.5 flex-shrink-0" />
+              <span>
+                {warning.message} (contrast {warning.ratio}:1, needs {warning.minimum}:1)
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mt-3 text-sm text-green-600 flex items-center">
+          <FaCheckCircle className="mr-2" /> These colours are easy to read.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ThemePreview;
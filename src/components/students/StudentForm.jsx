@@ -0,0 +1,351 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { FaTimes, FaPlus, FaTrash, FaSpinner } from 'react-icons/fa';
+import { studentService } from '../../services/api';
+import {
+  STUDENT_STATUSES,
+  STUDENT_STATUS_LABELS,
+  GUARDIAN_RELATIONSHIPS,
+  MAX_GUARDIANS,
+} from '../../shared/studentSchema';
+
+const emptyGuardian = (isPrimary = false) => ({
+  name: '',
+  relationship: 'mother',
+  phone: '',
+  email: '',
+  isPrimary,
+});
+
+const initialForm = (student, classes) => ({
+  firstName: student?.firstName || '',
+  lastName: student?.lastName || '',
+  otherNames: student?.otherNames || '',
+  gender: student?.gender || 'female',
+  dateOfBirth: student?.dateOfBirth || '',
+  classId: student?.classId || classes[0]?.id || '',
+  stream: student?.stream || '',
+  status: student?.status || 'active',
+  notes: student?.notes || '',
+  admissionNumber: '',
+  guardians: student?.guardians?.length
+    ? student.guardians.map((guardian) => ({ ...emptyGuardian(), ...guardian }))
+    : [emptyGuardian(true)],
+});
+
+// Admission and edit form for one student. Field errors come back from the
+// students function keyed by path, e.g. 'guardians.0.phone'.
+const StudentForm = ({ student, classes, onSaved, onClose }) => {
+  const [form, setForm] = useState(() => initialForm(student, classes));
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const streams = classes.find((c) => c.id === form.classId)?.sections || [];
+
+  const setField = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const setGuardian = (index, field, value) =>
+    setForm((prev) => ({
+      ...prev,
+      guardians: prev.guardians.map((guardian, i) => {
+        if (field === 'isPrimary') return { ...guardian, isPrimary: i === index };
+        return i === index ? { ...guardian, [field]: value } : guardian;
+      }),
+    }));
+
+  const removeGuardian = (index) =>
+    setForm((prev) => {
+      const guardians = prev.guardians.filter((_, i) => i !== index);
+      const hasPrimary = guardians.some((guardian) => guardian.isPrimary);
+      return {
+        ...prev,
+        guardians: guardians.map((guardian, i) => (hasPrimary || i > 0 ? guardian : { ...guardian, isPrimary: true })),
+      };
+    });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const { admissionNumber, ...details } = form;
+    const data = student ? details : { ...details, ...(admissionNumber.trim() && { admissionNumber }) };
+
+    try {
+      setSaving(true);
+      setErrors({});
+      const result = student
+        ? await studentService.update(student.id, data)
+        : await studentService.create(data);
+      onSaved(result.student, !student);
+    } catch (error) {
+      setErrors(error.fields || { _: error.error || 'Failed to save student' });
+      setSaving(false);
+    }
+  };
+
+  const fieldError = (field) =>
+    errors[field] && <p className="text-sm text-red-600 mt-1">{errors[field]}</p>;
+
+  const inputClass = (field) =>
+    `w-full px-4 py-2 border rounded-lg ${errors[field] ? 'border-red-500' : ''}`;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.9, y: 20 }}
+        className="relative bg-white rounded-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <form onSubmit={handleSubmit} className="p-6 space-y-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="absolute top-4 right-4 text-gray-400 hover:text-gray-600"
+          >
+            <FaTimes />
+          </button>
+
+          <div>
+            <h2 className="text-2xl font-bold">
+              {student ? `Edit ${student.firstName} ${student.lastName}` : 'Admit Student'}
+            </h2>
+            {student && <p className="text-gray-600">Admission number {student.admissionNumber}</p>}
+          </div>
+
+          {/* Student */}
+          <div className="grid md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">First name</label>
+              <input
+                type="text"
+                value={form.firstName}
+                onChange={(e) => setField('firstName', e.target.value)}
+                className={inputClass('firstName')}
+              />
+              {fieldError('firstName')}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Other names</label>
+              <input
+                type="text"
+                value={form.otherNames}
+                onChange={(e) => setField('otherNames', e.target.value)}
+                className={inputClass('otherNames')}
+              />
+              {fieldError('otherNames')}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Last name</label>
+              <input
+                type="text"
+                value={form.lastName}
+                onChange={(e) => setField('lastName', e.target.value)}
+                className={inputClass('lastName')}
+              />
+              {fieldError('lastName')}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Gender</label>
+              <select
+                value={form.gender}
+                onChange={(e) => setField('gender', e.target.value)}
+                className={inputClass('gender')}
+              >
+                <option value="female">Female</option>
+                <option value="male">Male</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Date of birth</label>
+              <input
+                type="date"
+                value={form.dateOfBirth}
+                onChange={(e) => setField('dateOfBirth', e.target.value)}
+                className={inputClass('dateOfBirth')}
+              />
+              {fieldError('dateOfBirth')}
+            </div>
+            {student ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+                <select
+                  value={form.status}
+                  onChange={(e) => setField('status', e.target.value)}
+                  className={inputClass('status')}
+                >
+                  {STUDENT_STATUSES.map((status) => (
+                    <option key={status} value={status}>{STUDENT_STATUS_LABELS[status]}</option>
+                  ))}
+                </select>
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Admission number</label>
+                <input
+                  type="text"
+                  value={form.admissionNumber}
+                  onChange={(e) => setField('admissionNumber', e.target.value)}
+                  placeholder="Assigned automatically"
+                  className={inputClass('admissionNumber')}
+                />
+                {fieldError('admissionNumber')}
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Class</label>
+              <select
+                value={form.classId}
+                onChange={(e) => setForm((prev) => ({ ...prev, classId: e.target.value, stream: '' }))}
+                className={inputClass('classId')}
+              >
+                {classes.map((c) => (
+                  <option key={c.id} value={c.id}>{c.name}</option>
+                ))}
+              </select>
+              {fieldError('classId')}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Stream</label>
+              <select
+                value={form.stream}
+                onChange={(e) => setField('stream', e.target.value)}
+                disabled={streams.length === 0}
+                className={inputClass('stream')}
+              >
+                <option value="">{streams.length ? 'Not assigned' : 'No streams'}</option>
+                {streams.map((stream) => (
+                  <option key={stream} value={stream}>{stream}</option>
+                ))}
+              </select>
+              {fieldError('stream')}
+            </div>
+          </div>
+
+          {/* Guardians */}
+          <div>
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-lg font-semibold">Parents & Guardians</h3>
+              {form.guardians.length < MAX_GUARDIANS && (
+                <button
+                  type="button"
+                  onClick={() => setField('guardians', [...form.guardians, emptyGuardian()])}
+                  className="text-sm text-primary-600 hover:text-primary-700 flex items-center"
+                >
+                  <FaPlus className="mr-1" /> Add guardian
+                </button>
+              )}
+            </div>
+            {fieldError('guardians')}
+            <div className="space-y-4">
+              {form.guardians.map((guardian, index) => (
+                <div key={index} className="p-4 border rounded-lg grid md:grid-cols-2 gap-3">
+                  <div>
+                    <input
+                      type="text"
+                      value={guardian.name}
+                      onChange={(e) => setGuardian(index, 'name', e.target.value)}
+                      placeholder="Full name"
+                      className={inputClass(`guardians.${index}.name`)}
+                    />
+                    {fieldError(`guardians.${index}.name`)}
+                  </div>
+                  <select
+                    value={guardian.relationship}
+                    onChange={(e) => setGuardian(index, 'relationship', e.target.value)}
+                    className={inputClass(`guardians.${index}.relationship`)}
+                  >
+                    {GUARDIAN_RELATIONSHIPS.map((relationship) => (
+                      <option key={relationship} value={relationship}>
+                        {relationship.charAt(0).toUpperCase() + relationship.slice(1)}
+                      </option>
+                    ))}
+                  </select>
+                  <div>
+                    <input
+                      type="tel"
+                      value={guardian.phone}
+                      onChange={(e) => setGuardian(index, 'phone', e.target.value)}
+                      placeholder="Phone, e.g. 0712 345 678"
+                      className={inputClass(`guardians.${index}.phone`)}
+                    />
+                    {fieldError(`guardians.${index}.phone`)}
+                  </div>
+                  <div>
+                    <input
+                      type="email"
+                      value={guardian.email}
+                      onChange={(e) => setGuardian(index, 'email', e.target.value)}
+                      placeholder="Email (optional)"
+                      className={inputClass(`guardians.${index}.email`)}
+                    />
+                    {fieldError(`guardians.${index}.email`)}
+                  </div>
+                  <div className="md:col-span-2 flex items-center justify-between">
+                    <label className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="radio"
+                        checked={guardian.isPrimary}
+                        onChange={() => setGuardian(index, 'isPrimary', true)}
+                        className="mr-2"
+                      />
+                      Primary contact
+                    </label>
+                    {form.guardians.length > 1 && (
+                      <button
+                        type="button"
+                        onClick={() => removeGuardian(index)}
+                        className="text-sm text-red-600 hover:text-red-700 flex items-center"
+                      >
+                        <FaTrash className="mr-1" /> Remove
+                      </button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+            <textarea
+              value={form.notes}
+              onChange={(e) => setField('notes', e.target.value)}
+              rows={2}
+              className={inputClass('notes')}
+            />
+            {fieldError('notes')}
+          </div>
+
+          {fieldError('_')}
+
+          <div className="flex justify-end space-x-3">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center"
+            >
+              {saving && <FaSpinner className="animate-spin mr-2" />}
+              {student ? 'Save Changes' : 'Admit Student'}
+            </button>
+          </div>
+        </form>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default StudentForm;
@@ -0,0 +1,268 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  FaTimes,
+  FaFileCsv,
+  FaDownload,
+  FaSpinner,
+  FaCheckCircle,
+  FaExclamationTriangle,
+} from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { studentService } from '../../services/api';
+
+const saveBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  window.URL.revokeObjectURL(url);
+};
+
+// Two steps over one file: the dry run lists what is wrong with it, then
+// the same file is sent again to admit the rows that passed.
+const StudentImport = ({ onImported, onClose }) => {
+  const [file, setFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [preview, setPreview] = useState([]);
+  const [capacity, setCapacity] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const committed = result?.status === 'committed';
+  const overLimit = capacity?.remaining !== null && capacity?.remaining !== undefined && capacity.adding > capacity.remaining;
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setResult(null);
+    setPreview([]);
+    setCapacity(null);
+  };
+
+  const handleCheck = async () => {
+    try {
+      setBusy(true);
+      const data = await studentService.checkImport(file);
+      setResult(data.import);
+      setPreview(data.preview || []);
+      setCapacity(data.capacity || null);
+    } catch (error) {
+      toast.error(error.error || 'Failed to check the file');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCommit = async () => {
+    try {
+      setBusy(true);
+      const data = await studentService.commitImport(result.id, file);
+      setResult(data.import);
+      onImported(data.import);
+      toast.success(`${data.import.importedCount} students admitted`);
+    } catch (error) {
+      toast.error(error.error || 'Failed to import students');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const downloadTemplate = async () => {
+    try {
+      saveBlob(await studentService.importTemplate(), 'students-template.csv');
+    } catch (error) {
+      toast.error('Failed to download the template');
+    }
+  };
+
+  const downloadErrors = async () => {
+    try {
+      saveBlob(await studentService.importErrors(result.id), `${result.fileName.replace(/\.csv$/i, '')}-errors.csv`);
+    } catch (error) {
+      toast.error('Failed to download the error report');
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4"
+      onClick={busy ? undefined : onClose}
+    >
+      <motion.div
+        initial={{ scale: 0.9, y: 20 }}
+        animate={{ scale: 1, y: 0 }}
+        exit={{ scale: 0.9, y: 20 }}
+        className="relative bg-white rounded-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6 space-y-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <button
+          onClick={onClose}
+          disabled={busy}
+          className="absolute top-4 right-4 text-gray-400 hover:text-gray-600"
+        >
+          <FaTimes />
+        </button>
+
+        <div>
+          <h2 className="text-2xl font-bold">Import Students</h2>
+          <p className="text-gray-600">
+            Upload your register as a CSV file. In Excel, use File &gt; Save As &gt; CSV. Nothing is
+            saved until you have checked the file.
+          </p>
+          <button
+            onClick={downloadTemplate}
+            className="mt-2 text-sm text-primary-600 hover:text-primary-700 flex items-center"
+          >
+            <FaDownload className="mr-1" /> Download the template
+          </button>
+        </div>
+
+        {!committed && (
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFileChange}
+              disabled={busy}
+              className="text-sm"
+            />
+            <button
+              onClick={handleCheck}
+              disabled={!file || busy}
+              className="px-4 py-2 border border-primary-600 text-primary-600 rounded-lg hover:bg-primary-50 disabled:opacity-50 flex items-center"
+            >
+              {busy && !result ? <FaSpinner className="animate-spin mr-2" /> : <FaFileCsv className="mr-2" />}
+              Check File
+            </button>
+          </div>
+        )}
+
+        {result && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-3 gap-3 text-center">
+              <div className="p-3 bg-gray-50 rounded-lg">
+                <p className="text-2xl font-bold">{result.rowCount}</p>
+                <p className="text-sm text-gray-600">Rows</p>
+              </div>
+              <div className="p-3 bg-green-50 rounded-lg">
+                <p className="text-2xl font-bold text-green-600">
+                  {committed ? result.importedCount : result.validCount}
+                </p>
+                <p className="text-sm text-gray-600">{committed ? 'Admitted' : 'Ready to import'}</p>
+              </div>
+              <div className="p-3 bg-red-50 rounded-lg">
+                <p className="text-2xl font-bold text-red-600">{result.errorCount}</p>
+                <p className="text-sm text-gray-600">Problems</p>
+              </div>
+            </div>
+
+            {result.unknownClasses.length > 0 && (
+              <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                Classes not set up for your school: {result.unknownClasses.join(', ')}. Add them under
+                Setup or correct the file.
+              </p>
+            )}
+
+            {result.duplicateAdmissionNumbers.length > 0 && (
+              <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+                Duplicate admission numbers: {result.duplicateAdmissionNumbers.slice(0, 10).join(', ')}
+                {result.duplicateAdmissionNumbers.length > 10 && ` and ${result.duplicateAdmissionNumbers.length - 10} more`}
+              </p>
+            )}
+
+            {!committed && overLimit && (
+              <p className="text-sm text-red-700 bg-red-50 border border-red-200 rounded-lg p-3">
+                Your {capacity.planName} plan has room for {capacity.remaining} more active students and
+                this file adds {capacity.adding}. Upgrade your plan in Settings or import fewer rows.
+              </p>
+            )}
+
+            {result.ignoredColumns.length > 0 && (
+              <p className="text-sm text-gray-600">Ignored columns: {result.ignoredColumns.join(', ')}</p>
+            )}
+
+            {result.errors.length > 0 && (
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <h3 className="font-semibold flex items-center">
+                    <FaExclamationTriangle className="mr-2 text-red-600" /> Rows with problems
+                  </h3>
+                  <button
+                    onClick={downloadErrors}
+                    className="text-sm text-primary-600 hover:text-primary-700 flex items-center"
+                  >
+                    <FaDownload className="mr-1" /> Error report
+                  </button>
+                </div>
+                <div className="border rounded-lg divide-y max-h-48 overflow-y-auto text-sm">
+                  {result.errors.map((error, index) => (
+                    <div key={index} className="px-3 py-2">
+                      <span className="font-medium">Row {error.row}</span>
+                      {error.column && <span className="text-gray-600"> · {error.column}</span>}
+                      {error.value !== '' && <span className="text-gray-600"> "{error.value}"</span>}
+                      <span className="text-red-600"> {error.message}</span>
+                    </div>
+                  ))}
+                </div>
+                {result.errorCount > result.errors.length && (
+                  <p className="text-sm text-gray-600 mt-1">
+                    Showing {result.errors.length} of {result.errorCount}. Download the error report for the rest.
+                  </p>
+                )}
+              </div>
+            )}
+
+            {!committed && preview.length > 0 && (
+              <div>
+                <h3 className="font-semibold mb-2">First rows to import</h3>
+                <div className="border rounded-lg divide-y text-sm">
+                  {preview.map((student) => (
+                    <div key={student.row} className="px-3 py-2 flex justify-between">
+                      <span>
+                        {student.firstName} {student.lastName}
+                        <span className="text-gray-600"> · {[student.className, student.stream].filter(Boolean).join(' ')}</span>
+                      </span>
+                      <span className="text-gray-600">{student.admissionNumber || 'New number'}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {committed ? (
+              <p className="text-green-600 flex items-center">
+                <FaCheckCircle className="mr-2" /> {result.importedCount} students admitted.
+                {result.errorCount > 0 && ' Fix the rows in the error report and import them as a new file.'}
+              </p>
+            ) : (
+              <div className="flex justify-end space-x-3">
+                <button
+                  onClick={onClose}
+                  disabled={busy}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleCommit}
+                  disabled={busy || result.validCount === 0 || overLimit}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center"
+                >
+                  {busy && <FaSpinner className="animate-spin mr-2" />}
+                  {result.errorCount > 0
+                    ? `Import ${result.validCount} and skip ${result.rowCount - result.validCount}`
+                    : `Import ${result.validCount} Students`}
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default StudentImport;
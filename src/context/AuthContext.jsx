@@ -1,5 +1,15 @@
-import React, { createContext, useState, useContext, useEffect } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback } from 'react';
 import { authService } from '../services/auth';
+import {
+  storeSession,
+  clearSession,
+  beginImpersonation,
+  restoreSupportSession,
+  staffService,
+  twoFactorService,
+} from '../services/api';
+import { getGoogleIdToken } from '../services/googleAuth';
+import { hasPermission } from '../shared/permissions';
 import toast from 'react-hot-toast';
 
 const AuthContext = createContext();
@@ -37,16 +47,100 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Shared by password and phone logins
+  const handleLoginResponse = (response) => {
+    // The caller has to finish the second step (or enrol) before there is a session
+    if (response.twoFactorRequired || response.twoFactorSetupRequired) {
+      return response;
+    }
+
+    setToken(response.token);
+    storeSession(response);
+    setUser(response.user);
+    toast.success('Login successful!');
+    return response;
+  };
+
   const login = async (email, password) => {
     try {
-      const response = await authService.login(email, password);
+      return handleLoginResponse(await authService.login(email, password));
+    } catch (error) {
+      // Rate-limited attempts come back as 429 with a wait time in the message
+      toast.error(error.error || error.message || 'Login failed');
+      throw error;
+    }
+  };
+
+  const requestPhoneOtp = async (phone) => {
+    try {
+      const response = await authService.requestPhoneOtp(phone);
+      toast.success('Code sent by SMS');
+      return response;
+    } catch (error) {
+      toast.error(error.error || 'Failed to send code');
+      throw error;
+    }
+  };
+
+  const loginWithPhone = async (phone, code) => {
+    try {
+      return handleLoginResponse(await authService.loginWithPhone(phone, code));
+    } catch (error) {
+      toast.error(error.error || 'Login failed');
+      throw error;
+    }
+  };
+
+  // Signup details are only needed when no account uses the Google address yet
+  const loginWithGoogle = async (signupDetails = null) => {
+    let idToken;
+    try {
+      idToken = await getGoogleIdToken();
+    } catch (error) {
+      // Closing the popup is not worth an error message
+      if (error.code !== 'auth/popup-closed-by-user' && error.code !== 'auth/cancelled-popup-request') {
+        toast.error('Google sign-in failed');
+      }
+      throw error;
+    }
+
+    try {
+      const response = await authService.googleAuth({
+        idToken,
+        mode: signupDetails ? 'signup' : 'login',
+        ...signupDetails,
+      });
+      return handleLoginResponse(response);
+    } catch (error) {
+      toast.error(error.error || 'Google sign-in failed');
+      throw error;
+    }
+  };
+
+  const verifyTwoFactor = async (challengeToken, data) => {
+    try {
+      const response = await authService.verifyTwoFactor(challengeToken, data);
       setToken(response.token);
-      localStorage.setItem('token', response.token);
+      storeSession(response);
       setUser(response.user);
       toast.success('Login successful!');
       return response;
     } catch (error) {
-      toast.error(error.message || 'Login failed');
+      toast.error(error.error || 'Verification failed');
+      throw error;
+    }
+  };
+
+  // Enrolment forced by the school's policy also completes the login
+  const completeTwoFactorEnrollment = async (code, challengeToken) => {
+    try {
+      const response = await twoFactorService.enable(code, challengeToken);
+      setToken(response.token);
+      storeSession(response);
+      setUser(response.user);
+      return response;
+    } catch (error) {
+      toast.error(error.error || 'Invalid authentication code');
       throw error;
     }
   };
@@ -55,7 +149,7 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await authService.signup(userData);
       setToken(response.token);
-      localStorage.setItem('token', response.token);
+      storeSession(response);
       setUser(response.user);
       toast.success('Account created successfully!');
       return response;
@@ -65,10 +159,74 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const acceptInvite = async (data) => {
+    try {
+      const response = await staffService.acceptInvitation(data);
+
+      if (response.twoFactorSetupRequired) {
+        toast.success('Account created! Your school requires two-factor authentication, sign in to set it up.');
+        return response;
+      }
+
+      setToken(response.token);
+      storeSession(response);
+      setUser(response.user);
+      toast.success('Welcome aboard!');
+      return response;
+    } catch (error) {
+      toast.error(error.error || 'Failed to accept invitation');
+      throw error;
+    }
+  };
+
+  // Support staff only: switch to a read-only session as the school's owner
+  const startImpersonation = async (schoolId, reason) => {
+    try {
+      const response = await authService.impersonate(schoolId, reason);
+      beginImpersonation(response);
+      setToken(response.token);
+      setUser(response.user);
+      toast.success(`Now viewing ${response.user.schoolName} as ${response.user.name}`);
+      return response;
+    } catch (error) {
+      toast.error(error.error || 'Failed to start support session');
+      throw error;
+    }
+  };
+
+  // Closes the support session (which records its end) and switches back
+  const endImpersonation = async () => {
+    try {
+      await authService.logout({ token: localStorage.getItem('token') });
+    } catch (error) {
+      console.error('Failed to close support session:', error);
+    }
+
+    if (restoreSupportSession()) {
+      setToken(localStorage.getItem('token'));
+    } else {
+      setToken(null);
+      setUser(null);
+    }
+  };
+
   const logout = () => {
+    if (user?.impersonation) {
+      endImpersonation();
+      return;
+    }
+
+    // Revoke the session server-side too; local state is cleared regardless
+    const credentials = {
+      token: localStorage.getItem('token'),
+      refreshToken: localStorage.getItem('refreshToken'),
+    };
+    if (credentials.token || credentials.refreshToken) {
+      authService.logout(credentials).catch((error) => console.error('Server logout failed:', error));
+    }
     setToken(null);
     setUser(null);
-    localStorage.removeItem('token');
+    clearSession();
     toast.success('Logged out successfully');
   };
 
@@ -92,15 +250,35 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Called after the verification link is opened in this browser
+  const markEmailVerified = useCallback((email) => {
+    setUser((prev) => (prev && prev.email === email ? { ...prev, emailVerified: true } : prev));
+  }, []);
+
+  // Stable while the role is, so effects can depend on it
+  const role = user?.role;
+  const can = useCallback((permission) => hasPermission(role, permission), [role]);
+
   const value = {
     user,
     loading,
     login,
+    requestPhoneOtp,
+    loginWithPhone,
+    loginWithGoogle,
+    verifyTwoFactor,
+    completeTwoFactorEnrollment,
     signup,
+    acceptInvite,
     logout,
     forgotPassword,
     resetPassword,
+    markEmailVerified,
+    startImpersonation,
+    endImpersonation,
     isAuthenticated: !!user,
+    isSuperAdmin: user?.platformRole === 'superadmin',
+    can,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
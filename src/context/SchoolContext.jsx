@@ -2,6 +2,7 @@ import React, { createContext, useState, useContext, useEffect } from 'react';
 import { useAuth } from './AuthContext';
 import { schoolService } from '../services/api';
 import toast from 'react-hot-toast';
+import { themeCssVariables } from '../shared/theme';
 
 const SchoolContext = createContext();
 
@@ -14,7 +15,7 @@ export const useSchool = () => {
 };
 
 export const SchoolProvider = ({ children }) => {
-  const { user, isAuthenticated } = useAuth();
+  const { user, isAuthenticated, can } = useAuth();
   const [school, setSchool] = useState(null);
   const [loading, setLoading] = useState(true);
   const [subscription, setSubscription] = useState(null);
@@ -22,11 +23,24 @@ export const SchoolProvider = ({ children }) => {
   useEffect(() => {
     if (isAuthenticated && user?.schoolId) {
       loadSchool();
-      loadSubscription();
+      if (can('billing:read')) {
+        loadSubscription();
+      }
     } else {
       setLoading(false);
     }
-  }, [isAuthenticated, user]);
+  }, [isAuthenticated, user, can]);
+
+  // The school's colours replace the platform green while signed in
+  useEffect(() => {
+    if (!isAuthenticated || !school?.theme) return undefined;
+
+    const root = document.documentElement;
+    const variables = themeCssVariables(school.theme);
+    Object.entries(variables).forEach(([name, value]) => root.style.setProperty(name, value));
+
+    return () => Object.keys(variables).forEach((name) => root.style.removeProperty(name));
+  }, [isAuthenticated, school?.theme]);
 
   const loadSchool = async () => {
     try {
@@ -55,31 +69,65 @@ export const SchoolProvider = ({ children }) => {
       toast.success('School updated successfully');
       return updated;
     } catch (error) {
-      toast.error(error.message || 'Failed to update school');
+      toast.error(error.error || error.message || 'Failed to update school');
       throw error;
     }
   };
 
-  // -----------------------
-  // UPLOAD LOGO (Base64)
-  // -----------------------
+  // The old subdomain keeps redirecting for a while, see the schools function
+  const renameSubdomain = async (subdomain) => {
+    try {
+      const result = await schoolService.renameSubdomain(school.id, subdomain);
+      setSchool(result.school);
+      toast.success(`Your school is now at ${subdomain}.edumanagerpro.com`);
+      return result;
+    } catch (error) {
+      toast.error(error.error || 'Failed to change subdomain');
+      throw error;
+    }
+  };
+
+  // Closing takes effect once the owner follows the emailed link
+  const confirmClosure = async (token) => {
+    try {
+      const result = await schoolService.confirmClosure(school.id, token);
+      setSchool(result.school);
+      setSubscription(null);
+      return result;
+    } catch (error) {
+      toast.error(error.error || 'Failed to close the school');
+      throw error;
+    }
+  };
+
+  const restoreSchool = async () => {
+    try {
+      const result = await schoolService.restoreSchool(school.id);
+      setSchool(result.school);
+      toast.success('Your school has been restored');
+      return result;
+    } catch (error) {
+      toast.error(error.error || 'Failed to restore the school');
+      throw error;
+    }
+  };
+
+  // The server checks type and size, and explains any rejection
   const uploadLogo = async (file) => {
-  if (!file) throw new Error("No file provided");
-
-  // Convert File to Base64
-  const base64Image = await new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.readAsDataURL(file); // File object required
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = (error) => reject(error);
-  });
-
-  // Send base64 image to backend
-  const updated = await schoolService.uploadLogo(school.id, { image: base64Image });
-  setSchool(updated);
-  toast.success('Logo uploaded successfully');
-  return updated;
-};
+    try {
+      const { logoUrl, assets } = await schoolService.uploadLogo(school.id, file);
+      setSchool((current) => ({
+        ...current,
+        identity: { ...current.identity, logo: logoUrl },
+        branding: { ...current.branding, assets },
+      }));
+      toast.success('Logo uploaded successfully');
+      return logoUrl;
+    } catch (error) {
+      toast.error(error.error || 'Failed to upload logo');
+      throw error;
+    }
+  };
 
   const subscribe = async (planId, paymentDetails) => {
     try {
@@ -104,14 +152,23 @@ export const SchoolProvider = ({ children }) => {
     }
   };
 
+  // Firestore timestamps reach us as { _seconds, _nanoseconds }
+  const purgeAfter = school?.closure?.purgeAfter;
+  const purgeDate = purgeAfter ? new Date((purgeAfter._seconds ?? purgeAfter.seconds) * 1000) : null;
+
   const value = {
     school,
     subscription,
     loading,
     updateSchool,
+    renameSubdomain,
     uploadLogo,
     subscribe,
     cancelSubscription,
+    confirmClosure,
+    restoreSchool,
+    isClosed: school?.status === 'closed',
+    purgeDate,
     isActive: subscription?.status === 'active',
   };
 
@@ -19,6 +19,16 @@ const queryClient = new QueryClient({
   },
 });
 
+// Custom domains of schools point at this site too. Their visitors get the
+// school portal rendered by the school-router function instead of the app.
+const isPlatformHost = /(^|\.)(edumanagerpro\.com|netlify\.app)$|^localhost$|^127\.0\.0\.1$/.test(
+  window.location.hostname
+);
+
+if (!isPlatformHost) {
+  window.location.replace('/portal');
+}
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
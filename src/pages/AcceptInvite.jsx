@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { staffService } from '../services/api';
+import { motion } from 'framer-motion';
+import { FaUser, FaLock, FaGraduationCap } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+
+const AcceptInvite = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [invitation, setInvitation] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [formData, setFormData] = useState({
+    name: '',
+    password: '',
+    confirmPassword: '',
+  });
+  const [loading, setLoading] = useState(false);
+  const { acceptInvite } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (!token) {
+      setChecking(false);
+      return;
+    }
+
+    staffService
+      .getInvitation(token)
+      .then((data) => {
+        setInvitation(data);
+        setFormData((prev) => ({ ...prev, name: data.name || '' }));
+      })
+      .catch(() => setInvitation(null))
+      .finally(() => setChecking(false));
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password.length < 6) {
+      toast.error('Password must be at least 6 characters');
+      return;
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      toast.error("Passwords don't match");
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      const response = await acceptInvite({ token, name: formData.name, password: formData.password });
+      navigate(response.twoFactorSetupRequired ? '/login' : '/dashboard');
+    } catch (error) {
+      // AuthContext already shows the error toast
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const inputClassName = 'appearance-none relative block w-full px-3 py-3 pl-10 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-600 focus:border-transparent sm:text-sm';
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-white flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full space-y-8 bg-white p-10 rounded-2xl shadow-xl"
+      >
+        <div className="text-center">
+          <div className="flex justify-center">
+            <div className="w-16 h-16 bg-gradient-to-r from-primary-600 to-primary-700 rounded-2xl flex items-center justify-center">
+              <FaGraduationCap className="text-3xl text-white" />
+            </div>
+          </div>
+          <h2 className="mt-6 text-3xl font-display font-bold text-gray-900">
+            Join Your School
+          </h2>
+          {invitation && (
+            <p className="mt-2 text-sm text-gray-600">
+              You've been invited to <strong>{invitation.schoolName}</strong> as{' '}
+              <span className="capitalize">{invitation.role}</span> ({invitation.email})
+            </p>
+          )}
+        </div>
+
+        {checking ? (
+          <div className="flex justify-center">
+            <div className="w-10 h-10 border-4 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        ) : !invitation ? (
+          <div className="text-center space-y-4">
+            <p className="text-sm text-gray-600">
+              This invitation is invalid or has expired. Ask your school administrator to send a new one.
+            </p>
+            <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+              Go to sign in
+            </Link>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="name" className="block text-sm font-medium text-gray-700 mb-2">
+                  Full Name
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaUser className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="name"
+                    name="name"
+                    required
+                    value={formData.name}
+                    onChange={handleChange}
+                    className={inputClassName}
+                    placeholder="Jane Wanjiku"
+                  />
+                </div>
+              </div>
+
+              {['password', 'confirmPassword'].map((field) => (
+                <div key={field}>
+                  <label htmlFor={field} className="block text-sm font-medium text-gray-700 mb-2">
+                    {field === 'password' ? 'Password' : 'Confirm Password'}
+                  </label>
+                  <div className="relative">
+                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                      <FaLock className="h-5 w-5 text-gray-400" />
+                    </div>
+                    <input
+                      id={field}
+                      name={field}
+                      type="password"
+                      autoComplete="new-password"
+                      required
+                      value={formData[field]}
+                      onChange={handleChange}
+                      className={inputClassName}
+                      placeholder="••••••••"
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-gradient-to-r from-primary-600 to-primary-700 hover:from-primary-700 hover:to-primary-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300"
+            >
+              {loading ? 'Activating...' : 'Activate Account'}
+            </button>
+          </form>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default AcceptInvite;
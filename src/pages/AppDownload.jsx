@@ -12,14 +12,16 @@ import {
 } from 'react-icons/fa';
 import toast from 'react-hot-toast';
 import QRCode from 'qrcode.react';
+import { appService } from '../services/api';
 
 const AppDownload = () => {
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, can } = useAuth();
   const { school } = useSchool();
   const navigate = useNavigate();
   const [selectedPlatform, setSelectedPlatform] = useState('android');
   const [showQRCode, setShowQRCode] = useState(false);
   const [downloading, setDownloading] = useState(false);
+  const [rebuilding, setRebuilding] = useState(false);
 
   useEffect(() => {
     if (!isAuthenticated) {
@@ -69,6 +71,19 @@ const AppDownload = () => {
     }
   };
 
+  // Needed after the school's subdomain changed, see Settings
+  const handleRebuild = async () => {
+    try {
+      setRebuilding(true);
+      await appService.generateApp(school.id, selectedPlatform);
+      toast.success('Rebuild started. The new app will be ready in a few minutes.');
+    } catch (error) {
+      toast.error(error.error || 'Failed to start the rebuild');
+    } finally {
+      setRebuilding(false);
+    }
+  };
+
   const toggleQRCode = () => {
     setShowQRCode(!showQRCode);
   };
@@ -92,6 +107,23 @@ const AppDownload = () => {
             </p>
           </motion.div>
 
+          {school?.appRebuildRequired && can('apps:build') && (
+            <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-xl p-4 mb-8 flex items-center justify-between flex-wrap gap-4">
+              <span className="flex items-center">
+                <FaExclamationTriangle className="mr-2" />
+                Your school URL changed. Rebuild the app so it uses {school.subdomain}.edumanagerpro.com.
+              </span>
+              <button
+                onClick={handleRebuild}
+                disabled={rebuilding}
+                className="px-4 py-2 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 disabled:opacity-50 flex items-center"
+              >
+                {rebuilding && <FaSpinner className="animate-spin mr-2" />}
+                Rebuild app
+              </button>
+            </div>
+          )}
+
           {/* School Info */}
           <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useSchool } from '../context/SchoolContext';
+import Navbar from '../components/layout/Navbar';
+import RegisterSheet from '../components/attendance/RegisterSheet';
+import AttendanceSummary from '../components/attendance/AttendanceSummary';
+import { motion } from 'framer-motion';
+import { FaArrowLeft, FaClipboardCheck, FaChartLine } from 'react-icons/fa';
+import { schoolDate, shiftDate } from '../shared/attendanceSchema';
+
+const TABS = [
+  { id: 'register', label: 'Daily Register', icon: FaClipboardCheck },
+  { id: 'summary', label: 'Summaries', icon: FaChartLine },
+];
+
+const Attendance = () => {
+  const { can } = useAuth();
+  const { school } = useSchool();
+  const navigate = useNavigate();
+  const classes = school?.academic?.classes || [];
+  const today = schoolDate();
+
+  const [tab, setTab] = useState('register');
+  const [classId, setClassId] = useState('');
+  const [date, setDate] = useState(today);
+  const [range, setRange] = useState({ from: shiftDate(today, -29), to: today });
+
+  const selectedClassId = classId || classes[0]?.id || '';
+  const disabled = school?.features?.attendanceModule === false;
+
+  return (
+    <>
+      <Navbar />
+      <div className="min-h-screen bg-gray-50 pt-20">
+        <div className="container mx-auto px-4 py-8">
+          {/* Back Button */}
+          <motion.button
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            onClick={() => navigate('/dashboard')}
+            className="flex items-center text-gray-600 hover:text-gray-900 mb-6 group"
+          >
+            <FaArrowLeft className="mr-2 group-hover:-translate-x-1 transition-transform" />
+            Back to Dashboard
+          </motion.button>
+
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mb-8"
+          >
+            <h1 className="text-3xl font-bold mb-2">Attendance</h1>
+            <p className="text-gray-600">Daily class registers and attendance rates</p>
+          </motion.div>
+
+          {disabled ? (
+            <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-4 text-sm">
+              Attendance is turned off for your school. Turn it on under Setup.
+            </div>
+          ) : classes.length === 0 ? (
+            <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-4 text-sm">
+              Your school has no classes yet. Add them under Setup before taking attendance.
+            </div>
+          ) : (
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.1 }}
+              className="bg-white rounded-lg shadow-lg p-6"
+            >
+              {/* Tabs */}
+              <div className="flex space-x-2 border-b mb-6">
+                {TABS.map((t) => (
+                  <button
+                    key={t.id}
+                    onClick={() => setTab(t.id)}
+                    className={`px-4 py-2 -mb-px border-b-2 flex items-center ${
+                      tab === t.id
+                        ? 'border-primary-600 text-primary-600 font-semibold'
+                        : 'border-transparent text-gray-600 hover:text-gray-900'
+                    }`}
+                  >
+                    <t.icon className="mr-2" /> {t.label}
+                  </button>
+                ))}
+              </div>
+
+              {/* Filters */}
+              <div className="grid md:grid-cols-3 gap-4 mb-6">
+                <select
+                  value={selectedClassId}
+                  onChange={(e) => setClassId(e.target.value)}
+                  className="w-full px-4 py-2 border rounded-lg"
+                >
+                  {classes.map((c) => (
+                    <option key={c.id} value={c.id}>{c.name}</option>
+                  ))}
+                </select>
+
+                {tab === 'register' ? (
+                  <input
+                    type="date"
+                    value={date}
+                    max={today}
+                    onChange={(e) => e.target.value && setDate(e.target.value)}
+                    className="w-full px-4 py-2 border rounded-lg"
+                  />
+                ) : (
+                  <>
+                    <input
+                      type="date"
+                      value={range.from}
+                      max={range.to}
+                      onChange={(e) => e.target.value && setRange({ ...range, from: e.target.value })}
+                      className="w-full px-4 py-2 border rounded-lg"
+                    />
+                    <input
+                      type="date"
+                      value={range.to}
+                      min={range.from}
+                      max={today}
+                      onChange={(e) => e.target.value && setRange({ ...range, to: e.target.value })}
+                      className="w-full px-4 py-2 border rounded-lg"
+                    />
+                  </>
+                )}
+              </div>
+
+              {tab === 'register' ? (
+                <RegisterSheet
+                  classId={selectedClassId}
+                  date={date}
+                  canTake={can('attendance:take')}
+                  canManage={can('attendance:manage')}
+                />
+              ) : (
+                <AttendanceSummary classId={selectedClassId} range={range} />
+              )}
+            </motion.div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Attendance;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useSchool } from '../context/SchoolContext';
+import { motion } from 'framer-motion';
+import { FaExclamationTriangle, FaTimesCircle } from 'react-icons/fa';
+
+// Landing page of the emailed closure link. The school is only closed when
+// the signed-in owner presses the button, so link scanners can't trigger it.
+const ConfirmClosure = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const navigate = useNavigate();
+  const { isAuthenticated, can } = useAuth();
+  const { school, confirmClosure } = useSchool();
+  const [closing, setClosing] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleConfirm = async () => {
+    try {
+      setClosing(true);
+      await confirmClosure(token);
+      navigate('/settings', { replace: true });
+    } catch (error) {
+      setMessage(error.error || 'This confirmation link is invalid or has expired');
+      setClosing(false);
+    }
+  };
+
+  let content;
+
+  if (!token) {
+    content = <p className="text-sm text-gray-600">This confirmation link is invalid or incomplete.</p>;
+  } else if (!isAuthenticated) {
+    content = (
+      <p className="text-sm text-gray-600">
+        Sign in as the school owner, then open the link from your email again.{' '}
+        <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+          Go to sign in
+        </Link>
+      </p>
+    );
+  } else if (!can('school:close')) {
+    content = <p className="text-sm text-gray-600">Only the school owner can close the school.</p>;
+  } else {
+    content = (
+      <>
+        <p className="text-sm text-gray-600">
+          Close <span className="font-semibold">{school?.identity?.name || school?.name}</span>? Staff
+          and parents will be signed out and the portal goes offline. You can restore the school from
+          Settings within 30 days. After that, all of its data is permanently deleted.
+        </p>
+        {message && (
+          <p className="text-sm text-red-600 flex items-center justify-center">
+            <FaTimesCircle className="mr-1" /> {message}
+          </p>
+        )}
+        <div className="flex justify-center space-x-3">
+          <Link to="/settings" className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50">
+            Keep my school
+          </Link>
+          <button
+            onClick={handleConfirm}
+            disabled={closing || !school}
+            className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+          >
+            {closing ? 'Closing...' : 'Close school'}
+          </button>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-white flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full space-y-6 bg-white p-10 rounded-2xl shadow-xl text-center"
+      >
+        <div className="flex justify-center">
+          <div className="w-16 h-16 bg-red-600 rounded-2xl flex items-center justify-center">
+            <FaExclamationTriangle className="text-3xl text-white" />
+          </div>
+        </div>
+        <h2 className="text-3xl font-display font-bold text-gray-900">Close School Account</h2>
+        {content}
+      </motion.div>
+    </div>
+  );
+};
+
+export default ConfirmClosure;
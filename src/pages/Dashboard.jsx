@@ -1,13 +1,16 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useSchool } from '../context/SchoolContext';
+import { studentService, attendanceService } from '../services/api';
 import Navbar from '../components/layout/Navbar';
+import UsageMeter from '../components/settings/UsageMeter';
 import { motion } from 'framer-motion';
 import { FaUsers, FaChalkboardTeacher, FaBook, FaChartLine } from 'react-icons/fa';
+import { formatRate } from '../shared/attendanceSchema';
 
 const Dashboard = () => {
-  const { isAuthenticated, loading: authLoading } = useAuth();
+  const { isAuthenticated, loading: authLoading, can } = useAuth();
   const { school, subscription, loading: schoolLoading } = useSchool();
   const navigate = useNavigate();
 
@@ -17,6 +20,29 @@ const Dashboard = () => {
     }
   }, [isAuthenticated, authLoading, navigate]);
 
+  const [studentCount, setStudentCount] = useState(null);
+  const [attendance, setAttendance] = useState(null);
+
+  useEffect(() => {
+    if (!isAuthenticated || !can('students:read')) return;
+
+    studentService
+      .list({ status: 'active', limit: 1 })
+      .then((data) => setStudentCount(data.total))
+      .catch((error) => console.error('Error loading student count:', error));
+  }, [isAuthenticated, can]);
+
+  // Over the last 30 days, the function's default range
+  const attendanceEnabled = school?.features?.attendanceModule !== false;
+  useEffect(() => {
+    if (!isAuthenticated || !can('attendance:read') || !attendanceEnabled) return;
+
+    attendanceService
+      .schoolSummary()
+      .then((data) => setAttendance(data.summary))
+      .catch((error) => console.error('Error loading attendance summary:', error));
+  }, [isAuthenticated, can, attendanceEnabled, school?.id]);
+
   if (authLoading || schoolLoading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
@@ -26,10 +52,10 @@ const Dashboard = () => {
   }
 
   const stats = [
-    { label: 'Total Students', value: '450', icon: FaUsers, color: 'bg-blue-500' },
+    { label: 'Total Students', value: studentCount ?? '—', icon: FaUsers, color: 'bg-blue-500' },
     { label: 'Total Teachers', value: '32', icon: FaChalkboardTeacher, color: 'bg-green-500' },
-    { label: 'Total Classes', value: '24', icon: FaBook, color: 'bg-purple-500' },
-    { label: 'Attendance Rate', value: '96%', icon: FaChartLine, color: 'bg-yellow-500' },
+    { label: 'Total Classes', value: school?.academic?.classes?.length ?? 0, icon: FaBook, color: 'bg-purple-500' },
+    { label: 'Attendance Rate (30 days)', value: formatRate(attendance?.rate), icon: FaChartLine, color: 'bg-yellow-500' },
   ];
 
   return (
@@ -101,6 +127,9 @@ const Dashboard = () => {
             ))}
           </div>
 
+          {/* Plan Usage */}
+          {can('school:read') && <UsageMeter className="mb-8" delay={0.25} />}
+
           {/* School Info */}
           <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -138,35 +167,55 @@ const Dashboard = () => {
             transition={{ delay: 0.4 }}
             className="grid md:grid-cols-3 gap-6"
           >
-            <button
-              onClick={() => navigate('/setup')}
-              className="p-6 bg-white rounded-lg shadow-lg hover:shadow-xl transition text-left"
-            >
-              <h3 className="font-semibold mb-2">Customize Branding</h3>
-              <p className="text-sm text-gray-600">
-                Upload your logo and customize colors
-              </p>
-            </button>
-
-            <button
-              onClick={() => navigate('/app-download')}
-              className="p-6 bg-white rounded-lg shadow-lg hover:shadow-xl transition text-left"
-            >
-              <h3 className="font-semibold mb-2">Download Mobile App</h3>
-              <p className="text-sm text-gray-600">
-                Get your branded school app
-              </p>
-            </button>
-
-            <button
-              onClick={() => navigate('/settings')}
-              className="p-6 bg-white rounded-lg shadow-lg hover:shadow-xl transition text-left"
-            >
-              <h3 className="font-semibold mb-2">Manage Subscription</h3>
-              <p className="text-sm text-gray-600">
-                Update plan or billing info
-              </p>
-            </button>
+            {can('school:manage') && (
+              <button
+                onClick={() => navigate('/setup')}
+                className="p-6 bg-white rounded-lg shadow-lg hover:shadow-xl transition text-left"
+              >
+                <h3 className="font-semibold mb-2">Customize Branding</h3>
+                <p className="text-sm text-gray-600">
+                  Upload your logo and customize colors
+                </p>
+              </button>
+            )}
+
+            {can('attendance:take') && (
+              <button
+                onClick={() => navigate('/attendance')}
+                className="p-6 bg-white rounded-lg shadow-lg hover:shadow-xl transition text-left"
+              >
+                <h3 className="font-semibold mb-2">Take Attendance</h3>
+                <p className="text-sm text-gray-600">
+                  {attendance
+                    ? `${attendance.today.classesMarked} of ${attendance.today.classCount} classes marked today`
+                    : 'Mark today\'s class registers'}
+                </p>
+              </button>
+            )}
+
+            {can('apps:read') && (
+              <button
+                onClick={() => navigate('/app-download')}
+                className="p-6 bg-white rounded-lg shadow-lg hover:shadow-xl transition text-left"
+              >
+                <h3 className="font-semibold mb-2">Download Mobile App</h3>
+                <p className="text-sm text-gray-600">
+                  Get your branded school app
+                </p>
+              </button>
+            )}
+
+            {can('billing:read') && (
+              <button
+                onClick={() => navigate('/settings')}
+                className="p-6 bg-white rounded-lg shadow-lg hover:shadow-xl transition text-left"
+              >
+                <h3 className="font-semibold mb-2">Manage Subscription</h3>
+                <p className="text-sm text-gray-600">
+                  Update plan or billing info
+                </p>
+              </button>
+            )}
           </motion.div>
         </div>
       </div>
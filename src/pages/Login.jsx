@@ -2,7 +2,10 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { motion } from 'framer-motion';
-import { FaEnvelope, FaLock, FaEye, FaEyeSlash, FaGraduationCap } from 'react-icons/fa';
+import { FaEnvelope, FaLock, FaEye, FaEyeSlash, FaGraduationCap, FaShieldAlt } from 'react-icons/fa';
+import TwoFactorSetup from '../components/auth/TwoFactorSetup';
+import PhoneLoginForm from '../components/auth/PhoneLoginForm';
+import GoogleButton from '../components/auth/GoogleButton';
 import toast from 'react-hot-toast';
 
 const Login = () => {
@@ -12,7 +15,14 @@ const Login = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  // 'email' or 'phone' (SMS code)
+  const [method, setMethod] = useState('email');
+  // 'credentials', then 'code' when 2FA is on or 'enroll' when the school requires it
+  const [step, setStep] = useState('credentials');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const { login, loginWithGoogle, verifyTwoFactor, completeTwoFactorEnrollment } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -22,20 +32,76 @@ const Login = () => {
     });
   };
 
+  // Either login method may still need a second factor
+  const handleLoginResponse = (response) => {
+    if (response.twoFactorRequired || response.twoFactorSetupRequired) {
+      setChallengeToken(response.challengeToken);
+      setStep(response.twoFactorRequired ? 'code' : 'enroll');
+      return;
+    }
+
+    navigate('/dashboard');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
 
     try {
-      await login(formData.email, formData.password);
+      handleLoginResponse(await login(formData.email, formData.password));
+    } catch (error) {
+      // AuthContext already shows the error toast
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleGoogle = async () => {
+    setLoading(true);
+
+    try {
+      handleLoginResponse(await loginWithGoogle());
+    } catch (error) {
+      // AuthContext already shows the error toast
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await verifyTwoFactor(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: code } : { code }
+      );
+
+      if (response.usedRecoveryCode) {
+        toast(`You have ${response.recoveryCodesRemaining} recovery codes left.`, { icon: '🔑' });
+      }
+
       navigate('/dashboard');
     } catch (error) {
-      toast.error(error.message || 'Login failed');
+      setCode('');
+      // An expired challenge means starting over with the password
+      if (error.error?.includes('expired')) {
+        setStep('credentials');
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const subtitles = {
+    credentials: 'Sign in to your school dashboard',
+    code: useRecoveryCode
+      ? 'Enter one of your recovery codes'
+      : 'Enter the 6-digit code from your authenticator app',
+    enroll: 'Your school requires two-factor authentication. Set it up to continue.',
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-primary-50 to-white flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
       <motion.div
@@ -54,120 +120,213 @@ const Login = () => {
             Welcome Back
           </h2>
           <p className="mt-2 text-sm text-gray-600">
-            Sign in to your school dashboard
+            {subtitles[step]}
           </p>
         </div>
 
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+        {step === 'code' && (
+          <form className="mt-8 space-y-6" onSubmit={handleVerifyCode}>
+            <div className="relative">
+              <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                <FaShieldAlt className="h-5 w-5 text-gray-400" />
+              </div>
+              <input
+                id="code"
+                name="code"
+                type="text"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="appearance-none relative block w-full px-3 py-3 pl-10 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-600 focus:border-transparent sm:text-sm tracking-widest"
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-gradient-to-r from-primary-600 to-primary-700 hover:from-primary-700 hover:to-primary-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+
+            <div className="flex items-center justify-between text-sm">
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setCode('');
+                }}
+                className="font-medium text-primary-600 hover:text-primary-500"
+              >
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setStep('credentials')}
+                className="text-gray-600 hover:text-gray-900"
+              >
+                Back
+              </button>
+            </div>
+          </form>
+        )}
+
+        {step === 'enroll' && (
+          <div className="mt-8">
+            <TwoFactorSetup
+              challengeToken={challengeToken}
+              onEnable={(enrollmentCode) => completeTwoFactorEnrollment(enrollmentCode, challengeToken)}
+              onDone={() => navigate('/dashboard')}
+            />
+          </div>
+        )}
+
+        {step === 'credentials' && (
           <div className="space-y-4">
-            <div>
-              <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
-                Email Address
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <FaEnvelope className="h-5 w-5 text-gray-400" />
+            <GoogleButton onClick={handleGoogle} disabled={loading} />
+            <div className="flex items-center text-xs text-gray-400 uppercase">
+              <div className="flex-1 border-t" />
+              <span className="px-3">or</span>
+              <div className="flex-1 border-t" />
+            </div>
+          </div>
+        )}
+
+        {step === 'credentials' && (
+          <div className="flex rounded-lg bg-gray-100 p-1 text-sm font-medium">
+            {[['email', 'Email'], ['phone', 'Phone (SMS)']].map(([value, label]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => setMethod(value)}
+                className={`flex-1 py-2 rounded-md transition ${
+                  method === value ? 'bg-white shadow text-primary-600' : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {step === 'credentials' && method === 'phone' && (
+          <PhoneLoginForm onResponse={handleLoginResponse} />
+        )}
+
+        {step === 'credentials' && method === 'email' && (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-2">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaEnvelope className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    required
+                    value={formData.email}
+                    onChange={handleChange}
+                    className="appearance-none relative block w-full px-3 py-3 pl-10 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-600 focus:border-transparent sm:text-sm"
+                    placeholder="admin@school.com"
+                  />
                 </div>
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  required
-                  value={formData.email}
-                  onChange={handleChange}
-                  className="appearance-none relative block w-full px-3 py-3 pl-10 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-600 focus:border-transparent sm:text-sm"
-                  placeholder="admin@school.com"
-                />
               </div>
-            </div>
 
-            <div>
-              <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
-                Password
-              </label>
-              <div className="relative">
-                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                  <FaLock className="h-5 w-5 text-gray-400" />
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+                  Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <FaLock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    name="password"
+                    type={showPassword ? 'text' : 'password'}
+                    autoComplete="current-password"
+                    required
+                    value={formData.password}
+                    onChange={handleChange}
+                    className="appearance-none relative block w-full px-3 py-3 pl-10 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-600 focus:border-transparent sm:text-sm"
+                    placeholder="••••••••"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  >
+                    {showPassword ? (
+                      <FaEyeSlash className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    ) : (
+                      <FaEye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
+                    )}
+                  </button>
                 </div>
+              </div>
+            </div>
+
+            <div className="flex items-center justify-between">
+              <div className="flex items-center">
                 <input
-                  id="password"
-                  name="password"
-                  type={showPassword ? 'text' : 'password'}
-                  autoComplete="current-password"
-                  required
-                  value={formData.password}
-                  onChange={handleChange}
-                  className="appearance-none relative block w-full px-3 py-3 pl-10 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-600 focus:border-transparent sm:text-sm"
-                  placeholder="••••••••"
+                  id="remember-me"
+                  name="remember-me"
+                  type="checkbox"
+                  className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
                 />
+                <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
+                  Remember me
+                </label>
+              </div>
+
+              <div className="text-sm">
                 <button
                   type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute inset-y-0 right-0 pr-3 flex items-center"
+                  onClick={() => navigate('/forgot-password')}
+                  className="font-medium text-primary-600 hover:text-primary-500"
                 >
-                  {showPassword ? (
-                    <FaEyeSlash className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                  ) : (
-                    <FaEye className="h-5 w-5 text-gray-400 hover:text-gray-600" />
-                  )}
+                  Forgot your password?
                 </button>
               </div>
             </div>
-          </div>
-
-          <div className="flex items-center justify-between">
-            <div className="flex items-center">
-              <input
-                id="remember-me"
-                name="remember-me"
-                type="checkbox"
-                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
-              />
-              <label htmlFor="remember-me" className="ml-2 block text-sm text-gray-900">
-                Remember me
-              </label>
-            </div>
 
-            <div className="text-sm">
+            <div>
               <button
-                type="button"
-                onClick={() => navigate('/forgot-password')}
-                className="font-medium text-primary-600 hover:text-primary-500"
+                type="submit"
+                disabled={loading}
+                className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-gradient-to-r from-primary-600 to-primary-700 hover:from-primary-700 hover:to-primary-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300"
               >
-                Forgot your password?
+                {loading ? (
+                  <div className="flex items-center">
+                    <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin mr-2"></div>
+                    Signing in...
+                  </div>
+                ) : (
+                  'Sign in'
+                )}
               </button>
             </div>
-          </div>
 
-          <div>
-            <button
-              type="submit"
-              disabled={loading}
-              className="group relative w-full flex justify-center py-3 px-4 border border-transparent text-sm font-medium rounded-lg text-white bg-gradient-to-r from-primary-600 to-primary-700 hover:from-primary-700 hover:to-primary-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300"
-            >
-              {loading ? (
-                <div className="flex items-center">
-                  <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin mr-2"></div>
-                  Signing in...
-                </div>
-              ) : (
-                'Sign in'
-              )}
-            </button>
-          </div>
-
-          <div className="text-center">
-            <p className="text-sm text-gray-600">
-              Don't have an account?{' '}
-              <Link to="/signup" className="font-medium text-primary-600 hover:text-primary-500">
-                Sign up for free
-              </Link>
-            </p>
-          </div>
-        </form>
-
-      
+            <div className="text-center">
+              <p className="text-sm text-gray-600">
+                Don't have an account?{' '}
+                <Link to="/signup" className="font-medium text-primary-600 hover:text-primary-500">
+                  Sign up for free
+                </Link>
+              </p>
+            </div>
+          </form>
+        )}
       </motion.div>
     </div>
   );
@@ -8,6 +8,7 @@ import {
   FaLock, FaArrowLeft, FaSpinner, FaPhone, FaMoneyBillWave 
 } from 'react-icons/fa';
 import { paymentService } from '../services/api';
+import { PLANS } from '../shared/plans';
 import toast from 'react-hot-toast';
 
 const Payment = () => {
@@ -39,14 +40,14 @@ const Payment = () => {
     starter: {
       name: 'Starter Plan',
       price: 2500,
-      students: 200,
-      features: ['Up to 200 students', 'Custom subdomain', 'School branding', 'WebView app']
+      students: PLANS.starter.students,
+      features: [`Up to ${PLANS.starter.students} students`, 'Custom subdomain', 'School branding', 'WebView app']
     },
     professional: {
       name: 'Professional Plan',
       price: 5000,
-      students: 500,
-      features: ['Up to 500 students', 'Custom subdomain', 'Advanced branding', 'WebView app', 'Priority support', 'API access']
+      students: PLANS.professional.students,
+      features: [`Up to ${PLANS.professional.students} students`, 'Custom subdomain', 'Advanced branding', 'WebView app', 'Priority support', 'API access']
     },
     enterprise: {
       name: 'Enterprise Plan',
@@ -3,6 +3,15 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useSchool } from '../context/SchoolContext';
 import Navbar from '../components/layout/Navbar';
+import DevicesPanel from '../components/settings/DevicesPanel';
+import TwoFactorPanel from '../components/settings/TwoFactorPanel';
+import CustomDomainPanel from '../components/settings/CustomDomainPanel';
+import SubdomainPanel from '../components/settings/SubdomainPanel';
+import DataExportPanel from '../components/settings/DataExportPanel';
+import CloseSchoolPanel from '../components/settings/CloseSchoolPanel';
+import UsageMeter from '../components/settings/UsageMeter';
+import { billingService } from '../services/api';
+import { PLANS } from '../shared/plans';
 import { motion } from 'framer-motion';
 import { 
   FaCheck, 
@@ -18,7 +27,7 @@ import {
 import { toast } from 'react-hot-toast';
 
 const Settings = () => {
-  const { isAuthenticated, loading: authLoading } = useAuth();
+  const { isAuthenticated, loading: authLoading, can } = useAuth();
   const { school, loading: schoolLoading } = useSchool();
   const navigate = useNavigate();
   const [subscription, setSubscription] = useState(null);
@@ -26,6 +35,7 @@ const Settings = () => {
   const [showCancelModal, setShowCancelModal] = useState(false);
   const [updating, setUpdating] = useState(false);
   const [billingHistory, setBillingHistory] = useState([]);
+  const canViewBilling = can('billing:read');
 
   // Payment links from Lipana.dev
   const paymentLinks = {
@@ -58,7 +68,7 @@ const Settings = () => {
         yearly: 300
       },
       features: [
-        'Up to 100 students',
+        `Up to ${PLANS.basic.students} students`,
         '10 teachers',
         'Basic reports',
         'Email support',
@@ -77,7 +87,7 @@ const Settings = () => {
         yearly: 300
       },
       features: [
-        'Up to 500 students',
+        `Up to ${PLANS.premium.students} students`,
         '50 teachers',
         'Advanced reports',
         'Priority support',
@@ -119,20 +129,17 @@ const Settings = () => {
   // Load subscription data from Netlify function
   useEffect(() => {
     const loadSubscription = async () => {
+      if (school?.id && !canViewBilling) {
+        setLoading(false);
+        return;
+      }
+
       if (school?.id) {
         try {
           setLoading(true);
           
           // Call Netlify function to check subscription
-          const response = await fetch(
-            `/.netlify/functions/check-subscription?schoolId=${school.id}`
-          );
-          
-          if (!response.ok) {
-            throw new Error('Failed to fetch subscription');
-          }
-          
-          const data = await response.json();
+          const data = await billingService.checkSubscription(school.id);
           
           setSubscription({
             ...data,
@@ -153,7 +160,7 @@ const Settings = () => {
     };
 
     loadSubscription();
-  }, [school]);
+  }, [school, canViewBilling]);
 
   // Function to check if current plan is active
   const isPlanActive = (planId) => {
@@ -168,21 +175,15 @@ const Settings = () => {
       attempts++;
       
       try {
-        const response = await fetch(
-          `/.netlify/functions/check-subscription?schoolId=${school.id}`
-        );
+        const data = await billingService.checkSubscription(school.id);
         
-        if (response.ok) {
-          const data = await response.json();
-          
-          if (data.isActive) {
-            clearInterval(interval);
-            setSubscription({
-              ...data,
-              isActive: true
-            });
-            toast.success('Subscription activated successfully!');
-          }
+        if (data.isActive) {
+          clearInterval(interval);
+          setSubscription({
+            ...data,
+            isActive: true
+          });
+          toast.success('Subscription activated successfully!');
         }
       } catch (error) {
         console.error('Polling error:', error);
@@ -232,20 +233,7 @@ const Settings = () => {
     try {
       setUpdating(true);
       
-      // Call your cancellation endpoint (you'll need to create this)
-      const response = await fetch('/.netlify/functions/cancel-subscription', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          schoolId: school.id
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to cancel subscription');
-      }
+      await billingService.cancelSubscription(school.id);
 
       setSubscription(prev => ({
         ...prev,
@@ -324,184 +312,210 @@ const Settings = () => {
             </p>
           </motion.div>
 
-          {/* Current Plan Card */}
-          <motion.div
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ delay: 0.1 }}
-            className="bg-white rounded-lg shadow-lg p-6 mb-8"
-          >
-            <div className="flex items-center justify-between mb-6">
-              <h2 className="text-xl font-bold">Current Subscription</h2>
-              <span className={`px-3 py-1 rounded-full text-sm font-semibold flex items-center ${
-                subscription?.isActive 
-                  ? 'bg-green-100 text-green-600' 
-                  : 'bg-red-100 text-red-600'
-              }`}>
-                {updating && <FaSpinner className="animate-spin mr-2" />}
-                {subscription?.isActive ? 'Active' : 'Inactive'}
-              </span>
-            </div>
-
-            {subscription?.isActive ? (
-              <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-6">
-                <div>
-                  <p className="text-sm text-gray-600 mb-1">Plan</p>
-                  <p className="text-2xl font-bold capitalize">{subscription?.plan || 'Premium'}</p>
-                </div>
-                <div>
-                  <p className="text-sm text-gray-600 mb-1">Duration</p>
-                  <p className="text-2xl font-bold capitalize">{subscription?.duration || 'Monthly'}</p>
-                </div>
-                <div>
-                  <p className="text-sm text-gray-600 mb-1">Start Date</p>
-                  <p className="font-semibold">{formatDate(subscription?.startDate)}</p>
-                </div>
-                <div>
-                  <p className="text-sm text-gray-600 mb-1">End Date</p>
-                  <p className="font-semibold">{formatDate(subscription?.endDate)}</p>
-                </div>
-                <div className="lg:col-span-4">
-                  <p className="text-sm text-gray-600 mb-1">Days Remaining</p>
-                  <p className="text-xl font-bold text-primary-600">{getDaysRemaining()} days</p>
+          {canViewBilling && (
+            <>
+              {/* Current Plan Card */}
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.1 }}
+                className="bg-white rounded-lg shadow-lg p-6 mb-8"
+              >
+                <div className="flex items-center justify-between mb-6">
+                  <h2 className="text-xl font-bold">Current Subscription</h2>
+                  <span className={`px-3 py-1 rounded-full text-sm font-semibold flex items-center ${
+                    subscription?.isActive 
+                      ? 'bg-green-100 text-green-600' 
+                      : 'bg-red-100 text-red-600'
+                  }`}>
+                    {updating && <FaSpinner className="animate-spin mr-2" />}
+                    {subscription?.isActive ? 'Active' : 'Inactive'}
+                  </span>
                 </div>
-              </div>
-            ) : (
-              <div className="text-center py-8">
-                <FaTimes className="mx-auto text-4xl text-red-500 mb-4" />
-                <h3 className="text-xl font-bold mb-2">No Active Subscription</h3>
-                <p className="text-gray-600 mb-4">Choose a plan below to get started</p>
-              </div>
-            )}
-          </motion.div>
 
-          {/* Billing History Section */}
-          {billingHistory.length > 0 && (
-            <motion.div
-              initial={{ opacity: 0, y: 20 }}
-              animate={{ opacity: 1, y: 0 }}
-              transition={{ delay: 0.15 }}
-              className="bg-white rounded-lg shadow-lg p-6 mb-8"
-            >
-              <div className="flex items-center justify-between mb-4">
-                <h2 className="text-xl font-bold flex items-center">
-                  <FaHistory className="mr-2 text-primary-600" />
-                  Billing History
-                </h2>
-                <button
-                  onClick={() => {/* Download all invoices */}}
-                  className="text-primary-600 hover:text-primary-700 flex items-center text-sm"
+                {subscription?.isActive ? (
+                  <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-6">
+                    <div>
+                      <p className="text-sm text-gray-600 mb-1">Plan</p>
+                      <p className="text-2xl font-bold capitalize">{subscription?.plan || 'Premium'}</p>
+                    </div>
+                    <div>
+                      <p className="text-sm text-gray-600 mb-1">Duration</p>
+                      <p className="text-2xl font-bold capitalize">{subscription?.duration || 'Monthly'}</p>
+                    </div>
+                    <div>
+                      <p className="text-sm text-gray-600 mb-1">Start Date</p>
+                      <p className="font-semibold">{formatDate(subscription?.startDate)}</p>
+                    </div>
+                    <div>
+                      <p className="text-sm text-gray-600 mb-1">End Date</p>
+                      <p className="font-semibold">{formatDate(subscription?.endDate)}</p>
+                    </div>
+                    <div className="lg:col-span-4">
+                      <p className="text-sm text-gray-600 mb-1">Days Remaining</p>
+                      <p className="text-xl font-bold text-primary-600">{getDaysRemaining()} days</p>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="text-center py-8">
+                    <FaTimes className="mx-auto text-4xl text-red-500 mb-4" />
+                    <h3 className="text-xl font-bold mb-2">No Active Subscription</h3>
+                    <p className="text-gray-600 mb-4">Choose a plan below to get started</p>
+                  </div>
+                )}
+              </motion.div>
+
+              {/* Plan Usage */}
+              <UsageMeter className="mb-8" upgradeLink={false} />
+
+              {/* Billing History Section */}
+              {billingHistory.length > 0 && (
+                <motion.div
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: 0.15 }}
+                  className="bg-white rounded-lg shadow-lg p-6 mb-8"
                 >
-                  <FaDownload className="mr-1" />
-                  Download All
-                </button>
-              </div>
+                  <div className="flex items-center justify-between mb-4">
+                    <h2 className="text-xl font-bold flex items-center">
+                      <FaHistory className="mr-2 text-primary-600" />
+                      Billing History
+                    </h2>
+                    <button
+                      onClick={() => {/* Download all invoices */}}
+                      className="text-primary-600 hover:text-primary-700 flex items-center text-sm"
+                    >
+                      <FaDownload className="mr-1" />
+                      Download All
+                    </button>
+                  </div>
               
-              <div className="space-y-3">
-                {billingHistory.map((bill, index) => (
-                  <div key={index} className="flex items-center justify-between p-3 border rounded-lg hover:bg-gray-50">
-                    <div className="flex items-center space-x-4">
-                      <div className="w-10 h-10 bg-primary-100 rounded-full flex items-center justify-center">
-                        <FaCreditCard className="text-primary-600" />
-                      </div>
-                      <div>
-                        <p className="font-medium">{formatDate(bill.paymentDate)}</p>
-                        <p className="text-sm text-gray-600">{bill.invoice}</p>
+                  <div className="space-y-3">
+                    {billingHistory.map((bill, index) => (
+                      <div key={index} className="flex items-center justify-between p-3 border rounded-lg hover:bg-gray-50">
+                        <div className="flex items-center space-x-4">
+                          <div className="w-10 h-10 bg-primary-100 rounded-full flex items-center justify-center">
+                            <FaCreditCard className="text-primary-600" />
+                          </div>
+                          <div>
+                            <p className="font-medium">{formatDate(bill.paymentDate)}</p>
+                            <p className="text-sm text-gray-600">{bill.invoice}</p>
+                          </div>
+                        </div>
+                        <div className="flex items-center space-x-4">
+                          <span className="font-semibold">{bill.amount} {bill.currency}</span>
+                          <span className={`px-2 py-1 rounded-full text-xs ${
+                            bill.status === 'paid' ? 'bg-green-100 text-green-600' : 'bg-yellow-100 text-yellow-600'
+                          }`}>
+                            {bill.status}
+                          </span>
+                          <button
+                            onClick={() => downloadInvoice(bill.invoice)}
+                            className="text-primary-600 hover:text-primary-700 text-sm"
+                          >
+                            <FaDownload />
+                          </button>
+                        </div>
                       </div>
-                    </div>
-                    <div className="flex items-center space-x-4">
-                      <span className="font-semibold">{bill.amount} {bill.currency}</span>
-                      <span className={`px-2 py-1 rounded-full text-xs ${
-                        bill.status === 'paid' ? 'bg-green-100 text-green-600' : 'bg-yellow-100 text-yellow-600'
-                      }`}>
-                        {bill.status}
-                      </span>
-                      <button
-                        onClick={() => downloadInvoice(bill.invoice)}
-                        className="text-primary-600 hover:text-primary-700 text-sm"
-                      >
-                        <FaDownload />
-                      </button>
-                    </div>
+                    ))}
                   </div>
-                ))}
-              </div>
-            </motion.div>
-          )}
+                </motion.div>
+              )}
 
-          {/* Available Plans */}
-          <motion.div
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ delay: 0.2 }}
-            className="mb-8"
-          >
-            <h2 className="text-xl font-bold mb-6">Available Plans</h2>
+              {/* Available Plans */}
+              <motion.div
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: 0.2 }}
+                className="mb-8"
+              >
+                <h2 className="text-xl font-bold mb-6">Available Plans</h2>
             
-            <div className="grid md:grid-cols-3 gap-6">
-              {plans.map((plan) => (
-                <div
-                  key={plan.id}
-                  className={`bg-white rounded-lg shadow-lg p-6 relative ${
-                    plan.popular ? 'border-2 border-primary-600' : ''
-                  } ${isPlanActive(plan.id) ? 'ring-2 ring-green-500' : ''}`}
-                >
-                  {plan.popular && (
-                    <span className="absolute top-0 right-0 bg-primary-600 text-white px-3 py-1 text-sm rounded-bl-lg rounded-tr-lg">
-                      Most Popular
-                    </span>
-                  )}
+                <div className="grid md:grid-cols-3 gap-6">
+                  {plans.map((plan) => (
+                    <div
+                      key={plan.id}
+                      className={`bg-white rounded-lg shadow-lg p-6 relative ${
+                        plan.popular ? 'border-2 border-primary-600' : ''
+                      } ${isPlanActive(plan.id) ? 'ring-2 ring-green-500' : ''}`}
+                    >
+                      {plan.popular && (
+                        <span className="absolute top-0 right-0 bg-primary-600 text-white px-3 py-1 text-sm rounded-bl-lg rounded-tr-lg">
+                          Most Popular
+                        </span>
+                      )}
                   
-                  {isPlanActive(plan.id) && (
-                    <span className="absolute top-0 left-0 bg-green-600 text-white px-3 py-1 text-sm rounded-br-lg rounded-tl-lg">
-                      Current Plan
-                    </span>
-                  )}
+                      {isPlanActive(plan.id) && (
+                        <span className="absolute top-0 left-0 bg-green-600 text-white px-3 py-1 text-sm rounded-br-lg rounded-tl-lg">
+                          Current Plan
+                        </span>
+                      )}
                   
-                  <h3 className="text-xl font-bold mb-2">{plan.name}</h3>
-                  <div className="mb-4">
-                    <span className="text-3xl font-bold">{plan.price.toLocaleString()} {plan.currency}</span>
-                    <span className="text-gray-600">/month</span>
-                  </div>
+                      <h3 className="text-xl font-bold mb-2">{plan.name}</h3>
+                      <div className="mb-4">
+                        <span className="text-3xl font-bold">{plan.price.toLocaleString()} {plan.currency}</span>
+                        <span className="text-gray-600">/month</span>
+                      </div>
                   
-                  <ul className="space-y-3 mb-6">
-                    {plan.features.map((feature, index) => (
-                      <li key={index} className="flex items-start">
-                        <FaCheck className="text-green-500 mr-2 mt-1 flex-shrink-0" />
-                        <span className="text-sm text-gray-600">{feature}</span>
-                      </li>
-                    ))}
-                  </ul>
-
-                  {/* Duration Options */}
-                  <div className="space-y-2 mb-4">
-                    <p className="text-sm font-semibold text-gray-700 mb-2">Select Duration:</p>
-                    {Object.entries(plan.durations).map(([duration, days]) => (
-                      <button
-                        key={duration}
-                        onClick={() => handleSubscribe(plan.id, duration)}
-                        disabled={isPlanActive(plan.id) || updating}
-                        className={`w-full py-2 px-3 rounded-lg text-sm transition flex items-center justify-between ${
-                          isPlanActive(plan.id)
-                            ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
-                            : 'bg-gray-50 hover:bg-gray-100 text-gray-700 border border-gray-200'
-                        }`}
-                      >
-                        <span className="capitalize">{duration}</span>
-                        <span className="flex items-center">
-                          <FaCalendarAlt className="mr-1 text-primary-600" />
-                          {days} days
-                        </span>
-                      </button>
-                    ))}
-                  </div>
+                      <ul className="space-y-3 mb-6">
+                        {plan.features.map((feature, index) => (
+                          <li key={index} className="flex items-start">
+                            <FaCheck className="text-green-500 mr-2 mt-1 flex-shrink-0" />
+                            <span className="text-sm text-gray-600">{feature}</span>
+                          </li>
+                        ))}
+                      </ul>
+
+                      {/* Duration Options */}
+                      <div className="space-y-2 mb-4">
+                        <p className="text-sm font-semibold text-gray-700 mb-2">Select Duration:</p>
+                        {Object.entries(plan.durations).map(([duration, days]) => (
+                          <button
+                            key={duration}
+                            onClick={() => handleSubscribe(plan.id, duration)}
+                            disabled={isPlanActive(plan.id) || updating}
+                            className={`w-full py-2 px-3 rounded-lg text-sm transition flex items-center justify-between ${
+                              isPlanActive(plan.id)
+                                ? 'bg-gray-100 text-gray-400 cursor-not-allowed'
+                                : 'bg-gray-50 hover:bg-gray-100 text-gray-700 border border-gray-200'
+                            }`}
+                          >
+                            <span className="capitalize">{duration}</span>
+                            <span className="flex items-center">
+                              <FaCalendarAlt className="mr-1 text-primary-600" />
+                              {days} days
+                            </span>
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
                 </div>
-              ))}
-            </div>
-          </motion.div>
+              </motion.div>
+
+            </>
+          )}
+
+          {/* School URL */}
+          {can('school:manage') && school && <SubdomainPanel />}
+
+          {/* Custom Domain */}
+          {can('school:manage') && <CustomDomainPanel />}
+
+          {/* Two-Factor Authentication */}
+          <TwoFactorPanel />
+
+          {/* Signed-in Devices */}
+          <DevicesPanel />
+
+          {/* Data Export */}
+          {can('data:export') && <DataExportPanel />}
+
+          {/* Close School Account */}
+          {can('school:close') && school && <CloseSchoolPanel />}
 
           {/* Danger Zone - Only show if subscription is active */}
-          {subscription?.isActive && (
+          {subscription?.isActive && can('billing:manage') && (
             <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
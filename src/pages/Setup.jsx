@@ -6,13 +6,13 @@ import Navbar from '../components/layout/Navbar';
 import { motion } from 'framer-motion';
 import toast from 'react-hot-toast';
 import { FaCloudUploadAlt, FaCheck, FaArrowRight } from 'react-icons/fa';
+import { schoolUpdateSchema, schoolFieldErrors } from '../shared/schoolSchema';
+import ThemePreview from '../components/setup/ThemePreview';
+import { PLAN_FEATURES } from '../shared/plans';
 
-const planFeatures = {
-  free: { attendanceModule: true, resultsModule: true },
-  basic: { attendanceModule: true, resultsModule: true, exams: true, timetable: true },
-  premium: { mpesaPayments: true, smsNotifications: true, attendanceModule: true, resultsModule: true, exams: true, timetable: true, libraryModule: true, transportModule: true },
-  enterprise: { mpesaPayments: true, smsNotifications: true, emailNotifications: true, attendanceModule: true, resultsModule: true, exams: true, timetable: true, libraryModule: true, transportModule: true, hostelModule: true, inventory: true },
-};
+// Same limits as the schools function enforces
+const LOGO_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/svg+xml'];
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
 
 const Setup = () => {
   const { user } = useAuth();
@@ -40,6 +40,8 @@ const Setup = () => {
   });
 
   const [logoPreview, setLogoPreview] = useState(null);
+  // Keyed by schema path, e.g. 'identity.email'
+  const [errors, setErrors] = useState({});
 
   useEffect(() => {
     if (!school) return;
@@ -61,22 +63,32 @@ const Setup = () => {
     if (school.identity?.logo) setLogoPreview(school.identity.logo);
   }, [school]);
 
-  const handleInputChange = (e) => setFormData({ ...formData, [e.target.name]: e.target.value });
+  const handleInputChange = (e) => {
+    setFormData({ ...formData, [e.target.name]: e.target.value });
+    setErrors({ ...errors, [`identity.${e.target.name}`]: undefined });
+  };
+
+  const fieldError = (name) =>
+    errors[`identity.${name}`] && <p className="text-red-500 text-sm mt-1">{errors[`identity.${name}`]}</p>;
 
   const handleLogoChange = (e) => {
     const file = e.target.files[0];
     if (!file) return;
+
+    // The server checks the actual bytes too, this just saves a round trip
+    if (!LOGO_TYPES.includes(file.type)) {
+      toast.error('Logo must be a PNG, JPEG, WebP or SVG image');
+      return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      toast.error('Logo must be 2 MB or smaller');
+      return;
+    }
+
     setFormData({ ...formData, logo: file });
     setLogoPreview(URL.createObjectURL(file));
   };
 
-  const convertToBase64 = (file) => new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.readAsDataURL(file);
-    reader.onload = () => resolve(reader.result);
-    reader.onerror = (error) => reject(error);
-  });
-
   const generateClasses = (prefix, numbers) =>
     numbers.split(',').map(num => ({ id: num.trim(), name: `${prefix} ${num.trim()}`, sections: ["A", "B"] }));
 
@@ -84,36 +96,53 @@ const Setup = () => {
     subjectString.split(',').map(sub => ({ id: sub.trim().toLowerCase().replace(/\s/g, ''), name: sub.trim(), category: 'core' }));
 
   const handleSaveSchool = async () => {
+    // The plan itself is only ever set by the billing endpoints
+    const update = {
+      identity: {
+        name: formData.name,
+        motto: formData.motto,
+        address: formData.address,
+        phone: formData.phone,
+        email: formData.email,
+        website: formData.website
+      },
+      academic: {
+        classes: generateClasses(formData.classPrefix, formData.classNumbers),
+        subjects: generateSubjects(formData.subjects)
+      },
+      features: PLAN_FEATURES[formData.plan] || PLAN_FEATURES.basic,
+      theme: { primaryColor: formData.primaryColor, secondaryColor: formData.secondaryColor, darkMode: formData.darkMode }
+    };
+
+    const parsed = schoolUpdateSchema.safeParse(update);
+    if (!parsed.success) {
+      const fields = schoolFieldErrors(parsed.error);
+      setErrors(fields);
+      toast.error(Object.values(fields)[0]);
+      return;
+    }
+
     setLoading(true);
+    setErrors({});
     try {
-      const classes = generateClasses(formData.classPrefix, formData.classNumbers);
-      const subjects = generateSubjects(formData.subjects);
-      const features = planFeatures[formData.plan];
-
-      await updateSchool({
-        identity: {
-          name: formData.name,
-          motto: formData.motto,
-          address: formData.address,
-          phone: formData.phone,
-          email: formData.email,
-          website: formData.website
-        },
-        subscription: { plan: formData.plan, startDate: new Date().toISOString(), status: 'active' },
-        academic: { classes, subjects },
-        features,
-        theme: { primaryColor: formData.primaryColor, secondaryColor: formData.secondaryColor, darkMode: formData.darkMode }
-      });
-
-     if (formData.logo) {
-  await uploadLogo(formData.logo); // pass the File directly
-}
+      await updateSchool(parsed.data);
+
+      if (formData.logo) {
+        // uploadLogo reports its own errors, stay on this step if it fails
+        const uploaded = await uploadLogo(formData.logo).catch(() => null);
+        if (!uploaded) return;
+      }
 
       toast.success("School configuration saved!");
       setStep(3);
 
     } catch (error) {
-      toast.error(error.message || "Failed to save school");
+      // The server reports the same field paths as the schema
+      if (error.fields) {
+        setErrors(error.fields);
+      } else {
+        toast.error(error.error || error.message || "Failed to save school");
+      }
     } finally {
       setLoading(false);
     }
@@ -152,11 +181,26 @@ const Setup = () => {
             <motion.div initial={{opacity:0,y:20}} animate={{opacity:1,y:0}} className="bg-white rounded-lg shadow-lg p-8">
               <h2 className="text-2xl font-bold mb-6">School Information</h2>
               <div className="grid md:grid-cols-2 gap-6">
-                <input type="text" name="name" value={formData.name} onChange={handleInputChange} placeholder="School Name" className="w-full px-4 py-2 border rounded-lg"/>
-                <input type="text" name="motto" value={formData.motto} onChange={handleInputChange} placeholder="School Motto" className="w-full px-4 py-2 border rounded-lg"/>
-                <textarea name="address" value={formData.address} onChange={handleInputChange} placeholder="Address" className="col-span-2 w-full px-4 py-2 border rounded-lg"/>
-                <input type="tel" name="phone" value={formData.phone} onChange={handleInputChange} placeholder="Phone" className="w-full px-4 py-2 border rounded-lg"/>
-                <input type="email" name="email" value={formData.email} onChange={handleInputChange} placeholder="Email" className="w-full px-4 py-2 border rounded-lg"/>
+                <div>
+                  <input type="text" name="name" value={formData.name} onChange={handleInputChange} placeholder="School Name" className="w-full px-4 py-2 border rounded-lg"/>
+                  {fieldError('name')}
+                </div>
+                <div>
+                  <input type="text" name="motto" value={formData.motto} onChange={handleInputChange} placeholder="School Motto" className="w-full px-4 py-2 border rounded-lg"/>
+                  {fieldError('motto')}
+                </div>
+                <div className="col-span-2">
+                  <textarea name="address" value={formData.address} onChange={handleInputChange} placeholder="Address" className="w-full px-4 py-2 border rounded-lg"/>
+                  {fieldError('address')}
+                </div>
+                <div>
+                  <input type="tel" name="phone" value={formData.phone} onChange={handleInputChange} placeholder="Phone" className="w-full px-4 py-2 border rounded-lg"/>
+                  {fieldError('phone')}
+                </div>
+                <div>
+                  <input type="email" name="email" value={formData.email} onChange={handleInputChange} placeholder="Email" className="w-full px-4 py-2 border rounded-lg"/>
+                  {fieldError('email')}
+                </div>
               </div>
 
               <div className="mt-6 border-2 border-dashed border-gray-300 p-4 text-center rounded-lg">
@@ -165,8 +209,36 @@ const Setup = () => {
                 ) : (
                   <FaCloudUploadAlt className="text-5xl text-gray-400 mx-auto mb-2"/>
                 )}
-                <input type="file" id="logo" accept="image/*" onChange={handleLogoChange} className="hidden"/>
+                <input type="file" id="logo" accept={LOGO_TYPES.join(',')} onChange={handleLogoChange} className="hidden"/>
                 <button onClick={() => document.getElementById('logo').click()} className="px-4 py-2 bg-gray-100 rounded-lg">Choose Logo</button>
+                <p className="text-xs text-gray-500 mt-2">PNG, JPEG, WebP or SVG, up to 2 MB. A square logo works best for app icons.</p>
+              </div>
+
+              <div className="mt-6">
+                <h3 className="text-lg font-semibold mb-4">Branding</h3>
+                <div className="grid md:grid-cols-2 gap-6">
+                  <div className="space-y-4">
+                    <label className="flex items-center justify-between">
+                      <span className="text-sm text-gray-700">Primary colour</span>
+                      <input type="color" name="primaryColor" value={formData.primaryColor} onChange={handleInputChange} className="h-10 w-16 border rounded cursor-pointer"/>
+                    </label>
+                    {errors['theme.primaryColor'] && <p className="text-red-500 text-sm">{errors['theme.primaryColor']}</p>}
+                    <label className="flex items-center justify-between">
+                      <span className="text-sm text-gray-700">Secondary colour</span>
+                      <input type="color" name="secondaryColor" value={formData.secondaryColor} onChange={handleInputChange} className="h-10 w-16 border rounded cursor-pointer"/>
+                    </label>
+                    {errors['theme.secondaryColor'] && <p className="text-red-500 text-sm">{errors['theme.secondaryColor']}</p>}
+                    <label className="flex items-center justify-between">
+                      <span className="text-sm text-gray-700">Dark mode for the portal and app</span>
+                      <input type="checkbox" checked={formData.darkMode} onChange={(e) => setFormData({ ...formData, darkMode: e.target.checked })} className="h-5 w-5"/>
+                    </label>
+                  </div>
+                  <ThemePreview
+                    theme={{ primaryColor: formData.primaryColor, secondaryColor: formData.secondaryColor, darkMode: formData.darkMode }}
+                    schoolName={formData.name}
+                    logo={logoPreview}
+                  />
+                </div>
               </div>
 
               <div className="flex justify-end mt-6">
@@ -15,6 +15,9 @@ import {
 } from 'react-icons/fa';
 import toast from 'react-hot-toast';
 import { z } from 'zod';
+import GoogleButton from '../components/auth/GoogleButton';
+import SubdomainField from '../components/auth/SubdomainField';
+import { toSubdomain } from '../shared/subdomain';
 
 const signupSchema = z.object({
   schoolName: z.string().min(3, 'School name must be at least 3 characters'),
@@ -26,6 +29,9 @@ const signupSchema = z.object({
   confirmPassword: z.string()
 });
 
+// With Google the name, email and password come from the Google account
+const googleSignupSchema = signupSchema.pick({ schoolName: true, phone: true, schoolSize: true });
+
 const Signup = () => {
   const [formData, setFormData] = useState({
     schoolName: '',
@@ -35,14 +41,18 @@ const Signup = () => {
     schoolSize: '',
     password: '',
     confirmPassword: '',
+    subdomain: '',
     terms: false
   });
+  // The subdomain follows the school name until it is edited by hand
+  const [subdomainEdited, setSubdomainEdited] = useState(false);
+  const [subdomainStatus, setSubdomainStatus] = useState(null);
 
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
-  const { signup } = useAuth();
+  const { signup, loginWithGoogle } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -50,7 +60,8 @@ const Signup = () => {
 
     setFormData({
       ...formData,
-      [name]: type === 'checkbox' ? checked : value
+      [name]: type === 'checkbox' ? checked : value,
+      ...(name === 'schoolName' && !subdomainEdited && { subdomain: toSubdomain(value) })
     });
 
     if (errors[name]) {
@@ -61,11 +72,31 @@ const Signup = () => {
     }
   };
 
+  const handleSubdomainChange = (subdomain) => {
+    setSubdomainEdited(true);
+    setFormData({ ...formData, subdomain });
+  };
+
+  // Both signup flows need a subdomain the server confirmed as free
+  const ensureSubdomainAvailable = () => {
+    if (subdomainStatus === 'available') return true;
+
+    toast.error(
+      subdomainStatus === 'checking'
+        ? 'Still checking your school URL, try again in a moment'
+        : 'Choose an available school URL'
+    );
+    return false;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setLoading(true);
     setErrors({});
 
+    if (!ensureSubdomainAvailable()) return;
+
+    setLoading(true);
+
     try {
       signupSchema.parse(formData);
 
@@ -81,14 +112,6 @@ const Signup = () => {
         return;
       }
 
-      // Generate subdomain
-      const subdomain = formData.schoolName
-        .toLowerCase()
-        .trim()
-        .replace(/\s+/g, '-')
-        .replace(/[^a-z0-9-]/g, '')
-        .slice(0, 20);
-
       await signup({
         schoolName: formData.schoolName,
         adminName: formData.adminName,
@@ -96,7 +119,7 @@ const Signup = () => {
         phone: formData.phone,
         schoolSize: formData.schoolSize,
         password: formData.password,
-        subdomain
+        subdomain: formData.subdomain
       });
 
       navigate('/setup');
@@ -115,11 +138,51 @@ const Signup = () => {
     }
   };
 
-  const generatedSubdomain = formData.schoolName
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, '-')
-    .replace(/[^a-z0-9-]/g, '');
+  const handleGoogleSignup = async () => {
+    setErrors({});
+
+    try {
+      googleSignupSchema.parse(formData);
+    } catch (error) {
+      const newErrors = {};
+      error.errors.forEach((err) => {
+        newErrors[err.path[0]] = err.message;
+      });
+      setErrors(newErrors);
+      toast.error('Fill in your school details first');
+      return;
+    }
+
+    if (!formData.terms) {
+      toast.error('Please accept the terms and conditions');
+      return;
+    }
+
+    if (!ensureSubdomainAvailable()) return;
+
+    setLoading(true);
+
+    try {
+      const response = await loginWithGoogle({
+        schoolName: formData.schoolName,
+        phone: formData.phone,
+        schoolSize: formData.schoolSize,
+        subdomain: formData.subdomain,
+      });
+
+      // An existing account just signs in (possibly via the 2FA step on the login page)
+      if (response.twoFactorRequired || response.twoFactorSetupRequired) {
+        toast('You already have an account. Please sign in.');
+        navigate('/login');
+      } else {
+        navigate(response.created ? '/setup' : '/dashboard');
+      }
+    } catch (error) {
+      // AuthContext already shows the error toast
+    } finally {
+      setLoading(false);
+    }
+  };
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-primary-50 to-white flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
@@ -168,17 +231,24 @@ const Signup = () => {
                 />
               </div>
 
-              {formData.schoolName && (
-                <p className="text-xs text-gray-500 mt-1">
-                  Your school URL: {generatedSubdomain}.edumanagerpro.com
-                </p>
-              )}
-
               {errors.schoolName && (
                 <p className="text-red-500 text-sm">{errors.schoolName}</p>
               )}
             </div>
 
+            {/* School URL */}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                School URL *
+              </label>
+
+              <SubdomainField
+                value={formData.subdomain}
+                onChange={handleSubdomainChange}
+                onStatusChange={setSubdomainStatus}
+              />
+            </div>
+
             {/* Admin Name */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -329,6 +399,19 @@ const Signup = () => {
             {loading ? 'Creating account...' : 'Create Account'}
           </button>
 
+          <div className="flex items-center text-xs text-gray-400 uppercase">
+            <div className="flex-1 border-t" />
+            <span className="px-3">or</span>
+            <div className="flex-1 border-t" />
+          </div>
+
+          <GoogleButton onClick={handleGoogleSignup} disabled={loading}>
+            Sign up with Google
+          </GoogleButton>
+          <p className="text-xs text-center text-gray-500 -mt-4">
+            Uses the school details above; your name and email come from Google.
+          </p>
+
           <p className="text-center text-sm">
             Already have an account?{' '}
             <Link to="/login" className="text-primary-600">
@@ -0,0 +1,298 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { staffService } from '../services/api';
+import Navbar from '../components/layout/Navbar';
+import { motion } from 'framer-motion';
+import {
+  FaArrowLeft,
+  FaUserPlus,
+  FaUsers,
+  FaEnvelope,
+  FaBan,
+  FaCheck,
+  FaTrash,
+  FaSpinner,
+  FaShieldAlt,
+} from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { INVITABLE_ROLES, ROLE_LABELS } from '../shared/permissions';
+
+const Staff = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [staff, setStaff] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [inviting, setInviting] = useState(false);
+  const [inviteForm, setInviteForm] = useState({ name: '', email: '', role: 'teacher' });
+
+  const loadStaff = async () => {
+    try {
+      const data = await staffService.listStaff();
+      setStaff(data.staff || []);
+      setInvitations(data.invitations || []);
+    } catch (error) {
+      console.error('Error loading staff:', error);
+      toast.error(error.error || 'Failed to load staff');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadStaff();
+  }, []);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+
+    try {
+      setInviting(true);
+      const { invitation } = await staffService.invite(inviteForm);
+      setInvitations((prev) => [
+        ...prev.filter((invite) => invite.email !== invitation.email),
+        invitation,
+      ]);
+      setInviteForm({ name: '', email: '', role: 'teacher' });
+      toast.success(`Invitation sent to ${invitation.email}`);
+    } catch (error) {
+      toast.error(error.error || 'Failed to send invitation');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleRevokeInvitation = async (invitationId) => {
+    try {
+      setBusyId(invitationId);
+      await staffService.revokeInvitation(invitationId);
+      setInvitations((prev) => prev.filter((invite) => invite.id !== invitationId));
+      toast.success('Invitation revoked');
+    } catch (error) {
+      toast.error(error.error || 'Failed to revoke invitation');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggleStatus = async (member) => {
+    const status = member.status === 'suspended' ? 'active' : 'suspended';
+
+    try {
+      setBusyId(member.id);
+      await staffService.setStatus(member.id, status);
+      setStaff((prev) => prev.map((m) => (m.id === member.id ? { ...m, status } : m)));
+      toast.success(status === 'suspended' ? `${member.name} suspended` : `${member.name} reactivated`);
+    } catch (error) {
+      toast.error(error.error || 'Failed to update staff member');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${member.name} from your school? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(member.id);
+      await staffService.remove(member.id);
+      setStaff((prev) => prev.filter((m) => m.id !== member.id));
+      toast.success(`${member.name} removed`);
+    } catch (error) {
+      toast.error(error.error || 'Failed to remove staff member');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const roleName = (role) => ROLE_LABELS[role] || role;
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="w-16 h-16 border-4 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Navbar />
+      <div className="min-h-screen bg-gray-50 pt-20">
+        <div className="container mx-auto px-4 py-8">
+          {/* Back Button */}
+          <motion.button
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            onClick={() => navigate('/dashboard')}
+            className="flex items-center text-gray-600 hover:text-gray-900 mb-6 group"
+          >
+            <FaArrowLeft className="mr-2 group-hover:-translate-x-1 transition-transform" />
+            Back to Dashboard
+          </motion.button>
+
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mb-8"
+          >
+            <h1 className="text-3xl font-bold mb-2">Staff</h1>
+            <p className="text-gray-600">
+              Invite bursars, teachers and secretaries to your school
+            </p>
+          </motion.div>
+
+          {/* Invite Form */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.1 }}
+            className="bg-white rounded-lg shadow-lg p-6 mb-8"
+          >
+            <h2 className="text-xl font-bold mb-4 flex items-center">
+              <FaUserPlus className="mr-2 text-primary-600" />
+              Invite Staff Member
+            </h2>
+            <form onSubmit={handleInvite} className="grid md:grid-cols-4 gap-4">
+              <input
+                type="text"
+                value={inviteForm.name}
+                onChange={(e) => setInviteForm({ ...inviteForm, name: e.target.value })}
+                placeholder="Name (optional)"
+                className="w-full px-4 py-2 border rounded-lg"
+              />
+              <input
+                type="email"
+                required
+                value={inviteForm.email}
+                onChange={(e) => setInviteForm({ ...inviteForm, email: e.target.value })}
+                placeholder="Email address"
+                className="w-full px-4 py-2 border rounded-lg"
+              />
+              <select
+                value={inviteForm.role}
+                onChange={(e) => setInviteForm({ ...inviteForm, role: e.target.value })}
+                className="w-full px-4 py-2 border rounded-lg"
+              >
+                {INVITABLE_ROLES.map((role) => (
+                  <option key={role} value={role}>{ROLE_LABELS[role]}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={inviting}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center justify-center"
+              >
+                {inviting ? <FaSpinner className="animate-spin mr-2" /> : <FaEnvelope className="mr-2" />}
+                Send Invite
+              </button>
+            </form>
+          </motion.div>
+
+          {/* Pending Invitations */}
+          {invitations.length > 0 && (
+            <motion.div
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: 0.15 }}
+              className="bg-white rounded-lg shadow-lg p-6 mb-8"
+            >
+              <h2 className="text-xl font-bold mb-4">Pending Invitations</h2>
+              <div className="space-y-3">
+                {invitations.map((invite) => (
+                  <div key={invite.id} className="flex items-center justify-between p-3 border rounded-lg">
+                    <div>
+                      <p className="font-medium">{invite.name || invite.email}</p>
+                      <p className="text-sm text-gray-600">
+                        {invite.email} · {roleName(invite.role)}
+                        {invite.expired && <span className="ml-2 text-red-600">Expired</span>}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleRevokeInvitation(invite.id)}
+                      disabled={busyId !== null}
+                      className="text-red-600 hover:text-red-700 text-sm disabled:opacity-50"
+                    >
+                      Revoke
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </motion.div>
+          )}
+
+          {/* Staff List */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.2 }}
+            className="bg-white rounded-lg shadow-lg p-6"
+          >
+            <h2 className="text-xl font-bold mb-4 flex items-center">
+              <FaUsers className="mr-2 text-primary-600" />
+              Team ({staff.length})
+            </h2>
+            <div className="space-y-3">
+              {staff.map((member) => (
+                <div key={member.id} className="flex items-center justify-between p-3 border rounded-lg hover:bg-gray-50">
+                  <div className="flex items-center space-x-4">
+                    <div className="w-10 h-10 bg-primary-100 rounded-full flex items-center justify-center font-semibold text-primary-600">
+                      {member.name?.charAt(0).toUpperCase()}
+                    </div>
+                    <div>
+                      <p className="font-medium">
+                        {member.name}
+                        {member.id === user?.id && <span className="ml-2 text-sm text-gray-500">(you)</span>}
+                      </p>
+                      <p className="text-sm text-gray-600">{member.email}</p>
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-4">
+                    <span className="text-sm text-gray-700">{roleName(member.role)}</span>
+                    {member.twoFactorEnabled && (
+                      <span title="Two-factor authentication enabled" className="text-green-600">
+                        <FaShieldAlt />
+                      </span>
+                    )}
+                    <span className={`px-2 py-1 rounded-full text-xs ${
+                      member.status === 'suspended' ? 'bg-red-100 text-red-600' : 'bg-green-100 text-green-600'
+                    }`}>
+                      {member.status}
+                    </span>
+                    {member.id !== user?.id && member.role !== 'owner' && (
+                      <>
+                        <button
+                          onClick={() => handleToggleStatus(member)}
+                          disabled={busyId !== null}
+                          title={member.status === 'suspended' ? 'Reactivate' : 'Suspend'}
+                          className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                        >
+                          {member.status === 'suspended' ? <FaCheck /> : <FaBan />}
+                        </button>
+                        <button
+                          onClick={() => handleRemove(member)}
+                          disabled={busyId !== null}
+                          title="Remove"
+                          className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                        >
+                          <FaTrash />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Staff;
@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { useSchool } from '../context/SchoolContext';
+import { studentService } from '../services/api';
+import Navbar from '../components/layout/Navbar';
+import StudentForm from '../components/students/StudentForm';
+import StudentImport from '../components/students/StudentImport';
+import { motion, AnimatePresence } from 'framer-motion';
+import {
+  FaArrowLeft,
+  FaUserGraduate,
+  FaUserPlus,
+  FaSearch,
+  FaEdit,
+  FaTrash,
+  FaSpinner,
+  FaPhone,
+  FaFileCsv,
+} from 'react-icons/fa';
+import { toast } from 'react-hot-toast';
+import { STUDENT_STATUSES, STUDENT_STATUS_LABELS } from '../shared/studentSchema';
+
+const SEARCH_DELAY_MS = 300;
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-600',
+  transferred: 'bg-yellow-100 text-yellow-700',
+  graduated: 'bg-blue-100 text-blue-600',
+  withdrawn: 'bg-gray-100 text-gray-600',
+};
+
+// The list's query string: filters that are set, and where to continue from
+const queryParams = (filters, cursor) => {
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+  return cursor ? { ...params, cursor } : params;
+};
+
+const primaryGuardian = (student) =>
+  student.guardians?.find((guardian) => guardian.isPrimary) || student.guardians?.[0];
+
+const Students = () => {
+  const { can } = useAuth();
+  const { school } = useSchool();
+  const navigate = useNavigate();
+  const canManage = can('students:manage');
+  const classes = school?.academic?.classes || [];
+
+  const [students, setStudents] = useState([]);
+  // null for multi-word searches, which the server doesn't count
+  const [total, setTotal] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState({ q: '', classId: '', status: 'active' });
+  // null: form closed, {}: new student, otherwise the student being edited
+  const [editing, setEditing] = useState(null);
+  const [importing, setImporting] = useState(false);
+  // Bumped to reload the list after an import
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Ignores responses to searches the user has already typed past
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters((prev) => (prev.q === search.trim() ? prev : { ...prev, q: search.trim() }));
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    const request = ++requestRef.current;
+
+    const loadStudents = async () => {
+      try {
+        setLoading(true);
+        const data = await studentService.list(queryParams(filters));
+        if (request !== requestRef.current) return;
+        setStudents(data.students || []);
+        setTotal(data.total ?? null);
+        setNextCursor(data.nextCursor);
+      } catch (error) {
+        if (request !== requestRef.current) return;
+        console.error('Error loading students:', error);
+        toast.error(error.error || 'Failed to load students');
+      } finally {
+        if (request === requestRef.current) setLoading(false);
+      }
+    };
+
+    loadStudents();
+  }, [filters, reloadKey]);
+
+  const handleLoadMore = async () => {
+    const request = requestRef.current;
+
+    try {
+      setLoadingMore(true);
+      const data = await studentService.list(queryParams(filters, nextCursor));
+      if (request !== requestRef.current) return;
+      setStudents((prev) => [...prev, ...(data.students || [])]);
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      toast.error(error.error || 'Failed to load more students');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleSaved = (student, isNew) => {
+    if (isNew) {
+      setStudents((prev) => [student, ...prev]);
+      setTotal((prev) => (prev === null ? prev : prev + 1));
+      toast.success(`${student.firstName} admitted as ${student.admissionNumber}`);
+    } else {
+      setStudents((prev) => prev.map((s) => (s.id === student.id ? student : s)));
+      toast.success(`${student.firstName} ${student.lastName} updated`);
+    }
+    setEditing(null);
+  };
+
+  const handleDelete = async (student) => {
+    const name = `${student.firstName} ${student.lastName}`;
+    if (!window.confirm(
+      `Delete ${name}? Use this only for records entered by mistake; for students who left, change their status instead.`
+    )) {
+      return;
+    }
+
+    try {
+      setBusyId(student.id);
+      await studentService.remove(student.id);
+      setStudents((prev) => prev.filter((s) => s.id !== student.id));
+      setTotal((prev) => (prev === null ? prev : prev - 1));
+      toast.success(`${name} deleted`);
+    } catch (error) {
+      toast.error(error.error || 'Failed to delete student');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const placement = (student) =>
+    [student.className || student.classId, student.stream].filter(Boolean).join(' ');
+
+  return (
+    <>
+      <Navbar />
+      <div className="min-h-screen bg-gray-50 pt-20">
+        <div className="container mx-auto px-4 py-8">
+          {/* Back Button */}
+          <motion.button
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            onClick={() => navigate('/dashboard')}
+            className="flex items-center text-gray-600 hover:text-gray-900 mb-6 group"
+          >
+            <FaArrowLeft className="mr-2 group-hover:-translate-x-1 transition-transform" />
+            Back to Dashboard
+          </motion.button>
+
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mb-8 flex flex-wrap items-center justify-between gap-4"
+          >
+            <div>
+              <h1 className="text-3xl font-bold mb-2">Students</h1>
+              <p className="text-gray-600">Admissions, class placement and parent contacts</p>
+            </div>
+            {canManage && (
+              <div className="flex space-x-3">
+                <button
+                  onClick={() => setImporting(true)}
+                  disabled={classes.length === 0}
+                  title={classes.length === 0 ? 'Set up classes first' : undefined}
+                  className="px-4 py-2 border border-primary-600 text-primary-600 rounded-lg hover:bg-primary-50 disabled:opacity-50 flex items-center"
+                >
+                  <FaFileCsv className="mr-2" /> Import
+                </button>
+                <button
+                  onClick={() => setEditing({})}
+                  disabled={classes.length === 0}
+                  title={classes.length === 0 ? 'Set up classes first' : undefined}
+                  className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center"
+                >
+                  <FaUserPlus className="mr-2" /> Admit Student
+                </button>
+              </div>
+            )}
+          </motion.div>
+
+          {classes.length === 0 && (
+            <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-4 mb-6 text-sm">
+              Your school has no classes yet. Add them under Setup before admitting students.
+            </div>
+          )}
+
+          {/* Filters */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.1 }}
+            className="bg-white rounded-lg shadow-lg p-4 mb-6 grid md:grid-cols-4 gap-4"
+          >
+            <div className="relative md:col-span-2">
+              <FaSearch className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                type="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search by name, admission number or parent's phone"
+                className="w-full pl-10 pr-4 py-2 border rounded-lg"
+              />
+            </div>
+            <select
+              value={filters.classId}
+              onChange={(e) => setFilters({ ...filters, classId: e.target.value })}
+              className="w-full px-4 py-2 border rounded-lg"
+            >
+              <option value="">All classes</option>
+              {classes.map((c) => (
+                <option key={c.id} value={c.id}>{c.name}</option>
+              ))}
+            </select>
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+              className="w-full px-4 py-2 border rounded-lg"
+            >
+              <option value="">All statuses</option>
+              {STUDENT_STATUSES.map((status) => (
+                <option key={status} value={status}>{STUDENT_STATUS_LABELS[status]}</option>
+              ))}
+            </select>
+          </motion.div>
+
+          {/* Student List */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.2 }}
+            className="bg-white rounded-lg shadow-lg p-6"
+          >
+            <h2 className="text-xl font-bold mb-4 flex items-center">
+              <FaUserGraduate className="mr-2 text-primary-600" />
+              {loading || total === null ? 'Students' : `Students (${total})`}
+            </h2>
+
+            {loading ? (
+              <div className="flex justify-center py-12">
+                <FaSpinner className="animate-spin text-3xl text-primary-600" />
+              </div>
+            ) : students.length === 0 ? (
+              <p className="text-gray-600 text-center py-12">
+                {filters.q ? `No students match "${filters.q}".` : 'No students found.'}
+              </p>
+            ) : (
+              <div className="space-y-3">
+                {students.map((student) => {
+                  const guardian = primaryGuardian(student);
+
+                  return (
+                    <div key={student.id} className="flex flex-wrap items-center justify-between gap-3 p-3 border rounded-lg hover:bg-gray-50">
+                      <div className="flex items-center space-x-4">
+                        <div className="w-10 h-10 bg-primary-100 rounded-full flex items-center justify-center font-semibold text-primary-600">
+                          {student.firstName?.charAt(0).toUpperCase()}
+                        </div>
+                        <div>
+                          <p className="font-medium">
+                            {student.firstName} {student.otherNames} {student.lastName}
+                          </p>
+                          <p className="text-sm text-gray-600">
+                            {student.admissionNumber} · {placement(student)}
+                          </p>
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-4">
+                        {guardian && (
+                          <span className="text-sm text-gray-600 flex items-center">
+                            <FaPhone className="mr-1" />
+                            {guardian.name} · {guardian.phone}
+                          </span>
+                        )}
+                        <span className={`px-2 py-1 rounded-full text-xs ${STATUS_STYLES[student.status] || STATUS_STYLES.withdrawn}`}>
+                          {STUDENT_STATUS_LABELS[student.status] || student.status}
+                        </span>
+                        {canManage && (
+                          <>
+                            <button
+                              onClick={() => setEditing(student)}
+                              disabled={busyId !== null}
+                              title="Edit"
+                              className="text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                            >
+                              <FaEdit />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(student)}
+                              disabled={busyId !== null}
+                              title="Delete"
+                              className="text-red-600 hover:text-red-700 disabled:opacity-50"
+                            >
+                              <FaTrash />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            {!loading && nextCursor && (
+              <div className="flex justify-center mt-6">
+                <button
+                  onClick={handleLoadMore}
+                  disabled={loadingMore}
+                  className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 flex items-center"
+                >
+                  {loadingMore && <FaSpinner className="animate-spin mr-2" />}
+                  Load more
+                </button>
+              </div>
+            )}
+          </motion.div>
+        </div>
+      </div>
+
+      <AnimatePresence>
+        {editing && (
+          <StudentForm
+            student={editing.id ? editing : null}
+            classes={classes}
+            onSaved={handleSaved}
+            onClose={() => setEditing(null)}
+          />
+        )}
+        {importing && (
+          <StudentImport
+            onImported={() => setReloadKey((key) => key + 1)}
+            onClose={() => setImporting(false)}
+          />
+        )}
+      </AnimatePresence>
+    </>
+  );
+};
+
+export default Students;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import Navbar from '../components/layout/Navbar';
+import { motion } from 'framer-motion';
+import { FaArrowLeft, FaUserSecret, FaSpinner } from 'react-icons/fa';
+
+// Platform support staff open a read-only session as a school's owner
+const Support = () => {
+  const { isSuperAdmin, startImpersonation } = useAuth();
+  const navigate = useNavigate();
+  const [form, setForm] = useState({ schoolId: '', reason: '' });
+  const [starting, setStarting] = useState(false);
+
+  if (!isSuperAdmin) {
+    return <Navigate to="/dashboard" replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setStarting(true);
+      await startImpersonation(form.schoolId.trim(), form.reason.trim());
+      navigate('/dashboard');
+    } catch (error) {
+      // AuthContext already shows the error toast
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <>
+      <Navbar />
+      <div className="min-h-screen bg-gray-50 pt-20">
+        <div className="container mx-auto px-4 py-8">
+          {/* Back Button */}
+          <motion.button
+            initial={{ opacity: 0, x: -20 }}
+            animate={{ opacity: 1, x: 0 }}
+            onClick={() => navigate('/dashboard')}
+            className="flex items-center text-gray-600 hover:text-gray-900 mb-6 group"
+          >
+            <FaArrowLeft className="mr-2 group-hover:-translate-x-1 transition-transform" />
+            Back to Dashboard
+          </motion.button>
+
+          {/* Header */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="mb-8"
+          >
+            <h1 className="text-3xl font-bold mb-2">Support</h1>
+            <p className="text-gray-600">
+              See a school exactly as its owner does. Sessions are read-only, last 30 minutes and
+              every request is recorded in the audit log.
+            </p>
+          </motion.div>
+
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.1 }}
+            className="bg-white rounded-lg shadow-lg p-6 max-w-xl"
+          >
+            <h2 className="text-xl font-bold mb-4 flex items-center">
+              <FaUserSecret className="mr-2 text-primary-600" />
+              View a School
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <input
+                type="text"
+                required
+                value={form.schoolId}
+                onChange={(e) => setForm({ ...form, schoolId: e.target.value })}
+                placeholder="School ID"
+                className="w-full px-4 py-2 border rounded-lg"
+              />
+              <textarea
+                required
+                rows={3}
+                value={form.reason}
+                onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                placeholder="Reason, e.g. helpdesk ticket number"
+                className="w-full px-4 py-2 border rounded-lg"
+              />
+              <button
+                type="submit"
+                disabled={starting}
+                className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 flex items-center justify-center"
+              >
+                {starting && <FaSpinner className="animate-spin mr-2" />}
+                Start support session
+              </button>
+            </form>
+          </motion.div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Support;
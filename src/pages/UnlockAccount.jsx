@@ -0,0 +1,77 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FaGraduationCap, FaUnlock, FaTimesCircle } from 'react-icons/fa';
+import { authService } from '../services/api';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  // 'pending', 'unlocked' or 'failed'
+  const [status, setStatus] = useState(token ? 'pending' : 'failed');
+  const [message, setMessage] = useState('This unlock link is invalid or incomplete.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    authService
+      .unlockAccount(token)
+      .then(() => setStatus('unlocked'))
+      .catch((error) => {
+        setMessage(error.error || 'Unlock link is invalid or has expired');
+        setStatus('failed');
+      });
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-white flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full space-y-8 bg-white p-10 rounded-2xl shadow-xl"
+      >
+        <div className="text-center">
+          <div className="flex justify-center">
+            <div className="w-16 h-16 bg-gradient-to-r from-primary-600 to-primary-700 rounded-2xl flex items-center justify-center">
+              <FaGraduationCap className="text-3xl text-white" />
+            </div>
+          </div>
+          <h2 className="mt-6 text-3xl font-display font-bold text-gray-900">
+            Unlock Your Account
+          </h2>
+        </div>
+
+        {status === 'pending' && (
+          <div className="flex justify-center">
+            <div className="w-10 h-10 border-4 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        )}
+
+        {status === 'unlocked' && (
+          <div className="text-center space-y-4">
+            <FaUnlock className="mx-auto text-4xl text-green-600" />
+            <p className="text-sm text-gray-600">
+              Your account is unlocked. You can sign in again.
+            </p>
+            <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+              Go to sign in
+            </Link>
+          </div>
+        )}
+
+        {status === 'failed' && (
+          <div className="text-center space-y-4">
+            <FaTimesCircle className="mx-auto text-4xl text-red-500" />
+            <p className="text-sm text-gray-600">{message}</p>
+            <Link to="/forgot-password" className="font-medium text-primary-600 hover:text-primary-500">
+              Reset your password instead
+            </Link>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
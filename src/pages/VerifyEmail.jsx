@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { motion } from 'framer-motion';
+import { FaGraduationCap, FaCheckCircle, FaTimesCircle } from 'react-icons/fa';
+import { authService } from '../services/api';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const { isAuthenticated, markEmailVerified } = useAuth();
+  // 'pending', 'verified' or 'failed'
+  const [status, setStatus] = useState(token ? 'pending' : 'failed');
+  const [message, setMessage] = useState('This verification link is invalid or incomplete.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    authService
+      .verifyEmail(token)
+      .then(({ email }) => {
+        markEmailVerified(email);
+        setStatus('verified');
+      })
+      .catch((error) => {
+        setMessage(error.error || 'Verification link is invalid or has expired');
+        setStatus('failed');
+      });
+  }, [token, markEmailVerified]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-primary-50 to-white flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+        className="max-w-md w-full space-y-8 bg-white p-10 rounded-2xl shadow-xl"
+      >
+        <div className="text-center">
+          <div className="flex justify-center">
+            <div className="w-16 h-16 bg-gradient-to-r from-primary-600 to-primary-700 rounded-2xl flex items-center justify-center">
+              <FaGraduationCap className="text-3xl text-white" />
+            </div>
+          </div>
+          <h2 className="mt-6 text-3xl font-display font-bold text-gray-900">
+            Email Verification
+          </h2>
+        </div>
+
+        {status === 'pending' && (
+          <div className="flex justify-center">
+            <div className="w-10 h-10 border-4 border-primary-600 border-t-transparent rounded-full animate-spin"></div>
+          </div>
+        )}
+
+        {status === 'verified' && (
+          <div className="text-center space-y-4">
+            <FaCheckCircle className="mx-auto text-4xl text-green-600" />
+            <p className="text-sm text-gray-600">
+              Your email address is verified. Payments and app builds are now available.
+            </p>
+            <Link
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              className="font-medium text-primary-600 hover:text-primary-500"
+            >
+              {isAuthenticated ? 'Go to dashboard' : 'Go to sign in'}
+            </Link>
+          </div>
+        )}
+
+        {status === 'failed' && (
+          <div className="text-center space-y-4">
+            <FaTimesCircle className="mx-auto text-4xl text-red-500" />
+            <p className="text-sm text-gray-600">{message}</p>
+            <p className="text-sm text-gray-600">
+              Sign in and use "Resend email" in the banner to get a new link.
+            </p>
+          </div>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -17,34 +17,239 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+// Identifies this browser so the server can keep one refresh token per device
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem('deviceId');
+  if (!deviceId) {
+    deviceId = window.crypto?.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    localStorage.setItem('deviceId', deviceId);
+  }
+  return deviceId;
+};
+
+export const storeSession = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('supportSession');
+};
+
+// While impersonating, the support user's own credentials are set aside and
+// the read-only token (which can't be refreshed) takes their place.
+export const beginImpersonation = ({ token }) => {
+  localStorage.setItem(
+    'supportSession',
+    JSON.stringify({
+      token: localStorage.getItem('token'),
+      refreshToken: localStorage.getItem('refreshToken'),
+    })
+  );
+  localStorage.setItem('token', token);
+  localStorage.removeItem('refreshToken');
+};
+
+// Puts the support user's credentials back. Returns false when there was
+// no impersonation in progress.
+export const restoreSupportSession = () => {
+  const stashed = localStorage.getItem('supportSession');
+  if (!stashed) return false;
+
+  clearSession();
+  storeSession(JSON.parse(stashed));
+  return true;
+};
+
+// Requests that must never trigger a refresh-and-retry on 401
+const SESSION_ROUTES = [
+  '/auth/login',
+  '/auth/signup',
+  '/auth/refresh',
+  '/auth/logout',
+  '/auth/2fa/verify',
+  '/auth/phone/verify',
+  '/auth/google',
+];
+
+// Shared between concurrent 401s so the refresh token is only rotated once
+let refreshRequest = null;
+
+const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    refreshRequest = (refreshToken
+      ? axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token'))
+    )
+      .then(({ data }) => {
+        storeSession(data);
+        return data.token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 api.interceptors.response.use(
   (response) => response.data,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/';
+  async (error) => {
+    const original = error.config;
+
+    if (
+      error.response?.status === 401 &&
+      original &&
+      !original._retry &&
+      !SESSION_ROUTES.includes(original.url)
+    ) {
+      original._retry = true;
+
+      let token;
+      try {
+        token = await refreshAccessToken();
+      } catch (refreshError) {
+        // An expired support session falls back to the support user's own
+        if (restoreSupportSession()) {
+          window.location.href = '/support';
+        } else {
+          clearSession();
+          window.location.href = '/';
+        }
+        throw error.response?.data || error.message;
+      }
+
+      original.headers.Authorization = `Bearer ${token}`;
+      return api(original);
     }
+
     throw error.response?.data || error.message;
   }
 );
 
 export const authService = {
-  login: (email, password) => api.post('/auth/login', { email, password }),
-  signup: (data) => api.post('/auth/signup', data),
+  login: (email, password) => api.post('/auth/login', { email, password, deviceId: getDeviceId() }),
+  signup: (data) => api.post('/auth/signup', { ...data, deviceId: getDeviceId() }),
+  requestPhoneOtp: (phone) => api.post('/auth/phone/request-otp', { phone }),
+  loginWithPhone: (phone, code) =>
+    api.post('/auth/phone/verify', { phone, code, deviceId: getDeviceId() }),
+  // data: { idToken, mode: 'login' | 'signup', ...school details when signing up }
+  googleAuth: (data) => api.post('/auth/google', { ...data, deviceId: getDeviceId() }),
+  // Second login step, with either { code } or { recoveryCode }
+  verifyTwoFactor: (challengeToken, data) =>
+    api.post('/auth/2fa/verify', { challengeToken, ...data, deviceId: getDeviceId() }),
+  checkSubdomain: (subdomain) => api.get('/auth/subdomain-available', { params: { subdomain } }),
   getCurrentUser: () => api.get('/auth/me'),
   forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
   resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  unlockAccount: (token) => api.post('/auth/unlock', { token }),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: () => api.post('/auth/verify-email/resend'),
+  // Credentials are passed explicitly because local storage is cleared right away
+  logout: ({ token, refreshToken }) =>
+    api.post('/auth/logout', { refreshToken }, { headers: { Authorization: `Bearer ${token}` } }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  revokeOtherSessions: () => api.delete('/auth/sessions'),
+  // Support staff only: read-only access to a school as its owner
+  impersonate: (schoolId, reason) => api.post('/auth/impersonate', { schoolId, reason }),
+};
+
+export const twoFactorService = {
+  getStatus: () => api.get('/auth/2fa'),
+  // challengeToken is only passed when enrolling in the middle of a login
+  setup: (challengeToken) => api.post('/auth/2fa/setup', { challengeToken }),
+  enable: (code, challengeToken) =>
+    api.post('/auth/2fa/enable', { code, challengeToken, deviceId: getDeviceId() }),
+  disable: (data) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+  setPolicy: (required) => api.put('/auth/2fa/policy', { required }),
+};
+
+export const staffService = {
+  listStaff: () => api.get('/auth/staff'),
+  invite: (data) => api.post('/auth/invitations', data),
+  revokeInvitation: (invitationId) => api.delete(`/auth/invitations/${invitationId}`),
+  setStatus: (userId, status) => api.put(`/auth/staff/${userId}`, { status }),
+  remove: (userId) => api.delete(`/auth/staff/${userId}`),
+  getInvitation: (token) => api.get(`/auth/invitations/${token}`),
+  acceptInvitation: (data) => api.post('/auth/invitations/accept', { ...data, deviceId: getDeviceId() }),
 };
 
 export const schoolService = {
   getSchool: (id) => api.get(`/schools/${id}`),
   updateSchool: (id, data) => api.put(`/schools/${id}`, data),
-  uploadLogo: (id, data) => 
-    api.post(`/schools/${id}/logo`, data), // data should be { image: base64String }
+  // Sent as multipart so the file isn't inflated by base64 encoding
+  uploadLogo: (id, file) => {
+    const formData = new FormData();
+    formData.append('logo', file);
+    return api.post(`/schools/${id}/logo`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  getUsage: (id) => api.get(`/schools/${id}/usage`),
   getSubscription: (id) => api.get(`/schools/${id}/subscription`),
   subscribe: (id, planId, paymentDetails) =>
     api.post(`/schools/${id}/subscribe`, { planId, ...paymentDetails }),
-  cancelSubscription: (id) => api.post(`/schools/${id}/cancel-subscription`)
+  cancelSubscription: (id) => api.post(`/schools/${id}/cancel-subscription`),
+  renameSubdomain: (id, subdomain) => api.post(`/schools/${id}/subdomain`, { subdomain }),
+  getDomain: (id) => api.get(`/schools/${id}/domain`),
+  registerDomain: (id, domain) => api.post(`/schools/${id}/domain`, { domain }),
+  verifyDomain: (id) => api.post(`/schools/${id}/domain/verify`),
+  removeDomain: (id) => api.delete(`/schools/${id}/domain`),
+  requestExport: (id) => api.post(`/schools/${id}/export`),
+  listExports: (id) => api.get(`/schools/${id}/exports`),
+  requestClosure: (id, reason) => api.post(`/schools/${id}/close`, { reason }),
+  confirmClosure: (id, token) => api.post(`/schools/${id}/close/confirm`, { token }),
+  restoreSchool: (id) => api.post(`/schools/${id}/restore`),
+};
+
+export const studentService = {
+  list: (params) => api.get('/students', { params }),
+  get: (studentId) => api.get(`/students/${studentId}`),
+  create: (data) => api.post('/students', data),
+  update: (studentId, data) => api.put(`/students/${studentId}`, data),
+  remove: (studentId) => api.delete(`/students/${studentId}`),
+  importTemplate: () => api.get('/students/import/template', { responseType: 'blob' }),
+  // The dry run and the commit take the same file
+  checkImport: (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/students/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  commitImport: (importId, file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post(`/students/import/${importId}/commit`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  importErrors: (importId) => api.get(`/students/import/${importId}/errors`, { responseType: 'blob' }),
+};
+
+export const attendanceService = {
+  getRegister: (classId, date) => api.get('/attendance/registers', { params: { classId, date } }),
+  submitRegister: (data) => api.post('/attendance/registers', data),
+  getRegisterHistory: (registerId) => api.get(`/attendance/registers/${registerId}`),
+  correctRegister: (registerId, data) => api.put(`/attendance/registers/${registerId}`, data),
+  schoolSummary: (params) => api.get('/attendance/summary', { params }),
+  classSummary: (classId, params) => api.get(`/attendance/summary/classes/${classId}`, { params }),
+  studentSummary: (studentId, params) => api.get(`/attendance/summary/students/${studentId}`, { params }),
+};
+
+export const billingService = {
+  checkSubscription: (schoolId) => api.get('/check-subscription', { params: { schoolId } }),
+  cancelSubscription: (schoolId) => api.post('/cancel-subscription', { schoolId }),
 };
 
 export const paymentService = {
@@ -5,10 +5,26 @@ export const authService = {
     return apiAuth.login(email, password);
   },
 
+  requestPhoneOtp: async (phone) => {
+    return apiAuth.requestPhoneOtp(phone);
+  },
+
+  loginWithPhone: async (phone, code) => {
+    return apiAuth.loginWithPhone(phone, code);
+  },
+
+  googleAuth: async (data) => {
+    return apiAuth.googleAuth(data);
+  },
+
   signup: async (userData) => {
     return apiAuth.signup(userData);
   },
 
+  verifyTwoFactor: async (challengeToken, data) => {
+    return apiAuth.verifyTwoFactor(challengeToken, data);
+  },
+
   getCurrentUser: async () => {
     return apiAuth.getCurrentUser();
   },
@@ -20,4 +36,24 @@ export const authService = {
   resetPassword: async (token, password) => {
     return apiAuth.resetPassword(token, password);
   },
+
+  logout: async (credentials) => {
+    return apiAuth.logout(credentials);
+  },
+
+  getSessions: async () => {
+    return apiAuth.getSessions();
+  },
+
+  revokeSession: async (sessionId) => {
+    return apiAuth.revokeSession(sessionId);
+  },
+
+  revokeOtherSessions: async () => {
+    return apiAuth.revokeOtherSessions();
+  },
+
+  impersonate: async (schoolId, reason) => {
+    return apiAuth.impersonate(schoolId, reason);
+  },
 };
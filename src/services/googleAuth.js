@@ -0,0 +1,16 @@
+import { GoogleAuthProvider, signInWithPopup, signOut } from 'firebase/auth';
+import { auth } from '../firebase/config';
+
+// Runs the Google popup through Firebase and returns the ID token for our
+// /auth/google endpoint. The Firebase session itself isn't kept: the app
+// keeps using its own JWT once the server has verified the token.
+export const getGoogleIdToken = async () => {
+  const provider = new GoogleAuthProvider();
+  provider.setCustomParameters({ prompt: 'select_account' });
+
+  const { user } = await signInWithPopup(auth, provider);
+  const idToken = await user.getIdToken();
+  await signOut(auth);
+
+  return idToken;
+};
@@ -0,0 +1,89 @@
+// Daily class registers as the Attendance page sends them and the
+// attendance function stores them. A register covers one class on one
+// school day; once a teacher submits it, only administrators can change
+// it, and each change is kept as a correction with a reason.
+import { z } from 'zod';
+
+export const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+export const ATTENDANCE_STATUS_LABELS = {
+  present: 'Present',
+  absent: 'Absent',
+  late: 'Late',
+  excused: 'Excused',
+};
+
+// School days follow the clock in Kenya whatever the server's time zone
+export const SCHOOL_TIME_ZONE = 'Africa/Nairobi';
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// 'YYYY-MM-DD' of a moment in the school's time zone
+export const schoolDate = (date = new Date()) =>
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: SCHOOL_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+
+// 'YYYY-MM-DD' a number of days before another one
+export const shiftDate = (date, days) => {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+};
+
+export const emptyCounts = () => ({ present: 0, absent: 0, late: 0, excused: 0, total: 0 });
+
+// Share of students who came, late or not. Excused absences are left out,
+// so a register full of sick notes doesn't drag a class down. Null when
+// nobody was expected.
+export const attendanceRate = ({ present = 0, late = 0, absent = 0 }) => {
+  const expected = present + late + absent;
+  return expected ? (present + late) / expected : null;
+};
+
+// 0.9612 -> '96.1%', null -> '—'
+export const formatRate = (rate) => (rate === null || rate === undefined ? '—' : `${(rate * 100).toFixed(1)}%`);
+
+const schoolDay = z
+  .string()
+  .regex(ISO_DATE, 'Use the format YYYY-MM-DD')
+  .refine((value) => !Number.isNaN(Date.parse(value)), 'Invalid date');
+
+const entrySchema = z
+  .object({
+    studentId: z.string().trim().min(1, 'Student is required').max(128),
+    status: z.enum(ATTENDANCE_STATUSES, {
+      errorMap: () => ({ message: `Choose one of ${ATTENDANCE_STATUSES.join(', ')}` }),
+    }),
+    note: z.string().trim().max(200, 'Must be at most 200 characters').optional(),
+  })
+  .strict();
+
+export const registerSubmitSchema = z
+  .object({
+    classId: z.string().trim().min(1, 'Choose a class').max(40),
+    date: schoolDay,
+    entries: z.array(entrySchema).min(1, 'Mark at least one student').max(500, 'At most 500 students'),
+  })
+  .strict();
+
+export const registerCorrectionSchema = z
+  .object({
+    entries: z.array(entrySchema).min(1, 'Change at least one student').max(500, 'At most 500 students'),
+    reason: z.string().trim().min(3, 'Say why the register is being corrected').max(300, 'Must be at most 300 characters'),
+  })
+  .strict();
+
+export const summaryRangeSchema = z
+  .object({
+    from: schoolDay,
+    to: schoolDay,
+  })
+  .partial()
+  .refine((range) => !range.from || !range.to || range.from <= range.to, {
+    message: 'The start date must be before the end date',
+    path: ['from'],
+  });
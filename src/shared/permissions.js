@@ -0,0 +1,54 @@
+// Role-based access control shared by the React app and the Netlify
+// functions, so both sides agree on what each role may do.
+
+export const ROLES = ['owner', 'admin', 'bursar', 'teacher', 'secretary', 'parent'];
+
+// Roles an administrator can hand out through a staff invitation.
+// Ownership is only ever created at signup.
+export const INVITABLE_ROLES = ['admin', 'bursar', 'teacher', 'secretary', 'parent'];
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  admin: 'Administrator',
+  bursar: 'Bursar',
+  teacher: 'Teacher',
+  secretary: 'Secretary',
+  parent: 'Parent',
+};
+
+// Everyone who works at the school, as opposed to parents
+export const STAFF_ROLES = ['owner', 'admin', 'bursar', 'teacher', 'secretary'];
+
+export const PERMISSIONS = {
+  'school:read': [...STAFF_ROLES, 'parent'],
+  'school:manage': ['owner', 'admin'],
+  'billing:read': ['owner', 'admin', 'bursar'],
+  'billing:manage': ['owner', 'admin', 'bursar'],
+  'apps:read': STAFF_ROLES,
+  'apps:build': ['owner', 'admin'],
+  'staff:manage': ['owner', 'admin'],
+  'email:send': ['owner', 'admin'],
+  'security:manage': ['owner'],
+  'data:export': ['owner'],
+  'school:close': ['owner'],
+  'students:read': STAFF_ROLES,
+  'students:manage': ['owner', 'admin', 'secretary'],
+  'attendance:read': STAFF_ROLES,
+  'attendance:take': ['owner', 'admin', 'teacher'],
+  'attendance:manage': ['owner', 'admin'],
+};
+
+export const hasPermission = (role, permission) =>
+  Boolean(role && PERMISSIONS[permission]?.includes(role));
+
+// Permission required to open each private page of the dashboard
+export const ROUTE_PERMISSIONS = {
+  '/dashboard': 'school:read',
+  '/setup': 'school:manage',
+  '/payment': 'billing:manage',
+  '/settings': 'school:read',
+  '/staff': 'staff:manage',
+  '/students': 'students:read',
+  '/attendance': 'attendance:read',
+  '/app-download': 'apps:read',
+};
@@ -0,0 +1,71 @@
+// What each subscription plan allows, shared by the functions that enforce
+// the limits and the pages that advertise them or show usage. Plans sold
+// through the schools function (starter, professional) and through Lipana
+// payment links (basic, premium) live side by side. `students` is the
+// limit on students with the status "active", for subscriptions that don't
+// record their own; null means unlimited.
+
+export const TRIAL_PLAN = 'trial';
+
+export const PLANS = {
+  trial: { name: 'Free trial', students: 100 },
+  basic: { name: 'Basic', students: 100 },
+  starter: { name: 'Starter', students: 200 },
+  premium: { name: 'Premium', students: 500 },
+  professional: { name: 'Professional', students: 500 },
+  enterprise: { name: 'Enterprise', students: null },
+};
+
+// Modules and notification channels each plan includes. Setup copies these
+// into the school's `features`, where a school may switch things off; the
+// functions that send messages check the plan itself.
+const TRIAL_FEATURES = { attendanceModule: true, resultsModule: true };
+const BASIC_FEATURES = { ...TRIAL_FEATURES, exams: true, timetable: true };
+const PREMIUM_FEATURES = {
+  ...BASIC_FEATURES,
+  mpesaPayments: true,
+  smsNotifications: true,
+  libraryModule: true,
+  transportModule: true,
+};
+const ENTERPRISE_FEATURES = { ...PREMIUM_FEATURES, emailNotifications: true, hostelModule: true, inventory: true };
+
+export const PLAN_FEATURES = {
+  trial: TRIAL_FEATURES,
+  basic: BASIC_FEATURES,
+  starter: BASIC_FEATURES,
+  premium: PREMIUM_FEATURES,
+  professional: PREMIUM_FEATURES,
+  enterprise: ENTERPRISE_FEATURES,
+};
+
+// Whether a feature is on for a school: its plan includes it and the
+// school hasn't switched it off
+export const hasFeature = (planId, school, feature) =>
+  Boolean((PLAN_FEATURES[planId] || PLAN_FEATURES[TRIAL_PLAN])[feature]) && school?.features?.[feature] !== false;
+
+// Metered on the usage meter. Staff (accounts besides the owner, including
+// pending invitations) are counted for information only: no plan limits them.
+export const USAGE_METRICS = ['students', 'staff'];
+
+export const USAGE_LABELS = {
+  students: 'Students',
+  staff: 'Staff accounts',
+};
+
+// Share of a limit at which the school is warned by email
+export const USAGE_WARNING_RATIO = 0.8;
+
+export const planFor = (planId) => PLANS[planId] || PLANS[TRIAL_PLAN];
+
+// 200 -> '200', null -> 'Unlimited'
+export const limitLabel = (limit) => (limit === null || limit === undefined ? 'Unlimited' : String(limit));
+
+// { used, limit, remaining, ratio } for one metric. Remaining and ratio are
+// null when the plan has no limit.
+export const usageOf = (used, limit) => ({
+  used,
+  limit: limit ?? null,
+  remaining: limit === null || limit === undefined ? null : Math.max(limit - used, 0),
+  ratio: limit ? used / limit : null,
+});
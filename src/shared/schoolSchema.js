@@ -0,0 +1,106 @@
+// What a school may change about itself through PUT /schools/:id. Shared
+// by the Setup form and the schools function so both validate the same way.
+// Anything not listed here (subscription, billing, subdomain, logo...) is
+// managed by its own endpoint and rejected as an unknown field.
+import { z } from 'zod';
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+// Optional free text where an empty input means "not set"
+const optionalText = (max) => z.string().trim().max(max, `Must be at most ${max} characters`);
+
+export const FEATURE_KEYS = [
+  'attendanceModule',
+  'resultsModule',
+  'exams',
+  'timetable',
+  'mpesaPayments',
+  'smsNotifications',
+  'emailNotifications',
+  'libraryModule',
+  'transportModule',
+  'hostelModule',
+  'inventory',
+];
+
+export const identitySchema = z
+  .object({
+    name: z.string().trim().min(2, 'School name must be at least 2 characters').max(120, 'Must be at most 120 characters'),
+    motto: optionalText(200),
+    address: optionalText(300),
+    phone: z.union([z.literal(''), z.string().trim().regex(/^\+?[0-9 ()-]{7,20}$/, 'Invalid phone number')]),
+    email: z.union([z.literal(''), z.string().trim().email('Invalid email address')]),
+    website: z.union([z.literal(''), z.string().trim().url('Invalid website address')]),
+  })
+  .partial()
+  .strict();
+
+export const themeSchema = z
+  .object({
+    primaryColor: z.string().regex(HEX_COLOR, 'Use a hex colour such as #1B5E20'),
+    secondaryColor: z.string().regex(HEX_COLOR, 'Use a hex colour such as #D4AF37'),
+    darkMode: z.boolean(),
+  })
+  .partial()
+  .strict();
+
+const classSchema = z
+  .object({
+    id: z.string().trim().min(1, 'Class ID is required').max(40),
+    name: z.string().trim().min(1, 'Class name is required').max(60),
+    sections: z.array(z.string().trim().min(1).max(20)).max(26),
+  })
+  .strict();
+
+const subjectSchema = z
+  .object({
+    id: z.string().trim().min(1, 'Subject ID is required').max(40),
+    name: z.string().trim().min(1, 'Subject name is required').max(60),
+    category: z.enum(['core', 'elective']),
+  })
+  .strict();
+
+export const academicSchema = z
+  .object({
+    classes: z.array(classSchema).max(100, 'At most 100 classes'),
+    subjects: z.array(subjectSchema).max(100, 'At most 100 subjects'),
+  })
+  .partial()
+  .strict();
+
+export const featuresSchema = z
+  .object(Object.fromEntries(FEATURE_KEYS.map((key) => [key, z.boolean()])))
+  .partial()
+  .strict();
+
+export const schoolUpdateSchema = z
+  .object({
+    identity: identitySchema,
+    theme: themeSchema,
+    academic: academicSchema,
+    features: featuresSchema,
+  })
+  .partial()
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, 'Nothing to update');
+
+// Flattens a ZodError into { 'identity.email': 'Invalid email address' }.
+// Unknown fields are reported under their own path.
+export const schoolFieldErrors = (error) => {
+  const fields = {};
+
+  error.issues.forEach((issue) => {
+    const paths = issue.code === 'unrecognized_keys'
+      ? issue.keys.map((key) => [...issue.path, key])
+      : [issue.path];
+
+    paths.forEach((path) => {
+      const field = path.join('.') || '_';
+      if (!fields[field]) {
+        fields[field] = issue.code === 'unrecognized_keys' ? 'This field cannot be changed here' : issue.message;
+      }
+    });
+  });
+
+  return fields;
+};
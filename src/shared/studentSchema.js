@@ -0,0 +1,79 @@
+// A student record as the Students page sends it and the students function
+// stores it. Admission numbers, search terms and timestamps are set by the
+// server and rejected here as unknown fields.
+import { z } from 'zod';
+
+export const STUDENT_STATUSES = ['active', 'transferred', 'graduated', 'withdrawn'];
+
+export const STUDENT_STATUS_LABELS = {
+  active: 'Active',
+  transferred: 'Transferred',
+  graduated: 'Graduated',
+  withdrawn: 'Withdrawn',
+};
+
+export const GUARDIAN_RELATIONSHIPS = ['mother', 'father', 'guardian', 'sponsor', 'other'];
+
+export const MAX_GUARDIANS = 4;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Optional free text where an empty input means "not set"
+const optionalText = (max) => z.string().trim().max(max, `Must be at most ${max} characters`);
+
+const name = (label) =>
+  z.string().trim().min(1, `${label} is required`).max(60, 'Must be at most 60 characters');
+
+export const guardianSchema = z
+  .object({
+    name: name('Guardian name'),
+    relationship: z.enum(GUARDIAN_RELATIONSHIPS, {
+      errorMap: () => ({ message: 'Choose mother, father, guardian, sponsor or other' }),
+    }),
+    phone: z.string().trim().regex(/^\+?[0-9 ()-]{7,20}$/, 'Invalid phone number'),
+    email: z.union([z.literal(''), z.string().trim().email('Invalid email address')]).optional(),
+    isPrimary: z.boolean().optional(),
+  })
+  .strict();
+
+const studentFields = {
+  firstName: name('First name'),
+  lastName: name('Last name'),
+  otherNames: optionalText(60),
+  gender: z.enum(['female', 'male'], { errorMap: () => ({ message: 'Choose female or male' }) }),
+  dateOfBirth: z.union([
+    z.literal(''),
+    z.string().regex(ISO_DATE, 'Use the format YYYY-MM-DD').refine((value) => !Number.isNaN(Date.parse(value)), 'Invalid date'),
+  ]),
+  classId: z.string().trim().min(1, 'Choose a class').max(40),
+  stream: optionalText(20),
+  status: z.enum(STUDENT_STATUSES, {
+    errorMap: () => ({ message: `Choose one of ${STUDENT_STATUSES.join(', ')}` }),
+  }),
+  guardians: z
+    .array(guardianSchema)
+    .min(1, 'Add at least one parent or guardian')
+    .max(MAX_GUARDIANS, `At most ${MAX_GUARDIANS} guardians`),
+  notes: optionalText(500),
+};
+
+// New admissions may bring the number from an older register; without one
+// the school's next number is assigned
+export const studentCreateSchema = z
+  .object({
+    ...studentFields,
+    admissionNumber: z
+      .string()
+      .trim()
+      .max(30, 'Must be at most 30 characters')
+      .regex(/^[A-Za-z0-9/-]*$/, 'Use letters, digits, "-" and "/" only')
+      .optional(),
+  })
+  .partial({ otherNames: true, dateOfBirth: true, stream: true, status: true, notes: true })
+  .strict();
+
+export const studentUpdateSchema = z
+  .object(studentFields)
+  .partial()
+  .strict()
+  .refine((data) => Object.keys(data).length > 0, 'Nothing to update');
@@ -0,0 +1,72 @@
+// Rules for the <subdomain>.edumanagerpro.com address of a school, shared by
+// the signup form and the functions so both reject the same names.
+
+export const SUBDOMAIN_MIN_LENGTH = 3;
+export const SUBDOMAIN_MAX_LENGTH = 30;
+
+// Host names we use ourselves or that would mislead parents and staff
+export const RESERVED_SUBDOMAINS = [
+  'admin',
+  'api',
+  'app',
+  'apps',
+  'auth',
+  'billing',
+  'blog',
+  'cdn',
+  'dashboard',
+  'dev',
+  'docs',
+  'edumanager',
+  'edumanagerpro',
+  'help',
+  'login',
+  'mail',
+  'portal',
+  'school',
+  'schools',
+  'secure',
+  'signup',
+  'smtp',
+  'staging',
+  'static',
+  'status',
+  'support',
+  'test',
+  'www',
+];
+
+// 'Sunshine Academy!' -> 'sunshine-academy'
+export const toSubdomain = (schoolName) =>
+  String(schoolName || '')
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/-+/g, '-')
+    .slice(0, SUBDOMAIN_MAX_LENGTH)
+    .replace(/^-|-$/g, '');
+
+// Returns an error message, or null when the subdomain is well formed.
+// Whether it is free is only known to the server.
+export const validateSubdomain = (subdomain) => {
+  const value = String(subdomain || '');
+
+  if (value.length < SUBDOMAIN_MIN_LENGTH || value.length > SUBDOMAIN_MAX_LENGTH) {
+    return `Must be ${SUBDOMAIN_MIN_LENGTH} to ${SUBDOMAIN_MAX_LENGTH} characters long`;
+  }
+
+  if (!/^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/.test(value)) {
+    return 'Use lowercase letters, numbers and hyphens, starting and ending with a letter or number';
+  }
+
+  if (value.includes('--')) {
+    return 'Cannot contain two hyphens in a row';
+  }
+
+  if (RESERVED_SUBDOMAINS.includes(value)) {
+    return 'This name is reserved';
+  }
+
+  return null;
+};
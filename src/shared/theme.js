@@ -0,0 +1,143 @@
+// School themes, shared by the React app (Setup preview, live theme) and the
+// school-router function (theme.css for the portal). A theme is the
+// `school.theme` object validated by schoolSchema: two hex colours and a dark
+// mode flag. Each colour is expanded into a 50-900 palette like the ones in
+// tailwind.config.js, whose colours read these CSS variables.
+
+export const DEFAULT_THEME = {
+  primaryColor: '#16a34a',
+  secondaryColor: '#15803d',
+  darkMode: false,
+};
+
+export const SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+// How far each shade is mixed towards white (negative: towards black).
+// The school's colour itself becomes shade 600, the one buttons use.
+const SHADE_MIX = {
+  50: 0.95,
+  100: 0.9,
+  200: 0.75,
+  300: 0.6,
+  400: 0.35,
+  500: 0.15,
+  600: 0,
+  700: -0.15,
+  800: -0.3,
+  900: -0.45,
+};
+
+// WCAG 2.1 minimum contrast ratios
+export const CONTRAST_AA = 4.5;
+export const CONTRAST_AA_LARGE = 3;
+
+const WHITE = '#ffffff';
+const DARK_SURFACE = '#111827';
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+export const isHexColor = (value) => HEX_COLOR.test(value || '');
+
+// '#1B5E20' -> [27, 94, 32]
+export const hexToRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+const rgbToHex = (rgb) => `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+const mix = (hex, amount) => {
+  const target = amount >= 0 ? 255 : 0;
+  const weight = Math.abs(amount);
+  return rgbToHex(hexToRgb(hex).map((c) => c + (target - c) * weight));
+};
+
+// { 50: '#f3f7f3', ..., 600: '#1b5e20', ..., 900: '#0f3412' }
+export const paletteFrom = (hex) =>
+  Object.fromEntries(SHADES.map((shade) => [shade, mix(hex, SHADE_MIX[shade])]));
+
+// Missing or malformed values fall back to the platform's own colours
+export const resolveTheme = (theme) => ({
+  primaryColor: isHexColor(theme?.primaryColor) ? theme.primaryColor.toLowerCase() : DEFAULT_THEME.primaryColor,
+  secondaryColor: isHexColor(theme?.secondaryColor) ? theme.secondaryColor.toLowerCase() : DEFAULT_THEME.secondaryColor,
+  darkMode: Boolean(theme?.darkMode),
+});
+
+// WCAG relative luminance of a hex colour, 0 (black) to 1 (white)
+export const relativeLuminance = (hex) => {
+  const [r, g, b] = hexToRgb(hex).map((c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+// 1 (identical) to 21 (black on white)
+export const contrastRatio = (a, b) => {
+  const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+// Colour pairs the app and portal actually draw, with the ratio each needs.
+// Returns [{ id, ratio, minimum, message }] for the pairs that fall short.
+export const themeWarnings = (input) => {
+  const theme = resolveTheme(input);
+  const checks = [
+    {
+      id: 'text-on-primary',
+      foreground: WHITE,
+      background: theme.primaryColor,
+      minimum: CONTRAST_AA,
+      message: 'White button text is hard to read on the primary colour. Pick a darker primary colour.',
+    },
+    {
+      id: 'secondary-on-white',
+      foreground: theme.secondaryColor,
+      background: WHITE,
+      minimum: CONTRAST_AA_LARGE,
+      message: 'Headings and icons in the secondary colour are hard to see. Pick a darker secondary colour.',
+    },
+  ];
+
+  if (theme.darkMode) {
+    checks.push({
+      id: 'primary-on-dark',
+      foreground: theme.primaryColor,
+      background: DARK_SURFACE,
+      minimum: CONTRAST_AA_LARGE,
+      message: 'In dark mode the primary colour is hard to see on the dark background. Pick a lighter primary colour.',
+    });
+  }
+
+  return checks
+    .map((check) => ({ ...check, ratio: contrastRatio(check.foreground, check.background) }))
+    .filter((check) => check.ratio < check.minimum)
+    .map(({ id, ratio, minimum, message }) => ({ id, ratio: Math.round(ratio * 100) / 100, minimum, message }));
+};
+
+// CSS custom properties of a theme. Palette colours are bare RGB channels
+// ('27 94 32') so Tailwind can add opacity. Dark mode only swaps the
+// surface and text colours, which the portal and the Setup preview use;
+// the dashboard itself stays light.
+export const themeCssVariables = (input) => {
+  const theme = resolveTheme(input);
+  const variables = {};
+
+  [['primary', theme.primaryColor], ['secondary', theme.secondaryColor]].forEach(([name, hex]) => {
+    Object.entries(paletteFrom(hex)).forEach(([shade, color]) => {
+      variables[`--color-${name}-${shade}`] = hexToRgb(color).join(' ');
+    });
+  });
+
+  variables['--color-surface'] = theme.darkMode ? DARK_SURFACE : WHITE;
+  variables['--color-text'] = theme.darkMode ? '#f9fafb' : '#1f2937';
+  variables['--color-scheme'] = theme.darkMode ? 'dark' : 'light';
+
+  return variables;
+};
+
+// A stylesheet that applies a theme to `selector`
+export const themeStylesheet = (input, selector = ':root') => {
+  const declarations = Object.entries(themeCssVariables(input))
+    .map(([name, value]) => `  ${name}: ${value};`)
+    .join('\n');
+
+  return `${selector} {\n${declarations}\n  color-scheme: var(--color-scheme);\n}\n`;
+};
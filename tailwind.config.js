@@ -1,3 +1,26 @@
+// Palette colours read the CSS variables of the school's theme (see
+// src/shared/theme.js) and fall back to the platform's own green.
+const themed = (name, fallback) => ({ opacityValue }) =>
+  opacityValue === undefined
+    ? `rgb(var(--color-${name}, ${fallback}))`
+    : `rgb(var(--color-${name}, ${fallback}) / ${opacityValue})`;
+
+const palette = (name, fallbacks) =>
+  Object.fromEntries(Object.entries(fallbacks).map(([shade, rgb]) => [shade, themed(`${name}-${shade}`, rgb)]));
+
+const GREEN = {
+  50: '240 253 244',
+  100: '220 252 231',
+  200: '187 247 208',
+  300: '134 239 172',
+  400: '74 222 128',
+  500: '34 197 94',
+  600: '22 163 74',
+  700: '21 128 61',
+  800: '22 101 52',
+  900: '20 83 45',
+};
+
 module.exports = {
   content: [
     "./src/**/*.{js,jsx,ts,tsx}",
@@ -5,18 +28,8 @@ module.exports = {
   theme: {
     extend: {
       colors: {
-        primary: {
-          50: '#f0fdf4',
-          100: '#dcfce7',
-          200: '#bbf7d0',
-          300: '#86efac',
-          400: '#4ade80',
-          500: '#22c55e',
-          600: '#16a34a',
-          700: '#15803d',
-          800: '#166534',
-          900: '#14532d',
-        },
+        primary: palette('primary', GREEN),
+        secondary: palette('secondary', GREEN),
       },
       fontFamily: {
         sans: ['Poppins', 'sans-serif'],